@@ -43,8 +43,10 @@ const {
 } = require('./middleware/security');
 
 // Import logging
-const { logger, requestLogger, errorLogger } = require('./utils/logger');
+const { logger, requestLogger, errorLogger, redactUrl } = require('./utils/logger');
 const { waitForMongo } = require('./middleware/waitForMongo');
+const { auditAdminActions } = require('./middleware/auditLog');
+const { loadDefaultStore } = require('./middleware/resolveStore');
 
 // Cloudinary Configuration (kept for image uploads)
 const cloudinary = require('cloudinary').v2;
@@ -90,7 +92,9 @@ mongoose.connect(env.MONGO_URL, mongoOptions)
     // Initialize background jobs after MongoDB connection
     if (!isServerless) {
       const { initializeJobs } = require('./jobs');
-      initializeJobs();
+      loadDefaultStore()
+        .catch((error) => logger.warn('Failed to load default store', { error: error.message }))
+        .then(() => initializeJobs());
     }
   })
   .catch((error) => {
@@ -126,7 +130,7 @@ app.use((req, res, next) => {
   }
   res.setHeader('Vary', 'Origin');
   res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, Cache-Control, Pragma, CJ-Access-Token, X-Store-Id');
+  res.setHeader('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, Cache-Control, Pragma, CJ-Access-Token, X-Store-Id, X-API-Key, X-Order-Token, X-Cart-Token');
   res.setHeader('Access-Control-Max-Age', '86400');
   // Prevent caching: responses include origin-specific CORS header; 304 would reuse wrong origin
   res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
@@ -137,7 +141,15 @@ app.use((req, res, next) => {
 });
 
 // Body parsing middleware
-app.use(bodyParser.json({ limit: '10mb' }));
+app.use(
+  bodyParser.json({
+    limit: '10mb',
+    // Keep the raw body for webhook signature verification
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith('/api/v1/webhooks')) req.rawBody = buf;
+    },
+  })
+);
 app.use(bodyParser.urlencoded({ limit: '10mb', extended: true }));
 
 // File upload middleware
@@ -152,6 +164,12 @@ app.use(
 
 // Logging middleware
 app.use(requestLogger);
+// Same redaction as requestLogger, so tokens in query strings never reach the logs
+morgan.token('url', (req) => redactUrl(req.originalUrl || req.url));
+morgan.token('referrer', (req) => {
+  const referrer = req.headers.referer || req.headers.referrer;
+  return referrer ? redactUrl(referrer) : undefined;
+});
 app.use(morgan('combined', { stream: require('./utils/logger').stream }));
 
 // API versioning
@@ -168,6 +186,9 @@ app.use('/api/v1/auth', authRateLimit);
 app.use('/api/v1/payments', strictRateLimit);
 app.use('/api/v1', generalRateLimit);
 
+// Audit trail for admin panel changes
+app.use('/api/v1', auditAdminActions);
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({
@@ -200,13 +221,21 @@ const adminDisputeRoutes = require('./routes/adminDisputeRoutes');
 const storeContentRoutes = require('./routes/storeContentRoutes');
 const contentRoutes = require('./routes/contentRoutes');
 const storeSettingsRoutes = require('./routes/storeSettingsRoutes');
+const checkoutRoutes = require('./routes/checkoutRoutes');
+const cartRoutes = require('./routes/cartRoutes');
+const wishlistRoutes = require('./routes/wishlistRoutes');
+const addressRoutes = require('./routes/addressRoutes');
 
 // Mount routes
 app.use('/api/v1/payments', paymentRoutes);
 app.use('/api/v1/payment-methods', paymentMethodRoutes);
 app.use('/api/v1/products', productRoutes);
 app.use('/api/v1/orders', orderRoutes);
+app.use('/api/v1/checkout', checkoutRoutes);
+app.use('/api/v1/cart', cartRoutes);
+app.use('/api/v1/wishlist', wishlistRoutes);
 app.use('/api/v1/auth', authRoutes);
+app.use('/api/v1/addresses', addressRoutes);
 app.use('/api/v1/webhooks', webhookRoutes);
 app.use('/api/v1/categories', publicCategoryRoutes); // Public category routes
 app.use('/api/v1/faqs', faqRoutes);
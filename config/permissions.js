@@ -1,33 +1,76 @@
 /**
- * Permission keys for admin panel access.
- * Users with role 'admin' have full access; role 'member' (invited users) have only user.permissions.
+ * Permission keys for admin panel access, as '<area>.<action>' (e.g. 'orders.view', 'orders.mark_paid').
+ * Users with role 'admin' have full access; role 'member' (invited users) have user.permissions on every store
+ * plus user.storePermissions on the listed stores. Areas with scope 'global' aren't tied to a store and can
+ * only be granted in user.permissions.
+ * 'view' is read-only access; any other action in an area also allows viewing it.
  */
 const ALL_PERMISSIONS = [
-  { key: 'dashboard', label: 'Dashboard' },
-  { key: 'stores', label: 'Stores' },
-  { key: 'products', label: 'Products' },
-  { key: 'categories', label: 'Categories' },
-  { key: 'blog', label: 'Blog' },
-  { key: 'orders', label: 'Orders' },
-  { key: 'payments', label: 'Payments' },
-  { key: 'payment_methods', label: 'Payment Methods' },
-  { key: 'users', label: 'Users' },
-  { key: 'faq', label: 'FAQ' },
-  { key: 'coupons', label: 'Coupons' },
-  { key: 'cj_config', label: 'CJ Configuration' },
-  { key: 'store_content', label: 'Store Content' },
-  { key: 'reviews', label: 'Reviews' },
-  { key: 'disputes', label: 'Disputes' },
+  { key: 'dashboard', label: 'Dashboard', actions: ['view'] },
+  { key: 'stores', label: 'Stores', actions: ['view', 'manage'] },
+  { key: 'products', label: 'Products', actions: ['view', 'manage'] },
+  { key: 'categories', label: 'Categories', actions: ['view', 'manage'] },
+  { key: 'blog', label: 'Blog', actions: ['view', 'manage'] },
+  { key: 'orders', label: 'Orders', actions: ['view', 'manage', 'mark_paid', 'cancel'] },
+  { key: 'payments', label: 'Payments', actions: ['view', 'manage', 'refund'] },
+  { key: 'payment_methods', label: 'Payment Methods', actions: ['view', 'manage'] },
+  { key: 'users', label: 'Users', actions: ['view', 'manage'], scope: 'global' },
+  { key: 'faq', label: 'FAQ', actions: ['view', 'manage'] },
+  { key: 'coupons', label: 'Coupons', actions: ['view', 'manage'] },
+  { key: 'cj_config', label: 'CJ Configuration', actions: ['view', 'manage'], scope: 'global' },
+  { key: 'store_content', label: 'Store Content', actions: ['view', 'manage'] },
+  { key: 'reviews', label: 'Reviews', actions: ['view', 'manage'] },
+  { key: 'disputes', label: 'Disputes', actions: ['view', 'manage'] },
+  { key: 'webhooks', label: 'Webhooks', actions: ['view', 'manage'] },
 ];
 
-const PERMISSION_KEYS = ALL_PERMISSIONS.map((p) => p.key);
+const ACTION_LABELS = {
+  view: 'View',
+  manage: 'Manage',
+  mark_paid: 'Mark as paid',
+  cancel: 'Cancel',
+  refund: 'Refund',
+};
+
+const PERMISSION_AREAS = ALL_PERMISSIONS.map((p) => p.key);
+const PERMISSION_KEYS = ALL_PERMISSIONS.flatMap((p) => p.actions.map((action) => `${p.key}.${action}`));
+const STORE_PERMISSION_KEYS = ALL_PERMISSIONS.filter((p) => p.scope !== 'global').flatMap((p) =>
+  p.actions.map((action) => `${p.key}.${action}`)
+);
 
 function isValidPermission(key) {
   return PERMISSION_KEYS.includes(key);
 }
 
+function isPermissionArea(key) {
+  return PERMISSION_AREAS.includes(key);
+}
+
+function isStorePermission(key) {
+  return STORE_PERMISSION_KEYS.includes(key);
+}
+
+/**
+ * Map legacy all-or-nothing keys (e.g. 'orders') to every action in that area; other keys pass through
+ */
+function expandPermissions(permissions) {
+  const expanded = [];
+  for (const key of permissions || []) {
+    const area = ALL_PERMISSIONS.find((p) => p.key === key);
+    if (area) expanded.push(...area.actions.map((action) => `${key}.${action}`));
+    else expanded.push(key);
+  }
+  return [...new Set(expanded)];
+}
+
 module.exports = {
   ALL_PERMISSIONS,
+  ACTION_LABELS,
+  PERMISSION_AREAS,
   PERMISSION_KEYS,
+  STORE_PERMISSION_KEYS,
   isValidPermission,
+  isPermissionArea,
+  isStorePermission,
+  expandPermissions,
 };
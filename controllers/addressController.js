@@ -0,0 +1,139 @@
+const addressService = require('../services/addressService');
+const { logger } = require('../utils/logger');
+
+/**
+ * Saved addresses with the default shipping and billing address
+ * GET /api/v1/addresses
+ */
+exports.getAddresses = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: await addressService.list(req.user.id),
+    });
+  } catch (error) {
+    if ((error.status || 500) >= 500) {
+      logger.error('Error getting addresses', { error: error.message });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error?.message || 'Failed to get addresses',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Save a new address (the first one becomes the default shipping and billing address)
+ * POST /api/v1/addresses
+ * Body: { label?, firstName, lastName, street, address2?, city, state, zipCode, country, phone,
+ *   isDefaultShipping?, isDefaultBilling? }
+ */
+exports.createAddress = async (req, res) => {
+  try {
+    const { isDefaultShipping, isDefaultBilling, ...fields } = req.body || {};
+    const { address, ...data } = await addressService.create(req.user.id, fields, {
+      isDefaultShipping: isDefaultShipping === true,
+      isDefaultBilling: isDefaultBilling === true,
+    });
+
+    logger.info('Address added', { userId: req.user.id, addressId: address._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Address saved',
+      data: { address, ...data },
+    });
+  } catch (error) {
+    if ((error.status || 500) >= 500) {
+      logger.error('Error saving address', { error: error.message });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error?.message || 'Failed to save address',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update a saved address (fields not sent are kept)
+ * PUT /api/v1/addresses/:addressId
+ */
+exports.updateAddress = async (req, res) => {
+  try {
+    const { isDefaultShipping, isDefaultBilling, ...fields } = req.body || {};
+    const { address, ...data } = await addressService.update(req.user.id, req.params.addressId, fields, {
+      isDefaultShipping: isDefaultShipping === true,
+      isDefaultBilling: isDefaultBilling === true,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Address updated',
+      data: { address, ...data },
+    });
+  } catch (error) {
+    if ((error.status || 500) >= 500) {
+      logger.error('Error updating address', { error: error.message });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error?.message || 'Failed to update address',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a saved address
+ * DELETE /api/v1/addresses/:addressId
+ */
+exports.deleteAddress = async (req, res) => {
+  try {
+    const data = await addressService.remove(req.user.id, req.params.addressId);
+
+    logger.info('Address deleted', { userId: req.user.id, addressId: req.params.addressId });
+
+    res.status(200).json({
+      success: true,
+      message: 'Address deleted',
+      data,
+    });
+  } catch (error) {
+    if ((error.status || 500) >= 500) {
+      logger.error('Error deleting address', { error: error.message });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error?.message || 'Failed to delete address',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Make an address the default for shipping, billing or both
+ * POST /api/v1/addresses/:addressId/default
+ * Body: { type?: 'shipping' | 'billing' | 'both' } (default both)
+ */
+exports.setDefaultAddress = async (req, res) => {
+  try {
+    const data = await addressService.setDefault(req.user.id, req.params.addressId, req.body?.type || 'both');
+
+    res.status(200).json({
+      success: true,
+      message: 'Default address updated',
+      data,
+    });
+  } catch (error) {
+    if ((error.status || 500) >= 500) {
+      logger.error('Error setting default address', { error: error.message });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error?.message || 'Failed to set default address',
+      error: error.message,
+    });
+  }
+};
@@ -1,6 +1,10 @@
+const mongoose = require('mongoose');
 const Order = require('../models/Order');
 const Payment = require('../models/Payment');
+const checkoutRecoveryService = require('../services/checkoutRecoveryService');
+const wishlistService = require('../services/wishlistService');
 const { getStoreFilter } = require('../middleware/resolveStore');
+const { getPermittedStoreIds } = require('../middleware/permissions');
 const { logger } = require('../utils/logger');
 
 /**
@@ -27,7 +31,21 @@ exports.getTopProducts = async (req, res) => {
       {
         $group: {
           _id: { productId: '$items.productId', productName: '$items.productName' },
-          revenue: { $sum: '$items.subtotal' },
+          // Refunds aren't itemised, so net them out pro rata across the order's lines
+          revenue: {
+            $sum: {
+              $multiply: [
+                '$items.subtotal',
+                {
+                  $cond: [
+                    { $gt: ['$total', 0] },
+                    { $divide: [Order.NET_TOTAL, '$total'] },
+                    1,
+                  ],
+                },
+              ],
+            },
+          },
           units: { $sum: '$items.quantity' },
         },
       },
@@ -82,7 +100,7 @@ exports.getRevenueByCountry = async (req, res) => {
 
     const rows = await Order.aggregate([
       { $match: matchStage },
-      { $group: { _id: '$shippingAddress.country', revenue: { $sum: '$total' }, orders: { $sum: 1 } } },
+      { $group: { _id: '$shippingAddress.country', revenue: { $sum: Order.NET_TOTAL }, orders: { $sum: 1 } } },
       { $sort: { revenue: -1 } },
       { $limit: limit },
       { $project: { country: '$_id', revenue: 1, orders: 1, _id: 0 } },
@@ -106,7 +124,7 @@ exports.getRevenueByCountry = async (req, res) => {
 };
 
 /**
- * Revenue by payment method (successful payments only)
+ * Revenue by payment method (successful payments, net of refunds)
  * GET /api/v1/admin/analytics/revenue-by-payment-method
  */
 exports.getRevenueByPaymentMethod = async (req, res) => {
@@ -127,7 +145,7 @@ exports.getRevenueByPaymentMethod = async (req, res) => {
       {
         $group: {
           _id: '$paymentMethodType',
-          revenue: { $sum: '$amount' },
+          revenue: { $sum: { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] } },
           count: { $sum: 1 },
         },
       },
@@ -170,13 +188,18 @@ exports.getAnalyticsByStore = async (req, res) => {
       start.setDate(start.getDate() - days);
       matchStage.createdAt = { $gte: start };
     }
+    // Members with dashboard access on some stores only see those stores
+    const permittedStoreIds = getPermittedStoreIds(req.user, 'dashboard.view');
+    if (permittedStoreIds) {
+      matchStage.storeId = { $in: permittedStoreIds.map((id) => new mongoose.Types.ObjectId(id)) };
+    }
 
     const rows = await Order.aggregate([
       ...(Object.keys(matchStage).length ? [{ $match: matchStage }] : []),
       {
         $group: {
           _id: { $ifNull: ['$storeId', null] },
-          revenue: { $sum: '$total' },
+          revenue: { $sum: Order.NET_TOTAL },
           orders: { $sum: 1 },
         },
       },
@@ -216,3 +239,63 @@ exports.getAnalyticsByStore = async (req, res) => {
     });
   }
 };
+
+/**
+ * Abandoned cart / unpaid order recovery: emails sent, recovery rate and recovered revenue
+ * GET /api/v1/admin/analytics/recovery?days=30
+ */
+exports.getRecoveryStats = async (req, res) => {
+  try {
+    const days = req.query.days ? Math.min(Math.max(parseInt(req.query.days), 7), 365) : null;
+
+    let from;
+    if (days) {
+      from = new Date();
+      from.setHours(0, 0, 0, 0);
+      from.setDate(from.getDate() - days);
+    }
+
+    const data = await checkoutRecoveryService.getStats({ storeMatch: getStoreFilter(req.storeId), from });
+
+    res.status(200).json({
+      success: true,
+      data: { ...data, enabled: !!req.store?.recovery?.enabled },
+    });
+  } catch (error) {
+    logger.error('Error getting recovery stats', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get recovery stats',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Wishlists: saved items, shoppers, alerts sent and the most wishlisted products
+ * GET /api/v1/admin/analytics/wishlist?days=30&limit=10
+ */
+exports.getWishlistStats = async (req, res) => {
+  try {
+    const days = req.query.days ? Math.min(Math.max(parseInt(req.query.days), 7), 365) : null;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+    let from;
+    if (days) {
+      from = new Date();
+      from.setHours(0, 0, 0, 0);
+      from.setDate(from.getDate() - days);
+    }
+
+    const data = await wishlistService.getStats({ storeMatch: getStoreFilter(req.storeId), from, limit });
+
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    logger.error('Error getting wishlist stats', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get wishlist stats',
+      error: error.message,
+    });
+  }
+};
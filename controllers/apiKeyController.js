@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const apiKeyService = require('../services/apiKeyService');
+const auditLogService = require('../services/auditLogService');
+const { logger } = require('../utils/logger');
+
+/**
+ * Admin: List API keys (never includes the key itself)
+ * GET /api/v1/admin/api-keys?storeId=&includeRevoked=true
+ */
+exports.getApiKeys = async (req, res) => {
+  try {
+    const { storeId, includeRevoked } = req.query;
+    const query = {};
+    if (storeId) {
+      if (!mongoose.Types.ObjectId.isValid(storeId)) {
+        return res.status(400).json({ success: false, message: 'Invalid storeId' });
+      }
+      query.storeId = storeId;
+    }
+    if (includeRevoked !== 'true') query.revokedAt = null;
+
+    const apiKeys = await ApiKey.find(query)
+      .populate('storeId', 'name slug')
+      .populate('createdBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({ success: true, data: apiKeys });
+  } catch (error) {
+    logger.error('Error getting API keys', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: error?.message || 'Failed to get API keys',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Admin: Create an API key. The key is returned once and can't be retrieved later.
+ * POST /api/v1/admin/api-keys
+ * Body: { name, storeId, scopes: [permission keys], expiresAt? }
+ */
+exports.createApiKey = async (req, res) => {
+  try {
+    const { name, storeId, scopes, expiresAt } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(storeId)) {
+      return res.status(400).json({ success: false, message: 'A valid storeId is required' });
+    }
+
+    const { apiKey, key } = await apiKeyService.create(
+      { name, storeId, scopes, expiresAt },
+      mongoose.Types.ObjectId.isValid(req.user.id) ? req.user.id : undefined
+    );
+
+    await auditLogService.record(req, {
+      action: 'api_key.create',
+      entityType: 'ApiKey',
+      entityId: apiKey._id,
+      after: apiKey,
+      fields: ['name', 'prefix', 'storeId', 'scopes', 'expiresAt'],
+    });
+
+    const data = apiKey.toObject();
+    delete data.keyHash;
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now; it will not be shown again.',
+      data: { apiKey: data, key },
+    });
+  } catch (error) {
+    if ((error.status || 500) >= 500) {
+      logger.error('Error creating API key', { error: error.message });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error?.message || 'Failed to create API key',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Admin: Revoke an API key (takes effect on its next request)
+ * POST /api/v1/admin/api-keys/:id/revoke
+ */
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid API key ID' });
+    }
+
+    const apiKey = await apiKeyService.revoke(
+      id,
+      mongoose.Types.ObjectId.isValid(req.user.id) ? req.user.id : undefined
+    );
+
+    await auditLogService.record(req, {
+      action: 'api_key.revoke',
+      entityType: 'ApiKey',
+      entityId: apiKey._id,
+      metadata: { name: apiKey.name, prefix: apiKey.prefix },
+    });
+
+    res.status(200).json({ success: true, message: 'API key revoked', data: apiKey });
+  } catch (error) {
+    if ((error.status || 500) >= 500) {
+      logger.error('Error revoking API key', { error: error.message });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error?.message || 'Failed to revoke API key',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const auditLogService = require('../services/auditLogService');
+const { logger } = require('../utils/logger');
+
+/**
+ * Admin: List audit log entries
+ * GET /api/v1/admin/audit-logs?actorId=&apiKeyId=&storeId=&action=&entityType=&entityId=&from=&to=
+ * An action ending in '.' matches every action with that prefix (e.g. 'product.').
+ */
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const { actorId, apiKeyId, storeId, action, entityType, entityId, from, to } = req.query;
+
+    for (const [name, value] of [['actorId', actorId], ['apiKeyId', apiKeyId], ['storeId', storeId]]) {
+      if (value && !mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({ success: false, message: `Invalid ${name}` });
+      }
+    }
+    // Repeated query parameters arrive as arrays
+    for (const [name, value] of [['action', action], ['entityType', entityType], ['entityId', entityId]]) {
+      if (value !== undefined && typeof value !== 'string') {
+        return res.status(400).json({ success: false, message: `Invalid ${name}` });
+      }
+    }
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && (typeof value !== 'string' || Number.isNaN(new Date(value).getTime()))) {
+        return res.status(400).json({ success: false, message: `Invalid ${name} date` });
+      }
+    }
+
+    const { entries, total } = await auditLogService.list({
+      actorId,
+      apiKeyId,
+      storeId,
+      action,
+      entityType,
+      entityId,
+      from,
+      to,
+      page,
+      limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit) || 1,
+      },
+    });
+  } catch (error) {
+    logger.error('Error getting audit logs', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: error?.message || 'Failed to get audit logs',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Admin: Get one audit log entry
+ * GET /api/v1/admin/audit-logs/:id
+ */
+exports.getAuditLog = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid audit log ID' });
+    }
+
+    const entry = await AuditLog.findById(id).populate('actorId', 'firstName lastName email').lean();
+    if (!entry) {
+      return res.status(404).json({ success: false, message: 'Audit log entry not found' });
+    }
+
+    res.status(200).json({ success: true, data: entry });
+  } catch (error) {
+    logger.error('Error getting audit log entry', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: error?.message || 'Failed to get audit log entry',
+      error: error.message,
+    });
+  }
+};
@@ -1,5 +1,10 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const mailService = require('../services/mailService');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const loginSecurityService = require('../services/loginSecurityService');
+const invitationService = require('../services/invitationService');
+const addressService = require('../services/addressService');
 const { logger } = require('../utils/logger');
 
 function getClientIp(req) {
@@ -7,6 +12,86 @@ function getClientIp(req) {
   return rawIp ? String(rawIp).split(',')[0].trim() : null;
 }
 
+function clientLink(pathname, token) {
+  const base = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${base}${pathname}?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Finish a login: record the IP, start a session and send the user with tokens
+ */
+async function completeLogin(req, res, user, extra = {}) {
+  await loginSecurityService.recordSuccess(user, req, { step: extra.twoFactor ? 'two_factor' : 'password' });
+
+  // Update last known IP (non-blocking)
+  const lastKnownIp = getClientIp(req);
+  if (lastKnownIp) {
+    User.findByIdAndUpdate(user._id, { lastKnownIp }).catch(() => {});
+  }
+
+  // Start a session: short-lived access token + rotating refresh token
+  const { accessToken: token, refreshToken } = await sessionService.create(user, req);
+
+  logger.info('User logged in', { userId: user._id, email: user.email, ...extra });
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user._id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role,
+        permissions: user.permissions || [],
+        storePermissions: user.storePermissions || [],
+        twoFactorEnabled: user.twoFactorEnabled,
+      },
+      token,
+      refreshToken,
+    },
+  });
+}
+
+/**
+ * Refuse a login while the account is throttled (429) or locked (423)
+ */
+function sendLoginBlocked(res, { locked, retryAfter }) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(locked ? 423 : 429).json({
+    success: false,
+    message: locked
+      ? `Account temporarily locked after too many failed attempts. Try again in ${Math.ceil(retryAfter / 60)} minutes or reset your password.`
+      : `Too many failed attempts. Try again in ${retryAfter} seconds.`,
+    retryAfter,
+  });
+}
+
+/**
+ * Issue a fresh verification token and email it
+ */
+async function sendVerificationEmail(user) {
+  const token = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+  await mailService.sendEmailVerification(user, clientLink('/verify-email', token), User.EMAIL_VERIFICATION_TTL_HOURS);
+}
+
+/**
+ * Send a two-factor service error with its status
+ */
+function sendTwoFactorError(res, error, fallback) {
+  const status = error.status || 500;
+  if (status >= 500) {
+    logger.error(fallback, { error: error.message });
+  }
+  res.status(status).json({
+    success: false,
+    message: error?.message || fallback,
+    error: error.message,
+  });
+}
+
 /**
  * Register new user
  * POST /api/v1/auth/register
@@ -36,10 +121,15 @@ exports.register = async (req, res) => {
       lastKnownIp: lastKnownIp || undefined,
     });
 
-    // Generate JWT token
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRES_IN || '7d',
-    });
+    // Registration succeeds even if the email can't be sent; the user can ask for it again
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      logger.error('Failed to send verification email', { userId: user._id, error: mailError.message });
+    }
+
+    // Start a session: short-lived access token + rotating refresh token
+    const { accessToken: token, refreshToken } = await sessionService.create(user, req);
 
     logger.info('User registered', { userId: user._id, email });
 
@@ -53,8 +143,10 @@ exports.register = async (req, res) => {
           firstName: user.firstName,
           lastName: user.lastName,
           role: user.role,
+          isEmailVerified: user.isEmailVerified,
         },
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -85,54 +177,207 @@ exports.login = async (req, res) => {
     // Find user and include password
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
+      // Unknown emails are throttled and locked like accounts, so responses don't reveal which emails exist
+      const { block } = await loginSecurityService.getUnknownEmailState(email);
+      if (block) {
+        await loginSecurityService.recordAttempt(req, { email, success: false, reason: block.locked ? 'locked' : 'throttled' });
+        return sendLoginBlocked(res, block);
+      }
+      const failure = await loginSecurityService.recordUnknownEmailFailure(email, req);
+      if (failure.locked) {
+        return sendLoginBlocked(res, failure);
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password',
       });
     }
 
+    // Throttled or locked: don't even check the password
+    const block = loginSecurityService.getBlock(user);
+    if (block) {
+      await loginSecurityService.recordAttempt(req, { user, success: false, reason: block.locked ? 'locked' : 'throttled' });
+      return sendLoginBlocked(res, block);
+    }
+
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      const failure = await loginSecurityService.recordFailure(user, req, { reason: 'invalid_password' });
+      if (failure.locked) {
+        return sendLoginBlocked(res, failure);
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password',
       });
     }
 
-    // Update last known IP (non-blocking)
-    const lastKnownIp = getClientIp(req);
-    if (lastKnownIp) {
-      User.findByIdAndUpdate(user._id, { lastKnownIp }).catch(() => {});
+    // Second step: the client posts a code with this token to /auth/login/2fa
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication code required',
+        data: {
+          twoFactorRequired: true,
+          twoFactorToken: twoFactorService.issueChallenge(user),
+        },
+      });
     }
 
-    // Generate JWT token
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+    await completeLogin(req, res, user);
+  } catch (error) {
+    logger.error('Error logging in user', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to login',
+      error: error.message,
     });
+  }
+};
 
-    logger.info('User logged in', { userId: user._id, email });
+/**
+ * Login step 2 for accounts with 2FA
+ * POST /api/v1/auth/login/2fa
+ * Body: { twoFactorToken, code } or { twoFactorToken, recoveryCode }
+ */
+exports.loginTwoFactor = async (req, res) => {
+  try {
+    const { twoFactorToken, code, recoveryCode } = req.body;
+
+    if (!twoFactorToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor token and a code or recovery code are required',
+      });
+    }
+
+    const userId = twoFactorService.verifyChallenge(twoFactorToken);
+    const user = userId ? await User.findById(userId) : null;
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login session expired, please log in again',
+      });
+    }
+
+    const block = loginSecurityService.getBlock(user);
+    if (block) {
+      await loginSecurityService.recordAttempt(req, {
+        user,
+        success: false,
+        reason: block.locked ? 'locked' : 'throttled',
+        step: 'two_factor',
+      });
+      return sendLoginBlocked(res, block);
+    }
+
+    const method = await twoFactorService.verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      // Code guesses count towards the same lockout as password guesses
+      const failure = await loginSecurityService.recordFailure(user, req, { reason: 'invalid_two_factor', step: 'two_factor' });
+      if (failure.locked) {
+        return sendLoginBlocked(res, failure);
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code',
+      });
+    }
+
+    await completeLogin(req, res, user, { twoFactor: method });
+  } catch (error) {
+    logger.error('Error completing two-factor login', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to login',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Exchange a refresh token for a new access token (the refresh token rotates)
+ * POST /api/v1/auth/refresh
+ * Body: { refreshToken }
+ */
+exports.refresh = async (req, res) => {
+  try {
+    const { accessToken, refreshToken } = await sessionService.refresh(req.body.refreshToken, req);
 
     res.status(200).json({
       success: true,
-      message: 'Login successful',
       data: {
-        user: {
-          id: user._id,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          role: user.role,
-          permissions: user.permissions || [],
-        },
-        token,
+        token: accessToken,
+        refreshToken,
       },
     });
   } catch (error) {
-    logger.error('Error logging in user', { error: error.message });
+    const status = error.status || 500;
+    if (status >= 500) {
+      logger.error('Error refreshing session', { error: error.message });
+    }
+    res.status(status).json({
+      success: false,
+      message: error?.message || 'Failed to refresh session',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Log out this device
+ * POST /api/v1/auth/logout
+ * Body: { refreshToken }
+ */
+exports.logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required',
+      });
+    }
+
+    const session = await sessionService.revokeByRefreshToken(refreshToken, 'logout');
+    if (session) {
+      logger.info('User logged out', { userId: session.userId, sessionId: session._id });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    logger.error('Error logging out', { error: error.message });
     res.status(500).json({
       success: false,
-      message: 'Failed to login',
+      message: 'Failed to log out',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Log out every session of the current user, including this one
+ * POST /api/v1/auth/logout-all
+ */
+exports.logoutAll = async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAll(req.user.id, 'logout_all');
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all sessions',
+      data: { revoked },
+    });
+  } catch (error) {
+    logger.error('Error logging out all sessions', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out all sessions',
       error: error.message,
     });
   }
@@ -162,8 +407,13 @@ exports.getMe = async (req, res) => {
         phone: user.phone,
         role: user.role,
         permissions: user.permissions || [],
-        shippingAddress: user.shippingAddress,
-        billingAddress: user.billingAddress,
+        storePermissions: user.storePermissions || [],
+        isEmailVerified: user.isEmailVerified,
+        twoFactorEnabled: user.twoFactorEnabled,
+        ...addressService.view(user),
+        // Default addresses (or the not-yet-migrated legacy ones), for clients that predate the address book
+        shippingAddress: user.addresses.id(user.defaultShippingAddressId) || (user.shippingAddress?.street ? user.shippingAddress : null),
+        billingAddress: user.addresses.id(user.defaultBillingAddressId) || (user.billingAddress?.street ? user.billingAddress : null),
       },
     });
   } catch (error) {
@@ -196,8 +446,9 @@ exports.updateProfile = async (req, res) => {
     if (firstName) user.firstName = firstName;
     if (lastName) user.lastName = lastName;
     if (phone) user.phone = phone;
-    if (shippingAddress) user.shippingAddress = { ...user.shippingAddress, ...shippingAddress };
-    if (billingAddress) user.billingAddress = { ...user.billingAddress, ...billingAddress };
+    // Addresses here update the defaults in the address book (see /addresses for the full book)
+    if (shippingAddress) addressService.applyDefault(user, 'shipping', shippingAddress);
+    if (billingAddress) addressService.applyDefault(user, 'billing', billingAddress);
 
     await user.save();
 
@@ -212,13 +463,16 @@ exports.updateProfile = async (req, res) => {
         firstName: user.firstName,
         lastName: user.lastName,
         phone: user.phone,
-        shippingAddress: user.shippingAddress,
-        billingAddress: user.billingAddress,
+        ...addressService.view(user),
+        shippingAddress: user.addresses.id(user.defaultShippingAddressId) || (user.shippingAddress?.street ? user.shippingAddress : null),
+        billingAddress: user.addresses.id(user.defaultBillingAddressId) || (user.billingAddress?.street ? user.billingAddress : null),
       },
     });
   } catch (error) {
-    logger.error('Error updating user profile', { error: error.message });
-    res.status(500).json({
+    if ((error.status || 500) >= 500) {
+      logger.error('Error updating user profile', { error: error.message });
+    }
+    res.status(error.status || 500).json({
       success: false,
       message: error?.message || 'Failed to update profile',
       error: error.message,
@@ -269,6 +523,9 @@ exports.changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out other devices; this one stays logged in
+    await sessionService.revokeAll(user._id, 'password_change', { exceptSessionId: req.user.sessionId });
+
     logger.info('User password changed', { userId: user._id });
 
     res.status(200).json({
@@ -285,6 +542,343 @@ exports.changePassword = async (req, res) => {
   }
 };
 
+/**
+ * Request a password reset email
+ * POST /api/v1/auth/forgot-password
+ * Body: { email } - always answers the same way so it can't be used to probe for accounts
+ */
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required',
+      });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (user) {
+      const token = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+
+      try {
+        await mailService.sendPasswordReset(user, clientLink('/reset-password', token), User.PASSWORD_RESET_TTL_MINUTES);
+        logger.info('Password reset requested', { userId: user._id });
+      } catch (mailError) {
+        logger.error('Failed to send password reset email', { userId: user._id, error: mailError.message });
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent',
+    });
+  } catch (error) {
+    logger.error('Error requesting password reset', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request password reset',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Set a new password with a reset token (single use)
+ * POST /api/v1/auth/reset-password
+ * Body: { token, password }
+ */
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token and password are required',
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters',
+      });
+    }
+
+    const user = await User.consumeToken('passwordReset', token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired',
+      });
+    }
+
+    user.password = password;
+    // The reset link was delivered to this address
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await sessionService.revokeAll(user._id, 'password_reset');
+    // Proving control of the mailbox lifts a lockout
+    await loginSecurityService.unlock(user._id);
+
+    logger.info('Password reset', { userId: user._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset. You can now log in.',
+    });
+  } catch (error) {
+    logger.error('Error resetting password', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: error?.message || 'Failed to reset password',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Confirm an email address
+ * POST /api/v1/auth/verify-email
+ * Body: { token }
+ */
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
 
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token is required',
+      });
+    }
 
+    const user = await User.consumeToken('emailVerification', token, {
+      $set: { isEmailVerified: true, emailVerifiedAt: new Date() },
+    });
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired',
+      });
+    }
+
+    logger.info('Email verified', { userId: user._id });
 
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+    });
+  } catch (error) {
+    logger.error('Error verifying email', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify email',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Send a new verification email (earlier links stop working)
+ * POST /api/v1/auth/resend-verification
+ * Body: { email }
+ */
+exports.resendVerification = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required',
+      });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (user && !user.isEmailVerified) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        logger.error('Failed to send verification email', { userId: user._id, error: mailError.message });
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If the account exists and is not yet verified, a verification email has been sent',
+    });
+  } catch (error) {
+    logger.error('Error resending verification email', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resend verification email',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Look up a staff invitation for the accept page
+ * POST /api/v1/auth/invitations/lookup
+ * Body: { token } (kept out of the URL so it never reaches the request logs)
+ */
+exports.getInvitation = async (req, res) => {
+  try {
+    const { token } = req.body || {};
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation token is required',
+      });
+    }
+
+    const invitation = await invitationService.findPendingByToken(token);
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation is invalid or has expired',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        email: invitation.email,
+        firstName: invitation.firstName,
+        lastName: invitation.lastName,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt,
+      },
+    });
+  } catch (error) {
+    logger.error('Error getting invitation', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get invitation',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Accept a staff invitation: sets the password, creates the account and logs the user in
+ * POST /api/v1/auth/accept-invite
+ * Body: { token, password, firstName?, lastName? }
+ */
+exports.acceptInvitation = async (req, res) => {
+  try {
+    const { token, password, firstName, lastName } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token and password are required',
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters',
+      });
+    }
+
+    const { user } = await invitationService.accept(token, { password, firstName, lastName });
+
+    await completeLogin(req, res, user, { invitation: true });
+  } catch (error) {
+    if ((error.status || 500) >= 500) {
+      logger.error('Error accepting invitation', { error: error.message });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error?.message || 'Failed to accept invitation',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Start 2FA enrolment: returns the secret and an otpauth:// URL to show as a QR code
+ * POST /api/v1/auth/2fa/setup
+ */
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const { secret, otpauthUrl } = await twoFactorService.beginSetup(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: { secret, otpauthUrl },
+    });
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Failed to start two-factor setup');
+  }
+};
+
+/**
+ * Confirm enrolment with a code; returns recovery codes (shown once)
+ * POST /api/v1/auth/2fa/enable
+ * Body: { code }
+ */
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactorService.enable(req.user.id, req.body.code, {
+      currentSessionId: req.user.sessionId,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Failed to enable two-factor authentication');
+  }
+};
+
+/**
+ * Turn 2FA off
+ * POST /api/v1/auth/2fa/disable
+ * Body: { code } or { recoveryCode }
+ */
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+    await twoFactorService.disable(req.user.id, { code, recoveryCode });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Failed to disable two-factor authentication');
+  }
+};
+
+/**
+ * Replace recovery codes
+ * POST /api/v1/auth/2fa/recovery-codes
+ * Body: { code }
+ */
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.id, req.body.code);
+
+    res.status(200).json({
+      success: true,
+      message: 'Recovery codes regenerated',
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Failed to regenerate recovery codes');
+  }
+};
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const bankTransferService = require('../services/bankTransferService');
+const auditLogService = require('../services/auditLogService');
+const { getStoreFilter } = require('../middleware/resolveStore');
+const { logger } = require('../utils/logger');
+
+const QUEUE_STATUSES = ['submitted', 'approved', 'rejected', 'expired'];
+
+/**
+ * Load a store-scoped order for a review action, or send 400/404
+ */
+async function findOrder(req, res) {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, message: 'Invalid order ID' });
+    return null;
+  }
+
+  const order = await Order.findOne({ _id: id, ...getStoreFilter(req.storeId) });
+  if (!order) {
+    res.status(404).json({
+      success: false,
+      message: 'Order not found',
+    });
+    return null;
+  }
+  return order;
+}
+
+/**
+ * Admin: Bank transfer orders by receipt review status (oldest receipt first)
+ * GET /api/v1/admin/bank-transfers?status=submitted|approved|rejected|expired
+ */
+exports.getBankTransferQueue = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+    const status = req.query.status || 'submitted';
+
+    if (!QUEUE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${QUEUE_STATUSES.join(', ')}`,
+      });
+    }
+
+    const query = { ...getStoreFilter(req.storeId), ...bankTransferService.getQueueFilter(status) };
+
+    const [orders, total] = await Promise.all([
+      Order.find(query)
+        .select('orderNumber userId status paymentStatus total currency createdAt bankTransferReceiptUrl bankTransferReceiptSubmittedAt bankTransferStatus bankTransferReviewedAt bankTransferReviewedBy bankTransferRejectionReason')
+        .populate('userId', 'firstName lastName email')
+        .populate('bankTransferReviewedBy', 'firstName lastName email')
+        .sort({ bankTransferReceiptSubmittedAt: status === 'submitted' ? 1 : -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Order.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: orders,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit) || 1,
+      },
+    });
+  } catch (error) {
+    logger.error('Error getting bank transfer queue', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: error?.message || 'Failed to get bank transfer queue',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Admin: Approve a bank transfer (creates the Payment and marks the order paid)
+ * POST /api/v1/admin/orders/:id/bank-transfer/approve
+ * Body: { reference?, note? } - reference is the bank's transfer reference
+ */
+exports.approveBankTransfer = async (req, res) => {
+  try {
+    const order = await findOrder(req, res);
+    if (!order) return;
+
+    const { reference, note } = req.body;
+    const before = order.toObject();
+    const result = await bankTransferService.approve(order, {
+      reviewerId: req.user.id,
+      reference,
+      note,
+    });
+
+    await auditLogService.record(req, {
+      action: 'order.bank_transfer_approve',
+      entityType: 'Order',
+      entityId: order._id,
+      before,
+      after: result.order,
+      fields: ['status', 'paymentStatus', 'paidAt', 'bankTransferStatus'],
+      metadata: { orderNumber: order.orderNumber, paymentId: result.payment._id, amount: result.payment.amount, reference },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Bank transfer approved',
+      data: result,
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status >= 500) {
+      logger.error('Error approving bank transfer', { error: error.message, orderId: req.params.id });
+    }
+    res.status(status).json({
+      success: false,
+      message: error?.message || 'Failed to approve bank transfer',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Admin: Reject a bank transfer receipt (the customer can upload another)
+ * POST /api/v1/admin/orders/:id/bank-transfer/reject
+ * Body: { reason }
+ */
+exports.rejectBankTransfer = async (req, res) => {
+  try {
+    const order = await findOrder(req, res);
+    if (!order) return;
+
+    const before = order.toObject();
+    const updated = await bankTransferService.reject(order, {
+      reviewerId: req.user.id,
+      reason: req.body.reason,
+    });
+
+    await auditLogService.record(req, {
+      action: 'order.bank_transfer_reject',
+      entityType: 'Order',
+      entityId: order._id,
+      before,
+      after: updated,
+      fields: ['bankTransferStatus', 'bankTransferRejectionReason'],
+      metadata: { orderNumber: order.orderNumber },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Bank transfer rejected',
+      data: updated,
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status >= 500) {
+      logger.error('Error rejecting bank transfer', { error: error.message, orderId: req.params.id });
+    }
+    res.status(status).json({
+      success: false,
+      message: error?.message || 'Failed to reject bank transfer',
+      error: error.message,
+    });
+  }
+};
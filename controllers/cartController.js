@@ -0,0 +1,148 @@
+const cartService = require('../services/cartService');
+const { logger } = require('../utils/logger');
+
+/**
+ * Current cart with prices and any lines that can no longer be bought
+ * GET /api/v1/cart
+ * Anonymous shoppers send the X-Cart-Token header returned when their cart was created.
+ */
+exports.getCart = async (req, res) => {
+  try {
+    const { cart } = await cartService.findCart(req);
+
+    res.status(200).json({
+      success: true,
+      data: await cartService.view(cart),
+    });
+  } catch (error) {
+    if ((error.status || 500) >= 500) {
+      logger.error('Error getting cart', { error: error.message });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error?.message || 'Failed to get cart',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Add a product to the cart (creates the cart, and for anonymous shoppers returns `cartToken`)
+ * POST /api/v1/cart/items
+ * Body: { productId, variantId?, quantity? }
+ */
+exports.addItem = async (req, res) => {
+  try {
+    const { productId, variantId, quantity } = req.body || {};
+    if (!productId) {
+      return res.status(400).json({ success: false, message: 'Product ID is required' });
+    }
+
+    const { cart, token } = await cartService.findCart(req, { create: true });
+    await cartService.addItem(cart, { productId, variantId, quantity: quantity ?? 1 });
+
+    res.status(200).json({
+      success: true,
+      message: 'Added to cart',
+      data: { ...(await cartService.view(cart)), ...(token && { cartToken: token }) },
+    });
+  } catch (error) {
+    if ((error.status || 500) >= 500) {
+      logger.error('Error adding to cart', { error: error.message });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error?.message || 'Failed to add to cart',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Change a line's quantity (0 removes it)
+ * PUT /api/v1/cart/items/:itemId
+ * Body: { quantity }
+ */
+exports.updateItem = async (req, res) => {
+  try {
+    const { cart } = await cartService.findCart(req);
+    if (!cart) {
+      return res.status(404).json({ success: false, message: 'Cart not found' });
+    }
+
+    await cartService.updateItem(cart, req.params.itemId, req.body?.quantity);
+
+    res.status(200).json({
+      success: true,
+      message: 'Cart updated',
+      data: await cartService.view(cart),
+    });
+  } catch (error) {
+    if ((error.status || 500) >= 500) {
+      logger.error('Error updating cart item', { error: error.message });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error?.message || 'Failed to update cart',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Remove a line from the cart
+ * DELETE /api/v1/cart/items/:itemId
+ */
+exports.removeItem = async (req, res) => {
+  try {
+    const { cart } = await cartService.findCart(req);
+    if (!cart) {
+      return res.status(404).json({ success: false, message: 'Cart not found' });
+    }
+
+    await cartService.removeItem(cart, req.params.itemId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Removed from cart',
+      data: await cartService.view(cart),
+    });
+  } catch (error) {
+    if ((error.status || 500) >= 500) {
+      logger.error('Error removing cart item', { error: error.message });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error?.message || 'Failed to remove item',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Empty the cart
+ * DELETE /api/v1/cart
+ */
+exports.clearCart = async (req, res) => {
+  try {
+    const { cart } = await cartService.findCart(req);
+    if (cart) {
+      await cartService.clear(cart);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Cart cleared',
+      data: await cartService.view(cart),
+    });
+  } catch (error) {
+    if ((error.status || 500) >= 500) {
+      logger.error('Error clearing cart', { error: error.message });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error?.message || 'Failed to clear cart',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,44 @@
+const checkoutQuoteService = require('../services/checkoutQuoteService');
+const cartService = require('../services/cartService');
+const { logger } = require('../utils/logger');
+
+/**
+ * Create a checkout quote (server-side repricing of the cart)
+ * POST /api/v1/checkout/quote
+ * Body: { couponCode? } quotes the shopper's server-side cart (X-Cart-Token for anonymous shoppers);
+ * { items: [{ productId, variantId?, quantity }], couponCode? } is still accepted for older clients.
+ */
+exports.createQuote = async (req, res) => {
+  try {
+    const { items, couponCode } = req.body || {};
+
+    let cart = null;
+    if (!items) {
+      ({ cart } = await cartService.findCart(req));
+    }
+
+    const quote = await checkoutQuoteService.createQuote({
+      store: req.store,
+      storeId: req.storeId,
+      userId: req.user?.id,
+      items: items || cartService.getCheckoutItems(cart),
+      couponCode,
+      cartId: cart?._id,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: quote,
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status >= 500) {
+      logger.error('Error creating checkout quote', { error: error.message });
+    }
+    res.status(status).json({
+      success: false,
+      message: error?.message || 'Failed to create checkout quote',
+      error: error.message,
+    });
+  }
+};
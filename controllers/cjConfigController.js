@@ -2,6 +2,7 @@ const CjToken = require('../models/CjToken');
 const CjConfig = require('../models/CjConfig');
 const cjAuthService = require('../services/cjAuthService');
 const cjWarehouseService = require('../services/cjWarehouseService');
+const auditLogService = require('../services/auditLogService');
 const cjConfigModule = require('../config/cj-dropshipping');
 const { logger } = require('../utils/logger');
 
@@ -106,9 +107,16 @@ exports.updateApiKey = async (req, res) => {
     
     // Update the runtime config and service instance
     const trimmedApiKey = apiKey.trim();
+    const previousApiKey = cjConfigModule.apiKey;
     
     // Save to database for persistence
     await CjConfig.saveApiKey(trimmedApiKey);
+    await auditLogService.record(req, {
+      action: 'cj_config.update_api_key',
+      entityType: 'CjConfig',
+      before: { apiKey: previousApiKey || null },
+      after: { apiKey: trimmedApiKey },
+    });
     
     // Also update runtime config and service instance
     cjConfigModule.apiKey = trimmedApiKey;
@@ -299,6 +307,7 @@ exports.deleteToken = async (req, res) => {
     await CjToken.deleteMany({});
 
     logger.info('CJ token deleted');
+    await auditLogService.record(req, { action: 'cj_config.delete_token', entityType: 'CjToken' });
 
     res.status(200).json({
       success: true,
@@ -365,22 +374,26 @@ exports.setWebhookConfig = async (req, res) => {
       logistics: !!logistics,
     };
 
+    // CJ doesn't sign webhooks, so each callback URL carries our secret token
+    const secret = await CjConfig.ensureWebhookSecret();
+    const withToken = (path) => `${base}/${path}?token=${encodeURIComponent(secret)}`;
+
     const cjPayload = {
       product: {
         type: flags.product ? 'ENABLE' : 'CANCEL',
-        callbackUrls: [`${base}/product`],
+        callbackUrls: [withToken('product')],
       },
       stock: {
         type: flags.stock ? 'ENABLE' : 'CANCEL',
-        callbackUrls: [`${base}/inventory`],
+        callbackUrls: [withToken('inventory')],
       },
       order: {
         type: flags.order ? 'ENABLE' : 'CANCEL',
-        callbackUrls: [`${base}/order-status`],
+        callbackUrls: [withToken('order-status')],
       },
       logistics: {
         type: flags.logistics ? 'ENABLE' : 'CANCEL',
-        callbackUrls: [`${base}/logistics`],
+        callbackUrls: [withToken('logistics')],
       },
     };
 
@@ -396,11 +409,19 @@ exports.setWebhookConfig = async (req, res) => {
     }
 
     // Store locally
+    const previous = await CjConfig.findOne().select('webhook').lean();
     await CjConfig.saveWebhookConfig({
       callbackUrl: base,
       ...flags,
       lastPushedAt: new Date(),
     });
+    await auditLogService.record(req, {
+      action: 'cj_config.update_webhooks',
+      entityType: 'CjConfig',
+      before: previous?.webhook || null,
+      after: { callbackUrl: base, ...flags },
+      fields: ['callbackUrl', 'product', 'stock', 'order', 'logistics'],
+    });
 
     res.status(200).json({
       success: true,
@@ -1,6 +1,7 @@
 const User = require('../models/User');
 const Order = require('../models/Order');
 const mongoose = require('mongoose');
+const loginSecurityService = require('../services/loginSecurityService');
 const { getStoreFilter } = require('../middleware/resolveStore');
 const { logger } = require('../utils/logger');
 
@@ -54,7 +55,7 @@ exports.getCustomers = async (req, res) => {
       {
         $addFields: {
           orderCount: { $size: '$orders' },
-          totalSpent: { $sum: '$orders.total' },
+          totalSpent: { $subtract: [{ $sum: '$orders.total' }, { $sum: '$orders.refundedAmount' }] },
           lastOrderAt: { $max: '$orders.createdAt' },
         },
       },
@@ -125,7 +126,7 @@ exports.getLtvDistribution = async (req, res) => {
       {
         $group: {
           _id: '$userId',
-          totalSpent: { $sum: '$total' },
+          totalSpent: { $sum: Order.NET_TOTAL },
         },
       },
       {
@@ -174,7 +175,7 @@ exports.getLtvDistribution = async (req, res) => {
 };
 
 /**
- * Admin: Get customer detail + orders
+ * Admin: Get customer detail + orders and login history
  * GET /api/v1/admin/customers/:id
  */
 exports.getCustomerDetail = async (req, res) => {
@@ -189,7 +190,7 @@ exports.getCustomerDetail = async (req, res) => {
     }
 
     const user = await User.findById(id)
-      .select('firstName lastName email phone role lastKnownIp createdAt shippingAddress billingAddress')
+      .select('firstName lastName email phone role lastKnownIp createdAt addresses defaultShippingAddressId defaultBillingAddressId shippingAddress billingAddress failedLoginAttempts loginBlockedUntil lockedAt')
       .lean();
 
     if (!user || user.role !== 'customer') {
@@ -199,7 +200,7 @@ exports.getCustomerDetail = async (req, res) => {
       });
     }
 
-    const [orders, stats, ipList] = await Promise.all([
+    const [orders, stats, ipList, loginHistory] = await Promise.all([
       Order.find({ userId: id })
         .select('orderNumber total status paymentStatus createdAt customerIp _id')
         .sort({ createdAt: -1 })
@@ -211,13 +212,14 @@ exports.getCustomerDetail = async (req, res) => {
           $group: {
             _id: null,
             orderCount: { $sum: 1 },
-            totalSpent: { $sum: '$total' },
+            totalSpent: { $sum: Order.NET_TOTAL },
             firstOrderAt: { $min: '$createdAt' },
             lastOrderAt: { $max: '$createdAt' },
           },
         },
       ]),
       Order.distinct('customerIp', { userId: id, customerIp: { $exists: true, $nin: [null, ''] } }),
+      loginSecurityService.getHistory(id),
     ]);
 
     const s = stats[0] || { orderCount: 0, totalSpent: 0, firstOrderAt: null, lastOrderAt: null };
@@ -245,6 +247,8 @@ exports.getCustomerDetail = async (req, res) => {
         lastOrderAt: s.lastOrderAt,
         orders,
         sameIpOrders,
+        isLocked: !!(user.lockedAt && user.loginBlockedUntil > new Date()),
+        loginHistory,
       },
     });
   } catch (error) {
@@ -353,7 +357,7 @@ exports.backfillCustomerStats = async (req, res) => {
         $group: {
           _id: '$userId',
           orderCount: { $sum: 1 },
-          totalSpent: { $sum: '$total' },
+          totalSpent: { $sum: Order.NET_TOTAL },
           lastOrderAt: { $max: '$createdAt' },
           lastOrderIp: { $last: '$customerIp' },
         },
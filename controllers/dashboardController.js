@@ -49,7 +49,7 @@ exports.getDashboardStats = async (req, res) => {
     const [revenueAndCount, ordersByStatus, totalProducts, lowStockCount, recentOrders, recentProducts, lowStockProducts] = await Promise.all([
       Order.aggregate([
         ...(Object.keys(orderFilter).length ? [{ $match: orderFilter }] : []),
-        { $group: { _id: null, totalRevenue: { $sum: '$total' }, totalOrders: { $sum: 1 } } },
+        { $group: { _id: null, totalRevenue: { $sum: Order.NET_TOTAL }, totalOrders: { $sum: 1 } } },
       ]).then((r) => (r[0] ? { totalRevenue: r[0].totalRevenue, totalOrders: r[0].totalOrders } : { totalRevenue: 0, totalOrders: 0 })),
       Order.aggregate([
         ...(Object.keys(orderFilter).length ? [{ $match: orderFilter }] : []),
@@ -114,7 +114,7 @@ exports.getDashboardTrends = async (req, res) => {
             $dateToString: { format: '%Y-%m-%d', date: '$createdAt' },
           },
           orders: { $sum: 1 },
-          revenue: { $sum: '$total' },
+          revenue: { $sum: Order.NET_TOTAL },
         },
       },
       { $sort: { _id: 1 } },
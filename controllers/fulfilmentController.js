@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const FulfilmentJob = require('../models/FulfilmentJob');
+const fulfilmentService = require('../services/fulfilmentService');
+const { getStoreFilter } = require('../middleware/resolveStore');
+const { logger } = require('../utils/logger');
+
+/**
+ * Admin: Paid orders whose CJ submission failed permanently
+ * GET /api/v1/admin/fulfilment/needs-attention
+ */
+exports.getNeedsAttention = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const query = { ...getStoreFilter(req.storeId), status: 'failed' };
+
+    const [jobs, total] = await Promise.all([
+      FulfilmentJob.find(query)
+        .populate('orderId', 'orderNumber status paymentStatus total currency cjOrderId createdAt')
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      FulfilmentJob.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: jobs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit) || 1,
+      },
+    });
+  } catch (error) {
+    logger.error('Error getting fulfilment jobs needing attention', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: error?.message || 'Failed to get fulfilment jobs',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Admin: Retry CJ submission for an order now (resets the attempt count)
+ * POST /api/v1/admin/orders/:id/fulfilment/retry
+ */
+exports.retryFulfilment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid order ID' });
+    }
+
+    const order = await Order.findOne({ _id: id, ...getStoreFilter(req.storeId) });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    const job = await fulfilmentService.retry(order);
+
+    logger.info('CJ fulfilment retried (admin)', { orderId: order._id, status: job.status });
+
+    res.status(200).json({
+      success: true,
+      message: job.status === 'succeeded' ? 'CJ order created successfully' : 'CJ order submission retried',
+      data: job,
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status >= 500) {
+      logger.error('Error retrying CJ fulfilment', { error: error.message, orderId: req.params.id });
+    }
+    res.status(status).json({
+      success: false,
+      message: error?.message || 'Failed to retry CJ fulfilment',
+      error: error.message,
+    });
+  }
+};
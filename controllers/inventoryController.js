@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const InventoryReservation = require('../models/InventoryReservation');
+const inventoryService = require('../services/inventoryService');
+const { getStoreFilter } = require('../middleware/resolveStore');
+const { logger } = require('../utils/logger');
+
+/**
+ * Admin: Stock vs reserved vs available for a product and its variants
+ * GET /api/v1/admin/inventory/products/:id
+ */
+exports.getProductInventory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid product ID' });
+    }
+
+    const product = await Product.findOne({ _id: id, ...getStoreFilter(req.storeId) })
+      .select('name sku trackInventory lowStockThreshold stock reservedStock variants')
+      .lean();
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const openReservations = await InventoryReservation.find({
+      productRef: product._id,
+      status: { $in: ['reserved', 'committed'] },
+    })
+      .populate('orderId', 'orderNumber status paymentStatus createdAt')
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        productId: product._id,
+        name: product.name,
+        sku: product.sku,
+        trackInventory: product.trackInventory !== false,
+        lowStockThreshold: product.lowStockThreshold,
+        ...inventoryService.getAvailability(product),
+        variants: (product.variants || []).map((v) => ({
+          variantId: v.variantId,
+          name: v.name,
+          sku: v.sku,
+          ...inventoryService.getAvailability(product, v.variantId),
+        })),
+        openReservations,
+      },
+    });
+  } catch (error) {
+    logger.error('Error getting product inventory', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: error?.message || 'Failed to get product inventory',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Admin: List inventory reservations
+ * GET /api/v1/admin/inventory/reservations?status=reserved&productId=
+ */
+exports.getReservations = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+    const { status, productId } = req.query;
+
+    const query = { ...getStoreFilter(req.storeId) };
+    if (status) query.status = status;
+    if (productId && mongoose.Types.ObjectId.isValid(productId)) query.productRef = productId;
+
+    const [reservations, total] = await Promise.all([
+      InventoryReservation.find(query)
+        .populate('orderId', 'orderNumber status paymentStatus')
+        .populate('productRef', 'name sku')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      InventoryReservation.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: reservations,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit) || 1,
+      },
+    });
+  } catch (error) {
+    logger.error('Error getting inventory reservations', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: error?.message || 'Failed to get inventory reservations',
+      error: error.message,
+    });
+  }
+};
@@ -1,80 +1,121 @@
+const mongoose = require('mongoose');
 const Order = require('../models/Order');
 const Coupon = require('../models/Coupon');
 const Payment = require('../models/Payment');
 const User = require('../models/User');
 const cjOrderService = require('../services/cjOrderService');
+const checkoutQuoteService = require('../services/checkoutQuoteService');
+const inventoryService = require('../services/inventoryService');
+const orderPaymentService = require('../services/orderPaymentService');
+const orderStateService = require('../services/orderStateService');
+const fulfilmentService = require('../services/fulfilmentService');
+const auditLogService = require('../services/auditLogService');
+const outboundWebhookService = require('../services/outboundWebhookService');
+const guestOrderService = require('../services/guestOrderService');
+const cartService = require('../services/cartService');
+const addressService = require('../services/addressService');
 const { getStoreFilter } = require('../middleware/resolveStore');
+const { hasPermission } = require('../middleware/permissions');
 const { logger } = require('../utils/logger');
 
 /**
- * Create order
+ * Create order from a checkout quote (signed in, or as a guest with an email)
  * POST /api/v1/orders
+ * Body: { quoteToken, shippingAddressId | shippingAddress | shipping, billingAddressId? | billingAddress?, payment?,
+ *   paymentMethodType?, email? }
+ * Signed-in shoppers may omit addresses to use their default shipping and billing addresses.
+ * Items and totals come from the signed quote (POST /api/v1/checkout/quote), never from the body;
+ * a quote built from the cart closes that cart.
+ * Guest orders also return `guest: { accessToken, orderUrl, claimUrl }`; the links are emailed too.
  */
 exports.createOrder = async (req, res) => {
   try {
-    const userId = req.user.id;
+    const userId = req.user?.id || null;
     const {
-      items,
+      quoteToken,
       shippingAddress,
       billingAddress,
       shipping,
-      shippingCost = 0,
-      tax = 0,
-      paymentMethodId,
       payment,
-      couponCode,
-      discountAmount = 0,
     } = req.body;
 
-    // Support both shipping/billing and flat shipping object (client may send shipping with address fields)
-    const shipAddr = shippingAddress || (shipping && {
-      street: shipping.address || shipping.street || '',
-      address2: shipping.apartment || shipping.address2 || '',
-      city: shipping.city,
-      state: shipping.state,
-      zipCode: shipping.zipCode,
-      country: shipping.country,
-      phone: shipping.phone,
-      firstName: shipping.firstName,
-      lastName: shipping.lastName,
-    });
-    const billAddr = billingAddress || shipAddr;
-
-    // Validate input
-    if (!items || items.length === 0) {
+    const guestEmail = userId
+      ? null
+      : guestOrderService.normalizeEmail(req.body.email || shipping?.email || shippingAddress?.email);
+    if (!userId && !guestEmail) {
       return res.status(400).json({
         success: false,
-        message: 'Order items are required',
+        message: 'A valid email is required to check out as a guest',
       });
     }
 
-    if (!shipAddr || !billAddr) {
-      return res.status(400).json({
+    // Saved addresses by id, or raw addresses (shippingAddress, or the flat `shipping` object some clients send)
+    let addresses;
+    try {
+      addresses = await addressService.resolveForOrder({
+        userId,
+        email: guestEmail,
+        shippingAddressId: req.body.shippingAddressId,
+        billingAddressId: req.body.billingAddressId,
+        shippingAddress: shippingAddress || (shipping && {
+          firstName: shipping.firstName,
+          lastName: shipping.lastName,
+          street: shipping.address || shipping.street,
+          address2: shipping.apartment || shipping.address2,
+          city: shipping.city,
+          state: shipping.state,
+          zipCode: shipping.zipCode,
+          country: shipping.country,
+          phone: shipping.phone,
+          email: shipping.email,
+        }),
+        billingAddress,
+      });
+    } catch (error) {
+      return res.status(error.status || 400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    let quote;
+    try {
+      quote = checkoutQuoteService.verifyQuote(quoteToken, { storeId: req.storeId, userId });
+    } catch (error) {
+      return res.status(error.status || 400).json({
         success: false,
-        message: 'Shipping and billing addresses are required',
+        message: error.message,
       });
     }
 
-    const cost = shipping?.cost ?? shippingCost;
-
-    // Calculate totals
-    const subtotal = items.reduce((sum, item) => sum + (item.price || 0) * (item.quantity || 0), 0);
-    let total = subtotal + cost + tax;
-    let finalDiscount = 0;
-    let finalCouponCode = null;
-
-    if (couponCode && discountAmount > 0) {
-      const couponFilter = getStoreFilter(req.storeId);
-      const coupon = await Coupon.findOne({ code: String(couponCode).trim().toUpperCase(), ...couponFilter });
-      if (coupon && coupon.isValid(subtotal)) {
-        const calculatedDiscount = coupon.calculateDiscount(subtotal);
-        if (calculatedDiscount > 0) {
-          finalDiscount = Math.min(calculatedDiscount, discountAmount);
-          finalCouponCode = coupon.code;
-          total = Math.max(0, total - finalDiscount);
-          await Coupon.findByIdAndUpdate(coupon._id, { $inc: { usedCount: 1 } });
-        }
+    if (await Order.exists({ quoteId: quote.quoteId })) {
+      return res.status(409).json({
+        success: false,
+        message: 'Checkout quote has already been used',
+      });
+    }
+
+    // Hold stock before anything else is consumed; order _id is fixed up front for the reservation
+    const orderId = new mongoose.Types.ObjectId();
+    try {
+      await inventoryService.reserveForOrder({ orderId, storeId: req.storeId, items: quote.items });
+    } catch (error) {
+      if (error.status === 409) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
       }
+      throw error;
+    }
+
+    const couponRedeemed = await checkoutQuoteService.redeemCoupon(quote);
+    if (!couponRedeemed) {
+      await inventoryService.releaseForOrder(orderId, 'order_failed');
+      return res.status(409).json({
+        success: false,
+        message: 'Coupon is no longer available. Please request a new quote.',
+      });
     }
 
     // Generate order number
@@ -85,50 +126,73 @@ exports.createOrder = async (req, res) => {
     const customerIp = rawIp ? String(rawIp).split(',')[0].trim() : null;
     const userAgent = req.headers['user-agent'] || null;
 
-    // Map items to order item schema (productId, productName, price, quantity, subtotal)
-    const orderItems = items.map((item) => ({
-      productId: String(item.productId || item.product?.id || item.product?._id || ''),
-      productName: item.name || item.product?.name || item.productName || 'Product',
-      productImage: item.product?.images?.[0] || item.productImage,
-      price: item.price || 0,
-      quantity: item.quantity || 1,
-      subtotal: (item.price || 0) * (item.quantity || 1),
-    }));
-
     const paymentMethodType = payment?.method || req.body.paymentMethodType || null;
 
     // Create order (storeId from resolveStore - host-based for storefront)
-    const order = await Order.create({
-      ...(req.storeId && { storeId: req.storeId }),
-      orderNumber,
-      userId,
-      items: orderItems,
-      subtotal,
-      shippingCost: cost,
-      tax,
-      couponCode: finalCouponCode,
-      discountAmount: finalDiscount,
-      total,
-      shippingAddress: shipAddr,
-      billingAddress: billAddr,
-      status: 'pending',
-      paymentStatus: 'pending',
-      ...(paymentMethodType && { paymentMethodType }),
-      customerIp,
-      userAgent,
-    });
+    let order;
+    try {
+      order = await Order.create({
+        _id: orderId,
+        ...(req.storeId && { storeId: req.storeId }),
+        orderNumber,
+        userId,
+        ...(guestEmail && { guestEmail }),
+        quoteId: quote.quoteId,
+        items: quote.items,
+        subtotal: quote.subtotal,
+        shippingCost: quote.shippingCost,
+        tax: quote.tax,
+        couponCode: quote.couponCode,
+        discountAmount: quote.discountAmount,
+        total: quote.total,
+        currency: quote.currency,
+        shippingAddress: addresses.shippingAddress,
+        billingAddress: addresses.billingAddress,
+        status: 'pending',
+        paymentStatus: 'pending',
+        ...(paymentMethodType && { paymentMethodType }),
+        customerIp,
+        userAgent,
+      });
+    } catch (error) {
+      await inventoryService.releaseForOrder(orderId, 'order_failed');
+      if (quote.couponId) {
+        Coupon.findByIdAndUpdate(quote.couponId, { $inc: { usedCount: -1 } }).catch(() => {});
+      }
+      if (error.code === 11000 && error.keyPattern?.quoteId) {
+        return res.status(409).json({
+          success: false,
+          message: 'Checkout quote has already been used',
+        });
+      }
+      throw error;
+    }
 
     // Update user's lastKnownIp (non-blocking)
-    if (customerIp) {
+    if (customerIp && userId) {
       User.findByIdAndUpdate(userId, { lastKnownIp: customerIp }, { new: true }).catch(() => {});
     }
 
-    logger.info('Order created', { orderId: order._id, orderNumber, userId });
+    await orderStateService.record(order, 'created', {
+      source: 'customer',
+      actorId: userId || undefined,
+      ...(guestEmail && { note: 'Guest checkout' }),
+    });
+    if (quote.cartId) {
+      await cartService.markConverted(quote.cartId, order._id);
+    }
+    outboundWebhookService.emitOrder('order.created', order);
+    if (guestEmail) {
+      guestOrderService.sendConfirmation(order);
+    }
+
+    logger.info('Order created', { orderId: order._id, orderNumber, userId, guest: !userId, quoteId: quote.quoteId });
 
     res.status(201).json({
       success: true,
       message: 'Order created successfully',
       data: order,
+      ...(guestEmail && { guest: guestOrderService.getLinks(order) }),
     });
   } catch (error) {
     logger.error('Error creating order', { error: error.message });
@@ -206,9 +270,11 @@ exports.getOrder = async (req, res) => {
       });
     }
 
+    const timeline = await orderStateService.getTimeline(order._id, { forCustomer: true });
+
     res.status(200).json({
       success: true,
-      data: order,
+      data: { ...order.toObject(), timeline },
     });
   } catch (error) {
     logger.error('Error getting order', { error: error.message });
@@ -221,7 +287,85 @@ exports.getOrder = async (req, res) => {
 };
 
 /**
- * Create CJ order (called after payment success)
+ * Public: Order status by order number plus the email it was placed with
+ * POST /api/v1/orders/lookup
+ * Body: { orderNumber, email }
+ */
+exports.lookupOrder = async (req, res) => {
+  try {
+    const { orderNumber, email } = req.body || {};
+    const order = await guestOrderService.lookup({ orderNumber, email, storeId: req.storeId });
+
+    res.status(200).json({
+      success: true,
+      data: await guestOrderService.toPublicOrder(order),
+    });
+  } catch (error) {
+    if ((error.status || 500) >= 500) {
+      logger.error('Error looking up order', { error: error.message });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error?.message || 'Failed to look up order',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Public: Guest order status from the signed link sent at checkout
+ * POST /api/v1/orders/track
+ * Body: { token } (kept out of the URL so it never reaches the request logs)
+ */
+exports.getOrderByAccessToken = async (req, res) => {
+  try {
+    const order = await guestOrderService.findByAccessToken(req.body?.token);
+
+    res.status(200).json({
+      success: true,
+      data: await guestOrderService.toPublicOrder(order),
+    });
+  } catch (error) {
+    if ((error.status || 500) >= 500) {
+      logger.error('Error getting order from access link', { error: error.message });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error?.message || 'Failed to get order',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Attach guest orders placed with the signed-in user's email to their account
+ * POST /api/v1/orders/claim
+ * Body: { token } (from the claim link in the guest order email)
+ */
+exports.claimGuestOrders = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('email');
+    const { claimed } = await guestOrderService.claim(req.body?.token, user);
+
+    res.status(200).json({
+      success: true,
+      message: claimed > 0 ? `${claimed} order(s) added to your account` : 'No guest orders left to claim',
+      data: { claimed },
+    });
+  } catch (error) {
+    if ((error.status || 500) >= 500) {
+      logger.error('Error claiming guest orders', { error: error.message });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error?.message || 'Failed to claim orders',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Queue CJ order creation (payment paths already do this automatically)
  * POST /api/v1/orders/:id/create-cj-order
  */
 exports.createCjOrder = async (req, res) => {
@@ -253,44 +397,20 @@ exports.createCjOrder = async (req, res) => {
       });
     }
 
-    // Map order data to CJ format
-    const cjOrderData = {
-      shippingInfo: {
-        countryCode: order.shippingAddress.country,
-        firstName: order.shippingAddress.firstName || '',
-        lastName: order.shippingAddress.lastName || '',
-        state: order.shippingAddress.state || '',
-        city: order.shippingAddress.city,
-        address1: order.shippingAddress.street,
-        address2: order.shippingAddress.address2 || '',
-        zipCode: order.shippingAddress.zipCode,
-        phone: order.shippingAddress.phone,
-        email: req.user.email,
-      },
-      products: order.items.map((item) => ({
-        cjProductId: item.productId,
-        variantId: item.variantId || '',
-        quantity: item.quantity,
-        price: item.price,
-      })),
-      paymentMethod: 'Balance',
-      remark: `Order ${order.orderNumber}`,
-    };
-
-    // Create CJ order and link
-    const result = await cjOrderService.createAndLinkOrder(order._id, cjOrderData);
-
-    logger.info('CJ order created and linked', {
-      orderId: order._id,
-      cjOrderId: result.cjOrder.orderId,
-    });
+    // Paid orders are submitted automatically; this only makes sure a job exists.
+    // Failed submissions are retried by an admin.
+    const job = await fulfilmentService.enqueue(order, { source: 'customer' });
 
-    res.status(200).json({
+    res.status(202).json({
       success: true,
-      message: 'CJ order created successfully',
+      message: 'CJ order creation is queued',
       data: {
-        order: result.order,
-        cjOrder: result.cjOrder,
+        orderId: order._id,
+        fulfilment: job && {
+          status: job.status,
+          attempts: job.attempts,
+          nextAttemptAt: job.nextAttemptAt,
+        },
       },
     });
   } catch (error) {
@@ -359,6 +479,18 @@ exports.cancelOrder = async (req, res) => {
     const { reason } = req.body;
 
     const order = await Order.findOne(hasAdminPanelAccess ? { _id: id } : { _id: id, userId });
+    // Staff may cancel other people's orders only with orders.cancel on the order's store
+    if (
+      order &&
+      hasAdminPanelAccess &&
+      String(order.userId) !== userId &&
+      !hasPermission(req.user, 'orders.cancel', order.storeId || req.storeId)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Missing permission.',
+      });
+    }
     if (!order) {
       return res.status(404).json({
         success: false,
@@ -367,10 +499,10 @@ exports.cancelOrder = async (req, res) => {
     }
 
     // Check if order can be cancelled
-    if (order.status === 'shipped' || order.status === 'delivered') {
+    if (!Order.canTransition('status', order.status, 'cancelled')) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot cancel order that is already shipped or delivered',
+        message: `Cannot cancel order that is already ${order.status}`,
       });
     }
 
@@ -384,19 +516,33 @@ exports.cancelOrder = async (req, res) => {
     }
 
     // Update order status
-    order.status = 'cancelled';
-    await order.save();
+    const { order: cancelled } = await orderStateService.transition(
+      order._id,
+      { status: 'cancelled' },
+      { source: hasAdminPanelAccess ? 'admin' : 'customer', actorId: userId, note: reason }
+    );
+
+    await inventoryService.releaseForOrder(order._id, 'cancelled');
 
     logger.info('Order cancelled', { orderId: order._id, userId: hasAdminPanelAccess ? order.userId : userId, byAdmin: hasAdminPanelAccess });
+    if (hasAdminPanelAccess && String(order.userId) !== userId) {
+      await auditLogService.record(req, {
+        action: 'order.cancel',
+        entityType: 'Order',
+        entityId: order._id,
+        changes: [{ field: 'status', before: order.status, after: 'cancelled' }],
+        metadata: { orderNumber: order.orderNumber, reason },
+      });
+    }
 
     res.status(200).json({
       success: true,
       message: 'Order cancelled successfully',
-      data: order,
+      data: cancelled,
     });
   } catch (error) {
     logger.error('Error cancelling order', { error: error.message });
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: error?.message || 'Failed to cancel order',
       error: error.message,
@@ -434,6 +580,7 @@ exports.getAdminOrders = async (req, res) => {
       const term = search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
       const regex = new RegExp(term, 'i');
       const orderNumMatch = { orderNumber: regex };
+      const variantSkuMatch = { 'items.variantSku': regex };
       const userIds = await User.find({
         $or: [
           { email: regex },
@@ -444,10 +591,9 @@ exports.getAdminOrders = async (req, res) => {
         .select('_id')
         .lean();
       const ids = userIds.map((u) => u._id);
+      query.$or = [orderNumMatch, variantSkuMatch, { guestEmail: regex }];
       if (ids.length > 0) {
-        query.$or = [orderNumMatch, { userId: { $in: ids } }];
-      } else {
-        query.orderNumber = regex;
+        query.$or.push({ userId: { $in: ids } });
       }
     }
 
@@ -501,9 +647,11 @@ exports.getAdminOrder = async (req, res) => {
       });
     }
 
+    const timeline = await orderStateService.getTimeline(order._id);
+
     res.status(200).json({
       success: true,
-      data: order,
+      data: { ...order.toObject(), timeline },
     });
   } catch (error) {
     logger.error('Error getting admin order', { error: error.message });
@@ -539,16 +687,26 @@ exports.markOrderAsPaid = async (req, res) => {
       });
     }
 
-    order.paymentStatus = 'paid';
-    order.status = 'processing';
-    await order.save();
+    const { order: paidOrder } = await orderPaymentService.markOrderPaid(order._id, {
+      source: 'admin',
+      actorId: req.user.id,
+    });
 
     logger.info('Order marked as paid (admin)', { orderId: order._id, orderNumber: order.orderNumber });
+    await auditLogService.record(req, {
+      action: 'order.mark_paid',
+      entityType: 'Order',
+      entityId: order._id,
+      before: order,
+      after: paidOrder,
+      fields: ['status', 'paymentStatus', 'paidAt'],
+      metadata: { orderNumber: order.orderNumber },
+    });
 
     res.status(200).json({
       success: true,
       message: 'Order marked as paid',
-      data: order,
+      data: paidOrder,
     });
   } catch (error) {
     logger.error('Error marking order as paid', { error: error.message });
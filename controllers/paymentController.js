@@ -3,6 +3,8 @@ const Order = require('../models/Order');
 const PaymentMethod = require('../models/PaymentMethod');
 const flutterwaveService = require('../services/flutterwaveService');
 const squadService = require('../services/squadService');
+const orderPaymentService = require('../services/orderPaymentService');
+const guestOrderService = require('../services/guestOrderService');
 const { getStoreFilter } = require('../middleware/resolveStore');
 const { logger } = require('../utils/logger');
 const axios = require('axios');
@@ -11,11 +13,12 @@ const cloudinary = require('cloudinary').v2;
 /**
  * Initialize Flutterwave payment
  * POST /api/v1/payments/flutterwave/initialize
+ * Guests send the order's access token as `orderToken` (or the X-Order-Token header).
  */
 exports.initializeFlutterwavePayment = async (req, res) => {
   try {
     const { orderId, customer } = req.body;
-    const userId = req.user.id;
+    const userId = req.user?.id || null;
 
     // Validate input
     if (!orderId || !customer) {
@@ -26,7 +29,7 @@ exports.initializeFlutterwavePayment = async (req, res) => {
     }
 
     // Get order
-    const order = await Order.findOne({ _id: orderId, userId });
+    const order = await guestOrderService.findCustomerOrder(req, orderId);
     if (!order) {
       return res.status(404).json({
         success: false,
@@ -59,7 +62,7 @@ exports.initializeFlutterwavePayment = async (req, res) => {
       amount: order.total,
       currency: order.currency || 'USD',
       customer: {
-        email: customer.email,
+        email: customer.email || order.guestEmail,
         phone: customer.phone || order.shippingAddress.phone,
         name: customer.name || `${order.shippingAddress.firstName} ${order.shippingAddress.lastName}`,
       },
@@ -120,10 +123,12 @@ exports.initializeFlutterwavePayment = async (req, res) => {
 /**
  * Verify Flutterwave payment
  * POST /api/v1/payments/flutterwave/verify
+ * Guests send the order's access token as `orderToken` (or the X-Order-Token header).
  */
 exports.verifyFlutterwavePayment = async (req, res) => {
   try {
     const { txRef } = req.body;
+    const userId = req.user?.id || null;
 
     if (!txRef) {
       return res.status(400).json({
@@ -132,9 +137,9 @@ exports.verifyFlutterwavePayment = async (req, res) => {
       });
     }
 
-    // Find payment by txRef
-    const payment = await Payment.findOne({ txRef });
-    if (!payment) {
+    const payment = await Payment.findOne({ txRef, userId });
+    // Guest payments also need the order's access token
+    if (!payment || (!userId && !(await guestOrderService.findCustomerOrder(req, payment.orderId)))) {
       return res.status(404).json({
         success: false,
         message: 'Payment not found',
@@ -144,32 +149,10 @@ exports.verifyFlutterwavePayment = async (req, res) => {
     // Verify with Flutterwave
     const verification = await flutterwaveService.verifyPayment(txRef);
 
-    // Update payment record
-    payment.status = verification.status === 'successful' ? 'successful' : 'failed';
-    payment.flwRef = verification.flwRef;
-    payment.flutterwaveTransactionId = verification.transactionId;
-    payment.flutterwaveResponse = verification.fullResponse;
-
-    if (verification.status === 'successful') {
-      payment.paidAt = new Date();
-    } else {
-      payment.failureReason = 'Payment verification failed';
-    }
-
-    await payment.save();
-
-    // Update order payment status
-    const order = await Order.findById(payment.orderId);
-    if (order) {
-      order.paymentStatus = payment.status === 'successful' ? 'paid' : 'failed';
-      order.paymentId = payment._id;
-      
-      if (payment.status === 'successful') {
-        order.status = 'processing';
-      }
-      
-      await order.save();
-    }
+    // Update payment and order (commits stock and queues CJ fulfilment when paid)
+    const { order } = await orderPaymentService.settleFlutterwavePayment(payment, verification, {
+      source: 'flutterwave',
+    });
 
     logger.info('Flutterwave payment verified', { paymentId: payment._id, txRef, status: payment.status });
 
@@ -221,31 +204,12 @@ exports.flutterwaveCallback = async (req, res) => {
     // Verify payment with Flutterwave
     const verification = await flutterwaveService.verifyPayment(tx_ref);
 
-    // Update payment record
-    payment.status = verification.status === 'successful' ? 'successful' : 'failed';
-    payment.flwRef = verification.flwRef || flw_ref;
-    payment.flutterwaveTransactionId = verification.transactionId || transaction_id;
-    payment.flutterwaveResponse = verification.fullResponse;
-
-    if (verification.status === 'successful') {
-      payment.paidAt = new Date();
-    }
-
-    await payment.save();
-
-    // Update order
-    const order = await Order.findById(payment.orderId);
-    if (order) {
-      order.paymentStatus = payment.status === 'successful' ? 'paid' : 'failed';
-      order.paymentId = payment._id;
-      
-      if (payment.status === 'successful') {
-        order.status = 'processing';
-        // TODO: Create CJ order here or in a background job
-      }
-      
-      await order.save();
-    }
+    // Update payment and order (commits stock and queues CJ fulfilment when paid)
+    await orderPaymentService.settleFlutterwavePayment(payment, verification, {
+      flwRef: flw_ref,
+      transactionId: transaction_id,
+      source: 'flutterwave',
+    });
 
     logger.info('Flutterwave callback processed', { paymentId: payment._id, txRef: tx_ref, status: payment.status });
 
@@ -387,11 +351,12 @@ exports.getAdminPayments = async (req, res) => {
 /**
  * Initialize Squad payment
  * POST /api/v1/payments/squad/initialize
+ * Guests send the order's access token as `orderToken` (or the X-Order-Token header).
  */
 exports.initializeSquadPayment = async (req, res) => {
   try {
     const { orderId, customer } = req.body;
-    const userId = req.user.id;
+    const userId = req.user?.id || null;
 
     if (!orderId || !customer) {
       return res.status(400).json({
@@ -400,7 +365,7 @@ exports.initializeSquadPayment = async (req, res) => {
       });
     }
 
-    const order = await Order.findOne({ _id: orderId, userId });
+    const order = await guestOrderService.findCustomerOrder(req, orderId);
     if (!order) {
       return res.status(404).json({
         success: false,
@@ -430,7 +395,7 @@ exports.initializeSquadPayment = async (req, res) => {
       amount: order.total,
       currency: order.currency || 'NGN',
       customer: {
-        email: customer.email,
+        email: customer.email || order.guestEmail,
         phone: customer.phone || order.shippingAddress.phone,
         name: customer.name || `${order.shippingAddress.firstName} ${order.shippingAddress.lastName}`,
       },
@@ -477,11 +442,12 @@ exports.initializeSquadPayment = async (req, res) => {
 /**
  * Verify Squad payment
  * POST /api/v1/payments/squad/verify
+ * Guests send the order's access token as `orderToken` (or the X-Order-Token header).
  */
 exports.verifySquadPayment = async (req, res) => {
   try {
     const { txRef } = req.body;
-    const userId = req.user.id;
+    const userId = req.user?.id || null;
 
     if (!txRef) {
       return res.status(400).json({
@@ -491,7 +457,8 @@ exports.verifySquadPayment = async (req, res) => {
     }
 
     const payment = await Payment.findOne({ txRef, userId });
-    if (!payment) {
+    // Guest payments also need the order's access token
+    if (!payment || (!userId && !(await guestOrderService.findCustomerOrder(req, payment.orderId)))) {
       return res.status(404).json({
         success: false,
         message: 'Payment not found',
@@ -500,18 +467,10 @@ exports.verifySquadPayment = async (req, res) => {
 
     const result = await squadService.verifyPayment(txRef);
 
-    if (result.status === 'success' || result.status === 'successful') {
-      payment.status = 'successful';
-      payment.paidAt = new Date();
-      await payment.save();
-
-      const order = await Order.findById(payment.orderId);
-      if (order) {
-        order.paymentStatus = 'paid';
-        order.status = 'processing';
-        await order.save();
-      }
+    // Update payment and order (commits stock and queues CJ fulfilment when paid)
+    const { order } = await orderPaymentService.settleSquadPayment(payment, result, { source: 'squad' });
 
+    if (payment.status === 'successful') {
       logger.info('Squad payment verified and order updated', { paymentId: payment._id, orderId: order?._id });
 
       return res.status(200).json({
@@ -519,17 +478,13 @@ exports.verifySquadPayment = async (req, res) => {
         message: 'Payment verified successfully',
         data: { payment, order },
       });
-    } else {
-      payment.status = 'failed';
-      payment.failureReason = result.data?.gateway_response || 'Payment verification failed';
-      await payment.save();
-
-      return res.status(400).json({
-        success: false,
-        message: 'Payment verification failed',
-        data: { payment },
-      });
     }
+
+    return res.status(400).json({
+      success: false,
+      message: payment.status === 'failed' ? 'Payment verification failed' : 'Payment is still pending',
+      data: { payment },
+    });
   } catch (error) {
     logger.error('Error verifying Squad payment', { error: error.message });
     res.status(500).json({
@@ -543,11 +498,11 @@ exports.verifySquadPayment = async (req, res) => {
 /**
  * Get bank transfer details for an order
  * POST /api/v1/payments/bank-transfer/details
+ * Guests send the order's access token as `orderToken` (or the X-Order-Token header).
  */
 exports.getBankTransferDetails = async (req, res) => {
   try {
     const { orderId, currency } = req.body;
-    const userId = req.user.id;
 
     if (!orderId) {
       return res.status(400).json({
@@ -556,7 +511,7 @@ exports.getBankTransferDetails = async (req, res) => {
       });
     }
 
-    const order = await Order.findOne({ _id: orderId, userId });
+    const order = await guestOrderService.findCustomerOrder(req, orderId);
     if (!order) {
       return res.status(404).json({
         success: false,
@@ -619,12 +574,12 @@ exports.getBankTransferDetails = async (req, res) => {
 /**
  * Upload bank transfer receipt (screenshot/proof) for faster processing
  * POST /api/v1/payments/bank-transfer/upload-receipt
+ * Guests send the order's access token as `orderToken` (or the X-Order-Token header).
  * Uses express-fileupload + Cloudinary (already configured)
  */
 exports.uploadBankTransferReceipt = async (req, res) => {
   try {
     const { orderId } = req.body;
-    const userId = req.user.id;
 
     if (!orderId) {
       return res.status(400).json({
@@ -657,7 +612,7 @@ exports.uploadBankTransferReceipt = async (req, res) => {
       });
     }
 
-    const order = await Order.findOne({ _id: orderId, userId });
+    const order = await guestOrderService.findCustomerOrder(req, orderId);
     if (!order) {
       return res.status(404).json({
         success: false,
@@ -672,6 +627,13 @@ exports.uploadBankTransferReceipt = async (req, res) => {
       });
     }
 
+    if (order.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Order is cancelled',
+      });
+    }
+
     const resourceType = file.mimetype === 'application/pdf' ? 'raw' : 'image';
     const uploadResult = await cloudinary.uploader.upload(file.tempFilePath, {
       folder: 'bank-transfer-receipts',
@@ -680,6 +642,10 @@ exports.uploadBankTransferReceipt = async (req, res) => {
 
     order.bankTransferReceiptUrl = uploadResult.secure_url;
     order.bankTransferReceiptSubmittedAt = new Date();
+    // (Re)enter the admin review queue
+    order.paymentMethodType = 'bank_transfer';
+    order.bankTransferStatus = 'submitted';
+    order.bankTransferRejectionReason = undefined;
     await order.save();
 
     logger.info('Bank transfer receipt uploaded', { orderId, imageUrl: uploadResult.secure_url });
@@ -1,5 +1,6 @@
 const PaymentMethod = require('../models/PaymentMethod');
 const flutterwaveService = require('../services/flutterwaveService');
+const auditLogService = require('../services/auditLogService');
 const { getStoreFilter } = require('../middleware/resolveStore');
 const { logger } = require('../utils/logger');
 
@@ -57,23 +58,30 @@ exports.createOrUpdatePaymentMethod = async (req, res) => {
     const shouldEncryptSecret = (t) => t === 'flutterwave' || t === 'squad';
 
     let paymentMethod;
+    let before = null;
 
     if (id) {
       // Update existing
       // Include secretKey so we don't accidentally wipe it on update
-      paymentMethod = await PaymentMethod.findById(id).select('+config.secretKey');
+      paymentMethod = await PaymentMethod.findById(id).select('+config.secretKey +config.webhookSecret');
       if (!paymentMethod) {
         return res.status(404).json({
           success: false,
           message: 'Payment method not found',
         });
       }
+      before = paymentMethod.toObject();
 
       // Preserve existing secret key if not provided in update payload (skip for bank_transfer)
       if (type !== 'bank_transfer' && !config.secretKey && paymentMethod.config?.secretKey) {
         config.secretKey = paymentMethod.config.secretKey;
       }
 
+      // Same for the webhook secret (used to verify inbound webhooks)
+      if (!config.webhookSecret && paymentMethod.config?.webhookSecret) {
+        config.webhookSecret = paymentMethod.config.webhookSecret;
+      }
+
       // Encrypt secret key for supported methods (avoid double-encrypt)
       if (shouldEncryptSecret(type) && config.secretKey && !String(config.secretKey).includes(':')) {
         config.secretKey = flutterwaveService.encryptSecretKey(config.secretKey);
@@ -102,10 +110,18 @@ exports.createOrUpdatePaymentMethod = async (req, res) => {
     }
 
     logger.info('Payment method saved', { paymentMethodId: paymentMethod._id, type });
+    await auditLogService.record(req, {
+      action: id ? 'payment_method.update' : 'payment_method.create',
+      entityType: 'PaymentMethod',
+      entityId: paymentMethod._id,
+      before,
+      after: paymentMethod,
+    });
 
     // Return payment method without secret key
     const paymentMethodResponse = paymentMethod.toObject();
     delete paymentMethodResponse.config.secretKey;
+    delete paymentMethodResponse.config.webhookSecret;
 
     res.status(id ? 200 : 201).json({
       success: true,
@@ -221,6 +237,13 @@ exports.deletePaymentMethod = async (req, res) => {
     await PaymentMethod.findByIdAndDelete(id);
 
     logger.info('Payment method deleted', { paymentMethodId: id });
+    await auditLogService.record(req, {
+      action: 'payment_method.delete',
+      entityType: 'PaymentMethod',
+      entityId: id,
+      before: paymentMethod,
+      fields: ['name', 'type', 'isActive', 'isDefault'],
+    });
 
     res.status(200).json({
       success: true,
@@ -256,9 +279,16 @@ exports.toggleActive = async (req, res) => {
     await paymentMethod.save();
 
     logger.info('Payment method active status toggled', { paymentMethodId: id, isActive: paymentMethod.isActive });
+    await auditLogService.record(req, {
+      action: 'payment_method.toggle_active',
+      entityType: 'PaymentMethod',
+      entityId: id,
+      changes: [{ field: 'isActive', before: !paymentMethod.isActive, after: paymentMethod.isActive }],
+    });
 
     const paymentMethodResponse = paymentMethod.toObject();
     delete paymentMethodResponse.config.secretKey;
+    delete paymentMethodResponse.config.webhookSecret;
 
     res.status(200).json({
       success: true,
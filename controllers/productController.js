@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const cjProductService = require('../services/cjProductService');
 const cjAuthService = require('../services/cjAuthService');
+const auditLogService = require('../services/auditLogService');
+const wishlistService = require('../services/wishlistService');
 const Product = require('../models/Product');
 const { getStoreFilter } = require('../middleware/resolveStore');
 const { logger } = require('../utils/logger');
@@ -1480,11 +1482,10 @@ exports.updateProductPrice = async (req, res) => {
     }
 
     const productFilter = getStoreFilter(req.storeId);
-    const product = await Product.findOneAndUpdate(
-      { _id: id, ...productFilter },
-      { price: parseFloat(price) },
-      { new: true }
-    );
+    const previous = await Product.findOne({ _id: id, ...productFilter }).select('price').lean();
+    const product = previous
+      ? await Product.findOneAndUpdate({ _id: id, ...productFilter }, { price: parseFloat(price) }, { new: true })
+      : null;
 
     if (!product) {
       return res.status(404).json({
@@ -1493,6 +1494,17 @@ exports.updateProductPrice = async (req, res) => {
       });
     }
 
+    wishlistService.checkProduct(product._id);
+
+    await auditLogService.record(req, {
+      action: 'product.update_price',
+      entityType: 'Product',
+      entityId: product._id,
+      before: previous,
+      after: product,
+      fields: ['price'],
+    });
+
     res.status(200).json({
       success: true,
       message: 'Product price updated successfully',
@@ -1572,11 +1584,23 @@ exports.updateProduct = async (req, res) => {
       }
     });
     const productFilter = getStoreFilter(req.storeId);
-    const product = await Product.findOneAndUpdate({ _id: id, ...productFilter }, updates, { new: true })
-      .populate('category', 'name slug');
-    if (!product) {
+    const previous = await Product.findOneAndUpdate({ _id: id, ...productFilter }, updates).lean();
+    if (!previous) {
       return res.status(404).json({ success: false, message: 'Product not found' });
     }
+    const product = await Product.findById(previous._id).populate('category', 'name slug');
+    // Price, stock or visibility edits may restock or reprice wishlisted items (non-blocking)
+    wishlistService.checkProduct(previous._id);
+
+    await auditLogService.record(req, {
+      action: 'product.update',
+      entityType: 'Product',
+      entityId: previous._id,
+      before: previous,
+      after: product,
+      fields: Object.keys(updates),
+    });
+
     res.status(200).json({ success: true, message: 'Product updated', data: product });
   } catch (error) {
     logger.error('Error updating product', { error: error.message });
@@ -1685,6 +1709,15 @@ exports.deleteProduct = async (req, res) => {
     if (!product) {
       return res.status(404).json({ success: false, message: 'Product not found' });
     }
+
+    await auditLogService.record(req, {
+      action: 'product.delete',
+      entityType: 'Product',
+      entityId: product._id,
+      before: product,
+      fields: ['name', 'sku', 'cjProductId', 'price', 'status'],
+    });
+
     res.status(200).json({ success: true, message: 'Product deleted' });
   } catch (error) {
     logger.error('Error deleting product', { error: error.message });
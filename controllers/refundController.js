@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const refundService = require('../services/refundService');
+const auditLogService = require('../services/auditLogService');
+const { getStoreFilter } = require('../middleware/resolveStore');
+const { logger } = require('../utils/logger');
+
+/**
+ * Admin: Refund an order in full or in part
+ * POST /api/v1/admin/orders/:id/refunds
+ * Body: { amount?, reason?, reference? } - amount omitted refunds the remaining balance;
+ * reference is the payout reference for bank transfer / manual refunds
+ */
+exports.createRefund = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid order ID' });
+    }
+
+    const order = await Order.findOne({ _id: id, ...getStoreFilter(req.storeId) });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    const { amount, reason, reference } = req.body;
+    const before = order.toObject();
+    const result = await refundService.refundOrder(order, {
+      amount,
+      reason,
+      reference,
+      requestedBy: req.user.id,
+    });
+
+    await auditLogService.record(req, {
+      action: 'order.refund',
+      entityType: 'Order',
+      entityId: order._id,
+      before,
+      after: result.order,
+      fields: ['status', 'paymentStatus', 'refundedAmount'],
+      metadata: {
+        orderNumber: order.orderNumber,
+        refundId: result.refund._id,
+        amount: result.refund.amount,
+        type: result.refund.type,
+        reason,
+        reference,
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: result.refund.type === 'full' ? 'Order refunded' : 'Partial refund issued',
+      data: {
+        refund: result.refund,
+        order: result.order,
+        refundable: refundService.getRefundable(result.order),
+      },
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status >= 500) {
+      logger.error('Error refunding order', { error: error.message, orderId: req.params.id });
+    }
+    res.status(status).json({
+      success: false,
+      message: error?.message || 'Failed to refund order',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Admin: Refunds for an order
+ * GET /api/v1/admin/orders/:id/refunds
+ */
+exports.getOrderRefunds = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid order ID' });
+    }
+
+    const order = await Order.findOne({ _id: id, ...getStoreFilter(req.storeId) })
+      .select('total refundedAmount currency paymentStatus')
+      .lean();
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    const refunds = await Refund.find({ orderId: id })
+      .populate('requestedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        refunds,
+        total: order.total,
+        refundedAmount: order.refundedAmount || 0,
+        refundable: refundService.getRefundable(order),
+        currency: order.currency,
+      },
+    });
+  } catch (error) {
+    logger.error('Error getting order refunds', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: error?.message || 'Failed to get refunds',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Admin: List refunds
+ * GET /api/v1/admin/refunds?status=&method=
+ */
+exports.getRefunds = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+    const { status, method } = req.query;
+
+    const query = { ...getStoreFilter(req.storeId) };
+    if (status) query.status = status;
+    if (method) query.method = method;
+
+    const [refunds, total] = await Promise.all([
+      Refund.find(query)
+        .populate('orderId', 'orderNumber total refundedAmount paymentStatus')
+        .populate('paymentId', 'txRef paymentMethodType')
+        .populate('requestedBy', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Refund.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: refunds,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit) || 1,
+      },
+    });
+  } catch (error) {
+    logger.error('Error getting refunds', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: error?.message || 'Failed to get refunds',
+      error: error.message,
+    });
+  }
+};
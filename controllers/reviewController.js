@@ -1,4 +1,5 @@
 const Review = require('../models/Review');
+const outboundWebhookService = require('../services/outboundWebhookService');
 const { getStoreFilter } = require('../middleware/resolveStore');
 const { logger } = require('../utils/logger');
 
@@ -58,6 +59,7 @@ exports.createProductReview = async (req, res) => {
       body: body?.trim() || '',
       status: 'pending',
     });
+    outboundWebhookService.emitReview(review);
 
     res.status(201).json({
       success: true,
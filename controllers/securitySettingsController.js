@@ -0,0 +1,105 @@
+const SecuritySettings = require('../models/SecuritySettings');
+const twoFactorService = require('../services/twoFactorService');
+const auditLogService = require('../services/auditLogService');
+const { isValidPermission, isPermissionArea } = require('../config/permissions');
+const { logger } = require('../utils/logger');
+
+const TWO_FACTOR_ROLES = ['admin', 'member'];
+
+/**
+ * Admin: Get admin panel security policy
+ * GET /api/v1/admin/security-settings
+ */
+exports.getSecuritySettings = async (req, res) => {
+  try {
+    const settings = await SecuritySettings.getSettings();
+
+    res.status(200).json({
+      success: true,
+      data: settings,
+    });
+  } catch (error) {
+    logger.error('Error getting security settings', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: error?.message || 'Failed to get security settings',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Admin: Update admin panel security policy
+ * PUT /api/v1/admin/security-settings
+ * Body: { twoFactor: { enforce?, roles?: ['admin'|'member'], permissions?: [permission keys] }, auditLog: { retentionDays? } }
+ */
+exports.updateSecuritySettings = async (req, res) => {
+  try {
+    const { twoFactor = {}, auditLog = {} } = req.body;
+    const update = { updatedBy: req.user.id };
+
+    if (twoFactor.enforce !== undefined) {
+      update['twoFactor.enforce'] = twoFactor.enforce === true;
+    }
+    if (twoFactor.roles !== undefined) {
+      if (!Array.isArray(twoFactor.roles) || twoFactor.roles.some((role) => !TWO_FACTOR_ROLES.includes(role))) {
+        return res.status(400).json({
+          success: false,
+          message: `Roles must be a list of: ${TWO_FACTOR_ROLES.join(', ')}`,
+        });
+      }
+      update['twoFactor.roles'] = [...new Set(twoFactor.roles)];
+    }
+    if (twoFactor.permissions !== undefined) {
+      if (!Array.isArray(twoFactor.permissions) || twoFactor.permissions.some((p) => !isValidPermission(p) && !isPermissionArea(p))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Permissions must be a list of valid permission keys or areas',
+        });
+      }
+      update['twoFactor.permissions'] = [...new Set(twoFactor.permissions)];
+    }
+    if (auditLog.retentionDays !== undefined) {
+      const retentionDays = parseInt(auditLog.retentionDays, 10);
+      if (!Number.isInteger(retentionDays) || retentionDays < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Audit log retention must be a whole number of days (at least 1)',
+        });
+      }
+      update['auditLog.retentionDays'] = retentionDays;
+    }
+
+    const before = await SecuritySettings.getSettings();
+
+    const settings = await SecuritySettings.findOneAndUpdate({}, { $set: update }, {
+      upsert: true,
+      new: true,
+      setDefaultsOnInsert: true,
+    });
+    twoFactorService.clearSettingsCache();
+    await auditLogService.record(req, {
+      action: 'security_settings.update',
+      entityType: 'SecuritySettings',
+      entityId: settings._id,
+      before,
+      after: settings,
+      fields: ['twoFactor', 'auditLog'],
+    });
+
+    logger.info('Security settings updated', { userId: req.user.id, twoFactor: settings.twoFactor });
+
+    res.status(200).json({
+      success: true,
+      message: 'Security settings updated',
+      data: settings,
+    });
+  } catch (error) {
+    logger.error('Error updating security settings', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: error?.message || 'Failed to update security settings',
+      error: error.message,
+    });
+  }
+};
@@ -1,6 +1,8 @@
 const Store = require('../models/Store');
 const mongoose = require('mongoose');
+const auditLogService = require('../services/auditLogService');
 const { logger } = require('../utils/logger');
+const { getAccessibleStoreIds } = require('../middleware/permissions');
 
 function normalizeMetaVerification(mv) {
   if (!mv || typeof mv !== 'object') return {};
@@ -17,13 +19,53 @@ function normalizeMetaVerification(mv) {
   };
 }
 
+function normalizeCheckoutSettings(checkout, current = {}) {
+  if (!checkout || typeof checkout !== 'object') return current;
+  const toAmount = (v, fallback) => {
+    if (v === undefined) return fallback;
+    if (v === null || v === '') return null;
+    const n = parseFloat(v);
+    return Number.isFinite(n) && n >= 0 ? n : fallback;
+  };
+  return {
+    flatShippingRate: toAmount(checkout.flatShippingRate, current.flatShippingRate ?? 0) ?? 0,
+    freeShippingThreshold: toAmount(checkout.freeShippingThreshold, current.freeShippingThreshold ?? null),
+    taxRate: Math.min(toAmount(checkout.taxRate, current.taxRate ?? 0) ?? 0, 100),
+  };
+}
+
+function normalizeRecoverySettings(recovery, current = {}) {
+  if (!recovery || typeof recovery !== 'object') return current;
+  const toDelays = (v, fallback) => {
+    if (!Array.isArray(v)) return fallback;
+    return v
+      .map((n) => parseFloat(n))
+      .filter((n) => Number.isFinite(n) && n > 0)
+      .sort((a, b) => a - b)
+      .slice(0, 5);
+  };
+  const couponPercent = recovery.couponPercent !== undefined ? parseFloat(recovery.couponPercent) : NaN;
+  const couponValidHours = recovery.couponValidHours !== undefined ? parseInt(recovery.couponValidHours, 10) : NaN;
+  return {
+    enabled: typeof recovery.enabled === 'boolean' ? recovery.enabled : current.enabled ?? false,
+    cartDelaysHours: toDelays(recovery.cartDelaysHours, current.cartDelaysHours ?? [1, 24, 72]),
+    orderDelaysHours: toDelays(recovery.orderDelaysHours, current.orderDelaysHours ?? [2, 24]),
+    couponPercent: Number.isFinite(couponPercent)
+      ? Math.min(Math.max(couponPercent, 0), 100)
+      : current.couponPercent ?? 0,
+    couponValidHours: couponValidHours >= 1 ? couponValidHours : current.couponValidHours ?? 72,
+  };
+}
+
 /**
- * List all stores (admin)
+ * List stores (admin). Members only see stores they hold permissions on.
  * GET /api/v1/admin/stores
  */
 exports.getStores = async (req, res) => {
   try {
-    const stores = await Store.find().sort({ name: 1 }).lean();
+    const storeIds = getAccessibleStoreIds(req.user);
+    const filter = storeIds === null ? {} : { _id: { $in: storeIds } };
+    const stores = await Store.find(filter).sort({ name: 1 }).lean();
     res.status(200).json({ success: true, data: stores });
   } catch (error) {
     logger.error('Error getting stores', { error: error.message });
@@ -66,7 +108,7 @@ exports.getStore = async (req, res) => {
  */
 exports.createStore = async (req, res) => {
   try {
-    const { name, slug, domains, defaultCurrency, defaultCountry, isActive, niche, description, metaVerification } = req.body;
+    const { name, slug, domains, defaultCurrency, defaultCountry, isActive, niche, description, metaVerification, checkout, recovery } = req.body;
     if (!name || !slug) {
       return res.status(400).json({ success: false, message: 'Name and slug are required' });
     }
@@ -88,6 +130,8 @@ exports.createStore = async (req, res) => {
       niche: niche ? String(niche).toLowerCase().trim() : null,
       description: description ? String(description).trim() : '',
       metaVerification: normalizeMetaVerification(metaVerification),
+      checkout: normalizeCheckoutSettings(checkout),
+      ...(recovery && { recovery: normalizeRecoverySettings(recovery) }),
     });
     res.status(201).json({ success: true, data: store });
   } catch (error) {
@@ -107,7 +151,7 @@ exports.createStore = async (req, res) => {
 exports.updateStore = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, slug, domains, defaultCurrency, defaultCountry, isActive, niche, description, metaVerification } = req.body;
+    const { name, slug, domains, defaultCurrency, defaultCountry, isActive, niche, description, metaVerification, checkout, recovery } = req.body;
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ success: false, message: 'Invalid store ID' });
     }
@@ -115,6 +159,7 @@ exports.updateStore = async (req, res) => {
     if (!store) {
       return res.status(404).json({ success: false, message: 'Store not found' });
     }
+    const before = store.toObject();
     const isDefaultStore = store.slug === 'default';
     if (name != null && !isDefaultStore) store.name = name.trim();
     if (slug != null && !isDefaultStore) {
@@ -132,7 +177,16 @@ exports.updateStore = async (req, res) => {
     if (niche !== undefined && !isDefaultStore) store.niche = niche ? String(niche).toLowerCase().trim() : null;
     if (description !== undefined) store.description = description ? String(description).trim() : '';
     if (metaVerification !== undefined) store.metaVerification = normalizeMetaVerification(metaVerification);
+    if (checkout !== undefined) store.checkout = normalizeCheckoutSettings(checkout, store.checkout || {});
+    if (recovery !== undefined) store.recovery = normalizeRecoverySettings(recovery, store.recovery || {});
     await store.save();
+    await auditLogService.record(req, {
+      action: 'store.update',
+      entityType: 'Store',
+      entityId: store._id,
+      before,
+      after: store,
+    });
     res.status(200).json({ success: true, data: store });
   } catch (error) {
     logger.error('Error updating store', { error: error.message });
@@ -162,6 +216,13 @@ exports.deleteStore = async (req, res) => {
       return res.status(400).json({ success: false, message: 'Cannot delete the default store' });
     }
     await Store.findByIdAndDelete(id);
+    await auditLogService.record(req, {
+      action: 'store.delete',
+      entityType: 'Store',
+      entityId: store._id,
+      before: store,
+      fields: ['name', 'slug', 'domains', 'isActive'],
+    });
     res.status(200).json({ success: true, message: 'Store deleted' });
   } catch (error) {
     logger.error('Error deleting store', { error: error.message });
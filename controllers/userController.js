@@ -1,8 +1,30 @@
-const crypto = require('crypto');
 const mongoose = require('mongoose');
 const User = require('../models/User');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const loginSecurityService = require('../services/loginSecurityService');
+const invitationService = require('../services/invitationService');
+const auditLogService = require('../services/auditLogService');
 const { logger } = require('../utils/logger');
-const { validatePermissions } = require('../middleware/permissions');
+const Store = require('../models/Store');
+const { validatePermissions, validateStorePermissions } = require('../middleware/permissions');
+
+/**
+ * Validated storePermissions from a request body, limited to stores that exist
+ */
+async function normalizeStorePermissions(storePermissions) {
+  const entries = validateStorePermissions(storePermissions);
+  if (entries.length === 0) return entries;
+  const stores = await Store.find({ _id: { $in: entries.map((e) => e.storeId) } }).select('_id').lean();
+  const known = new Set(stores.map((store) => String(store._id)));
+  return entries.filter((e) => known.has(e.storeId));
+}
+
+function toInvitationResponse(invitation) {
+  const { _id, email, firstName, lastName, role, permissions, storePermissions, status, expiresAt, lastSentAt, sendCount, createdAt } =
+    invitation.toObject ? invitation.toObject() : invitation;
+  return { _id, email, firstName, lastName, role, permissions, storePermissions, status, expiresAt, lastSentAt, sendCount, createdAt };
+}
 
 /**
  * Admin: Get all users (optionally filter by role)
@@ -19,17 +41,23 @@ exports.getAdminUsers = async (req, res) => {
     if (role) query.role = role;
 
     const users = await User.find(query)
-      .select('firstName lastName email phone role permissions createdAt')
+      .select('firstName lastName email phone role permissions storePermissions twoFactorEnabled lockedAt loginBlockedUntil createdAt')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
       .lean();
 
     const total = await User.countDocuments(query);
+    // Staff invitations not yet accepted (pending or lapsed)
+    const invitations = role !== 'customer' ? await invitationService.listOpen() : [];
 
     res.status(200).json({
       success: true,
       data: users,
+      invitations: invitations.map((invitation) => ({
+        ...toInvitationResponse(invitation),
+        invitedBy: invitation.invitedBy,
+      })),
       pagination: {
         page,
         limit,
@@ -54,12 +82,13 @@ exports.getAdminUsers = async (req, res) => {
 exports.updateUser = async (req, res) => {
   try {
     const { id } = req.params;
-    const { firstName, lastName, email, phone, role, permissions } = req.body;
+    const { firstName, lastName, email, phone, role, permissions, storePermissions } = req.body;
 
     const user = await User.findById(id);
     if (!user) {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
+    const before = user.toObject();
 
     if (firstName != null) user.firstName = String(firstName).trim();
     if (lastName != null) user.lastName = String(lastName).trim();
@@ -68,6 +97,9 @@ exports.updateUser = async (req, res) => {
     if (Array.isArray(permissions)) {
       user.permissions = validatePermissions(permissions, req.user.role === 'admin');
     }
+    if (Array.isArray(storePermissions)) {
+      user.storePermissions = await normalizeStorePermissions(storePermissions);
+    }
     if (email != null && email.trim()) {
       const normalized = email.toLowerCase().trim();
       const existing = await User.findOne({ email: normalized, _id: { $ne: id } });
@@ -78,9 +110,16 @@ exports.updateUser = async (req, res) => {
     }
 
     await user.save();
+    await auditLogService.record(req, {
+      action: 'user.update',
+      entityType: 'User',
+      entityId: user._id,
+      before,
+      after: user,
+      fields: ['firstName', 'lastName', 'email', 'phone', 'role', 'permissions', 'storePermissions'],
+    });
     const result = user.toObject();
     delete result.password;
-    delete result.refreshToken;
     res.status(200).json({ success: true, data: result });
   } catch (error) {
     logger.error('Error updating user', { error: error.message });
@@ -93,13 +132,13 @@ exports.updateUser = async (req, res) => {
 };
 
 /**
- * Admin: Invite user (full admin only).
+ * Admin: Invite user (full admin only). Emails an invitation link; the account is created when it's accepted.
  * POST /api/v1/admin/users/invite
- * Body: { email, firstName, lastName, role: 'admin'|'member', permissions?: [] }
+ * Body: { email, firstName, lastName, role: 'admin'|'member', permissions?: [], storePermissions?: [{ storeId, permissions }] }
  */
 exports.inviteUser = async (req, res) => {
   try {
-    const { email, firstName, lastName, role = 'member', permissions } = req.body;
+    const { email, firstName, lastName, role = 'member', permissions, storePermissions } = req.body;
 
     if (!email || !firstName || !lastName) {
       return res.status(400).json({
@@ -108,20 +147,13 @@ exports.inviteUser = async (req, res) => {
       });
     }
 
-    const normalizedEmail = email.toLowerCase().trim();
-    const existing = await User.findOne({ email: normalizedEmail });
-    if (existing) {
-      return res.status(400).json({
-        success: false,
-        message: 'A user with this email already exists',
-      });
-    }
-
     const invitedRole = role === 'admin' ? 'admin' : 'member';
     let finalPermissions = [];
+    let finalStorePermissions = [];
     if (invitedRole === 'member') {
       finalPermissions = validatePermissions(Array.isArray(permissions) ? permissions : [], false);
-      if (finalPermissions.length === 0) {
+      finalStorePermissions = await normalizeStorePermissions(storePermissions);
+      if (finalPermissions.length === 0 && finalStorePermissions.length === 0) {
         return res.status(400).json({
           success: false,
           message: 'Member must have at least one permission',
@@ -129,35 +161,32 @@ exports.inviteUser = async (req, res) => {
       }
     }
 
-    const tempPassword = crypto.randomBytes(12).toString('base64').replace(/[+/=]/g, '').slice(0, 12);
-    const user = await User.create({
-      email: normalizedEmail,
-      password: tempPassword,
-      firstName: String(firstName).trim(),
-      lastName: String(lastName).trim(),
-      role: invitedRole,
-      permissions: finalPermissions,
-      invitedBy: mongoose.Types.ObjectId.isValid(req.user.id) ? req.user.id : undefined,
-      invitedAt: new Date(),
-    });
-
-    const result = user.toObject();
-    delete result.password;
-    delete result.refreshToken;
+    const { invitation, emailSent } = await invitationService.create(
+      {
+        email,
+        firstName,
+        lastName,
+        role: invitedRole,
+        permissions: finalPermissions,
+        storePermissions: finalStorePermissions,
+      },
+      mongoose.Types.ObjectId.isValid(req.user.id) ? req.user.id : undefined
+    );
 
-    logger.info('User invited', { userId: user._id, email: user.email, invitedBy: req.user.id });
+    logger.info('User invited', { invitationId: invitation._id, email: invitation.email, invitedBy: req.user.id });
 
     res.status(201).json({
       success: true,
-      message: 'User invited successfully',
-      data: {
-        user: result,
-        tempPassword, // Display once; admin should share with invitee
-      },
+      message: emailSent
+        ? 'Invitation sent'
+        : 'Invitation created, but the email could not be sent. Try resending it.',
+      data: { invitation: toInvitationResponse(invitation), emailSent },
     });
   } catch (error) {
-    logger.error('Error inviting user', { error: error.message });
-    res.status(500).json({
+    if ((error.status || 500) >= 500) {
+      logger.error('Error inviting user', { error: error.message });
+    }
+    res.status(error.status || 500).json({
       success: false,
       message: error?.message || 'Failed to invite user',
       error: error.message,
@@ -165,6 +194,66 @@ exports.inviteUser = async (req, res) => {
   }
 };
 
+/**
+ * Admin: Resend an invitation with a fresh link (the previous link stops working)
+ * POST /api/v1/admin/invitations/:id/resend
+ */
+exports.resendInvitation = async (req, res) => {
+  try {
+    const { invitation, emailSent } = await invitationService.resend(
+      req.params.id,
+      mongoose.Types.ObjectId.isValid(req.user.id) ? req.user.id : undefined
+    );
+
+    logger.info('Invitation resent', { invitationId: invitation._id, by: req.user.id });
+
+    res.status(200).json({
+      success: emailSent,
+      message: emailSent ? 'Invitation resent' : 'Failed to send the invitation email',
+      data: { invitation: toInvitationResponse(invitation), emailSent },
+    });
+  } catch (error) {
+    if ((error.status || 500) >= 500) {
+      logger.error('Error resending invitation', { error: error.message });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error?.message || 'Failed to resend invitation',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Admin: Revoke a pending invitation
+ * POST /api/v1/admin/invitations/:id/revoke
+ */
+exports.revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await invitationService.revoke(
+      req.params.id,
+      mongoose.Types.ObjectId.isValid(req.user.id) ? req.user.id : undefined
+    );
+
+    logger.info('Invitation revoked', { invitationId: invitation._id, by: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked',
+      data: toInvitationResponse(invitation),
+    });
+  } catch (error) {
+    if ((error.status || 500) >= 500) {
+      logger.error('Error revoking invitation', { error: error.message });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error?.message || 'Failed to revoke invitation',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Admin: Delete user
  * DELETE /api/v1/admin/users/:id
@@ -183,6 +272,14 @@ exports.deleteUser = async (req, res) => {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
+    await auditLogService.record(req, {
+      action: 'user.delete',
+      entityType: 'User',
+      entityId: user._id,
+      before: user,
+      fields: ['email', 'firstName', 'lastName', 'role', 'permissions', 'storePermissions'],
+    });
+
     res.status(200).json({ success: true, message: 'User deleted' });
   } catch (error) {
     logger.error('Error deleting user', { error: error.message });
@@ -193,3 +290,102 @@ exports.deleteUser = async (req, res) => {
     });
   }
 };
+
+/**
+ * Admin: Sign a user out everywhere (e.g. a staff member leaving)
+ * POST /api/v1/admin/users/:id/sessions/revoke
+ */
+exports.revokeUserSessions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
+    }
+
+    const user = await User.findById(id).select('_id email');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const revoked = await sessionService.revokeAll(user._id, 'admin');
+
+    logger.info('User sessions revoked (admin)', { userId: user._id, revokedBy: req.user.id, revoked });
+
+    res.status(200).json({
+      success: true,
+      message: 'User sessions revoked',
+      data: { revoked },
+    });
+  } catch (error) {
+    logger.error('Error revoking user sessions', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: error?.message || 'Failed to revoke user sessions',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Admin: Remove a user's 2FA (lost authenticator); they are signed out and re-enrol on next login
+ * POST /api/v1/admin/users/:id/2fa/reset
+ */
+exports.resetUserTwoFactor = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
+    }
+
+    await twoFactorService.reset(id);
+
+    logger.info('User two-factor reset (admin)', { userId: id, resetBy: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication reset',
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status >= 500) {
+      logger.error('Error resetting user two-factor', { error: error.message });
+    }
+    res.status(status).json({
+      success: false,
+      message: error?.message || 'Failed to reset two-factor authentication',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Admin: Unlock an account locked by failed logins
+ * POST /api/v1/admin/users/:id/unlock
+ */
+exports.unlockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
+    }
+
+    const found = await loginSecurityService.unlock(id);
+    if (!found) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    logger.info('User unlocked (admin)', { userId: id, unlockedBy: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'User unlocked',
+    });
+  } catch (error) {
+    logger.error('Error unlocking user', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: error?.message || 'Failed to unlock user',
+      error: error.message,
+    });
+  }
+};
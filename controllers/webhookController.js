@@ -1,17 +1,26 @@
-const cjWebhookService = require('../services/cjWebhookService');
+const webhookEventService = require('../services/webhookEventService');
 const { logger } = require('../utils/logger');
 
 /**
- * Handle CJ order status webhook
- * POST /api/v1/webhooks/cj/order-status
+ * Process the event stored by verifyWebhook. Failures are recorded on the WebhookEvent
+ * (admins can replay it) and still acknowledged with 200 so the provider doesn't retry,
+ * except retryable ones (e.g. payment still pending), which get a 503 so it redelivers.
  */
-exports.handleCjOrderStatus = async (req, res) => {
+async function processStoredEvent(req, res, label) {
+  const event = req.webhookEvent;
+
   try {
-    const webhookData = req.body;
+    logger.info(`Received ${label} webhook`, { webhookEventId: event._id, eventId: event.eventId });
 
-    logger.info('Received CJ order status webhook', { webhookData });
+    const result = await webhookEventService.process(event);
 
-    const result = await cjWebhookService.handleOrderStatusWebhook(webhookData);
+    if (result?.retryable) {
+      return res.status(503).json({
+        success: false,
+        message: result.message || 'Webhook not processed yet, retry later',
+        data: result,
+      });
+    }
 
     res.status(200).json({
       success: true,
@@ -19,9 +28,9 @@ exports.handleCjOrderStatus = async (req, res) => {
       data: result,
     });
   } catch (error) {
-    logger.error('Error handling CJ order status webhook', {
+    logger.error(`Error handling ${label} webhook`, {
       error: error.message,
-      webhookData: req.body,
+      webhookEventId: event._id,
     });
 
     // Return 200 to acknowledge webhook (prevent retries)
@@ -31,131 +40,40 @@ exports.handleCjOrderStatus = async (req, res) => {
       error: error.message,
     });
   }
-};
+}
+
+/**
+ * Handle CJ order status webhook
+ * POST /api/v1/webhooks/cj/order-status
+ */
+exports.handleCjOrderStatus = (req, res) => processStoredEvent(req, res, 'CJ order status');
 
 /**
  * Handle CJ inventory webhook
  * POST /api/v1/webhooks/cj/inventory
  */
-exports.handleCjInventory = async (req, res) => {
-  try {
-    const webhookData = req.body;
-
-    logger.info('Received CJ inventory webhook', { webhookData });
-
-    const result = await cjWebhookService.handleInventoryWebhook(webhookData);
-
-    res.status(200).json({
-      success: true,
-      message: 'Webhook processed successfully',
-      data: result,
-    });
-  } catch (error) {
-    logger.error('Error handling CJ inventory webhook', {
-      error: error.message,
-      webhookData: req.body,
-    });
-
-    // Return 200 to acknowledge webhook
-    res.status(200).json({
-      success: false,
-      message: 'Webhook received but processing failed',
-      error: error.message,
-    });
-  }
-};
+exports.handleCjInventory = (req, res) => processStoredEvent(req, res, 'CJ inventory');
 
 /**
  * Handle CJ product webhook (PRODUCT / VARIANT)
  * POST /api/v1/webhooks/cj/product
  */
-exports.handleCjProduct = async (req, res) => {
-  try {
-    const webhookData = req.body;
-
-    logger.info('Received CJ product webhook', { webhookData });
-
-    const result = await cjWebhookService.handleProductWebhook(webhookData);
-
-    res.status(200).json({
-      success: true,
-      message: 'Webhook processed successfully',
-      data: result,
-    });
-  } catch (error) {
-    logger.error('Error handling CJ product webhook', {
-      error: error.message,
-      webhookData: req.body,
-    });
-
-    res.status(200).json({
-      success: false,
-      message: 'Webhook received but processing failed',
-      error: error.message,
-    });
-  }
-};
+exports.handleCjProduct = (req, res) => processStoredEvent(req, res, 'CJ product');
 
 /**
  * Handle CJ logistics webhook
  * POST /api/v1/webhooks/cj/logistics
  */
-exports.handleCjLogistics = async (req, res) => {
-  try {
-    const webhookData = req.body;
-
-    logger.info('Received CJ logistics webhook', { webhookData });
-
-    const result = await cjWebhookService.handleLogisticsWebhook(webhookData);
-
-    res.status(200).json({
-      success: true,
-      message: 'Webhook processed successfully',
-      data: result,
-    });
-  } catch (error) {
-    logger.error('Error handling CJ logistics webhook', {
-      error: error.message,
-      webhookData: req.body,
-    });
-
-    res.status(200).json({
-      success: false,
-      message: 'Webhook received but processing failed',
-      error: error.message,
-    });
-  }
-};
+exports.handleCjLogistics = (req, res) => processStoredEvent(req, res, 'CJ logistics');
 
 /**
  * Handle Flutterwave webhook
  * POST /api/v1/webhooks/flutterwave
  */
-exports.handleFlutterwave = async (req, res) => {
-  try {
-    const webhookData = req.body;
-
-    logger.info('Received Flutterwave webhook', { webhookData });
-
-    // Flutterwave webhook handling can be added here
-    // For now, just acknowledge
-    res.status(200).json({
-      success: true,
-      message: 'Webhook received',
-    });
-  } catch (error) {
-    logger.error('Error handling Flutterwave webhook', {
-      error: error.message,
-      webhookData: req.body,
-    });
-
-    res.status(200).json({
-      success: false,
-      message: 'Webhook received but processing failed',
-    });
-  }
-};
-
-
-
+exports.handleFlutterwave = (req, res) => processStoredEvent(req, res, 'Flutterwave');
 
+/**
+ * Handle Squad webhook
+ * POST /api/v1/webhooks/squad
+ */
+exports.handleSquad = (req, res) => processStoredEvent(req, res, 'Squad');
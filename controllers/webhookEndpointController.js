@@ -0,0 +1,305 @@
+const mongoose = require('mongoose');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const outboundWebhookService = require('../services/outboundWebhookService');
+const auditLogService = require('../services/auditLogService');
+const { logger } = require('../utils/logger');
+
+const AUDIT_FIELDS = ['url', 'events', 'description', 'isActive'];
+
+async function findEndpoint(req, { withSecret = false } = {}) {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    const error = new Error('Invalid webhook endpoint ID');
+    error.status = 400;
+    throw error;
+  }
+  const query = WebhookEndpoint.findOne({ _id: id, storeId: req.storeId });
+  if (withSecret) query.select('+secret');
+  const endpoint = await query;
+  if (!endpoint) {
+    const error = new Error('Webhook endpoint not found');
+    error.status = 404;
+    throw error;
+  }
+  return endpoint;
+}
+
+/**
+ * Admin: List the current store's webhook endpoints and the events they can subscribe to
+ * GET /api/v1/admin/webhook-endpoints
+ */
+exports.getWebhookEndpoints = async (req, res) => {
+  try {
+    const endpoints = await WebhookEndpoint.find({ storeId: req.storeId })
+      .populate('createdBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({ success: true, data: endpoints, events: outboundWebhookService.EVENTS });
+  } catch (error) {
+    if ((error.status || 500) >= 500) {
+      logger.error('Error getting webhook endpoints', { error: error.message });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error?.message || 'Failed to get webhook endpoints',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Admin: Register an endpoint for the current store. The signing secret is returned once.
+ * POST /api/v1/admin/webhook-endpoints
+ * Body: { url, events: ['order.created', ...], description?, isActive? }
+ */
+exports.createWebhookEndpoint = async (req, res) => {
+  try {
+    const { url, events, description, isActive } = req.body;
+    const { endpoint, secret } = await outboundWebhookService.createEndpoint(
+      { storeId: req.storeId, url, events, description, isActive },
+      mongoose.Types.ObjectId.isValid(req.user.id) ? req.user.id : undefined
+    );
+
+    await auditLogService.record(req, {
+      action: 'webhook_endpoint.create',
+      entityType: 'WebhookEndpoint',
+      entityId: endpoint._id,
+      after: endpoint,
+      fields: AUDIT_FIELDS,
+    });
+
+    const data = endpoint.toObject();
+    delete data.secret;
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook endpoint created. Copy the signing secret now; it will not be shown again.',
+      data: { endpoint: data, secret },
+    });
+  } catch (error) {
+    if ((error.status || 500) >= 500) {
+      logger.error('Error creating webhook endpoint', { error: error.message });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error?.message || 'Failed to create webhook endpoint',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Admin: Update an endpoint
+ * PUT /api/v1/admin/webhook-endpoints/:id
+ * Body: { url?, events?, description?, isActive? }
+ */
+exports.updateWebhookEndpoint = async (req, res) => {
+  try {
+    const endpoint = await findEndpoint(req);
+    const before = endpoint.toObject();
+    await outboundWebhookService.updateEndpoint(endpoint, req.body);
+
+    await auditLogService.record(req, {
+      action: 'webhook_endpoint.update',
+      entityType: 'WebhookEndpoint',
+      entityId: endpoint._id,
+      before,
+      after: endpoint,
+      fields: AUDIT_FIELDS,
+    });
+
+    res.status(200).json({ success: true, message: 'Webhook endpoint updated', data: endpoint });
+  } catch (error) {
+    if ((error.status || 500) >= 500) {
+      logger.error('Error updating webhook endpoint', { error: error.message });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error?.message || 'Failed to update webhook endpoint',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Admin: Delete an endpoint (pending deliveries to it are dropped)
+ * DELETE /api/v1/admin/webhook-endpoints/:id
+ */
+exports.deleteWebhookEndpoint = async (req, res) => {
+  try {
+    const endpoint = await findEndpoint(req);
+    await endpoint.deleteOne();
+    await WebhookDelivery.updateMany(
+      { endpointId: endpoint._id, status: 'pending' },
+      { $set: { status: 'failed', error: 'Endpoint was deleted' } }
+    );
+
+    await auditLogService.record(req, {
+      action: 'webhook_endpoint.delete',
+      entityType: 'WebhookEndpoint',
+      entityId: endpoint._id,
+      before: endpoint,
+      fields: AUDIT_FIELDS,
+    });
+
+    res.status(200).json({ success: true, message: 'Webhook endpoint deleted' });
+  } catch (error) {
+    if ((error.status || 500) >= 500) {
+      logger.error('Error deleting webhook endpoint', { error: error.message });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error?.message || 'Failed to delete webhook endpoint',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Admin: Replace an endpoint's signing secret. The new secret is returned once.
+ * POST /api/v1/admin/webhook-endpoints/:id/rotate-secret
+ */
+exports.rotateWebhookSecret = async (req, res) => {
+  try {
+    const endpoint = await findEndpoint(req, { withSecret: true });
+    const secret = await outboundWebhookService.rotateSecret(endpoint);
+
+    await auditLogService.record(req, {
+      action: 'webhook_endpoint.rotate_secret',
+      entityType: 'WebhookEndpoint',
+      entityId: endpoint._id,
+      metadata: { url: endpoint.url },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Signing secret rotated. Copy it now; it will not be shown again.',
+      data: { secret },
+    });
+  } catch (error) {
+    if ((error.status || 500) >= 500) {
+      logger.error('Error rotating webhook secret', { error: error.message });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error?.message || 'Failed to rotate webhook secret',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Admin: Send a test 'ping' event and return the endpoint's response
+ * POST /api/v1/admin/webhook-endpoints/:id/ping
+ */
+exports.pingWebhookEndpoint = async (req, res) => {
+  try {
+    const endpoint = await findEndpoint(req, { withSecret: true });
+    const delivery = await outboundWebhookService.ping(endpoint);
+
+    res.status(200).json({
+      success: delivery.status === 'succeeded',
+      message:
+        delivery.status === 'succeeded'
+          ? `Endpoint responded with HTTP ${delivery.responseStatus}`
+          : `Ping failed: ${delivery.error}`,
+      data: delivery,
+    });
+  } catch (error) {
+    if ((error.status || 500) >= 500) {
+      logger.error('Error pinging webhook endpoint', { error: error.message });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error?.message || 'Failed to ping webhook endpoint',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Admin: Delivery log for an endpoint (newest first)
+ * GET /api/v1/admin/webhook-endpoints/:id/deliveries?status=&event=
+ */
+exports.getWebhookDeliveries = async (req, res) => {
+  try {
+    const endpoint = await findEndpoint(req);
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const { status, event } = req.query;
+
+    const query = { endpointId: endpoint._id };
+    if (status) query.status = status;
+    if (event) query.event = event;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query)
+        // Deliveries logged before bodies stopped being kept may still hold one
+        .select('-responseBody')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      WebhookDelivery.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: deliveries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit) || 1,
+      },
+    });
+  } catch (error) {
+    if ((error.status || 500) >= 500) {
+      logger.error('Error getting webhook deliveries', { error: error.message });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error?.message || 'Failed to get webhook deliveries',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Admin: Send a past delivery again (same event id and payload)
+ * POST /api/v1/admin/webhook-endpoints/:id/deliveries/:deliveryId/redeliver
+ */
+exports.redeliverWebhook = async (req, res) => {
+  try {
+    const endpoint = await findEndpoint(req);
+    const { deliveryId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(deliveryId)) {
+      return res.status(400).json({ success: false, message: 'Invalid delivery ID' });
+    }
+    const delivery = await WebhookDelivery.findOne({ _id: deliveryId, endpointId: endpoint._id });
+    if (!delivery) {
+      return res.status(404).json({ success: false, message: 'Delivery not found' });
+    }
+    if (!endpoint.isActive) {
+      return res.status(400).json({ success: false, message: 'Enable the endpoint before redelivering' });
+    }
+
+    const redelivery = await outboundWebhookService.redeliver(delivery);
+    res.status(200).json({
+      success: true,
+      message: redelivery.status === 'succeeded' ? 'Delivered' : 'Redelivery queued',
+      data: redelivery,
+    });
+  } catch (error) {
+    if ((error.status || 500) >= 500) {
+      logger.error('Error redelivering webhook', { error: error.message });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error?.message || 'Failed to redeliver webhook',
+      error: error.message,
+    });
+  }
+};
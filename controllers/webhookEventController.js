@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const WebhookEvent = require('../models/WebhookEvent');
+const webhookEventService = require('../services/webhookEventService');
+const { logger } = require('../utils/logger');
+
+/**
+ * Admin: List stored webhook events
+ * GET /api/v1/admin/webhooks?provider=&topic=&status=&eventId=&from=&to=
+ */
+exports.getWebhookEvents = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+    const { provider, topic, status, eventId, from, to } = req.query;
+
+    const query = {};
+    if (provider) query.provider = provider;
+    if (topic) query.topic = topic;
+    if (status) query.status = status;
+    if (eventId) query.$or = [{ eventId }, { claimedEventId: eventId }];
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(query)
+        .select('-payload -headers -result')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      WebhookEvent.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit) || 1,
+      },
+    });
+  } catch (error) {
+    logger.error('Error getting webhook events', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: error?.message || 'Failed to get webhook events',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Admin: Get a webhook event with payload and headers
+ * GET /api/v1/admin/webhooks/:id
+ */
+exports.getWebhookEvent = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid webhook event ID' });
+    }
+
+    const event = await WebhookEvent.findById(id).lean();
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook event not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: event,
+    });
+  } catch (error) {
+    logger.error('Error getting webhook event', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: error?.message || 'Failed to get webhook event',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Admin: Re-run processing for a stored webhook event
+ * POST /api/v1/admin/webhooks/:id/replay
+ */
+exports.replayWebhookEvent = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid webhook event ID' });
+    }
+
+    const { event, result } = await webhookEventService.replay(id);
+
+    logger.info('Webhook event replayed (admin)', {
+      webhookEventId: event._id,
+      status: event.status,
+      userId: req.user.id,
+    });
+
+    res.status(200).json({
+      success: event.status === 'processed',
+      message: event.status === 'processed' ? 'Webhook event processed' : 'Webhook event failed again',
+      data: { event, result },
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status >= 500) {
+      logger.error('Error replaying webhook event', { error: error.message, webhookEventId: req.params.id });
+    }
+    res.status(status).json({
+      success: false,
+      message: error?.message || 'Failed to replay webhook event',
+      error: error.message,
+    });
+  }
+};
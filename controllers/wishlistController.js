@@ -0,0 +1,142 @@
+const wishlistService = require('../services/wishlistService');
+const { logger } = require('../utils/logger');
+
+/**
+ * Signed-in shopper's wishlist for the current store, with current price and stock
+ * GET /api/v1/wishlist
+ */
+exports.getWishlist = async (req, res) => {
+  try {
+    const items = await wishlistService.list(req.user.id, req.storeId);
+
+    res.status(200).json({
+      success: true,
+      data: { items, count: items.length },
+    });
+  } catch (error) {
+    if ((error.status || 500) >= 500) {
+      logger.error('Error getting wishlist', { error: error.message });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error?.message || 'Failed to get wishlist',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Save a product (or one variant) to the wishlist
+ * POST /api/v1/wishlist/items
+ * Body: { productId, variantId?, notifyBackInStock?, notifyPriceDrop? } (alerts default to on)
+ */
+exports.addItem = async (req, res) => {
+  try {
+    const { productId, variantId, notifyBackInStock, notifyPriceDrop } = req.body || {};
+    if (!productId) {
+      return res.status(400).json({ success: false, message: 'Product ID is required' });
+    }
+
+    const { item, created } = await wishlistService.addItem(req.user.id, req.storeId, {
+      productId,
+      variantId,
+      notifyBackInStock,
+      notifyPriceDrop,
+    });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Added to wishlist' : 'Already in your wishlist',
+      data: item,
+    });
+  } catch (error) {
+    if ((error.status || 500) >= 500) {
+      logger.error('Error adding to wishlist', { error: error.message });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error?.message || 'Failed to add to wishlist',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Turn back-in-stock / price-drop alerts for an item on or off
+ * PUT /api/v1/wishlist/items/:itemId
+ * Body: { notifyBackInStock?, notifyPriceDrop? }
+ */
+exports.updateItem = async (req, res) => {
+  try {
+    const { notifyBackInStock, notifyPriceDrop } = req.body || {};
+    const item = await wishlistService.updateItem(req.user.id, req.storeId, req.params.itemId, {
+      notifyBackInStock,
+      notifyPriceDrop,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Wishlist alerts updated',
+      data: item,
+    });
+  } catch (error) {
+    if ((error.status || 500) >= 500) {
+      logger.error('Error updating wishlist item', { error: error.message });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error?.message || 'Failed to update wishlist item',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Remove an item from the wishlist
+ * DELETE /api/v1/wishlist/items/:itemId
+ */
+exports.removeItem = async (req, res) => {
+  try {
+    await wishlistService.removeItem(req.user.id, req.storeId, req.params.itemId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Removed from wishlist',
+    });
+  } catch (error) {
+    if ((error.status || 500) >= 500) {
+      logger.error('Error removing wishlist item', { error: error.message });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error?.message || 'Failed to remove wishlist item',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Stop alerts for an item from the link in an alert email (no sign-in needed)
+ * POST /api/v1/wishlist/unsubscribe
+ * Body: { token } (kept out of the URL so it never reaches the request logs)
+ */
+exports.unsubscribe = async (req, res) => {
+  try {
+    const data = await wishlistService.unsubscribe(req.body?.token);
+
+    res.status(200).json({
+      success: true,
+      message: 'You will no longer get alerts for this item',
+      data,
+    });
+  } catch (error) {
+    if ((error.status || 500) >= 500) {
+      logger.error('Error unsubscribing from wishlist alerts', { error: error.message });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error?.message || 'Failed to unsubscribe',
+      error: error.message,
+    });
+  }
+};
@@ -2,6 +2,13 @@ const cron = require('node-cron');
 const cjAuthService = require('../services/cjAuthService');
 const cjProductService = require('../services/cjProductService');
 const cjOrderService = require('../services/cjOrderService');
+const inventoryService = require('../services/inventoryService');
+const fulfilmentService = require('../services/fulfilmentService');
+const orderStateService = require('../services/orderStateService');
+const bankTransferService = require('../services/bankTransferService');
+const auditLogService = require('../services/auditLogService');
+const outboundWebhookService = require('../services/outboundWebhookService');
+const checkoutRecoveryService = require('../services/checkoutRecoveryService');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
 const { logger } = require('../utils/logger');
@@ -20,6 +27,66 @@ function hasCjApiKey() {
 function initializeJobs() {
   logger.info('Initializing background jobs...');
 
+  // Release stock held by unpaid orders past their reservation window (runs every 5 minutes)
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      const result = await inventoryService.releaseExpired();
+      if (result.released > 0) {
+        logger.info('Expired inventory reservations released', result);
+      }
+    } catch (error) {
+      logger.error('Inventory reservation expiry job failed', { error: error.message });
+    }
+  });
+
+  // Cancel bank transfer orders that were never paid (runs hourly)
+  cron.schedule('15 * * * *', async () => {
+    try {
+      const result = await bankTransferService.expireUnpaid();
+      if (result.expired > 0) {
+        logger.info('Unpaid bank transfer orders expired', result);
+      }
+    } catch (error) {
+      logger.error('Bank transfer expiry job failed', { error: error.message });
+    }
+  });
+
+  // Delete audit log entries past the configured retention (runs daily)
+  cron.schedule('30 3 * * *', async () => {
+    try {
+      const deleted = await auditLogService.purgeExpired();
+      if (deleted > 0) {
+        logger.info('Expired audit log entries purged', { deleted });
+      }
+    } catch (error) {
+      logger.error('Audit log purge job failed', { error: error.message });
+    }
+  });
+
+  // Retry outbound webhook deliveries that are due (runs every minute)
+  cron.schedule('* * * * *', async () => {
+    try {
+      const result = await outboundWebhookService.processDue();
+      if (result.processed > 0) {
+        logger.info('Outbound webhook retry job completed', result);
+      }
+    } catch (error) {
+      logger.error('Outbound webhook retry job failed', { error: error.message });
+    }
+  });
+
+  // Email abandoned carts and unpaid orders, and record recovered payments (runs every 15 minutes)
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      const result = await checkoutRecoveryService.processDue();
+      if (result.cartEmails > 0 || result.orderEmails > 0 || result.recovered > 0) {
+        logger.info('Checkout recovery job completed', result);
+      }
+    } catch (error) {
+      logger.error('Checkout recovery job failed', { error: error.message });
+    }
+  });
+
   // Check if CJ API key is configured
   if (!hasCjApiKey()) {
     logger.warn('CJ API key not configured. CJ-related background jobs will be skipped.');
@@ -119,21 +186,15 @@ function initializeJobs() {
             );
 
             if (cjOrder) {
-              // Update order status based on CJ order status
-              const statusMap = {
-                'PENDING': 'pending',
-                'PROCESSING': 'processing',
-                'SHIPPED': 'shipped',
-                'DELIVERED': 'delivered',
-                'CANCELLED': 'cancelled',
-              };
-
-              const newStatus = statusMap[cjOrder.status] || order.status;
-
-              if (newStatus !== order.status) {
-                order.status = newStatus;
-                await order.save();
-                logger.info(`Order ${order._id} status updated to ${newStatus}`);
+              // Update order status based on CJ order status (illegal moves are ignored)
+              const { changed } = await orderStateService.transition(
+                order._id,
+                { status: orderStateService.mapCjStatus(cjOrder.status) },
+                { source: 'job', strict: false, metadata: { cjOrderId: order.cjOrderMapping.cjOrderId, cjStatus: cjOrder.status } }
+              );
+
+              if (changed.length > 0) {
+                logger.info(`Order ${order._id} status updated from CJ status ${cjOrder.status}`);
               }
             }
           }
@@ -156,7 +217,19 @@ function initializeJobs() {
     }
   });
 
-  // Job 4: Check Token Status (runs daily at midnight)
+  // Job 4: Submit paid orders to CJ and retry failed submissions (runs every minute)
+  cron.schedule('* * * * *', async () => {
+    try {
+      const result = await fulfilmentService.processDue();
+      if (result.processed > 0 || result.stale > 0) {
+        logger.info('CJ fulfilment job completed', result);
+      }
+    } catch (error) {
+      logger.error('CJ fulfilment job failed', { error: error.message });
+    }
+  });
+
+  // Job 5: Check Token Status (runs daily at midnight)
   cron.schedule('0 0 * * *', async () => {
     try {
       // Check API key before running
@@ -0,0 +1,25 @@
+const auditLogService = require('../services/auditLogService');
+
+const MUTATING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+/**
+ * Catch-all audit trail: records every successful mutating request made through the admin panel
+ * (i.e. one that passed hasAdminAccess, which sets req.adminAccess). Controllers that record a detailed entry with
+ * auditLogService.record() are skipped. Mount once, ahead of the API routers.
+ */
+function auditAdminActions(req, res, next) {
+  if (!MUTATING_METHODS.has(req.method)) return next();
+
+  res.on('finish', () => {
+    if (!req.adminAccess || req.auditLogged || res.statusCode >= 400) return;
+    const route = req.route?.path ? `${req.baseUrl}${req.route.path}` : req.originalUrl.split('?')[0];
+    auditLogService.record(req, {
+      action: 'request',
+      entityId: req.params?.id,
+      metadata: { route: `${req.method} ${route}`, params: req.params, status: res.statusCode },
+    });
+  });
+  next();
+}
+
+module.exports = { auditAdminActions };
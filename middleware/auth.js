@@ -1,25 +1,44 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const apiKeyService = require('../services/apiKeyService');
 const { logger } = require('../utils/logger');
 
 /**
  * Authentication middleware
- * Verifies JWT token and attaches user to request
+ * Verifies JWT token and attaches user to request.
+ * Also accepts an integration API key (X-API-Key header, or Bearer sk_...), which acts as a member
+ * holding the key's scopes on its store.
  */
 exports.authenticate = async (req, res, next) => {
   try {
     // Get token from header
     const authHeader = req.headers.authorization;
+    // Remove 'Bearer ' prefix and trim whitespace
+    const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7).trim() : null;
+    const apiKey = req.headers['x-api-key'] || (apiKeyService.isApiKey(token) ? token : null);
+
+    if (apiKey) {
+      const rawIp = req.headers['x-forwarded-for'] || req.ip;
+      const key = await apiKeyService.verify(String(apiKey).trim(), rawIp ? String(rawIp).split(',')[0].trim() : undefined);
+      if (!key) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or revoked API key',
+        });
+      }
+      req.user = apiKeyService.toRequestUser(key);
+      return next();
+    }
 
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    if (!token) {
       return res.status(401).json({
         success: false,
         message: 'No token provided',
       });
     }
 
-    const token = authHeader.substring(7).trim(); // Remove 'Bearer ' prefix and trim whitespace
-
     // Check if JWT_SECRET is set
     if (!process.env.JWT_SECRET) {
       logger.error('JWT_SECRET is not configured');
@@ -43,12 +62,23 @@ exports.authenticate = async (req, res, next) => {
       });
     }
 
+    // Logged out, revoked by an admin or ended by a password change
+    if (!(await sessionService.isTokenActive(decoded, user))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked',
+      });
+    }
+
     // Attach user to request
     req.user = {
       id: user._id.toString(),
       email: user.email,
       role: user.role,
       permissions: user.permissions || [],
+      storePermissions: user.storePermissions || [],
+      sessionId: decoded.sid,
+      twoFactorEnabled: !!user.twoFactorEnabled,
     };
 
     next();
@@ -79,15 +109,37 @@ exports.authenticate = async (req, res, next) => {
 
 /**
  * Admin authorization middleware – user must have admin panel access (admin or member).
- * Must be used after authenticate middleware.
+ * Accounts the security policy requires to use 2FA are blocked until they enrol (via /auth/2fa).
+ * Must be used after authenticate middleware (and before resolveStore).
  */
-exports.hasAdminAccess = (req, res, next) => {
+exports.hasAdminAccess = async (req, res, next) => {
   if (req.user.role !== 'admin' && req.user.role !== 'member') {
     return res.status(403).json({
       success: false,
       message: 'Access denied. Admin panel access required.',
     });
   }
+
+  try {
+    // API keys have no second factor; their scopes are the control
+    if (!req.user.apiKeyId && !req.user.twoFactorEnabled && (await twoFactorService.isRequired(req.user))) {
+      return res.status(403).json({
+        success: false,
+        code: 'TWO_FACTOR_ENROLMENT_REQUIRED',
+        message: 'Two-factor authentication is required for your account. Set it up to continue.',
+      });
+    }
+  } catch (error) {
+    logger.error('Error checking two-factor policy', { error: error.message });
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to check account security policy',
+      error: error.message,
+    });
+  }
+
+  // Admin-panel request: resolveStore keeps members to their stores, auditAdminActions records it
+  req.adminAccess = true;
   next();
 };
 
@@ -131,12 +183,15 @@ exports.optionalAuth = async (req, res, next) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       const user = await User.findById(decoded.id).select('-password');
 
-      if (user) {
+      if (user && (await sessionService.isTokenActive(decoded, user))) {
         req.user = {
           id: user._id.toString(),
           email: user.email,
           role: user.role,
           permissions: user.permissions || [],
+          storePermissions: user.storePermissions || [],
+          sessionId: decoded.sid,
+          twoFactorEnabled: !!user.twoFactorEnabled,
         };
       }
     }
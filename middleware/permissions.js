@@ -1,18 +1,78 @@
-const { isValidPermission } = require('../config/permissions');
+const mongoose = require('mongoose');
+const { isValidPermission, isStorePermission, expandPermissions } = require('../config/permissions');
+
+/**
+ * Permission keys a user holds on a store: admin → null (everything); member → user.permissions plus the
+ * storePermissions entry for that store. Without a store only user.permissions count.
+ * Legacy area keys (e.g. 'orders') are expanded so unmigrated accounts keep their access.
+ */
+function getStorePermissions(user, storeId) {
+  if (!user) return [];
+  if (user.role === 'admin') return null;
+  if (user.role !== 'member') return [];
+
+  const permissions = [...(user.permissions || [])];
+  if (storeId) {
+    const entry = (user.storePermissions || []).find((sp) => String(sp.storeId) === String(storeId));
+    if (entry) permissions.push(...(entry.permissions || []));
+  }
+  return expandPermissions(permissions);
+}
+
+/**
+ * Whether the user holds `permission` (e.g. 'orders.mark_paid') on a store.
+ * '<area>.view' is also satisfied by any other action in the area.
+ */
+function hasPermission(user, permission, storeId) {
+  const permissions = getStorePermissions(user, storeId);
+  if (permissions === null || permissions.includes(permission)) return true;
+  if (permission.endsWith('.view')) {
+    const area = permission.slice(0, -'view'.length);
+    return permissions.some((p) => p.startsWith(area));
+  }
+  return false;
+}
+
+/**
+ * Store IDs a user may work in from the admin panel, or null for all stores
+ * (admins, and members with any permission that applies to every store)
+ */
+function getAccessibleStoreIds(user) {
+  if (!user || user.role === 'admin') return null;
+  if (expandPermissions(user.permissions).some(isStorePermission)) return null;
+  return (user.storePermissions || []).filter((sp) => (sp.permissions || []).length > 0).map((sp) => String(sp.storeId));
+}
+
+/**
+ * Store IDs on which a user holds `permission`, or null for all stores (for cross-store reports)
+ */
+function getPermittedStoreIds(user, permission) {
+  if (hasPermission(user, permission, null)) return null;
+  return (user?.storePermissions || [])
+    .filter((sp) => hasPermission(user, permission, sp.storeId))
+    .map((sp) => String(sp.storeId));
+}
+
+function canAccessStore(user, storeId) {
+  const storeIds = getAccessibleStoreIds(user);
+  return storeIds === null || storeIds.includes(String(storeId));
+}
 
 /**
  * Require a specific permission. Pass if user is admin (full access) or member with permission.
+ * The permission is checked on req.storeId, so mount it after resolveStore.
+ * Options:
+ *   storeParam - take the store from this route param instead (e.g. /stores/:id)
+ *   global     - only permissions granted for every store count (e.g. creating a store)
  * Must be used after authenticate middleware.
  */
-function requirePermission(permission) {
+function requirePermission(permission, { storeParam, global = false } = {}) {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ success: false, message: 'Authentication required' });
     }
-    if (req.user.role === 'admin') {
-      return next();
-    }
-    if (req.user.role === 'member' && Array.isArray(req.user.permissions) && req.user.permissions.includes(permission)) {
+    const storeId = global ? null : storeParam ? req.params[storeParam] : req.storeId;
+    if (hasPermission(req.user, permission, storeId)) {
       return next();
     }
     return res.status(403).json({
@@ -23,18 +83,56 @@ function requirePermission(permission) {
 }
 
 /**
- * Validate permissions array (e.g. from invite/edit body). Only 'users' is restricted to full admins when granting.
+ * Require view access to an area for GET/HEAD requests and manage access otherwise.
+ * For routers that mount one check in front of all their routes. Same options as requirePermission.
+ */
+function requireAreaPermission(area, options) {
+  const view = requirePermission(`${area}.view`, options);
+  const manage = requirePermission(`${area}.manage`, options);
+  return (req, res, next) => (req.method === 'GET' || req.method === 'HEAD' ? view : manage)(req, res, next);
+}
+
+/**
+ * Validate permissions array (e.g. from invite/edit body). Only 'users.*' is restricted to full admins when granting.
+ * Legacy area keys are accepted and expanded to every action in the area.
  */
 function validatePermissions(permissions, allowUsersPermission = false) {
   if (!Array.isArray(permissions)) return [];
-  const filtered = permissions.filter((p) => typeof p === 'string' && isValidPermission(p));
+  const filtered = expandPermissions(permissions.filter((p) => typeof p === 'string')).filter(isValidPermission);
   if (!allowUsersPermission) {
-    return filtered.filter((p) => p !== 'users');
+    return filtered.filter((p) => !p.startsWith('users.'));
   }
   return filtered;
 }
 
+/**
+ * Validate storePermissions (e.g. [{ storeId, permissions: [] }] from invite/edit body).
+ * Drops global-only keys and empty entries and merges duplicate stores.
+ */
+function validateStorePermissions(storePermissions) {
+  if (!Array.isArray(storePermissions)) return [];
+  const byStore = new Map();
+  for (const entry of storePermissions) {
+    if (!entry || !mongoose.Types.ObjectId.isValid(entry.storeId)) continue;
+    const permissions = Array.isArray(entry.permissions)
+      ? expandPermissions(entry.permissions.filter((p) => typeof p === 'string')).filter(isStorePermission)
+      : [];
+    const key = String(entry.storeId);
+    byStore.set(key, [...new Set([...(byStore.get(key) || []), ...permissions])]);
+  }
+  return [...byStore]
+    .filter(([, permissions]) => permissions.length > 0)
+    .map(([storeId, permissions]) => ({ storeId, permissions }));
+}
+
 module.exports = {
   requirePermission,
+  requireAreaPermission,
   validatePermissions,
+  validateStorePermissions,
+  getStorePermissions,
+  hasPermission,
+  getAccessibleStoreIds,
+  getPermittedStoreIds,
+  canAccessStore,
 };
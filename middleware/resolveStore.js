@@ -1,5 +1,13 @@
 const Store = require('../models/Store');
 const mongoose = require('mongoose');
+const { canAccessStore, getAccessibleStoreIds } = require('./permissions');
+
+// Id of the store with slug 'default', noted by resolveStore for getStoreFilter
+let defaultStoreId = null;
+
+function rememberStore(store) {
+  if (store?.slug === 'default') defaultStoreId = String(store._id);
+}
 
 /**
  * Normalize host for domain matching (strip port, lowercase).
@@ -14,62 +22,97 @@ function normalizeHost(host) {
  * - Admin: Use X-Store-Id header or ?storeId= query param.
  * - Storefront: Map req.headers.host to Store via Store.domains.
  * - Falls back to default store.
+ * On admin routes (req.adminAccess, set by hasAdminAccess) members are kept to stores they hold permissions on:
+ * an explicit store they can't access is refused, and the fallback is their first accessible store.
  * Attaches req.store and req.storeId for downstream use.
  */
 async function resolveStore(req, res, next) {
   try {
-    const headerStoreId = req.get('X-Store-Id');
-    const queryStoreId = req.query.storeId;
-    const storeId = headerStoreId || queryStoreId;
+    const store = await findStore(req);
 
-    // 1. Admin: explicit store ID
-    if (storeId && mongoose.Types.ObjectId.isValid(storeId)) {
-      const store = await Store.findById(storeId).lean();
-      if (store && store.isActive) {
-        req.store = store;
-        req.storeId = store._id;
-        return next();
+    if (req.adminAccess && !(store && canAccessStore(req.user, store._id))) {
+      const requested = req.get('X-Store-Id') || req.query.storeId;
+      if (store && requested && String(store._id) === String(requested)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You do not have access to this store.',
+        });
       }
-    }
 
-    // 2. Storefront: host-based mapping via Store.domains
-    const host = normalizeHost(req.headers.host);
-    if (host) {
-      const store = await Store.findOne({
-        domains: host,
-        isActive: true,
-      }).lean();
-      if (store) {
-        req.store = store;
-        req.storeId = store._id;
-        return next();
+      const fallback = await Store.findOne({ _id: { $in: getAccessibleStoreIds(req.user) }, isActive: true })
+        .sort({ name: 1 })
+        .lean();
+      if (!fallback) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You do not have access to any store.',
+        });
       }
+      rememberStore(fallback);
+      req.store = fallback;
+      req.storeId = fallback._id;
+      return next();
     }
 
-    // 3. Fall back to default store
-    const defaultStore = await Store.getDefaultStore();
-    req.store = defaultStore;
-    req.storeId = defaultStore._id;
+    rememberStore(store);
+    req.store = store;
+    req.storeId = store._id;
     next();
   } catch (error) {
     next(error);
   }
 }
 
+async function findStore(req) {
+  const headerStoreId = req.get('X-Store-Id');
+  const queryStoreId = req.query.storeId;
+  const storeId = headerStoreId || queryStoreId;
+
+  // 1. Admin: explicit store ID
+  if (storeId && mongoose.Types.ObjectId.isValid(storeId)) {
+    const store = await Store.findById(storeId).lean();
+    if (store && store.isActive) {
+      return store;
+    }
+  }
+
+  // 2. Storefront: host-based mapping via Store.domains
+  const host = normalizeHost(req.headers.host);
+  if (host) {
+    const store = await Store.findOne({
+      domains: host,
+      isActive: true,
+    }).lean();
+    if (store) {
+      return store;
+    }
+  }
+
+  // 3. Fall back to default store
+  return Store.getDefaultStore();
+}
+
 /**
- * For admin routes: include legacy data (storeId: null) when viewing default store.
+ * For admin routes: include legacy data (storeId: null) when viewing default store only, so
+ * members of other stores never see it.
  * Returns a MongoDB filter: { storeId: { $in: [id, null] } } or { storeId: id }
+ * storeId is expected to come from resolveStore (req.storeId), which notes the default store.
  */
 function getStoreFilter(storeId, includeLegacy = true) {
   if (!storeId) return {};
-  const defaultStoreSlug = 'default';
-  // We'd need to know if this is the default store - for now include null when includeLegacy
-  if (includeLegacy) {
+  if (includeLegacy && defaultStoreId && String(storeId) === defaultStoreId) {
     return { storeId: { $in: [storeId, null] } };
   }
   return { storeId };
 }
 
+/**
+ * Note the default store up front, for code that filters by store outside a request (background jobs)
+ */
+async function loadDefaultStore() {
+  rememberStore(await Store.findOne({ slug: 'default' }).select('slug').lean());
+}
+
 /**
  * Like resolveStore but never fails - on error, continues with req.store/req.storeId = null.
  * Use for public routes (e.g. categories) that must work even without a store.
@@ -86,4 +129,4 @@ function optionalResolveStore(req, res, next) {
   resolveStore(req, res, wrappedNext);
 }
 
-module.exports = { resolveStore, optionalResolveStore, getStoreFilter };
+module.exports = { resolveStore, optionalResolveStore, getStoreFilter, loadDefaultStore };
@@ -102,6 +102,8 @@ exports.corsOptions = {
     'Pragma',
     'CJ-Access-Token',
     'X-Store-Id',
+    'X-Order-Token',
+    'X-Cart-Token',
   ],
   exposedHeaders: ['X-Total-Count', 'X-Page-Count'],
 };
@@ -111,6 +113,8 @@ exports.authRateLimit = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 5, // Limit each IP to 5 requests per windowMs
   message: 'Too many authentication attempts, please try again later.',
+  // Token refresh runs every few minutes per client; refresh tokens can't be guessed (general limit still applies)
+  skip: (req) => req.path === '/refresh',
 });
 
 exports.generalRateLimit = rateLimit({
@@ -44,10 +44,7 @@ exports.validateLogin = [
  * Validation rules for order creation
  */
 exports.validateCreateOrder = [
-  body('items').isArray({ min: 1 }).withMessage('At least one order item is required'),
-  body('items.*.productId').notEmpty().withMessage('Product ID is required for each item'),
-  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
-  body('items.*.price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  body('quoteToken').notEmpty().withMessage('Checkout quote is required'),
   body('shippingAddress.street').notEmpty().withMessage('Shipping street address is required'),
   body('shippingAddress.city').notEmpty().withMessage('Shipping city is required'),
   body('shippingAddress.state').notEmpty().withMessage('Shipping state is required'),
@@ -62,6 +59,17 @@ exports.validateCreateOrder = [
   exports.validate,
 ];
 
+/**
+ * Validation rules for checkout quote
+ */
+exports.validateCheckoutQuote = [
+  // Items are optional: without them the shopper's cart is quoted
+  body('items').optional().isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.productId').notEmpty().withMessage('Product ID is required for each item'),
+  body('items.*.quantity').isInt({ min: 1, max: 100 }).withMessage('Quantity must be between 1 and 100'),
+  exports.validate,
+];
+
 /**
  * Validation rules for payment initialization
  */
@@ -72,6 +80,31 @@ exports.validateInitializePayment = [
   exports.validate,
 ];
 
+/**
+ * Validation rules for admin refunds (amount omitted = refund the remaining balance)
+ */
+exports.validateRefund = [
+  body('amount').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+  body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+  body('reference').optional().isString().trim().isLength({ max: 200 }).withMessage('Reference must be at most 200 characters'),
+  exports.validate,
+];
+
+/**
+ * Validation rules for bank transfer review decisions (reason required when rejecting)
+ */
+exports.validateBankTransferApproval = [
+  body('reference').optional().isString().trim().isLength({ max: 200 }).withMessage('Reference must be at most 200 characters'),
+  body('note').optional().isString().isLength({ max: 500 }).withMessage('Note must be at most 500 characters'),
+  exports.validate,
+];
+
+exports.validateBankTransferRejection = [
+  body('reason').isString().trim().notEmpty().withMessage('Reason is required')
+    .isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+  exports.validate,
+];
+
 /**
  * Validation rules for pagination
  */
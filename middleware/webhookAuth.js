@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const WebhookEvent = require('../models/WebhookEvent');
+const cjWebhookService = require('../services/cjWebhookService');
+const flutterwaveService = require('../services/flutterwaveService');
+const squadService = require('../services/squadService');
+const webhookEventService = require('../services/webhookEventService');
+const { logger } = require('../utils/logger');
+
+// Events older than this (by the sender's timestamp) are rejected. Providers retry failed
+// deliveries for hours, so this is a backstop; duplicates are caught by event id.
+const MAX_AGE_MINUTES = parseInt(process.env.WEBHOOK_MAX_AGE_MINUTES, 10) || 24 * 60;
+// Allowance for sender clocks running ahead of ours
+const MAX_FUTURE_SKEW_MINUTES = 5;
+// Characters of an unauthenticated body kept with a rejected attempt
+const REJECTED_EXCERPT_LENGTH = 500;
+
+/**
+ * Per-provider verification: resolve the secret, check the signature, extract event id/timestamp
+ */
+const providers = {
+  cj: {
+    async verify(req) {
+      const secret = await cjWebhookService.getWebhookSecret();
+      if (!secret) return 'CJ webhook secret not configured';
+      const token = req.query.token || req.headers['x-webhook-token'];
+      return cjWebhookService.verifyWebhookSignature(token, secret) ? null : 'Invalid webhook token';
+    },
+    meta: (req) => cjWebhookService.getEventMeta(req.body),
+  },
+  flutterwave: {
+    async verify(req) {
+      const secret = await flutterwaveService.getWebhookSecret();
+      if (!secret) return 'Flutterwave webhook secret not configured';
+      return flutterwaveService.verifyWebhook(req.rawBody, req.headers, secret) ? null : 'Invalid webhook signature';
+    },
+    meta: (req) => flutterwaveService.getEventMeta(req.body),
+  },
+  squad: {
+    async verify(req) {
+      const secret = await squadService.getWebhookSecret();
+      if (!secret) return 'Squad webhook secret not configured';
+      return squadService.verifyWebhook(req.rawBody, req.headers, secret) ? null : 'Invalid webhook signature';
+    },
+    meta: (req) => squadService.getEventMeta(req.body),
+  },
+};
+
+/**
+ * Parse seconds, milliseconds or a date string
+ */
+function parseTimestamp(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  const date = Number.isFinite(n) ? new Date(n < 1e12 ? n * 1000 : n) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function clientIp(req) {
+  const raw = req.headers['x-forwarded-for'] || req.ip;
+  return raw ? String(raw).split(',')[0].trim() : undefined;
+}
+
+async function reject(req, res, provider, topic, reason, status, claimedEventId) {
+  logger.warn('Webhook rejected', { provider, topic, reason, ip: clientIp(req) });
+  // Unauthenticated input: keep a hash and a short excerpt, not the whole body
+  const body = req.rawBody ? req.rawBody.toString() : JSON.stringify(req.body || {});
+  await WebhookEvent.create({
+    provider,
+    topic,
+    status: 'rejected',
+    rejectionReason: reason,
+    claimedEventId: claimedEventId ? String(claimedEventId).slice(0, 200) : undefined,
+    payloadHash: crypto.createHash('sha256').update(body).digest('hex'),
+    payloadExcerpt: body.slice(0, REJECTED_EXCERPT_LENGTH),
+    expiresAt: new Date(Date.now() + WebhookEvent.REJECTED_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+    headers: webhookEventService.pickHeaders(req.headers),
+    ip: clientIp(req),
+  }).catch((error) => logger.error('Failed to record rejected webhook', { error: error.message }));
+
+  return res.status(status).json({ success: false, message: reason });
+}
+
+/**
+ * Verify signature, reject stale events and drop duplicates for a webhook route (redeliveries of
+ * failed events are let through and run again). On success the stored event is available as req.webhookEvent.
+ * @param {'cj'|'flutterwave'|'squad'} provider
+ * @param {string} [topic] - defaults to the last path segment
+ */
+exports.verifyWebhook = (provider, topic) => async (req, res, next) => {
+  const config = providers[provider];
+  const eventTopic = topic || req.path.split('/').filter(Boolean).pop();
+
+  try {
+    const { eventId: claimedId, timestamp } = config.meta(req);
+
+    const failure = await config.verify(req);
+    if (failure) {
+      return reject(req, res, provider, eventTopic, failure, 401, claimedId);
+    }
+
+    const eventTime = parseTimestamp(timestamp);
+    if (eventTime) {
+      const ageMinutes = (Date.now() - eventTime.getTime()) / 60000;
+      if (ageMinutes > MAX_AGE_MINUTES || ageMinutes < -MAX_FUTURE_SKEW_MINUTES) {
+        return reject(req, res, provider, eventTopic, 'Stale webhook timestamp', 400, claimedId);
+      }
+    }
+
+    // No sender id: identical payloads are treated as the same event
+    const eventId = claimedId || `sha256:${crypto.createHash('sha256').update(req.rawBody || JSON.stringify(req.body || {})).digest('hex')}`;
+
+    try {
+      req.webhookEvent = await WebhookEvent.create({
+        provider,
+        topic: eventTopic,
+        eventId,
+        status: 'received',
+        eventTimestamp: eventTime || undefined,
+        payload: req.body,
+        headers: webhookEventService.pickHeaders(req.headers),
+        ip: clientIp(req),
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // A redelivery of an event that failed (e.g. payment still pending) runs it again
+      req.webhookEvent = await WebhookEvent.findOneAndUpdate(
+        { provider, eventId, status: 'failed' },
+        { $set: { status: 'received' } },
+        { new: true }
+      );
+      if (!req.webhookEvent) {
+        logger.info('Duplicate webhook ignored', { provider, topic: eventTopic, eventId });
+        return res.status(200).json({ success: true, message: 'Duplicate event ignored', duplicate: true });
+      }
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Webhook verification failed', { provider, error: error.message });
+    // Let the provider retry later
+    res.status(500).json({ success: false, message: 'Webhook verification failed' });
+  }
+};
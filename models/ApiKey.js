@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+/**
+ * API key for integrations (ERP, reporting scripts). Bound to one store; scopes are permission keys
+ * from config/permissions.js. Only a SHA-256 hash of the key is stored; the key itself is shown once.
+ */
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+    },
+    // First characters of the key, to tell keys apart in the admin panel
+    prefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    storeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Store',
+      required: true,
+      index: true,
+    },
+    scopes: {
+      type: [String],
+      default: [],
+    },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    expiresAt: { type: Date },
+    lastUsedAt: { type: Date },
+    lastUsedIp: { type: String },
+    revokedAt: { type: Date },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+/**
+ * One admin mutation: who did what to which record, and the fields it changed.
+ * Secret values are never stored; changes to them show as '[redacted]'.
+ * Old entries are purged by a daily job (retention in SecuritySettings.auditLog).
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true,
+    },
+    actorEmail: { type: String },
+    actorRole: { type: String },
+    // Set instead of actorId when the change came through an integration API key
+    apiKeyId: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey' },
+    storeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Store',
+      index: true,
+    },
+    // e.g. 'product.update_price', 'order.mark_paid'; 'request' for entries from the catch-all middleware
+    action: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    entityType: { type: String },
+    entityId: { type: String },
+    // [{ field, before, after }]
+    changes: {
+      type: [
+        {
+          _id: false,
+          field: { type: String, required: true },
+          before: { type: mongoose.Schema.Types.Mixed },
+          after: { type: mongoose.Schema.Types.Mixed },
+        },
+      ],
+      default: [],
+    },
+    metadata: { type: mongoose.Schema.Types.Mixed },
+    method: { type: String },
+    path: { type: String },
+    ip: { type: String },
+    userAgent: { type: String },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const cartItemSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    // Product.variants[].variantId (null for products without variants)
+    variantId: {
+      type: String,
+      default: null,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: true }
+);
+
+/**
+ * Shopping cart for one store, owned by a user or by an anonymous cart token (X-Cart-Token).
+ * Only a SHA-256 hash of the token is stored. Items hold references only; prices and stock are
+ * checked whenever the cart is read and again when it is quoted for checkout.
+ * status: active -> converted (became an order) | merged (folded into the user's cart on login)
+ */
+const cartSchema = new mongoose.Schema(
+  {
+    storeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Store',
+      default: null,
+      index: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    tokenHash: {
+      type: String,
+      select: false,
+    },
+    items: [cartItemSchema],
+    status: {
+      type: String,
+      enum: ['active', 'converted', 'merged'],
+      default: 'active',
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+    },
+    // Last time the shopper changed the cart
+    lastActivityAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One active cart per user per store
+cartSchema.index(
+  { userId: 1, storeId: 1 },
+  { unique: true, partialFilterExpression: { status: 'active', userId: { $type: 'objectId' } } }
+);
+cartSchema.index({ tokenHash: 1 }, { unique: true, partialFilterExpression: { tokenHash: { $type: 'string' } } });
+cartSchema.index({ status: 1, lastActivityAt: 1 });
+
+module.exports = mongoose.model('Cart', cartSchema);
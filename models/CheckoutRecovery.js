@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+/**
+ * Recovery email sequence for one abandoned cart or unpaid order, and what it brought back.
+ * Created when the first email goes out.
+ * status: active (more emails due) -> exhausted (sequence finished) | recovered (paid) | cancelled
+ */
+const checkoutRecoverySchema = new mongoose.Schema(
+  {
+    storeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Store',
+      default: null,
+      index: true,
+    },
+    kind: {
+      type: String,
+      enum: ['cart', 'order'],
+      required: true,
+    },
+    cartId: { type: mongoose.Schema.Types.ObjectId, ref: 'Cart' },
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    email: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ['active', 'exhausted', 'recovered', 'cancelled'],
+      default: 'active',
+      index: true,
+    },
+    emailsSent: { type: Number, default: 0 },
+    lastSentAt: { type: Date },
+    // Cart subtotal or order total when the sequence started
+    value: { type: Number, default: 0 },
+    currency: { type: String },
+    // Single-use coupon offered in the sequence (carts only)
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+    couponCode: { type: String },
+    recoveredOrderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    recoveredRevenue: { type: Number, default: 0 },
+    recoveredAt: { type: Date },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+checkoutRecoverySchema.index({ cartId: 1 }, { unique: true, partialFilterExpression: { cartId: { $type: 'objectId' } } });
+checkoutRecoverySchema.index({ orderId: 1 }, { unique: true, partialFilterExpression: { orderId: { $type: 'objectId' } } });
+checkoutRecoverySchema.index({ storeId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CheckoutRecovery', checkoutRecoverySchema);
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 
 const cjConfigSchema = new mongoose.Schema(
@@ -7,6 +8,11 @@ const cjConfigSchema = new mongoose.Schema(
       required: true,
       select: false, // Don't include in queries by default for security
     },
+    // Shared token appended to the callback URLs we register with CJ (CJ doesn't sign webhooks)
+    webhookSecret: {
+      type: String,
+      select: false,
+    },
     webhook: {
       // Base callback URL CJ should call (HTTPS)
       callbackUrl: { type: String, default: '' },
@@ -44,6 +50,22 @@ cjConfigSchema.statics.getWebhookConfig = async function () {
   return config?.webhook || null;
 };
 
+cjConfigSchema.statics.getWebhookSecret = async function () {
+  const config = await this.findOne().select('+webhookSecret');
+  return config?.webhookSecret || null;
+};
+
+/**
+ * Return the webhook token, generating and storing one on first use
+ */
+cjConfigSchema.statics.ensureWebhookSecret = async function () {
+  const existing = await this.getWebhookSecret();
+  if (existing) return existing;
+  const secret = crypto.randomBytes(24).toString('hex');
+  await this.findOneAndUpdate({}, { webhookSecret: secret }, { upsert: true, setDefaultsOnInsert: true });
+  return secret;
+};
+
 cjConfigSchema.statics.saveWebhookConfig = async function (webhook) {
   return await this.findOneAndUpdate(
     {},
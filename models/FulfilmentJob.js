@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+/**
+ * Queued CJ order submission for a paid order (one per order).
+ * status: queued (waiting for nextAttemptAt) -> processing -> succeeded | failed (needs attention)
+ */
+const fulfilmentJobSchema = new mongoose.Schema(
+  {
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+      unique: true,
+    },
+    storeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Store',
+      default: null,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'processing', 'succeeded', 'failed'],
+      default: 'queued',
+      index: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 6,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: {
+      type: Date,
+    },
+    lastError: {
+      type: String,
+    },
+    attemptLog: [
+      {
+        at: { type: Date, default: Date.now },
+        error: String,
+        _id: false,
+      },
+    ],
+    cjOrderId: {
+      type: String,
+    },
+    completedAt: {
+      type: Date,
+    },
+    // Where the paid transition came from (flutterwave, squad, admin, ...)
+    source: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+fulfilmentJobSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('FulfilmentJob', fulfilmentJobSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const inventoryReservationSchema = new mongoose.Schema(
+  {
+    storeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Store',
+      default: null,
+      index: true,
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+      index: true,
+    },
+    productRef: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+      index: true,
+    },
+    // Product.variants.variantId; null for products without variants
+    variantId: {
+      type: String,
+      default: null,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // reserved: held until paid or expired; committed: paid, held until placed with CJ;
+    // fulfilled: CJ order placed (CJ stock now reflects it); released: hold returned
+    status: {
+      type: String,
+      enum: ['reserved', 'committed', 'fulfilled', 'released'],
+      default: 'reserved',
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      index: true,
+    },
+    committedAt: { type: Date },
+    fulfilledAt: { type: Date },
+    releasedAt: { type: Date },
+    releaseReason: {
+      type: String,
+      enum: ['cancelled', 'payment_failed', 'expired', 'order_failed'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+inventoryReservationSchema.index({ status: 1, expiresAt: 1 });
+inventoryReservationSchema.index({ productRef: 1, variantId: 1, status: 1 });
+
+module.exports = mongoose.model('InventoryReservation', inventoryReservationSchema);
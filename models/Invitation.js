@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+/**
+ * Staff invitation. The User is only created when the invitee accepts and sets a password.
+ * status: pending -> accepted | revoked | expired (set when a lapsed invitation is superseded;
+ * until then a pending invitation past expiresAt just can't be accepted)
+ */
+const invitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      lowercase: true,
+      trim: true,
+    },
+    firstName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    lastName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: ['admin', 'member'],
+      default: 'member',
+    },
+    permissions: {
+      type: [String],
+      default: [],
+    },
+    storePermissions: {
+      type: [
+        {
+          _id: false,
+          storeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Store', required: true },
+          permissions: { type: [String], default: [] },
+        },
+      ],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'revoked', 'expired'],
+      default: 'pending',
+      index: true,
+    },
+    // SHA-256 of the emailed token; replaced on resend
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    lastSentAt: { type: Date },
+    sendCount: { type: Number, default: 0 },
+    acceptedAt: { type: Date },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    revokedAt: { type: Date },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One open invitation per email
+invitationSchema.index({ email: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+invitationSchema.index({ tokenHash: 1 });
+
+invitationSchema.virtual('isExpired').get(function () {
+  return this.status === 'pending' && this.expiresAt <= new Date();
+});
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const LOGIN_HISTORY_DAYS = parseInt(process.env.LOGIN_HISTORY_DAYS, 10) || 180;
+
+/**
+ * One login attempt (password or 2FA step), successful or not. userId is empty for unknown emails.
+ */
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    success: {
+      type: Boolean,
+      required: true,
+    },
+    // Why it failed: unknown_email, invalid_password, invalid_two_factor, throttled, locked
+    reason: {
+      type: String,
+    },
+    // 'password' or 'two_factor'
+    step: {
+      type: String,
+      default: 'password',
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+loginAttemptSchema.index({ userId: 1, createdAt: -1 });
+loginAttemptSchema.index({ email: 1, createdAt: -1 });
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: LOGIN_HISTORY_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
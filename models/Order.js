@@ -1,10 +1,38 @@
 const mongoose = require('mongoose');
 
+/**
+ * Allowed order status moves (from -> to). Anything else is rejected.
+ */
+const STATUS_TRANSITIONS = {
+  pending: ['processing', 'cancelled', 'payment_failed'],
+  payment_failed: ['pending', 'processing', 'cancelled'],
+  processing: ['shipped', 'delivered', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: [],
+};
+
+const PAYMENT_STATUS_TRANSITIONS = {
+  pending: ['paid', 'failed'],
+  failed: ['pending', 'paid'],
+  paid: ['refunded'],
+  refunded: [],
+};
+
+const TRANSITIONS = {
+  status: STATUS_TRANSITIONS,
+  paymentStatus: PAYMENT_STATUS_TRANSITIONS,
+};
+
 const orderItemSchema = new mongoose.Schema({
   productId: {
     type: String, // CJ product ID
     required: true,
   },
+  productRef: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+  },
   productName: {
     type: String,
     required: true,
@@ -15,6 +43,19 @@ const orderItemSchema = new mongoose.Schema({
   sku: {
     type: String,
   },
+  // Variant the customer picked (validated against Product.variants at quote time)
+  variantId: {
+    type: String,
+  },
+  variantName: {
+    type: String,
+  },
+  variantSku: {
+    type: String,
+  },
+  cjVid: {
+    type: String, // CJ variant ID sent to CJ on fulfilment
+  },
   quantity: {
     type: Number,
     required: true,
@@ -46,10 +87,18 @@ const orderSchema = new mongoose.Schema(
       unique: true,
       index: true,
     },
+    // Not set for guest orders until the shopper claims them with an account
     userId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: [true, 'User ID is required'],
+      default: null,
+    },
+    // Contact email for guest checkout (order lookup and the claim link go here)
+    guestEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email'],
     },
     items: [orderItemSchema],
     subtotal: {
@@ -69,11 +118,23 @@ const orderSchema = new mongoose.Schema(
     },
     couponCode: { type: String, trim: true },
     discountAmount: { type: Number, default: 0, min: 0 },
+    // Checkout quote this order redeemed (single use)
+    quoteId: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
     total: {
       type: Number,
       required: true,
       min: 0,
     },
+    // Sum of succeeded refunds; net revenue is total - refundedAmount
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     currency: {
       type: String,
       default: 'USD',
@@ -83,11 +144,17 @@ const orderSchema = new mongoose.Schema(
       enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'payment_failed'],
       default: 'pending',
     },
+    // Recipient details go to CJ as-is. Names and email are not required so orders from before they
+    // were captured still validate; createOrder always sets them.
     shippingAddress: {
+      firstName: { type: String, trim: true },
+      lastName: { type: String, trim: true },
+      email: { type: String, trim: true, lowercase: true },
       street: {
         type: String,
         required: true,
       },
+      address2: { type: String, trim: true },
       city: {
         type: String,
         required: true,
@@ -110,10 +177,15 @@ const orderSchema = new mongoose.Schema(
       },
     },
     billingAddress: {
+      firstName: { type: String, trim: true },
+      lastName: { type: String, trim: true },
+      email: { type: String, trim: true, lowercase: true },
+      phone: { type: String, trim: true },
       street: {
         type: String,
         required: true,
       },
+      address2: { type: String, trim: true },
       city: {
         type: String,
         required: true,
@@ -167,6 +239,18 @@ const orderSchema = new mongoose.Schema(
     // Bank transfer receipt (Cloudinary URL)
     bankTransferReceiptUrl: { type: String, trim: true },
     bankTransferReceiptSubmittedAt: { type: Date },
+    // Admin review of the receipt: submitted -> approved | rejected (customer may re-upload); expired = auto-cancelled
+    bankTransferStatus: {
+      type: String,
+      enum: ['submitted', 'approved', 'rejected', 'expired'],
+      index: true,
+    },
+    bankTransferReviewedAt: { type: Date },
+    bankTransferReviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    bankTransferRejectionReason: { type: String, trim: true },
     notes: {
       type: String,
     },
@@ -176,8 +260,53 @@ const orderSchema = new mongoose.Schema(
   }
 );
 
+// Aggregation expression for revenue net of refunds
+orderSchema.statics.NET_TOTAL = { $subtract: ['$total', { $ifNull: ['$refundedAmount', 0] }] };
+
+orderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+orderSchema.statics.PAYMENT_STATUS_TRANSITIONS = PAYMENT_STATUS_TRANSITIONS;
+
+/**
+ * Whether `field` ('status' or 'paymentStatus') may move from one value to another
+ */
+orderSchema.statics.canTransition = function (field, from, to) {
+  if (from === to) return true;
+  return (TRANSITIONS[field]?.[from] || []).includes(to);
+};
+
+orderSchema.pre('validate', function (next) {
+  if (!this.userId && !this.guestEmail) {
+    this.invalidate('userId', 'An order needs a customer account or a guest email');
+  }
+  next();
+});
+
+// Remember persisted values so save() can validate the move
+orderSchema.post('init', function () {
+  this.$locals.persisted = { status: this.status, paymentStatus: this.paymentStatus };
+});
+
+orderSchema.pre('save', function (next) {
+  const persisted = this.$locals.persisted;
+  if (this.isNew || !persisted) return next();
+
+  for (const field of Object.keys(TRANSITIONS)) {
+    if (this.isModified(field) && !this.constructor.canTransition(field, persisted[field], this[field])) {
+      const error = new Error(`Cannot change order ${field} from ${persisted[field]} to ${this[field]}`);
+      error.status = 409;
+      return next(error);
+    }
+  }
+  next();
+});
+
+orderSchema.post('save', function () {
+  this.$locals.persisted = { status: this.status, paymentStatus: this.paymentStatus };
+});
+
 // Indexes
 orderSchema.index({ userId: 1, createdAt: -1 });
+orderSchema.index({ guestEmail: 1, createdAt: -1 }, { partialFilterExpression: { guestEmail: { $type: 'string' } } });
 orderSchema.index({ orderNumber: 1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ paymentStatus: 1 });
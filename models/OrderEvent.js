@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+/**
+ * Order timeline entry: creation, status/payment status changes, fulfilment milestones and refunds
+ */
+const orderEventSchema = new mongoose.Schema(
+  {
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+      index: true,
+    },
+    storeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Store',
+      default: null,
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: ['created', 'status', 'payment_status', 'fulfilment', 'refund', 'bank_transfer'],
+      required: true,
+    },
+    from: {
+      type: String,
+    },
+    to: {
+      type: String,
+    },
+    // What triggered it: customer, admin, payment gateway, CJ webhook, background job, ...
+    source: {
+      type: String,
+      enum: ['customer', 'admin', 'flutterwave', 'flutterwave_webhook', 'squad', 'squad_webhook', 'webhook', 'sync', 'job', 'system'],
+      default: 'system',
+    },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+orderEventSchema.index({ orderId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('OrderEvent', orderEventSchema);
@@ -8,10 +8,11 @@ const paymentSchema = new mongoose.Schema(
       default: null,
       index: true,
     },
+    // Null for guest checkout payments
     userId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: [true, 'User ID is required'],
+      default: null,
     },
     orderId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -26,12 +27,12 @@ const paymentSchema = new mongoose.Schema(
     paymentMethodName: {
       type: String,
       required: true,
-      enum: ['Flutterwave', 'Stripe', 'PayPal', 'Squad'],
+      enum: ['Flutterwave', 'Stripe', 'PayPal', 'Squad', 'Bank Transfer'],
     },
     paymentMethodType: {
       type: String,
       required: true,
-      enum: ['flutterwave', 'stripe', 'paypal', 'squad'],
+      enum: ['flutterwave', 'stripe', 'paypal', 'squad', 'bank_transfer'],
     },
     amount: {
       type: Number,
@@ -72,6 +73,12 @@ const paymentSchema = new mongoose.Schema(
     paidAt: {
       type: Date,
     },
+    // Sum of succeeded refunds against this payment
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     metadata: {
       type: mongoose.Schema.Types.Mixed,
       default: {},
@@ -76,6 +76,12 @@ const productSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Units held by open orders (sum across variants); available = stock - reservedStock
+    reservedStock: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     isAvailable: {
       type: Boolean,
       default: true,
@@ -96,6 +102,7 @@ const productSchema = new mongoose.Schema(
         cjPrice: Number,            // CJ's cost (variantSellPrice) - optional
         suggestedPrice: Number,     // CJ's suggested selling price (variantSugSellPrice) - optional
         stock: Number,
+        reservedStock: { type: Number, default: 0 }, // Held by open orders (see InventoryReservation)
         sku: String,
       },
     ],
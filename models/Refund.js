@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+/**
+ * Full or partial refund of an order. Card refunds go through the provider that took the
+ * payment; bank transfer refunds are paid out by hand and recorded here.
+ */
+const refundSchema = new mongoose.Schema(
+  {
+    storeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Store',
+      default: null,
+      index: true,
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: [true, 'Order ID is required'],
+      index: true,
+    },
+    // Payment being refunded (absent for orders marked paid manually)
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+      index: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'],
+      min: [0.01, 'Amount must be positive'],
+    },
+    currency: {
+      type: String,
+      required: true,
+      default: 'USD',
+    },
+    type: {
+      type: String,
+      enum: ['full', 'partial'],
+      required: true,
+    },
+    method: {
+      type: String,
+      enum: ['flutterwave', 'squad', 'bank_transfer', 'manual'],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'succeeded', 'failed'],
+      default: 'pending',
+      index: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    // Provider refund id, or the bank/manual payout reference
+    reference: {
+      type: String,
+      trim: true,
+    },
+    providerResponse: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    failureReason: {
+      type: String,
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    processedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+refundSchema.index({ orderId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Refund', refundSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+/**
+ * Admin panel security policy and audit log retention (single document)
+ */
+const securitySettingsSchema = new mongoose.Schema(
+  {
+    twoFactor: {
+      // When on, matching admin/member accounts must enrol in 2FA before using the admin panel
+      enforce: { type: Boolean, default: false },
+      // Roles that always need 2FA ('admin', 'member')
+      roles: { type: [String], default: [] },
+      // Accounts holding any of these permissions need 2FA (full admins hold them all).
+      // An area key such as 'payment_methods' covers every action in it.
+      permissions: { type: [String], default: ['payment_methods', 'cj_config'] },
+    },
+    auditLog: {
+      // Entries older than this are deleted by the daily purge job
+      retentionDays: { type: Number, default: () => parseInt(process.env.AUDIT_LOG_RETENTION_DAYS, 10) || 365, min: 1 },
+    },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+securitySettingsSchema.statics.getSettings = async function () {
+  return this.findOneAndUpdate({}, {}, { upsert: true, new: true, setDefaultsOnInsert: true });
+};
+
+module.exports = mongoose.model('SecuritySettings', securitySettingsSchema);
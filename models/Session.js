@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * A signed-in device. Holds the hash of its current refresh token, which rotates on every refresh;
+ * the previous hash is kept so a replayed (stolen) token can be detected and the session ended.
+ * Access tokens carry the session id and stop working as soon as the session is revoked.
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    previousTokenHash: {
+      type: String,
+      index: true,
+    },
+    userAgent: {
+      type: String,
+    },
+    ip: {
+      type: String,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    // Absolute lifetime; refreshing doesn't extend it
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    // logout, logout_all, password_change, password_reset, two_factor_enabled, admin, refresh_token_reuse
+    revokedReason: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Drop sessions a day after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -48,6 +48,25 @@ const storeSchema = new mongoose.Schema(
       trim: true,
       default: '',
     },
+    // Server-side checkout pricing (used by checkout quotes; client-sent totals are never trusted)
+    checkout: {
+      flatShippingRate: { type: Number, default: 0, min: 0 },
+      // Orders with subtotal (after discount) at or above this ship free; null disables
+      freeShippingThreshold: { type: Number, default: null, min: 0 },
+      // Percentage applied to subtotal after discount
+      taxRate: { type: Number, default: 0, min: 0, max: 100 },
+    },
+    // Abandoned cart and unpaid order follow-up emails (sent by the recovery job)
+    recovery: {
+      enabled: { type: Boolean, default: false },
+      // Hours of cart inactivity before each email (one email per entry)
+      cartDelaysHours: { type: [Number], default: [1, 24, 72] },
+      // Hours after an unpaid order was placed before each payment reminder
+      orderDelaysHours: { type: [Number], default: [2, 24] },
+      // Percentage off in a single-use coupon sent with the last cart email; 0 sends no coupon
+      couponPercent: { type: Number, default: 0, min: 0, max: 100 },
+      couponValidHours: { type: Number, default: 72, min: 1 },
+    },
     metaVerification: {
       google: { type: String, trim: true, default: '' },
       bing: { type: String, trim: true, default: '' },
@@ -1,5 +1,27 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48;
+
+const addressSchema = new mongoose.Schema(
+  {
+    label: { type: String, trim: true, maxlength: 50 },
+    firstName: { type: String, required: true, trim: true },
+    lastName: { type: String, required: true, trim: true },
+    street: { type: String, required: true, trim: true },
+    address2: { type: String, trim: true },
+    city: { type: String, required: true, trim: true },
+    state: { type: String, required: true, trim: true },
+    zipCode: { type: String, required: true, trim: true },
+    country: { type: String, required: true, trim: true },
+    phone: { type: String, required: true, trim: true },
+  },
+  {
+    timestamps: true,
+  }
+);
 
 const userSchema = new mongoose.Schema(
   {
@@ -41,6 +63,17 @@ const userSchema = new mongoose.Schema(
       type: [String],
       default: [],
     },
+    /** Per-store permission keys for role 'member', on top of `permissions` (which apply to every store) */
+    storePermissions: {
+      type: [
+        {
+          _id: false,
+          storeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Store', required: true },
+          permissions: { type: [String], default: [] },
+        },
+      ],
+      default: [],
+    },
     /** Audit: who invited this user (for members) */
     invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     invitedAt: { type: Date },
@@ -48,10 +81,34 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
-    refreshToken: {
-      type: String,
-      select: false,
-    },
+    emailVerifiedAt: { type: Date },
+    // One-time tokens are stored as SHA-256 hashes; the raw token only goes out by email
+    passwordResetToken: { type: String, select: false },
+    passwordResetExpires: { type: Date, select: false },
+    emailVerificationToken: { type: String, select: false },
+    emailVerificationExpires: { type: Date, select: false },
+    // TOTP two-factor auth. Secrets are encrypted; recovery codes are SHA-256 hashes.
+    twoFactorEnabled: { type: Boolean, default: false },
+    twoFactorEnabledAt: { type: Date },
+    twoFactorSecret: { type: String, select: false },
+    // Secret awaiting confirmation during enrolment
+    twoFactorPendingSecret: { type: String, select: false },
+    twoFactorRecoveryCodes: { type: [String], select: false },
+    // Last TOTP time step accepted (codes can't be reused)
+    twoFactorLastStep: { type: Number, select: false },
+    // Login brute-force protection (see loginSecurityService)
+    failedLoginAttempts: { type: Number, default: 0 },
+    lastFailedLoginAt: { type: Date },
+    // Logins refused until this time (progressive delay, or lockout when lockedAt is set)
+    loginBlockedUntil: { type: Date },
+    lockedAt: { type: Date },
+    // Access tokens without a session id issued before this are rejected (see sessionService)
+    sessionsRevokedAt: { type: Date },
+    // Address book (see addressService); orders can be placed with an address id
+    addresses: { type: [addressSchema], default: [] },
+    defaultShippingAddressId: { type: mongoose.Schema.Types.ObjectId },
+    defaultBillingAddressId: { type: mongoose.Schema.Types.ObjectId },
+    // Legacy single addresses, moved into `addresses` by scripts/migrateAddresses.js
     shippingAddress: {
       street: String,
       city: String,
@@ -90,6 +147,47 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+userSchema.statics.PASSWORD_RESET_TTL_MINUTES = PASSWORD_RESET_TTL_MINUTES;
+userSchema.statics.EMAIL_VERIFICATION_TTL_HOURS = EMAIL_VERIFICATION_TTL_HOURS;
+
+userSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Issue a password reset token (replaces any earlier one). Returns the raw token; save() the user afterwards.
+ */
+userSchema.methods.createPasswordResetToken = function () {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = this.constructor.hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+  return token;
+};
+
+/**
+ * Issue an email verification token (replaces any earlier one). Returns the raw token; save() the user afterwards.
+ */
+userSchema.methods.createEmailVerificationToken = function () {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = this.constructor.hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  return token;
+};
+
+/**
+ * Find the user holding an unexpired token and clear it in the same update, so each token works once
+ * @param {'passwordReset'|'emailVerification'} type
+ */
+userSchema.statics.consumeToken = function (type, token, update = {}) {
+  const tokenField = `${type}Token`;
+  const expiresField = `${type}Expires`;
+  return this.findOneAndUpdate(
+    { [tokenField]: this.hashToken(token), [expiresField]: { $gt: new Date() } },
+    { ...update, $unset: { [tokenField]: 1, [expiresField]: 1 } },
+    { new: true }
+  );
+};
+
 // Method to get full name
 userSchema.virtual('fullName').get(function () {
   return `${this.firstName} ${this.lastName}`;
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+/**
+ * One event sent (or to be sent) to a webhook endpoint, with the outcome of the last attempt.
+ * status: pending (waiting for nextAttemptAt) -> succeeded | failed (gave up after maxAttempts)
+ */
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    endpointId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WebhookEndpoint',
+      required: true,
+    },
+    storeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Store',
+      index: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    // Sent as X-Webhook-Id; stays the same across retries so receivers can de-duplicate
+    eventId: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'succeeded', 'failed'],
+      default: 'pending',
+      index: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 8,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastAttemptAt: { type: Date },
+    // HTTP status of the last attempt (response bodies are not kept)
+    responseStatus: { type: Number },
+    durationMs: { type: Number },
+    error: { type: String },
+    deliveredAt: { type: Date },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookDeliverySchema.index({ endpointId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const WEBHOOK_EVENTS = [
+  'order.created',
+  'order.paid',
+  'order.shipped',
+  'order.cancelled',
+  'product.stock_low',
+  'review.created',
+];
+
+/**
+ * Merchant-registered HTTPS endpoint that receives store events (outbound webhooks).
+ * The signing secret is stored encrypted and only returned when created or rotated.
+ */
+const webhookEndpointSchema = new mongoose.Schema(
+  {
+    storeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Store',
+      required: true,
+      index: true,
+    },
+    url: {
+      type: String,
+      required: [true, 'URL is required'],
+      trim: true,
+      validate: {
+        validator: (value) => /^https:\/\/[^\s/$.?#][^\s]*$/i.test(value),
+        message: 'Webhook URL must be a valid https:// URL',
+      },
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    events: {
+      type: [{ type: String, enum: WEBHOOK_EVENTS }],
+      validate: {
+        validator: (value) => Array.isArray(value) && value.length > 0,
+        message: 'Select at least one event',
+      },
+    },
+    // Encrypted HMAC signing secret
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookEndpointSchema.index({ storeId: 1, isActive: 1, events: 1 });
+
+webhookEndpointSchema.statics.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const REJECTED_RETENTION_DAYS = parseInt(process.env.WEBHOOK_REJECTED_RETENTION_DAYS, 10) || 30;
+
+/**
+ * Inbound webhook delivery with its payload and processing outcome.
+ * Verified events are unique per provider + eventId (replay protection) and can be re-run by an
+ * admin; rejected attempts (bad signature, stale) are kept for auditing only, without the payload
+ * (just its hash and an excerpt), and expire after WEBHOOK_REJECTED_RETENTION_DAYS.
+ * status: received -> processed | failed; rejected never runs
+ */
+const webhookEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      enum: ['cj', 'flutterwave', 'squad'],
+      required: true,
+    },
+    // Route the event came in on (order-status, inventory, charge.completed, ...)
+    topic: {
+      type: String,
+      trim: true,
+    },
+    eventId: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: ['received', 'processed', 'failed', 'rejected'],
+      required: true,
+      index: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    // Selected request headers (signature headers redacted)
+    headers: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastAttemptAt: {
+      type: Date,
+    },
+    processedAt: {
+      type: Date,
+    },
+    error: {
+      type: String,
+    },
+    // Handler return value from the last attempt
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    rejectionReason: {
+      type: String,
+    },
+    // Event id the sender claimed on a rejected attempt (not trusted, not unique)
+    claimedEventId: {
+      type: String,
+    },
+    // Rejected attempts: sha256 of the raw body and its first characters instead of the payload
+    payloadHash: {
+      type: String,
+    },
+    payloadExcerpt: {
+      type: String,
+    },
+    // Set on rejected attempts only; removed by the TTL index
+    expiresAt: {
+      type: Date,
+    },
+    eventTimestamp: {
+      type: Date,
+    },
+    ip: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookEventSchema.index(
+  { provider: 1, eventId: 1 },
+  { unique: true, partialFilterExpression: { eventId: { $type: 'string' } } }
+);
+webhookEventSchema.index({ provider: 1, createdAt: -1 });
+webhookEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+webhookEventSchema.statics.REJECTED_RETENTION_DAYS = REJECTED_RETENTION_DAYS;
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
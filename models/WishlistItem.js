@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+/**
+ * Product (or one variant) saved by a shopper in a store, with back-in-stock and price-drop alerts.
+ * `inStock` and `referencePrice` are what the shopper last saw or was told about; alerts fire when
+ * the product changes from that state (see wishlistService.checkProduct).
+ */
+const wishlistItemSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    storeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Store',
+      default: null,
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+      index: true,
+    },
+    // Product.variants[].variantId (null for the product as a whole)
+    variantId: {
+      type: String,
+      default: null,
+    },
+    priceAtAdd: { type: Number },
+    currency: { type: String },
+    notifyBackInStock: { type: Boolean, default: true },
+    notifyPriceDrop: { type: Boolean, default: true },
+    inStock: { type: Boolean, default: true },
+    referencePrice: { type: Number },
+    backInStockAlertsSent: { type: Number, default: 0 },
+    priceDropAlertsSent: { type: Number, default: 0 },
+    lastAlertAt: { type: Date },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+wishlistItemSchema.index({ userId: 1, storeId: 1, productId: 1, variantId: 1 }, { unique: true });
+wishlistItemSchema.index({ storeId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WishlistItem', wishlistItemSchema);
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const addressController = require('../controllers/addressController');
+const { authenticate } = require('../middleware/auth');
+
+// Signed-in shopper's address book (kept out of /auth so it isn't under the login rate limit)
+router.use(authenticate);
+
+router.get('/', addressController.getAddresses);
+router.post('/', addressController.createAddress);
+router.put('/:addressId', addressController.updateAddress);
+router.delete('/:addressId', addressController.deleteAddress);
+router.post('/:addressId/default', addressController.setDefaultAddress);
+
+module.exports = router;
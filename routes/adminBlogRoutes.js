@@ -2,13 +2,13 @@ const express = require('express');
 const router = express.Router();
 const blogController = require('../controllers/blogController');
 const { authenticate, hasAdminAccess } = require('../middleware/auth');
-const { requirePermission } = require('../middleware/permissions');
+const { requireAreaPermission } = require('../middleware/permissions');
 const { resolveStore } = require('../middleware/resolveStore');
 
 router.use(authenticate);
 router.use(hasAdminAccess);
-router.use(requirePermission('blog'));
 router.use(resolveStore);
+router.use(requireAreaPermission('blog'));
 
 router.get('/', blogController.getAdminPosts);
 router.get('/:id', blogController.getAdminPostById);
@@ -2,13 +2,13 @@ const express = require('express');
 const router = express.Router();
 const couponController = require('../controllers/couponController');
 const { authenticate, hasAdminAccess } = require('../middleware/auth');
-const { requirePermission } = require('../middleware/permissions');
+const { requireAreaPermission } = require('../middleware/permissions');
 const { resolveStore } = require('../middleware/resolveStore');
 
 router.use(authenticate);
 router.use(hasAdminAccess);
-router.use(requirePermission('coupons'));
 router.use(resolveStore);
+router.use(requireAreaPermission('coupons'));
 
 router.get('/', couponController.getAdminCoupons);
 router.post('/', couponController.createCoupon);
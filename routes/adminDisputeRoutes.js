@@ -2,13 +2,13 @@ const express = require('express');
 const router = express.Router();
 const disputeController = require('../controllers/disputeController');
 const { authenticate, hasAdminAccess } = require('../middleware/auth');
-const { requirePermission } = require('../middleware/permissions');
+const { requireAreaPermission } = require('../middleware/permissions');
 const { resolveStore } = require('../middleware/resolveStore');
 
 router.use(authenticate);
 router.use(hasAdminAccess);
-router.use(requirePermission('disputes'));
 router.use(resolveStore);
+router.use(requireAreaPermission('disputes'));
 
 router.get('/', disputeController.getAdminDisputes);
 router.post('/', disputeController.createDispute);
@@ -2,13 +2,13 @@ const express = require('express');
 const router = express.Router();
 const faqController = require('../controllers/faqController');
 const { authenticate, hasAdminAccess } = require('../middleware/auth');
-const { requirePermission } = require('../middleware/permissions');
+const { requireAreaPermission } = require('../middleware/permissions');
 const { resolveStore } = require('../middleware/resolveStore');
 
 router.use(authenticate);
 router.use(hasAdminAccess);
-router.use(requirePermission('faq'));
 router.use(resolveStore);
+router.use(requireAreaPermission('faq'));
 
 router.get('/', faqController.getAdminFaqs);
 router.post('/', faqController.createFaq);
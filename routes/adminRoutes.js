@@ -8,51 +8,114 @@ const productController = require('../controllers/productController');
 const customerController = require('../controllers/customerController');
 const analyticsController = require('../controllers/analyticsController');
 const storeController = require('../controllers/storeController');
+const inventoryController = require('../controllers/inventoryController');
+const fulfilmentController = require('../controllers/fulfilmentController');
+const refundController = require('../controllers/refundController');
+const bankTransferController = require('../controllers/bankTransferController');
+const webhookEventController = require('../controllers/webhookEventController');
+const securitySettingsController = require('../controllers/securitySettingsController');
+const auditLogController = require('../controllers/auditLogController');
+const apiKeyController = require('../controllers/apiKeyController');
+const webhookEndpointController = require('../controllers/webhookEndpointController');
 const { authenticate, hasAdminAccess, requireAdmin } = require('../middleware/auth');
 const { requirePermission } = require('../middleware/permissions');
 const { resolveStore } = require('../middleware/resolveStore');
+const { validateRefund, validateBankTransferApproval, validateBankTransferRejection } = require('../middleware/validation');
 
 router.use(authenticate);
 router.use(hasAdminAccess);
 router.use(resolveStore);
 
 // Dashboard & analytics
-router.get('/dashboard/stats', requirePermission('dashboard'), dashboardController.getDashboardStats);
-router.get('/dashboard/trends', requirePermission('dashboard'), dashboardController.getDashboardTrends);
-router.get('/cj/balance', requirePermission('dashboard'), dashboardController.getCjBalance);
-router.get('/analytics/top-products', requirePermission('dashboard'), analyticsController.getTopProducts);
-router.get('/analytics/revenue-by-country', requirePermission('dashboard'), analyticsController.getRevenueByCountry);
-router.get('/analytics/revenue-by-payment-method', requirePermission('dashboard'), analyticsController.getRevenueByPaymentMethod);
-router.get('/analytics/by-store', requirePermission('dashboard'), analyticsController.getAnalyticsByStore);
-
-// Stores
-router.get('/stores', requirePermission('stores'), storeController.getStores);
-router.get('/stores/:id', requirePermission('stores'), storeController.getStore);
-router.post('/stores', requirePermission('stores'), storeController.createStore);
-router.put('/stores/:id', requirePermission('stores'), storeController.updateStore);
-router.delete('/stores/:id', requirePermission('stores'), storeController.deleteStore);
+router.get('/dashboard/stats', requirePermission('dashboard.view'), dashboardController.getDashboardStats);
+router.get('/dashboard/trends', requirePermission('dashboard.view'), dashboardController.getDashboardTrends);
+router.get('/cj/balance', requirePermission('dashboard.view'), dashboardController.getCjBalance);
+router.get('/analytics/top-products', requirePermission('dashboard.view'), analyticsController.getTopProducts);
+router.get('/analytics/revenue-by-country', requirePermission('dashboard.view'), analyticsController.getRevenueByCountry);
+router.get('/analytics/revenue-by-payment-method', requirePermission('dashboard.view'), analyticsController.getRevenueByPaymentMethod);
+router.get('/analytics/by-store', requirePermission('dashboard.view'), analyticsController.getAnalyticsByStore);
+router.get('/analytics/recovery', requirePermission('dashboard.view'), analyticsController.getRecoveryStats);
+router.get('/analytics/wishlist', requirePermission('dashboard.view'), analyticsController.getWishlistStats);
+
+// Stores (the list is open to all staff, filtered to the stores they can access, for the store switcher)
+router.get('/stores', storeController.getStores);
+router.get('/stores/:id', requirePermission('stores.view', { storeParam: 'id' }), storeController.getStore);
+router.post('/stores', requirePermission('stores.manage', { global: true }), storeController.createStore);
+router.put('/stores/:id', requirePermission('stores.manage', { storeParam: 'id' }), storeController.updateStore);
+router.delete('/stores/:id', requirePermission('stores.manage', { global: true }), storeController.deleteStore);
 
 // Orders & customers
-router.get('/customers', requirePermission('orders'), customerController.getCustomers);
-router.get('/customers/ltv-distribution', requirePermission('orders'), customerController.getLtvDistribution);
-router.post('/customers/backfill-stats', requirePermission('orders'), customerController.backfillCustomerStats);
-router.get('/customers/by-ip/:ip', requirePermission('orders'), customerController.getOrdersByIp);
-router.get('/customers/:id/orders', requirePermission('orders'), customerController.getCustomerOrders);
-router.get('/customers/:id', requirePermission('orders'), customerController.getCustomerDetail);
-router.get('/orders', requirePermission('orders'), orderController.getAdminOrders);
-router.get('/orders/:id', requirePermission('orders'), orderController.getAdminOrder);
-router.post('/orders/:id/mark-paid', requirePermission('orders'), orderController.markOrderAsPaid);
+router.get('/customers', requirePermission('orders.view'), customerController.getCustomers);
+router.get('/customers/ltv-distribution', requirePermission('orders.view'), customerController.getLtvDistribution);
+router.post('/customers/backfill-stats', requirePermission('orders.manage'), customerController.backfillCustomerStats);
+router.get('/customers/by-ip/:ip', requirePermission('orders.view'), customerController.getOrdersByIp);
+router.get('/customers/:id/orders', requirePermission('orders.view'), customerController.getCustomerOrders);
+router.get('/customers/:id', requirePermission('orders.view'), customerController.getCustomerDetail);
+router.get('/orders', requirePermission('orders.view'), orderController.getAdminOrders);
+router.get('/orders/:id', requirePermission('orders.view'), orderController.getAdminOrder);
+router.post('/orders/:id/mark-paid', requirePermission('orders.mark_paid'), orderController.markOrderAsPaid);
+router.post('/orders/:id/fulfilment/retry', requirePermission('orders.manage'), fulfilmentController.retryFulfilment);
+
+// CJ fulfilment queue
+router.get('/fulfilment/needs-attention', requirePermission('orders.view'), fulfilmentController.getNeedsAttention);
 
 // Payments
-router.get('/payments', requirePermission('payments'), paymentController.getAdminPayments);
+router.get('/payments', requirePermission('payments.view'), paymentController.getAdminPayments);
+
+// Refunds
+router.get('/refunds', requirePermission('payments.view'), refundController.getRefunds);
+router.get('/orders/:id/refunds', requirePermission('payments.view'), refundController.getOrderRefunds);
+router.post('/orders/:id/refunds', requirePermission('payments.refund'), validateRefund, refundController.createRefund);
+
+// Bank transfer receipt review
+router.get('/bank-transfers', requirePermission('payments.view'), bankTransferController.getBankTransferQueue);
+router.post('/orders/:id/bank-transfer/approve', requirePermission('payments.manage'), validateBankTransferApproval, bankTransferController.approveBankTransfer);
+router.post('/orders/:id/bank-transfer/reject', requirePermission('payments.manage'), validateBankTransferRejection, bankTransferController.rejectBankTransfer);
 
 // Users (full admin only)
 router.post('/users/invite', requireAdmin, userController.inviteUser);
+router.post('/invitations/:id/resend', requireAdmin, userController.resendInvitation);
+router.post('/invitations/:id/revoke', requireAdmin, userController.revokeInvitation);
 router.get('/users', requireAdmin, userController.getAdminUsers);
 router.put('/users/:id', requireAdmin, userController.updateUser);
 router.delete('/users/:id', requireAdmin, userController.deleteUser);
+router.post('/users/:id/sessions/revoke', requireAdmin, userController.revokeUserSessions);
+router.post('/users/:id/2fa/reset', requireAdmin, userController.resetUserTwoFactor);
+router.post('/users/:id/unlock', requireAdmin, userController.unlockUser);
+
+// Security policy (2FA enforcement)
+router.get('/security-settings', requireAdmin, securitySettingsController.getSecuritySettings);
+router.put('/security-settings', requireAdmin, securitySettingsController.updateSecuritySettings);
+
+// Integration API keys (full admin only)
+router.get('/api-keys', requireAdmin, apiKeyController.getApiKeys);
+router.post('/api-keys', requireAdmin, apiKeyController.createApiKey);
+router.post('/api-keys/:id/revoke', requireAdmin, apiKeyController.revokeApiKey);
+
+// Audit log of admin changes (full admin only)
+router.get('/audit-logs', requireAdmin, auditLogController.getAuditLogs);
+router.get('/audit-logs/:id', requireAdmin, auditLogController.getAuditLog);
+
+// Inbound webhook log (full admin only: events aren't store-scoped)
+router.get('/webhooks', requireAdmin, webhookEventController.getWebhookEvents);
+router.get('/webhooks/:id', requireAdmin, webhookEventController.getWebhookEvent);
+router.post('/webhooks/:id/replay', requireAdmin, webhookEventController.replayWebhookEvent);
+
+// Outbound webhooks (endpoints of the current store, delivery log, test ping)
+router.get('/webhook-endpoints', requirePermission('webhooks.view'), webhookEndpointController.getWebhookEndpoints);
+router.post('/webhook-endpoints', requirePermission('webhooks.manage'), webhookEndpointController.createWebhookEndpoint);
+router.put('/webhook-endpoints/:id', requirePermission('webhooks.manage'), webhookEndpointController.updateWebhookEndpoint);
+router.delete('/webhook-endpoints/:id', requirePermission('webhooks.manage'), webhookEndpointController.deleteWebhookEndpoint);
+router.post('/webhook-endpoints/:id/rotate-secret', requirePermission('webhooks.manage'), webhookEndpointController.rotateWebhookSecret);
+router.post('/webhook-endpoints/:id/ping', requirePermission('webhooks.manage'), webhookEndpointController.pingWebhookEndpoint);
+router.get('/webhook-endpoints/:id/deliveries', requirePermission('webhooks.view'), webhookEndpointController.getWebhookDeliveries);
+router.post('/webhook-endpoints/:id/deliveries/:deliveryId/redeliver', requirePermission('webhooks.manage'), webhookEndpointController.redeliverWebhook);
 
 // Products (CJ stock)
-router.get('/cj/stock', requirePermission('products'), productController.getCjStock);
+router.get('/cj/stock', requirePermission('products.view'), productController.getCjStock);
+
+// Inventory reservations (stock held by open orders)
+router.get('/inventory/reservations', requirePermission('products.view'), inventoryController.getReservations);
+router.get('/inventory/products/:id', requirePermission('products.view'), inventoryController.getProductInventory);
 
 module.exports = router;
@@ -6,12 +6,26 @@ const { authenticate } = require('../middleware/auth');
 // Public routes
 router.post('/register', authController.register);
 router.post('/login', authController.login);
+router.post('/login/2fa', authController.loginTwoFactor);
+router.post('/refresh', authController.refresh);
+router.post('/logout', authController.logout);
+router.post('/forgot-password', authController.forgotPassword);
+router.post('/reset-password', authController.resetPassword);
+router.post('/verify-email', authController.verifyEmail);
+router.post('/resend-verification', authController.resendVerification);
+router.post('/invitations/lookup', authController.getInvitation);
+router.post('/accept-invite', authController.acceptInvitation);
 
 // Protected routes
 router.use(authenticate);
 router.get('/me', authController.getMe);
 router.put('/profile', authController.updateProfile);
 router.put('/change-password', authController.changePassword);
+router.post('/logout-all', authController.logoutAll);
+router.post('/2fa/setup', authController.setupTwoFactor);
+router.post('/2fa/enable', authController.enableTwoFactor);
+router.post('/2fa/disable', authController.disableTwoFactor);
+router.post('/2fa/recovery-codes', authController.regenerateRecoveryCodes);
 
 module.exports = router;
 
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const cartController = require('../controllers/cartController');
+const { optionalAuth } = require('../middleware/auth');
+const { resolveStore } = require('../middleware/resolveStore');
+
+// Carts are per store; signed-in shoppers use their account cart, others the X-Cart-Token header
+router.use(resolveStore);
+router.use(optionalAuth);
+
+router.get('/', cartController.getCart);
+router.delete('/', cartController.clearCart);
+router.post('/items', cartController.addItem);
+router.put('/items/:itemId', cartController.updateItem);
+router.delete('/items/:itemId', cartController.removeItem);
+
+module.exports = router;
@@ -2,13 +2,13 @@ const express = require('express');
 const router = express.Router();
 const categoryController = require('../controllers/categoryController');
 const { authenticate, hasAdminAccess } = require('../middleware/auth');
-const { requirePermission } = require('../middleware/permissions');
+const { requireAreaPermission } = require('../middleware/permissions');
 const { resolveStore } = require('../middleware/resolveStore');
 
 router.use(authenticate);
 router.use(hasAdminAccess);
-router.use(requirePermission('categories'));
 router.use(resolveStore);
+router.use(requireAreaPermission('categories'));
 
 // Get all categories (with optional tree structure)
 router.get('/', categoryController.getCategories);
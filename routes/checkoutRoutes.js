@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const checkoutController = require('../controllers/checkoutController');
+const { optionalAuth } = require('../middleware/auth');
+const { resolveStore } = require('../middleware/resolveStore');
+const { validateCheckoutQuote } = require('../middleware/validation');
+
+router.use(resolveStore);
+router.use(optionalAuth);
+
+// Quote is bound to the store and, when signed in, to the user; POST /orders redeems it (guests included)
+router.post('/quote', validateCheckoutQuote, checkoutController.createQuote);
+
+module.exports = router;
@@ -3,12 +3,12 @@ const router = express.Router();
 const { body } = require('express-validator');
 const cjConfigController = require('../controllers/cjConfigController');
 const { authenticate, hasAdminAccess } = require('../middleware/auth');
-const { requirePermission } = require('../middleware/permissions');
+const { requireAreaPermission } = require('../middleware/permissions');
 const { validate } = require('../middleware/validation');
 
 router.use(authenticate);
 router.use(hasAdminAccess);
-router.use(requirePermission('cj_config'));
+router.use(requireAreaPermission('cj_config'));
 
 // CJ Configuration Routes
 router.get('/token-status', cjConfigController.getTokenStatus);
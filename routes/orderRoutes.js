@@ -2,16 +2,22 @@ const express = require('express');
 const router = express.Router();
 const orderController = require('../controllers/orderController');
 const disputeController = require('../controllers/disputeController');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, optionalAuth } = require('../middleware/auth');
 const { resolveStore } = require('../middleware/resolveStore');
+const { strictRateLimit } = require('../middleware/security');
 
 // Resolve store from host (storefront) or X-Store-Id (admin)
 router.use(resolveStore);
 
-// All order routes require authentication
+// Guest checkout and order status (no account needed)
+router.post('/', optionalAuth, orderController.createOrder);
+router.post('/lookup', strictRateLimit, orderController.lookupOrder);
+router.post('/track', orderController.getOrderByAccessToken);
+
+// Everything else requires authentication
 router.use(authenticate);
 
-router.post('/', orderController.createOrder);
+router.post('/claim', orderController.claimGuestOrders);
 router.get('/', orderController.getOrders);
 router.get('/:id', orderController.getOrder);
 router.get('/:id/disputes', disputeController.getOrderDisputes);
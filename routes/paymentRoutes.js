@@ -1,27 +1,25 @@
 const express = require('express');
 const router = express.Router();
 const paymentController = require('../controllers/paymentController');
-const { authenticate } = require('../middleware/auth');
-
-// All payment routes require authentication
-router.use(authenticate);
+const { authenticate, optionalAuth } = require('../middleware/auth');
 
+// Paying for an order works signed in or as a guest (with the order's access token)
 // Flutterwave payment routes
-router.post('/flutterwave/initialize', paymentController.initializeFlutterwavePayment);
-router.post('/flutterwave/verify', paymentController.verifyFlutterwavePayment);
-router.post('/flutterwave/callback', paymentController.flutterwaveCallback);
+router.post('/flutterwave/initialize', optionalAuth, paymentController.initializeFlutterwavePayment);
+router.post('/flutterwave/verify', optionalAuth, paymentController.verifyFlutterwavePayment);
+router.post('/flutterwave/callback', authenticate, paymentController.flutterwaveCallback);
 
 // Squad payment routes
-router.post('/squad/initialize', paymentController.initializeSquadPayment);
-router.post('/squad/verify', paymentController.verifySquadPayment);
+router.post('/squad/initialize', optionalAuth, paymentController.initializeSquadPayment);
+router.post('/squad/verify', optionalAuth, paymentController.verifySquadPayment);
 
 // Bank transfer routes
-router.post('/bank-transfer/details', paymentController.getBankTransferDetails);
-router.post('/bank-transfer/upload-receipt', paymentController.uploadBankTransferReceipt);
+router.post('/bank-transfer/details', optionalAuth, paymentController.getBankTransferDetails);
+router.post('/bank-transfer/upload-receipt', optionalAuth, paymentController.uploadBankTransferReceipt);
 
-// General payment routes
-router.get('/', paymentController.getPayments);
-router.get('/:id', paymentController.getPayment);
+// Payment history requires an account
+router.get('/', authenticate, paymentController.getPayments);
+router.get('/:id', authenticate, paymentController.getPayment);
 
 module.exports = router;
 
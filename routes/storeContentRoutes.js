@@ -2,11 +2,11 @@ const express = require('express');
 const router = express.Router({ mergeParams: true }); // To access :storeId from parent route
 const storeContentController = require('../controllers/storeContentController');
 const { authenticate, hasAdminAccess } = require('../middleware/auth');
-const { requirePermission } = require('../middleware/permissions');
+const { requireAreaPermission } = require('../middleware/permissions');
 
 router.use(authenticate);
 router.use(hasAdminAccess);
-router.use(requirePermission('store_content'));
+router.use(requireAreaPermission('store_content', { storeParam: 'storeId' }));
 
 // Admin routes (nested under /admin/stores/:storeId/content)
 router.get('/', storeContentController.getAllContent);
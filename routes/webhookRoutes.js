@@ -1,15 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const webhookController = require('../controllers/webhookController');
+const { verifyWebhook } = require('../middleware/webhookAuth');
 
-// Webhook routes don't require authentication (they use signatures/secrets)
-// But you can add IP whitelisting or signature verification if needed
+// Webhook routes don't use user auth: each provider's signature/token is verified,
+// stale events are rejected and duplicate event ids are dropped
 
-router.post('/cj/order-status', webhookController.handleCjOrderStatus);
-router.post('/cj/inventory', webhookController.handleCjInventory);
-router.post('/cj/product', webhookController.handleCjProduct);
-router.post('/cj/logistics', webhookController.handleCjLogistics);
-router.post('/flutterwave', webhookController.handleFlutterwave);
+router.post('/cj/order-status', verifyWebhook('cj'), webhookController.handleCjOrderStatus);
+router.post('/cj/inventory', verifyWebhook('cj'), webhookController.handleCjInventory);
+router.post('/cj/product', verifyWebhook('cj'), webhookController.handleCjProduct);
+router.post('/cj/logistics', verifyWebhook('cj'), webhookController.handleCjLogistics);
+router.post('/flutterwave', verifyWebhook('flutterwave', 'payment'), webhookController.handleFlutterwave);
+router.post('/squad', verifyWebhook('squad', 'payment'), webhookController.handleSquad);
 
 module.exports = router;
 
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const wishlistController = require('../controllers/wishlistController');
+const { authenticate } = require('../middleware/auth');
+const { resolveStore } = require('../middleware/resolveStore');
+
+// Wishlists are per store
+router.use(resolveStore);
+
+// Unsubscribe link from alert emails
+router.post('/unsubscribe', wishlistController.unsubscribe);
+
+// Everything else requires authentication
+router.use(authenticate);
+
+router.get('/', wishlistController.getWishlist);
+router.post('/items', wishlistController.addItem);
+router.put('/items/:itemId', wishlistController.updateItem);
+router.delete('/items/:itemId', wishlistController.removeItem);
+
+module.exports = router;
@@ -0,0 +1,82 @@
+/**
+ * Migration script: Move customers' single User.shippingAddress / billingAddress into the address book.
+ *
+ * Run: npm run migrate:addresses (dry run)
+ * Apply: npm run migrate:addresses:apply
+ *
+ * Logic:
+ * - Each legacy address becomes a book address (named after the account, with the account phone) and the
+ *   default for its type; an address already in the book (same street and zip code) is reused
+ * - A legacy field is cleared only once its address is in the book
+ * - Incomplete legacy addresses (no phone, no state, ...) are left untouched and listed, so nothing is lost
+ * Until this runs, /auth/me still returns the legacy addresses, and the first profile address update
+ * moves them into the book.
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+const addressService = require('../services/addressService');
+
+dotenv.config();
+
+const migrate = async (dryRun = true) => {
+  try {
+    await mongoose.connect(process.env.MONGO_URL, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+      serverSelectionTimeoutMS: 10000,
+    });
+
+    console.log('Connected to MongoDB');
+    console.log(dryRun ? '\n--- DRY RUN (no changes) ---\n' : '\n--- MIGRATING ---\n');
+
+    const hasStreet = { $exists: true, $nin: [null, ''] };
+    const users = await User.find({
+      $or: [{ 'shippingAddress.street': hasStreet }, { 'billingAddress.street': hasStreet }],
+    });
+
+    const counts = { users: 0, imported: 0, skipped: 0, failed: 0 };
+    for (const user of users) {
+      const { imported, skipped } = addressService.importLegacy(user);
+      counts.imported += imported.length;
+      counts.skipped += skipped.length;
+      if (skipped.length > 0) {
+        console.log(`  ${user.email}: incomplete ${skipped.join(' and ')} address left in place`);
+      }
+      if (imported.length === 0) continue;
+
+      counts.users++;
+      if (dryRun && counts.users <= 10) {
+        console.log(`  ${user.email}: ${imported.join(' and ')} address → address book`);
+      }
+      if (!dryRun) {
+        try {
+          await user.save();
+        } catch (error) {
+          counts.failed++;
+          console.log(`  ${user.email}: failed (${error.message})`);
+        }
+      }
+    }
+
+    console.log('\n--- Summary ---');
+    console.log(`Users to migrate: ${counts.users}`);
+    console.log(`Addresses to import: ${counts.imported}`);
+    console.log(`Incomplete addresses left in place: ${counts.skipped}`);
+    if (!dryRun) console.log(`Failed: ${counts.failed}`);
+    if (dryRun && counts.users > 0) {
+      console.log('\nRun with --apply to apply changes: node scripts/migrateAddresses.js --apply');
+    }
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+};
+
+const dryRun = !process.argv.includes('--apply');
+migrate(dryRun);
@@ -0,0 +1,95 @@
+/**
+ * Migration script: Move member permissions from all-or-nothing area keys to '<area>.<action>' keys.
+ *
+ * Run: npm run migrate:permissions (dry run)
+ * Apply: npm run migrate:permissions:apply
+ *
+ * Logic:
+ * - Each legacy key (e.g. 'orders') becomes every action in its area ('orders.view', 'orders.manage', ...),
+ *   so nobody loses access; narrow members down afterwards from the admin panel
+ * - Applies to User.permissions, User.storePermissions and pending Invitation records
+ * - Already-migrated keys are left as they are; unknown keys are dropped
+ * Until this runs, legacy keys are expanded at request time, so the order of deploy and migration doesn't matter.
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+const Invitation = require('../models/Invitation');
+const { expandPermissions, isValidPermission } = require('../config/permissions');
+
+dotenv.config();
+
+const migrateList = (permissions) => expandPermissions(permissions || []).filter(isValidPermission);
+
+const sameList = (a, b) => a.length === b.length && a.every((key, i) => key === b[i]);
+
+const migrateDoc = (doc) => {
+  const update = {};
+  const permissions = migrateList(doc.permissions);
+  if (!sameList(permissions, doc.permissions || [])) update.permissions = permissions;
+
+  if (Array.isArray(doc.storePermissions) && doc.storePermissions.length > 0) {
+    let changed = false;
+    const storePermissions = doc.storePermissions.map((entry) => {
+      const migrated = migrateList(entry.permissions);
+      if (!sameList(migrated, entry.permissions || [])) changed = true;
+      return { storeId: entry.storeId, permissions: migrated };
+    });
+    if (changed) update.storePermissions = storePermissions;
+  }
+
+  return Object.keys(update).length ? update : null;
+};
+
+const migrate = async (dryRun = true) => {
+  try {
+    await mongoose.connect(process.env.MONGO_URL, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+      serverSelectionTimeoutMS: 10000,
+    });
+
+    console.log('Connected to MongoDB');
+    console.log(dryRun ? '\n--- DRY RUN (no changes) ---\n' : '\n--- MIGRATING ---\n');
+
+    const counts = {};
+    for (const [name, Model, filter] of [
+      ['Users', User, { role: 'member' }],
+      ['Invitations', Invitation, { status: 'pending' }],
+    ]) {
+      const docs = await Model.find(filter).select('email permissions storePermissions').lean();
+      counts[name] = 0;
+
+      for (const doc of docs) {
+        const update = migrateDoc(doc);
+        if (!update) continue;
+
+        counts[name]++;
+        if (dryRun && counts[name] <= 10) {
+          console.log(`  ${name}: ${doc.email}: [${(doc.permissions || []).join(', ')}] → [${(update.permissions || doc.permissions || []).join(', ')}]`);
+        }
+        if (!dryRun) {
+          await Model.updateOne({ _id: doc._id }, { $set: update });
+        }
+      }
+    }
+
+    console.log('\n--- Summary ---');
+    console.log(`Members to migrate: ${counts.Users}`);
+    console.log(`Pending invitations to migrate: ${counts.Invitations}`);
+    if (dryRun && (counts.Users > 0 || counts.Invitations > 0)) {
+      console.log('\nRun with --apply to apply changes: node scripts/migratePermissions.js --apply');
+    }
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+};
+
+const dryRun = !process.argv.includes('--apply');
+migrate(dryRun);
@@ -0,0 +1,298 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const MAX_ADDRESSES = 20;
+
+// Required on every saved and order address (billing phone is optional on orders)
+const REQUIRED_FIELDS = {
+  firstName: 'First name',
+  lastName: 'Last name',
+  street: 'Street address',
+  city: 'City',
+  state: 'State',
+  zipCode: 'Zip code',
+  country: 'Country',
+  phone: 'Phone',
+};
+const OPTIONAL_FIELDS = ['label', 'address2', 'email'];
+
+function addressError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+class AddressService {
+  /**
+   * Known address fields from client input, trimmed. Throws 400 naming the first missing field.
+   * @param {object} input
+   * @param {{ prefix?: string, optional?: string[] }} options - message prefix ('Shipping'), fields that may be empty
+   */
+  normalize(input, { prefix = '', optional = [] } = {}) {
+    if (!input || typeof input !== 'object') {
+      throw addressError(`${prefix ? `${prefix} address` : 'Address'} is required`);
+    }
+
+    const address = {};
+    for (const field of [...Object.keys(REQUIRED_FIELDS), ...OPTIONAL_FIELDS]) {
+      const value = input[field];
+      if (value != null && String(value).trim() !== '') {
+        address[field] = String(value).trim();
+      }
+    }
+
+    for (const [field, label] of Object.entries(REQUIRED_FIELDS)) {
+      if (!address[field] && !optional.includes(field)) {
+        throw addressError(`${prefix ? `${prefix} ${label.toLowerCase()}` : label} is required`);
+      }
+    }
+    return address;
+  }
+
+  async getUser(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw addressError('User not found', 404);
+    }
+    return user;
+  }
+
+  /**
+   * Copy the old single shipping/billing address into the book (see scripts/migrateAddresses.js).
+   * A legacy field is only cleared once its address is in the book; incomplete ones (no phone,
+   * no state, ...) are left where they are. Does not save the user.
+   * @returns {{ imported: string[], skipped: string[] }} address types ('shipping', 'billing')
+   */
+  importLegacy(user) {
+    const result = { imported: [], skipped: [] };
+
+    for (const type of ['shipping', 'billing']) {
+      const field = `${type}Address`;
+      const key = type === 'shipping' ? 'defaultShippingAddressId' : 'defaultBillingAddressId';
+      const legacy = user[field];
+      if (!legacy?.street) continue;
+
+      let address = user.addresses.find((a) => a.street === legacy.street && a.zipCode === legacy.zipCode);
+      if (!address) {
+        let fields;
+        try {
+          fields = this.normalize({
+            firstName: user.firstName,
+            lastName: user.lastName,
+            phone: user.phone,
+            street: legacy.street,
+            city: legacy.city,
+            state: legacy.state,
+            zipCode: legacy.zipCode,
+            country: legacy.country,
+          });
+        } catch (error) {
+          result.skipped.push(type);
+          continue;
+        }
+        if (user.addresses.length >= MAX_ADDRESSES) {
+          result.skipped.push(type);
+          continue;
+        }
+        address = user.addresses.create(fields);
+        user.addresses.push(address);
+      }
+
+      if (!user[key] || !user.addresses.id(user[key])) user[key] = address._id;
+      user[field] = undefined;
+      result.imported.push(type);
+    }
+
+    this.ensureDefaults(user);
+    return result;
+  }
+
+  /**
+   * Point missing or stale defaults at the first address
+   */
+  ensureDefaults(user) {
+    const first = user.addresses[0]?._id;
+    const exists = (id) => id && user.addresses.some((a) => a._id.equals(id));
+    if (!exists(user.defaultShippingAddressId)) user.defaultShippingAddressId = first;
+    if (!exists(user.defaultBillingAddressId)) user.defaultBillingAddressId = first;
+  }
+
+  getAddress(user, addressId) {
+    const address = mongoose.Types.ObjectId.isValid(addressId) ? user.addresses.id(addressId) : null;
+    if (!address) {
+      throw addressError('Address not found', 404);
+    }
+    return address;
+  }
+
+  /**
+   * Address book with default flags
+   */
+  view(user) {
+    const isDefault = (id, address) => !!id && address._id.equals(id);
+    return {
+      addresses: user.addresses.map((address) => ({
+        ...address.toObject(),
+        isDefaultShipping: isDefault(user.defaultShippingAddressId, address),
+        isDefaultBilling: isDefault(user.defaultBillingAddressId, address),
+      })),
+      defaultShippingAddressId: user.defaultShippingAddressId || null,
+      defaultBillingAddressId: user.defaultBillingAddressId || null,
+    };
+  }
+
+  async list(userId) {
+    return this.view(await this.getUser(userId));
+  }
+
+  /**
+   * Add an address (the first one becomes the default for both shipping and billing)
+   * @param {{ isDefaultShipping?: boolean, isDefaultBilling?: boolean }} defaults
+   */
+  async create(userId, input, { isDefaultShipping, isDefaultBilling } = {}) {
+    const user = await this.getUser(userId);
+    if (user.addresses.length >= MAX_ADDRESSES) {
+      throw addressError(`You can save up to ${MAX_ADDRESSES} addresses`);
+    }
+
+    const { email, ...fields } = this.normalize(input);
+    const address = user.addresses.create(fields);
+    user.addresses.push(address);
+    if (isDefaultShipping) user.defaultShippingAddressId = address._id;
+    if (isDefaultBilling) user.defaultBillingAddressId = address._id;
+    this.ensureDefaults(user);
+    await user.save();
+
+    return { address, ...this.view(user) };
+  }
+
+  async update(userId, addressId, input, { isDefaultShipping, isDefaultBilling } = {}) {
+    const user = await this.getUser(userId);
+    const address = this.getAddress(user, addressId);
+
+    const { email, ...fields } = this.normalize({ ...address.toObject(), ...input });
+    // Optional fields cleared in the input are removed
+    for (const field of OPTIONAL_FIELDS) {
+      if (field in (input || {}) && !fields[field]) address[field] = undefined;
+    }
+    address.set(fields);
+    if (isDefaultShipping) user.defaultShippingAddressId = address._id;
+    if (isDefaultBilling) user.defaultBillingAddressId = address._id;
+    await user.save();
+
+    return { address, ...this.view(user) };
+  }
+
+  /**
+   * Delete an address; a deleted default falls back to the first remaining address
+   */
+  async remove(userId, addressId) {
+    const user = await this.getUser(userId);
+    this.getAddress(user, addressId).deleteOne();
+    this.ensureDefaults(user);
+    await user.save();
+    return this.view(user);
+  }
+
+  /**
+   * @param {'shipping'|'billing'|'both'} type
+   */
+  async setDefault(userId, addressId, type = 'both') {
+    if (!['shipping', 'billing', 'both'].includes(type)) {
+      throw addressError("Type must be 'shipping', 'billing' or 'both'");
+    }
+    const user = await this.getUser(userId);
+    const address = this.getAddress(user, addressId);
+    if (type !== 'billing') user.defaultShippingAddressId = address._id;
+    if (type !== 'shipping') user.defaultBillingAddressId = address._id;
+    await user.save();
+    return this.view(user);
+  }
+
+  /**
+   * Profile-style update of the default shipping or billing address (fields merge into the current
+   * default). A default shared by shipping and billing is copied first, so only this side changes.
+   * Does not save the user.
+   * @param {'shipping'|'billing'} type
+   */
+  applyDefault(user, type, input) {
+    const key = type === 'shipping' ? 'defaultShippingAddressId' : 'defaultBillingAddressId';
+    const otherKey = type === 'shipping' ? 'defaultBillingAddressId' : 'defaultShippingAddressId';
+    const legacyField = `${type}Address`;
+    const current = user[key] ? user.addresses.id(user[key]) : null;
+    // Without a book address yet, a not-yet-migrated legacy address fills the gaps
+    const legacy = !current && user[legacyField]?.street ? user[legacyField].toObject() : {};
+    const base = current
+      ? current.toObject()
+      : { ...legacy, firstName: user.firstName, lastName: user.lastName, phone: user.phone };
+
+    const { email, ...fields } = this.normalize(
+      { ...base, ...input },
+      { prefix: type === 'shipping' ? 'Shipping' : 'Billing' }
+    );
+
+    if (current && !(user[otherKey] && current._id.equals(user[otherKey]))) {
+      current.set(fields);
+      return current;
+    }
+    if (user.addresses.length >= MAX_ADDRESSES) {
+      throw addressError(`You can save up to ${MAX_ADDRESSES} addresses`);
+    }
+    const address = user.addresses.create(fields);
+    user.addresses.push(address);
+    user[key] = address._id;
+    if (!current) user[legacyField] = undefined;
+    this.ensureDefaults(user);
+    return address;
+  }
+
+  /**
+   * Shipping and billing addresses for a new order, as stored on Order. Each side comes from a saved
+   * address id (signed-in only) or a raw address. Signed-in shoppers who send neither get their default
+   * addresses; billing otherwise defaults to the shipping address. Both carry the contact email.
+   * @returns {Promise<{ shippingAddress: object, billingAddress: object }>}
+   */
+  async resolveForOrder({ userId, email, shippingAddressId, billingAddressId, shippingAddress, billingAddress }) {
+    if (!userId && (shippingAddressId || billingAddressId)) {
+      throw addressError('Sign in to use a saved address', 401);
+    }
+
+    const user = userId ? await this.getUser(userId) : null;
+    const fromBook = (id) => {
+      const { _id, label, createdAt, updatedAt, ...fields } = this.getAddress(user, id).toObject();
+      return fields;
+    };
+    const contactEmail = email || user?.email;
+
+    let shipping;
+    if (shippingAddressId) {
+      shipping = fromBook(shippingAddressId);
+    } else if (shippingAddress) {
+      shipping = this.normalize(shippingAddress, { prefix: 'Shipping' });
+    } else if (user?.defaultShippingAddressId) {
+      shipping = fromBook(user.defaultShippingAddressId);
+    } else {
+      throw addressError('Shipping address is required');
+    }
+
+    let billing;
+    if (billingAddressId) {
+      billing = fromBook(billingAddressId);
+    } else if (billingAddress) {
+      billing = this.normalize(billingAddress, { prefix: 'Billing', optional: ['phone'] });
+    } else if (!shippingAddressId && !shippingAddress && user?.defaultBillingAddressId) {
+      billing = fromBook(user.defaultBillingAddressId);
+    } else {
+      billing = { ...shipping };
+    }
+
+    delete shipping.label;
+    delete billing.label;
+    return {
+      shippingAddress: { ...shipping, email: shipping.email || contactEmail },
+      billingAddress: { ...billing, email: billing.email || contactEmail },
+    };
+  }
+}
+
+module.exports = new AddressService();
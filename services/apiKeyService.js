@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const Store = require('../models/Store');
+const { validateStorePermissions } = require('../middleware/permissions');
+const { logger } = require('../utils/logger');
+
+// Keys look like sk_<48 hex chars>; JWTs never start with this, so both can share the Bearer header
+const KEY_PREFIX = 'sk_';
+// Don't write lastUsedAt more often than this per key
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+function apiKeyError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+class ApiKeyService {
+  isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+  }
+
+  /**
+   * Create a key. The raw key is only returned here.
+   * @returns {Promise<{ apiKey: object, key: string }>}
+   */
+  async create({ name, storeId, scopes, expiresAt }, createdBy) {
+    if (!name || !String(name).trim()) throw apiKeyError('Name is required');
+    if (!storeId || !(await Store.exists({ _id: storeId }))) throw apiKeyError('A valid storeId is required');
+
+    const [entry] = validateStorePermissions([{ storeId, permissions: scopes }]);
+    if (!entry) throw apiKeyError('At least one valid scope is required');
+
+    let expiry;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+        throw apiKeyError('expiresAt must be a future date');
+      }
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    const apiKey = await ApiKey.create({
+      name: String(name).trim(),
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      keyHash: hashKey(key),
+      storeId,
+      scopes: entry.permissions,
+      createdBy,
+      expiresAt: expiry,
+    });
+
+    logger.info('API key created', { apiKeyId: apiKey._id, storeId, createdBy });
+    return { apiKey, key };
+  }
+
+  async revoke(apiKeyId, revokedBy) {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: apiKeyId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy } },
+      { new: true }
+    );
+    if (!apiKey) {
+      if (!(await ApiKey.exists({ _id: apiKeyId }))) throw apiKeyError('API key not found', 404);
+      throw apiKeyError('API key is already revoked');
+    }
+    logger.info('API key revoked', { apiKeyId, revokedBy });
+    return apiKey;
+  }
+
+  /**
+   * Active key for a raw key, or null. Records last use (at most once a minute).
+   */
+  async verify(key, ip) {
+    if (!this.isApiKey(key)) return null;
+    const apiKey = await ApiKey.findOne({ keyHash: hashKey(key) }).lean();
+    if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+      return null;
+    }
+
+    const now = new Date();
+    if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_INTERVAL_MS) {
+      ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now, lastUsedIp: ip } }).catch((error) =>
+        logger.error('Failed to record API key use', { apiKeyId: apiKey._id, error: error.message })
+      );
+    }
+    return apiKey;
+  }
+
+  /**
+   * req.user for a key: a member whose permissions are the key's scopes on its store
+   */
+  toRequestUser(apiKey) {
+    return {
+      id: apiKey._id.toString(),
+      email: null,
+      role: 'member',
+      permissions: [],
+      storePermissions: [{ storeId: apiKey.storeId, permissions: apiKey.scopes || [] }],
+      apiKeyId: apiKey._id.toString(),
+      apiKeyName: apiKey.name,
+      twoFactorEnabled: false,
+    };
+  }
+}
+
+module.exports = new ApiKeyService();
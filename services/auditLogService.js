@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const SecuritySettings = require('../models/SecuritySettings');
+const { logger } = require('../utils/logger');
+
+const REDACTED = '[redacted]';
+// Field names whose values must never reach the audit log
+const SECRET_FIELD = /secret|password|api[_-]?key|token|encryption[_-]?key|hash|recovery/i;
+// Bookkeeping fields that change on every save
+const IGNORED_FIELDS = new Set(['updatedAt', '__v']);
+const MAX_DEPTH = 4;
+
+function toPlain(value) {
+  if (!value) return value;
+  if (typeof value.toObject === 'function') return value.toObject({ depopulate: true });
+  return value;
+}
+
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    !Array.isArray(value) &&
+    !(value instanceof Date) &&
+    !(value instanceof mongoose.Types.ObjectId) &&
+    !Buffer.isBuffer(value)
+  );
+}
+
+/**
+ * Flatten a document into { 'a.b.c': value }; arrays are compared as a whole
+ */
+function flatten(value, prefix = '', out = {}, depth = 0) {
+  for (const [key, child] of Object.entries(value || {})) {
+    if (IGNORED_FIELDS.has(key)) continue;
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(child) && depth < MAX_DEPTH) {
+      flatten(child, path, out, depth + 1);
+    } else {
+      out[path] = child;
+    }
+  }
+  return out;
+}
+
+function serialize(value) {
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function clientMeta(req) {
+  const rawIp = req?.headers?.['x-forwarded-for'] || req?.ip;
+  return {
+    ip: rawIp ? String(rawIp).split(',')[0].trim() : undefined,
+    userAgent: req?.headers?.['user-agent'] ? String(req.headers['user-agent']).slice(0, 300) : undefined,
+  };
+}
+
+class AuditLogService {
+  /**
+   * Fields that differ between two versions of a record, with secret values redacted
+   * @param {object} before - Document or plain object (null for creates)
+   * @param {object} after - Document or plain object (null for deletes)
+   * @param {string[]} [fields] - Only compare these top-level fields
+   * @returns {{ field: string, before: any, after: any }[]}
+   */
+  diff(before, after, fields) {
+    const pick = (doc) => {
+      const plain = toPlain(doc) || {};
+      if (!fields) return plain;
+      return Object.fromEntries(fields.filter((f) => plain[f] !== undefined).map((f) => [f, plain[f]]));
+    };
+    const a = flatten(pick(before));
+    const b = flatten(pick(after));
+
+    const changes = [];
+    for (const field of new Set([...Object.keys(a), ...Object.keys(b)])) {
+      if (serialize(a[field]) === serialize(b[field])) continue;
+      const secret = SECRET_FIELD.test(field);
+      changes.push({
+        field,
+        before: secret && a[field] != null ? REDACTED : a[field] ?? null,
+        after: secret && b[field] != null ? REDACTED : b[field] ?? null,
+      });
+    }
+    return changes;
+  }
+
+  /**
+   * Record an admin action (never throws). Marks the request so the catch-all middleware skips it.
+   * @param {object} req - Express request (actor, store, IP)
+   * @param {{ action: string, entityType?: string, entityId?: any, before?: object, after?: object,
+   *   fields?: string[], changes?: object[], metadata?: object }} entry
+   */
+  async record(req, { action, entityType, entityId, before, after, fields, changes, metadata }) {
+    if (req) req.auditLogged = true;
+    try {
+      const apiKeyId = req?.user?.apiKeyId;
+      const actorId =
+        !apiKeyId && req?.user?.id && mongoose.Types.ObjectId.isValid(req.user.id) ? req.user.id : undefined;
+      await AuditLog.create({
+        actorId,
+        apiKeyId,
+        actorEmail: req?.user?.email || undefined,
+        actorRole: req?.user?.role,
+        storeId: req?.storeId || undefined,
+        action,
+        entityType,
+        entityId: entityId != null ? String(entityId) : undefined,
+        changes: changes || (before || after ? this.diff(before, after, fields) : []),
+        metadata,
+        method: req?.method,
+        path: req?.originalUrl ? req.originalUrl.split('?')[0] : undefined,
+        ...clientMeta(req),
+      });
+    } catch (error) {
+      logger.error('Failed to write audit log', { action, entityId, error: error.message });
+    }
+  }
+
+  /**
+   * Filtered, paginated audit entries (newest first)
+   */
+  async list({ actorId, apiKeyId, storeId, action, entityType, entityId, from, to, page = 1, limit = 50 } = {}) {
+    const query = {};
+    if (actorId) query.actorId = actorId;
+    if (apiKeyId) query.apiKeyId = apiKeyId;
+    if (storeId) query.storeId = storeId;
+    if (action) query.action = action.endsWith('.') ? { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` } : action;
+    if (entityType) query.entityType = entityType;
+    if (entityId) query.entityId = String(entityId);
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate('actorId', 'firstName lastName email')
+        .populate('apiKeyId', 'name prefix')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(query),
+    ]);
+    return { entries, total };
+  }
+
+  /**
+   * Delete entries older than the configured retention
+   * @returns {Promise<number>} entries deleted
+   */
+  async purgeExpired() {
+    const settings = await SecuritySettings.getSettings();
+    const retentionDays = settings.auditLog?.retentionDays || 365;
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    const result = await AuditLog.deleteMany({ createdAt: { $lt: cutoff } });
+    return result.deletedCount || 0;
+  }
+}
+
+module.exports = new AuditLogService();
@@ -0,0 +1,203 @@
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const PaymentMethod = require('../models/PaymentMethod');
+const inventoryService = require('./inventoryService');
+const orderStateService = require('./orderStateService');
+const orderPaymentService = require('./orderPaymentService');
+const { logger } = require('../utils/logger');
+
+// Unpaid bank transfer orders are cancelled this many days after checkout
+const EXPIRY_DAYS = parseInt(process.env.BANK_TRANSFER_EXPIRY_DAYS, 10) || 7;
+
+function reviewError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+class BankTransferService {
+  /**
+   * Orders the review queue shows for a given receipt status.
+   * Receipts uploaded before reviews were tracked have no status and count as submitted.
+   */
+  getQueueFilter(status = 'submitted') {
+    const filter = {
+      paymentMethodType: 'bank_transfer',
+      bankTransferReceiptUrl: { $exists: true, $ne: null },
+    };
+    if (status === 'submitted') {
+      filter.bankTransferStatus = { $in: ['submitted', null] };
+      filter.paymentStatus = { $in: ['pending', 'failed'] };
+      filter.status = { $ne: 'cancelled' };
+    } else {
+      filter.bankTransferStatus = status;
+    }
+    return filter;
+  }
+
+  /**
+   * Check an order can still be reviewed
+   */
+  assertReviewable(order) {
+    if (order.paymentMethodType !== 'bank_transfer') {
+      throw reviewError('Order is not a bank transfer order');
+    }
+    if (!['pending', 'failed'].includes(order.paymentStatus)) {
+      throw reviewError(`Order payment is already ${order.paymentStatus}`);
+    }
+    if (order.status === 'cancelled') {
+      throw reviewError('Order is cancelled');
+    }
+  }
+
+  /**
+   * Approve a transfer: record a Payment and run the same post-payment processing as card payments
+   */
+  async approve(order, { reviewerId, reference, note } = {}) {
+    this.assertReviewable(order);
+
+    const paymentMethod = await PaymentMethod.findOne({
+      type: 'bank_transfer',
+      ...(order.storeId ? { storeId: { $in: [order.storeId, null] } } : {}),
+    }).sort({ isActive: -1 });
+    if (!paymentMethod) {
+      throw reviewError('Bank transfer payment method is not configured');
+    }
+
+    // One Payment per order, so a repeated or concurrent approval reuses it
+    const txRef = `BT-${order.orderNumber}`;
+    const payment = await Payment.findOneAndUpdate(
+      { txRef },
+      {
+        $setOnInsert: {
+          storeId: order.storeId || null,
+          userId: order.userId,
+          orderId: order._id,
+          paymentMethodId: paymentMethod._id,
+          paymentMethodName: 'Bank Transfer',
+          paymentMethodType: 'bank_transfer',
+          amount: order.total,
+          currency: order.currency || 'USD',
+          txRef,
+          status: 'successful',
+          paidAt: new Date(),
+          metadata: {
+            receiptUrl: order.bankTransferReceiptUrl,
+            ...(reference && { bankReference: reference }),
+            approvedBy: reviewerId,
+          },
+        },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    const { order: paidOrder, transitioned } = await orderPaymentService.markOrderPaid(order._id, {
+      paymentId: payment._id,
+      source: 'admin',
+      actorId: reviewerId,
+    });
+    if (!transitioned) {
+      throw reviewError('Order was paid concurrently; reload and try again', 409);
+    }
+
+    const review = {
+      bankTransferStatus: 'approved',
+      bankTransferReviewedAt: new Date(),
+      bankTransferReviewedBy: reviewerId,
+    };
+    await Order.updateOne({ _id: order._id }, { $set: review, $unset: { bankTransferRejectionReason: 1 } });
+    Object.assign(paidOrder, review, { bankTransferRejectionReason: undefined });
+
+    await orderStateService.record(paidOrder, 'bank_transfer', {
+      source: 'admin',
+      actorId: reviewerId,
+      note: note || 'Bank transfer approved',
+      metadata: { decision: 'approved', paymentId: payment._id, reference },
+    });
+
+    logger.info('Bank transfer approved', { orderId: order._id, paymentId: payment._id, reviewerId });
+    return { order: paidOrder, payment };
+  }
+
+  /**
+   * Reject a receipt. The order stays unpaid so the customer can upload a new one
+   * (or it expires).
+   */
+  async reject(order, { reviewerId, reason } = {}) {
+    this.assertReviewable(order);
+    if (!order.bankTransferReceiptUrl) {
+      throw reviewError('No receipt has been submitted for this order');
+    }
+
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, paymentStatus: { $in: ['pending', 'failed'] } },
+      {
+        $set: {
+          bankTransferStatus: 'rejected',
+          bankTransferReviewedAt: new Date(),
+          bankTransferReviewedBy: reviewerId,
+          bankTransferRejectionReason: reason,
+        },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      throw reviewError('Order was paid concurrently; reload and try again', 409);
+    }
+
+    await orderStateService.record(updated, 'bank_transfer', {
+      source: 'admin',
+      actorId: reviewerId,
+      note: reason,
+      metadata: { decision: 'rejected' },
+    });
+
+    logger.info('Bank transfer rejected', { orderId: order._id, reviewerId });
+    return updated;
+  }
+
+  /**
+   * Cancel unpaid bank transfer orders older than BANK_TRANSFER_EXPIRY_DAYS and release their stock
+   * (called by background job). Orders with a receipt awaiting review are left for the admin.
+   */
+  async expireUnpaid(now = new Date(), limit = 100) {
+    const cutoff = new Date(now.getTime() - EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+    const orders = await Order.find({
+      paymentMethodType: 'bank_transfer',
+      paymentStatus: { $in: ['pending', 'failed'] },
+      status: { $in: ['pending', 'payment_failed'] },
+      createdAt: { $lte: cutoff },
+      $or: [{ bankTransferReceiptUrl: null }, { bankTransferStatus: 'rejected' }],
+    })
+      .select('_id')
+      .limit(limit)
+      .lean();
+
+    let expired = 0;
+    for (const { _id } of orders) {
+      try {
+        const { changed } = await orderStateService.transition(
+          _id,
+          { status: 'cancelled' },
+          {
+            source: 'job',
+            note: `Bank transfer not received within ${EXPIRY_DAYS} days`,
+            set: { bankTransferStatus: 'expired' },
+            // Skip orders paid since the query ran
+            expect: { paymentStatus: ['pending', 'failed'] },
+            strict: false,
+          }
+        );
+        if (!changed.includes('status')) continue;
+
+        await inventoryService.releaseForOrder(_id, 'expired');
+        expired++;
+      } catch (error) {
+        logger.error('Failed to expire bank transfer order', { orderId: _id, error: error.message });
+      }
+    }
+    return { checked: orders.length, expired };
+  }
+}
+
+module.exports = new BankTransferService();
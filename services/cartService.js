@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const checkoutQuoteService = require('./checkoutQuoteService');
+const inventoryService = require('./inventoryService');
+const { logger } = require('../utils/logger');
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+function cartError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+class CartService {
+  generateToken() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  getToken(req) {
+    const token = req.headers['x-cart-token'];
+    return token && typeof token === 'string' ? token : null;
+  }
+
+  /**
+   * The shopper's active cart for the current store: the user's cart when signed in, otherwise the
+   * cart for the X-Cart-Token header. A signed-in request that still carries an anonymous cart token
+   * merges that cart into the user's (this is how carts follow a shopper through login).
+   * @param {object} req - Express request (user, storeId, headers)
+   * @param {{ create?: boolean }} options - create an empty cart when none exists
+   * @returns {Promise<{ cart: object|null, token?: string }>} `token` is set only for a new anonymous cart
+   */
+  async findCart(req, { create = false } = {}) {
+    const storeId = req.storeId || null;
+    const token = this.getToken(req);
+    const anonymous = token
+      ? await Cart.findOne({ tokenHash: this.hashToken(token), storeId, userId: null, status: 'active' })
+      : null;
+
+    if (req.user?.id) {
+      let cart = await Cart.findOne({ userId: req.user.id, storeId, status: 'active' });
+      if (anonymous) {
+        cart = await this.merge(anonymous, cart, req.user.id);
+      }
+      if (!cart && create) {
+        try {
+          cart = await Cart.create({ userId: req.user.id, storeId });
+        } catch (error) {
+          // A parallel request created it first
+          if (error.code !== 11000) throw error;
+          cart = await Cart.findOne({ userId: req.user.id, storeId, status: 'active' });
+          if (!cart) throw error;
+        }
+      }
+      return { cart };
+    }
+
+    if (anonymous || !create) return { cart: anonymous };
+
+    const newToken = this.generateToken();
+    const cart = await Cart.create({ storeId, tokenHash: this.hashToken(newToken) });
+    return { cart, token: newToken };
+  }
+
+  /**
+   * Fold an anonymous cart into the user's cart (quantities of matching lines are added together,
+   * capped at the per-line limit and available stock; lines that can't be bought are left out).
+   * With no user cart yet, the anonymous cart simply becomes theirs.
+   */
+  async merge(anonymous, userCart, userId) {
+    if (!userCart) {
+      try {
+        return await Cart.findOneAndUpdate(
+          { _id: anonymous._id, status: 'active', userId: null },
+          { $set: { userId, lastActivityAt: new Date() }, $unset: { tokenHash: 1 } },
+          { new: true }
+        );
+      } catch (error) {
+        // The user got a cart from a parallel request in the meantime: merge into that one
+        if (error.code !== 11000) throw error;
+        userCart = await Cart.findOne({ userId, storeId: anonymous.storeId, status: 'active' });
+        if (!userCart) throw error;
+      }
+    }
+
+    const claimed = await Cart.findOneAndUpdate(
+      { _id: anonymous._id, status: 'active', userId: null },
+      { $set: { status: 'merged' }, $unset: { tokenHash: 1 } }
+    );
+    if (!claimed) return userCart;
+
+    for (const item of claimed.items) {
+      const existing = this.findLine(userCart, item.productId, item.variantId);
+      const quantity = await this.fitQuantity(userCart.storeId, item, (existing?.quantity || 0) + item.quantity);
+      if (quantity === 0) continue;
+      if (existing) {
+        existing.quantity = quantity;
+      } else {
+        userCart.items.push({ productId: item.productId, variantId: item.variantId, quantity });
+      }
+    }
+    userCart.lastActivityAt = new Date();
+    await userCart.save();
+
+    logger.info('Anonymous cart merged', { cartId: userCart._id, mergedCartId: claimed._id, userId });
+    return userCart;
+  }
+
+  findLine(cart, productId, variantId) {
+    return cart.items.find(
+      (item) => String(item.productId) === String(productId) && (item.variantId || null) === (variantId || null)
+    );
+  }
+
+  getItem(cart, itemId) {
+    const item = mongoose.Types.ObjectId.isValid(itemId) ? cart.items.id(itemId) : null;
+    if (!item) {
+      throw cartError('Cart item not found', 404);
+    }
+    return item;
+  }
+
+  /**
+   * Largest quantity up to `quantity` that passes validateLine: capped at the per-line limit and
+   * available stock, 0 when the product can't be bought at all
+   */
+  async fitQuantity(storeId, { productId, variantId }, quantity) {
+    const wanted = Math.min(quantity, checkoutQuoteService.MAX_QUANTITY_PER_LINE);
+    try {
+      return (await this.validateLine(storeId, { productId, variantId, quantity: wanted })).quantity;
+    } catch (error) {
+      // Anything but a stock shortfall means the line can't be bought
+      if (error.status !== 409) return 0;
+      const product = await checkoutQuoteService.findSellableProduct(productId, storeId);
+      if (!product) return 0;
+      const variant = checkoutQuoteService.resolveVariant(product, variantId);
+      const { available } = inventoryService.getAvailability(product, variant?.variantId);
+      return Math.max(0, Math.min(wanted, available));
+    }
+  }
+
+  /**
+   * Check one line against Product status, visibility, variants and stock (throws with a status)
+   */
+  async validateLine(storeId, { productId, variantId, quantity }) {
+    const { lines } = await checkoutQuoteService.priceItems([{ productId, variantId, quantity }], storeId);
+    return lines[0];
+  }
+
+  /**
+   * Add a product (or more of it) to the cart
+   */
+  async addItem(cart, { productId, variantId, quantity = 1 }) {
+    const resolved = await this.validateLine(cart.storeId, { productId, variantId, quantity });
+    const existing = this.findLine(cart, resolved.productRef, resolved.variantId);
+
+    if (existing) {
+      const total = existing.quantity + resolved.quantity;
+      await this.validateLine(cart.storeId, { productId: resolved.productRef, variantId: resolved.variantId, quantity: total });
+      existing.quantity = total;
+    } else {
+      cart.items.push({ productId: resolved.productRef, variantId: resolved.variantId, quantity: resolved.quantity });
+    }
+
+    cart.lastActivityAt = new Date();
+    await cart.save();
+    return cart;
+  }
+
+  /**
+   * Set a line's quantity (0 removes it)
+   */
+  async updateItem(cart, itemId, quantity) {
+    const item = this.getItem(cart, itemId);
+    const value = parseInt(quantity, 10);
+    if (value === 0) {
+      return this.removeItem(cart, itemId);
+    }
+
+    const resolved = await this.validateLine(cart.storeId, {
+      productId: item.productId,
+      variantId: item.variantId,
+      quantity: value,
+    });
+    item.quantity = resolved.quantity;
+
+    cart.lastActivityAt = new Date();
+    await cart.save();
+    return cart;
+  }
+
+  async removeItem(cart, itemId) {
+    this.getItem(cart, itemId).deleteOne();
+    cart.lastActivityAt = new Date();
+    await cart.save();
+    return cart;
+  }
+
+  async clear(cart) {
+    cart.items = [];
+    cart.lastActivityAt = new Date();
+    await cart.save();
+    return cart;
+  }
+
+  /**
+   * Cart with current prices. Lines that can no longer be bought (product hidden, out of stock, ...)
+   * stay in the cart with an `issue` and are left out of the subtotal.
+   */
+  async view(cart) {
+    if (!cart) {
+      return { _id: null, items: [], itemCount: 0, subtotal: 0, currency: null, hasIssues: false };
+    }
+
+    const items = [];
+    for (const item of cart.items) {
+      const line = { _id: item._id, productId: item.productId, variantId: item.variantId, quantity: item.quantity };
+      try {
+        const priced = await this.validateLine(cart.storeId, line);
+        items.push({ ...line, ...priced, productId: item.productId, issue: null });
+      } catch (error) {
+        if ((error.status || 500) >= 500) throw error;
+        items.push({ ...line, issue: error.message });
+      }
+    }
+
+    const valid = items.filter((item) => !item.issue);
+    return {
+      _id: cart._id,
+      items,
+      itemCount: valid.reduce((sum, item) => sum + item.quantity, 0),
+      subtotal: round2(valid.reduce((sum, item) => sum + item.subtotal, 0)),
+      currency: valid[0]?.currency || null,
+      hasIssues: items.some((item) => item.issue),
+      lastActivityAt: cart.lastActivityAt,
+    };
+  }
+
+  /**
+   * Items to quote at checkout (throws when the cart is empty)
+   */
+  getCheckoutItems(cart) {
+    if (!cart || cart.items.length === 0) {
+      throw cartError('Your cart is empty');
+    }
+    return cart.items.map((item) => ({
+      productId: String(item.productId),
+      variantId: item.variantId,
+      quantity: item.quantity,
+    }));
+  }
+
+  /**
+   * Close the cart once its quote has become an order (a new cart starts on the next add)
+   */
+  async markConverted(cartId, orderId) {
+    try {
+      await Cart.updateOne(
+        { _id: cartId, status: 'active' },
+        { $set: { status: 'converted', orderId }, $unset: { tokenHash: 1 } }
+      );
+    } catch (error) {
+      logger.error('Failed to close converted cart', { cartId, orderId, error: error.message });
+    }
+  }
+}
+
+module.exports = new CartService();
@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Coupon = require('../models/Coupon');
+const inventoryService = require('./inventoryService');
+const { getStoreFilter } = require('../middleware/resolveStore');
+const { logger } = require('../utils/logger');
+
+const QUOTE_AUDIENCE = 'checkout-quote';
+const QUOTE_TTL = process.env.CHECKOUT_QUOTE_TTL || '30m';
+const MAX_QUANTITY_PER_LINE = 100;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+function quoteError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+class CheckoutQuoteService {
+  getSecret() {
+    const secret = process.env.CHECKOUT_QUOTE_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+      throw new Error('CHECKOUT_QUOTE_SECRET or JWT_SECRET must be configured');
+    }
+    return secret;
+  }
+
+  /**
+   * Find a sellable product for the store by Mongo _id or CJ product ID
+   */
+  async findSellableProduct(productId, storeId) {
+    const id = String(productId || '').trim();
+    if (!id) return null;
+
+    const idMatch = mongoose.Types.ObjectId.isValid(id)
+      ? { $or: [{ _id: id }, { cjProductId: id }] }
+      : { cjProductId: id };
+
+    return Product.findOne({
+      ...idMatch,
+      ...getStoreFilter(storeId),
+      isInStore: true,
+      status: 'active',
+      visibility: 'public',
+    }).lean();
+  }
+
+  /**
+   * Match the requested variant against Product.variants (by CJ variantId or subdocument _id).
+   * Products with several variants require a choice; a single variant is picked automatically.
+   */
+  resolveVariant(product, requestedVariantId) {
+    const variants = product.variants || [];
+    const wanted = requestedVariantId ? String(requestedVariantId) : null;
+
+    if (!wanted) {
+      if (variants.length === 0) return null;
+      if (variants.length === 1) return variants[0];
+      throw quoteError(`Please select a variant for ${product.name}`, 422);
+    }
+
+    const variant = variants.find((v) => v.variantId === wanted || (v._id && v._id.toString() === wanted));
+    if (!variant) {
+      throw quoteError(`Variant ${wanted} is not available for ${product.name}`, 422);
+    }
+    return variant;
+  }
+
+  /**
+   * CJ vid for a stored variant (variantId is the vid for synced products; cjData is checked for older imports)
+   */
+  getCjVid(product, variant) {
+    const cjVariants = Array.isArray(product.cjData?.variants) ? product.cjData.variants : [];
+    const match = cjVariants.find((v) => (v.vid || v.variantId || v.id) === variant.variantId
+      || (variant.sku && (v.variantSku || v.sku) === variant.sku));
+    return match?.vid || variant.variantId || null;
+  }
+
+  /**
+   * Reprice cart items from the Product collection.
+   * Client-sent prices are ignored.
+   */
+  async priceItems(items, storeId) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw quoteError('At least one item is required');
+    }
+
+    const lines = [];
+    for (const item of items) {
+      const quantity = parseInt(item?.quantity, 10);
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY_PER_LINE) {
+        throw quoteError(`Quantity must be between 1 and ${MAX_QUANTITY_PER_LINE}`);
+      }
+
+      const productId = item.productId || item.product?.id || item.product?._id;
+      if (!productId) {
+        throw quoteError('Product ID is required for each item');
+      }
+      const product = await this.findSellableProduct(productId, storeId);
+      if (!product || product.isAvailable === false) {
+        throw quoteError(`Product ${productId} is not available`, 422);
+      }
+
+      const variant = this.resolveVariant(product, item.variantId);
+
+      if (product.trackInventory !== false) {
+        const { available } = inventoryService.getAvailability(product, variant?.variantId);
+        if (available < quantity) {
+          const label = variant?.name ? `${product.name} (${variant.name})` : product.name;
+          throw quoteError(available > 0 ? `Only ${available} left of ${label}` : `${label} is out of stock`, 409);
+        }
+      }
+
+      const unitPrice = round2(variant?.price > 0 ? variant.price : product.price);
+      if (!(unitPrice > 0)) {
+        throw quoteError(`${product.name} has no selling price`, 422);
+      }
+
+      lines.push({
+        productRef: product._id.toString(),
+        productId: product.cjProductId,
+        productName: product.name,
+        productImage: product.customImages?.[0] || product.images?.[0] || undefined,
+        sku: variant?.sku || product.sku || undefined,
+        variantId: variant?.variantId || null,
+        variantName: variant?.name || null,
+        variantSku: variant?.sku || null,
+        cjVid: variant ? this.getCjVid(product, variant) : null,
+        quantity,
+        price: unitPrice,
+        subtotal: round2(unitPrice * quantity),
+        currency: product.currency || 'USD',
+      });
+    }
+
+    const currencies = [...new Set(lines.map((l) => l.currency))];
+    if (currencies.length > 1) {
+      throw quoteError('Items priced in different currencies cannot be checked out together', 422);
+    }
+
+    return { lines, currency: currencies[0] };
+  }
+
+  /**
+   * Validate coupon against subtotal and return discount (0 when no code)
+   */
+  async applyCoupon(couponCode, subtotal, storeId) {
+    if (!couponCode || !String(couponCode).trim()) {
+      return { couponCode: null, couponId: null, discountAmount: 0 };
+    }
+
+    const coupon = await Coupon.findOne({
+      code: String(couponCode).trim().toUpperCase(),
+      ...getStoreFilter(storeId),
+    });
+    if (!coupon || !coupon.isValid(subtotal)) {
+      throw quoteError('Coupon is expired, invalid, or minimum order not met');
+    }
+
+    return {
+      couponCode: coupon.code,
+      couponId: coupon._id.toString(),
+      discountAmount: round2(coupon.calculateDiscount(subtotal)),
+    };
+  }
+
+  /**
+   * Shipping and tax from the store's checkout settings
+   */
+  calculateShippingAndTax(store, taxableAmount) {
+    const settings = store?.checkout || {};
+    const threshold = settings.freeShippingThreshold;
+    const qualifiesForFreeShipping = threshold != null && taxableAmount >= threshold;
+    const shippingCost = qualifiesForFreeShipping ? 0 : round2(settings.flatShippingRate || 0);
+    const tax = round2((taxableAmount * (settings.taxRate || 0)) / 100);
+    return { shippingCost, tax };
+  }
+
+  /**
+   * Build a signed quote for the given cart
+   * @returns {Promise<object>} quote totals plus `token` to redeem on order creation
+   */
+  async createQuote({ store, storeId, userId, items, couponCode, cartId }) {
+    const { lines, currency } = await this.priceItems(items, storeId);
+    const subtotal = round2(lines.reduce((sum, l) => sum + l.subtotal, 0));
+    const coupon = await this.applyCoupon(couponCode, subtotal, storeId);
+    const taxableAmount = round2(subtotal - coupon.discountAmount);
+    const { shippingCost, tax } = this.calculateShippingAndTax(store, taxableAmount);
+    const total = round2(Math.max(0, taxableAmount + shippingCost + tax));
+
+    const quote = {
+      quoteId: crypto.randomBytes(16).toString('hex'),
+      storeId: storeId ? storeId.toString() : null,
+      userId: userId ? String(userId) : null,
+      // Cart the quote was built from; closed when the order is created
+      cartId: cartId ? String(cartId) : null,
+      items: lines.map(({ currency: _currency, ...line }) => line),
+      subtotal,
+      shippingCost,
+      tax,
+      couponCode: coupon.couponCode,
+      couponId: coupon.couponId,
+      discountAmount: coupon.discountAmount,
+      total,
+      currency,
+    };
+
+    const token = jwt.sign(quote, this.getSecret(), {
+      audience: QUOTE_AUDIENCE,
+      expiresIn: QUOTE_TTL,
+    });
+    const { exp } = jwt.decode(token);
+
+    logger.info('Checkout quote created', { quoteId: quote.quoteId, storeId: quote.storeId, total, currency });
+
+    return { ...quote, expiresAt: new Date(exp * 1000), token };
+  }
+
+  /**
+   * Verify a quote token for redemption by the same store and user
+   */
+  verifyQuote(token, { storeId, userId } = {}) {
+    if (!token || typeof token !== 'string') {
+      throw quoteError('Checkout quote is required. Request a quote before placing the order.');
+    }
+
+    let quote;
+    try {
+      quote = jwt.verify(token, this.getSecret(), { audience: QUOTE_AUDIENCE });
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw quoteError('Checkout quote has expired. Please request a new quote.', 409);
+      }
+      throw quoteError('Invalid checkout quote');
+    }
+
+    // The quote is only good in the store it was priced for, so a store must be resolved
+    if (!storeId) {
+      throw quoteError('Store could not be resolved for this checkout');
+    }
+    if (quote.storeId !== storeId.toString()) {
+      throw quoteError('Checkout quote belongs to a different store');
+    }
+    if (quote.userId && quote.userId !== String(userId || '')) {
+      throw quoteError('Checkout quote belongs to a different customer', 403);
+    }
+
+    return quote;
+  }
+
+  /**
+   * Consume one coupon use at redemption; fails if the coupon ran out since quoting
+   */
+  async redeemCoupon(quote) {
+    if (!quote.couponId) return true;
+    const coupon = await Coupon.findOneAndUpdate(
+      {
+        _id: quote.couponId,
+        isActive: true,
+        $or: [{ maxUses: null }, { $expr: { $lt: ['$usedCount', '$maxUses'] } }],
+      },
+      { $inc: { usedCount: 1 } },
+      { new: true }
+    );
+    return !!coupon;
+  }
+}
+
+module.exports = new CheckoutQuoteService();
+module.exports.MAX_QUANTITY_PER_LINE = MAX_QUANTITY_PER_LINE;
@@ -0,0 +1,355 @@
+const crypto = require('crypto');
+const Cart = require('../models/Cart');
+const CheckoutRecovery = require('../models/CheckoutRecovery');
+const Coupon = require('../models/Coupon');
+const Order = require('../models/Order');
+const Store = require('../models/Store');
+const User = require('../models/User');
+const cartService = require('./cartService');
+const guestOrderService = require('./guestOrderService');
+const mailService = require('./mailService');
+const { logger } = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const BATCH_LIMIT = 100;
+// Carts and orders idle longer than the last delay plus this are left alone
+const GRACE_HOURS = 48;
+// How long after the first email a payment still counts as recovered
+const ATTRIBUTION_DAYS = 30;
+
+function clientUrl(pathname, params = {}) {
+  const base = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+  const query = new URLSearchParams(params).toString();
+  return `${base}${pathname}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Legacy records without a store belong to the default store
+ */
+function storeMatch(store) {
+  return store.slug === 'default' ? { storeId: { $in: [store._id, null] } } : { storeId: store._id };
+}
+
+function idleWindow(field, delays, now) {
+  return {
+    [field]: {
+      $lte: new Date(now.getTime() - delays[0] * HOUR_MS),
+      $gte: new Date(now.getTime() - (delays[delays.length - 1] + GRACE_HOURS) * HOUR_MS),
+    },
+  };
+}
+
+class CheckoutRecoveryService {
+  /**
+   * Send due recovery emails for every store with recovery enabled, then attribute payments
+   * (called by background job)
+   */
+  async processDue(now = new Date()) {
+    const stores = await Store.find({ 'recovery.enabled': true }).select('name slug recovery').lean();
+
+    let cartEmails = 0;
+    let orderEmails = 0;
+    for (const store of stores) {
+      cartEmails += await this.processCarts(store, now);
+      orderEmails += await this.processOrders(store, now);
+    }
+    const recovered = await this.trackRecovered(now);
+
+    return { stores: stores.length, cartEmails, orderEmails, recovered };
+  }
+
+  async processCarts(store, now) {
+    const delays = store.recovery?.cartDelaysHours || [];
+    if (delays.length === 0) return 0;
+
+    const carts = await Cart.find({
+      ...storeMatch(store),
+      status: 'active',
+      userId: { $ne: null },
+      'items.0': { $exists: true },
+      ...idleWindow('lastActivityAt', delays, now),
+    })
+      .sort({ lastActivityAt: 1 })
+      .limit(BATCH_LIMIT);
+
+    let sent = 0;
+    for (const cart of carts) {
+      try {
+        if (await this.sendCartStep(store, cart, now)) sent++;
+      } catch (error) {
+        logger.warn('Cart recovery email failed', { cartId: cart._id, error: error.message });
+      }
+    }
+    return sent;
+  }
+
+  async processOrders(store, now) {
+    const delays = store.recovery?.orderDelaysHours || [];
+    if (delays.length === 0) return 0;
+
+    const orders = await Order.find({
+      ...storeMatch(store),
+      status: 'pending',
+      paymentStatus: 'pending',
+      // A submitted bank transfer receipt is waiting on us, not the customer
+      bankTransferStatus: { $ne: 'submitted' },
+      ...idleWindow('createdAt', delays, now),
+    })
+      .sort({ createdAt: 1 })
+      .limit(BATCH_LIMIT);
+
+    let sent = 0;
+    for (const order of orders) {
+      try {
+        if (await this.sendOrderStep(store, order, now)) sent++;
+      } catch (error) {
+        logger.warn('Payment reminder email failed', { orderId: order._id, error: error.message });
+      }
+    }
+    return sent;
+  }
+
+  /**
+   * Find or start the sequence and claim the next step, so concurrent runs can't send it twice.
+   * Returns the claimed record (emailsSent already incremented), or null when nothing is due.
+   */
+  async claimStep(filter, { delays, idleSince, now, create }) {
+    let recovery = await CheckoutRecovery.findOne(filter);
+    if (recovery && recovery.status !== 'active') return null;
+
+    const step = recovery?.emailsSent || 0;
+    if (step >= delays.length || idleSince.getTime() + delays[step] * HOUR_MS > now.getTime()) return null;
+
+    if (!recovery) {
+      try {
+        recovery = await CheckoutRecovery.create(await create());
+      } catch (error) {
+        if (error.code === 11000) return null; // another run started it
+        throw error;
+      }
+    }
+
+    return CheckoutRecovery.findOneAndUpdate(
+      { _id: recovery._id, status: 'active', emailsSent: step },
+      {
+        $inc: { emailsSent: 1 },
+        $set: { lastSentAt: now, ...(step === delays.length - 1 && { status: 'exhausted' }) },
+      },
+      { new: true }
+    );
+  }
+
+  async sendCartStep(store, cart, now) {
+    const delays = store.recovery.cartDelaysHours;
+    const view = await cartService.view(cart);
+    const items = view.items.filter((item) => !item.issue);
+    if (items.length === 0) return false;
+
+    const user = await User.findById(cart.userId).select('email firstName').lean();
+    if (!user?.email) return false;
+
+    const recovery = await this.claimStep(
+      { cartId: cart._id },
+      {
+        delays,
+        idleSince: cart.lastActivityAt,
+        now,
+        create: () => ({
+          storeId: cart.storeId,
+          kind: 'cart',
+          cartId: cart._id,
+          userId: cart.userId,
+          email: user.email,
+          value: view.subtotal,
+          currency: view.currency,
+        }),
+      }
+    );
+    if (!recovery) return false;
+
+    const isLast = recovery.emailsSent === delays.length;
+    let coupon = null;
+    if (isLast && store.recovery.couponPercent > 0) {
+      coupon = await this.issueCoupon(store, recovery, now);
+    }
+
+    await mailService.sendCartRecovery(user.email, {
+      firstName: user.firstName,
+      storeName: store.name,
+      items,
+      subtotal: view.subtotal,
+      currency: view.currency,
+      resumeUrl: clientUrl('/cart', {
+        recovery: String(recovery._id),
+        ...(coupon && { coupon: coupon.code }),
+      }),
+      coupon,
+    });
+
+    logger.info('Cart recovery email sent', { cartId: cart._id, step: recovery.emailsSent, coupon: coupon?.code });
+    return true;
+  }
+
+  async sendOrderStep(store, order, now) {
+    const delays = store.recovery.orderDelaysHours;
+    let email = order.guestEmail;
+    let firstName = order.shippingAddress?.firstName;
+    if (order.userId) {
+      const user = await User.findById(order.userId).select('email firstName').lean();
+      email = user?.email;
+      firstName = user?.firstName || firstName;
+    }
+    if (!email) return false;
+
+    const recovery = await this.claimStep(
+      { orderId: order._id },
+      {
+        delays,
+        idleSince: order.createdAt,
+        now,
+        create: () => ({
+          storeId: order.storeId,
+          kind: 'order',
+          orderId: order._id,
+          userId: order.userId || undefined,
+          email,
+          value: order.total,
+          currency: order.currency,
+        }),
+      }
+    );
+    if (!recovery) return false;
+
+    const payUrl = order.userId
+      ? clientUrl(`/orders/${order._id}`, { recovery: String(recovery._id) })
+      : guestOrderService.getLinks(order).orderUrl;
+
+    await mailService.sendPaymentReminder(email, {
+      firstName,
+      storeName: store.name,
+      order,
+      payUrl,
+      isLast: recovery.emailsSent === delays.length,
+    });
+
+    logger.info('Payment reminder sent', { orderId: order._id, step: recovery.emailsSent });
+    return true;
+  }
+
+  /**
+   * Single-use percentage coupon for one recovery sequence
+   */
+  async issueCoupon(store, recovery, now) {
+    if (recovery.couponId) {
+      return Coupon.findById(recovery.couponId).lean();
+    }
+
+    const coupon = await Coupon.create({
+      storeId: recovery.storeId || null,
+      code: `COMEBACK-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+      description: `Cart recovery (${recovery.email})`,
+      discountType: 'percentage',
+      discountValue: store.recovery.couponPercent,
+      maxUses: 1,
+      expiresAt: new Date(now.getTime() + (store.recovery.couponValidHours || 72) * HOUR_MS),
+      isActive: true,
+    });
+    await CheckoutRecovery.updateOne({ _id: recovery._id }, { $set: { couponId: coupon._id, couponCode: coupon.code } });
+    return coupon;
+  }
+
+  /**
+   * Mark sequences whose cart or order has since been paid as recovered (with the order total), and
+   * stop sequences for orders that were cancelled
+   */
+  async trackRecovered(now = new Date()) {
+    const since = new Date(now.getTime() - ATTRIBUTION_DAYS * 24 * HOUR_MS);
+    const open = await CheckoutRecovery.find({
+      status: { $in: ['active', 'exhausted'] },
+      createdAt: { $gte: since },
+    })
+      .select('kind cartId orderId status')
+      .limit(500)
+      .lean();
+
+    let recovered = 0;
+    for (const recovery of open) {
+      let orderId = recovery.orderId;
+      if (recovery.kind === 'cart') {
+        const cart = await Cart.findById(recovery.cartId).select('status orderId').lean();
+        if (!cart || cart.status === 'merged') {
+          await this.cancel(recovery);
+          continue;
+        }
+        orderId = cart.status === 'converted' ? cart.orderId : null;
+      }
+      if (!orderId) continue;
+
+      const order = await Order.findById(orderId).select('paymentStatus status total').lean();
+      if (!order) continue;
+
+      if (order.paymentStatus === 'paid' || order.paymentStatus === 'refunded') {
+        const result = await CheckoutRecovery.updateOne(
+          { _id: recovery._id, status: { $in: ['active', 'exhausted'] } },
+          {
+            $set: {
+              status: 'recovered',
+              recoveredOrderId: order._id,
+              recoveredRevenue: order.total,
+              recoveredAt: now,
+            },
+          }
+        );
+        if (result.modifiedCount > 0) recovered++;
+      } else if (order.status === 'cancelled' && recovery.kind === 'order') {
+        await this.cancel(recovery);
+      }
+    }
+    return recovered;
+  }
+
+  async cancel(recovery) {
+    await CheckoutRecovery.updateOne({ _id: recovery._id, status: 'active' }, { $set: { status: 'cancelled' } });
+  }
+
+  /**
+   * Sequences, emails, recoveries and revenue per kind (cart / order)
+   * @param {{ storeMatch?: object, from?: Date }} filters - store filter for the records, start date
+   */
+  async getStats({ storeMatch: match = {}, from } = {}) {
+    const $match = { ...match };
+    if (from) $match.createdAt = { $gte: from };
+
+    const rows = await CheckoutRecovery.aggregate([
+      { $match },
+      {
+        $group: {
+          _id: '$kind',
+          sequences: { $sum: 1 },
+          emailsSent: { $sum: '$emailsSent' },
+          abandonedValue: { $sum: '$value' },
+          recovered: { $sum: { $cond: [{ $eq: ['$status', 'recovered'] }, 1, 0] } },
+          recoveredRevenue: { $sum: '$recoveredRevenue' },
+          couponsIssued: { $sum: { $cond: [{ $ifNull: ['$couponId', false] }, 1, 0] } },
+        },
+      },
+    ]);
+
+    const empty = { sequences: 0, emailsSent: 0, abandonedValue: 0, recovered: 0, recoveredRevenue: 0, couponsIssued: 0 };
+    const byKind = Object.fromEntries(['cart', 'order'].map((kind) => {
+      const row = rows.find((r) => r._id === kind) || empty;
+      const { _id, ...stats } = { ...empty, ...row };
+      return [kind, { ...stats, recoveryRate: stats.sequences > 0 ? stats.recovered / stats.sequences : 0 }];
+    }));
+
+    const totals = Object.keys(empty).reduce((acc, key) => {
+      acc[key] = byKind.cart[key] + byKind.order[key];
+      return acc;
+    }, {});
+    totals.recoveryRate = totals.sequences > 0 ? totals.recovered / totals.sequences : 0;
+
+    return { cart: byKind.cart, order: byKind.order, totals };
+  }
+}
+
+module.exports = new CheckoutRecoveryService();
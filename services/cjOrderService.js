@@ -1,6 +1,8 @@
 const cjAuthService = require('./cjAuthService');
 const Order = require('../models/Order');
 const CjOrderMapping = require('../models/CjOrderMapping');
+const inventoryService = require('./inventoryService');
+const orderStateService = require('./orderStateService');
 const { logger } = require('../utils/logger');
 
 class CjOrderService {
@@ -19,11 +21,17 @@ class CjOrderService {
       // Map products to CJ format
       const cjProducts = products.map((product) => ({
         pid: product.cjProductId || product.productId,
+        vid: product.variantId || '',
         variantId: product.variantId || '',
         quantity: product.quantity,
         sellingPrice: product.price,
       }));
 
+      const missingVariant = cjProducts.find((p) => !p.vid);
+      if (missingVariant) {
+        logger.warn('CJ order product has no variant; CJ will use its default variant', { pid: missingVariant.pid });
+      }
+
       // Map shipping info to CJ format
       const cjShippingInfo = {
         countryCode: shippingInfo.countryCode || shippingInfo.country,
@@ -102,6 +110,9 @@ class CjOrderService {
         cjResponse: cjOrder,
       });
 
+      // CJ's own stock now accounts for these units
+      await inventoryService.fulfilForOrder(order._id);
+
       logger.info('Order linked to CJ order', {
         orderId: order._id,
         cjOrderId: cjOrder.orderId,
@@ -178,7 +189,7 @@ class CjOrderService {
   /**
    * Sync order status from CJ
    */
-  async syncOrderStatus(orderId) {
+  async syncOrderStatus(orderId, { source = 'sync' } = {}) {
     try {
       const mapping = await CjOrderMapping.findOne({ orderId });
       if (!mapping || !mapping.cjOrderId) {
@@ -194,25 +205,23 @@ class CjOrderService {
       mapping.cjResponse = cjOrderDetails;
       await mapping.save();
 
-      // Update order
-      const order = await Order.findById(orderId);
-      if (order) {
-        order.cjStatus = mapping.cjStatus;
-        order.cjTrackingNumber = mapping.cjTrackingNumber;
-
-        // Map CJ status to our status
-        const statusMap = {
-          'Pending': 'pending',
-          'Processing': 'processing',
-          'Shipped': 'shipped',
-          'Delivered': 'delivered',
-          'Cancelled': 'cancelled',
-        };
-        if (statusMap[mapping.cjStatus]) {
-          order.status = statusMap[mapping.cjStatus];
-        }
-
-        await order.save();
+      // Update order (CJ status moves that break the transition table are ignored)
+      let order = null;
+      if (await Order.exists({ _id: orderId })) {
+        const set = {};
+        if (mapping.cjStatus) set.cjStatus = mapping.cjStatus;
+        if (mapping.cjTrackingNumber) set.cjTrackingNumber = mapping.cjTrackingNumber;
+
+        ({ order } = await orderStateService.transition(
+          orderId,
+          { status: orderStateService.mapCjStatus(mapping.cjStatus) },
+          {
+            source,
+            set,
+            strict: false,
+            metadata: { cjOrderId: mapping.cjOrderId, cjStatus: mapping.cjStatus },
+          }
+        ));
       }
 
       logger.info('Order status synced from CJ', {
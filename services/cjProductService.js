@@ -1,5 +1,6 @@
 const cjAuthService = require('./cjAuthService');
 const Product = require('../models/Product');
+const wishlistService = require('./wishlistService');
 const { logger } = require('../utils/logger');
 
 /**
@@ -374,6 +375,7 @@ class CjProductService {
             cjPrice: variantCjPrice,  // CJ's cost
             suggestedPrice: variantSuggestedPrice, // CJ's suggested price
             stock: variantStock,
+            reservedStock: existingVariant?.reservedStock || 0, // Held by open orders; not CJ data
             sku: variant.sku || variant.variantSku || '',
           };
         }),
@@ -390,6 +392,9 @@ class CjProductService {
 
       logger.info('Product synced', { cjProductId, productId: product._id });
 
+      // Synced stock and prices may restock or reprice wishlisted items (non-blocking)
+      wishlistService.checkProduct(product._id);
+
       return product;
     } catch (error) {
       logger.error('Error syncing product', { error: error.message, cjProductId });
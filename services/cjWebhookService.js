@@ -1,7 +1,13 @@
 const cjOrderService = require('./cjOrderService');
 const Order = require('../models/Order');
 const CjOrderMapping = require('../models/CjOrderMapping');
+const CjConfig = require('../models/CjConfig');
+const inventoryService = require('./inventoryService');
+const orderStateService = require('./orderStateService');
+const outboundWebhookService = require('./outboundWebhookService');
+const wishlistService = require('./wishlistService');
 const { logger } = require('../utils/logger');
+const { safeCompare } = require('../utils/safeCompare');
 
 class CjWebhookService {
   /**
@@ -43,26 +49,18 @@ class CjWebhookService {
       mapping.cjResponse = webhookData;
       await mapping.save();
 
-      // Update order
-      const order = await Order.findById(mapping.orderId);
-      if (order) {
-        order.cjStatus = status;
-        if (trackingNumber) order.cjTrackingNumber = trackingNumber;
-
-        // Map CJ status to our order status
-        const statusMap = {
-          'Pending': 'pending',
-          'Processing': 'processing',
-          'Shipped': 'shipped',
-          'Delivered': 'delivered',
-          'Cancelled': 'cancelled',
-        };
-
-        if (statusMap[status]) {
-          order.status = statusMap[status];
-        }
+      // Update order (CJ status moves that break the transition table are ignored)
+      let order = null;
+      if (await Order.exists({ _id: mapping.orderId })) {
+        const set = {};
+        if (status) set.cjStatus = status;
+        if (trackingNumber) set.cjTrackingNumber = trackingNumber;
 
-        await order.save();
+        ({ order } = await orderStateService.transition(
+          mapping.orderId,
+          { status: orderStateService.mapCjStatus(status) },
+          { source: 'webhook', set, strict: false, metadata: { cjOrderId: orderId, cjStatus: status } }
+        ));
 
         logger.info('Order updated from CJ webhook', {
           orderId: order._id,
@@ -98,8 +96,8 @@ class CjWebhookService {
       // Handle STOCK message format
       if (type === 'STOCK' && params) {
         // params is an object where keys are variant IDs and values are arrays of stock info
-        const Product = require('../models/Product');
         let updatedCount = 0;
+        const oversold = [];
 
         for (const [vid, stockInfoArray] of Object.entries(params)) {
           if (!Array.isArray(stockInfoArray) || stockInfoArray.length === 0) continue;
@@ -110,57 +108,41 @@ class CjWebhookService {
             0
           );
 
-          // Find product by variant vid
-          const product = await Product.findOne({ 'variants.variantId': vid });
-          if (product) {
-            const variant = product.variants.find((v) => v.variantId === vid);
-            if (variant) {
-              variant.stock = totalStock;
-              // Update product-level stock as sum of variant stocks for low-stock checks
-              if (product.variants && product.variants.length > 0) {
-                product.stock = product.variants.reduce((s, v) => s + (v.stock ?? 0), 0);
-              } else {
-                product.stock = totalStock;
-              }
-              product.lastSyncedAt = new Date();
-              await product.save();
-              updatedCount++;
-              logger.info('Product variant stock updated from STOCK webhook', {
-                productId: product._id,
-                vid,
-                totalStock,
-              });
-            }
+          // Only the CJ count is replaced; quantities held by open orders are kept
+          const result = await inventoryService.applyCjVariantStock(vid, totalStock);
+          if (result) {
+            updatedCount++;
+            if (result.oversold) oversold.push(result);
+            this.notifyLowStock(result);
+            this.notifyBackInStock(result);
+            logger.info('Product variant stock updated from STOCK webhook', {
+              productId: result.productId,
+              vid,
+              totalStock,
+              reserved: result.reserved,
+            });
           }
         }
 
-        return { success: true, updatedCount };
+        return { success: true, updatedCount, oversold };
       }
 
       // Handle old format (productId, stock, variantId)
       if (productId) {
-        const Product = require('../models/Product');
-        const product = await Product.findOne({ cjProductId: productId });
-
-        if (product) {
-          if (variantId) {
-            const variant = product.variants.find((v) => v.variantId === variantId);
-            if (variant) {
-              variant.stock = stock;
-            }
-          } else {
-            product.stock = stock;
-            product.isAvailable = stock > 0;
-          }
-
-          product.lastSyncedAt = new Date();
-          await product.save();
+        const result = variantId
+          ? await inventoryService.applyCjVariantStock(variantId, stock)
+          : await inventoryService.applyCjProductStock(productId, stock);
 
+        if (result) {
+          this.notifyLowStock(result);
+          this.notifyBackInStock(result);
           logger.info('Product inventory updated from CJ webhook', {
-            productId: product._id,
+            productId: result.productId,
             cjProductId: productId,
             stock,
+            reserved: result.reserved,
           });
+          return { success: true, oversold: result.oversold ? [result] : [] };
         }
       }
 
@@ -175,13 +157,55 @@ class CjWebhookService {
   }
 
   /**
-   * Verify webhook signature (if CJ provides one)
+   * Fire product.stock_low when a stock update took the product to its threshold (non-blocking)
+   */
+  notifyLowStock(result) {
+    if (!result.lowStock) return;
+    outboundWebhookService.emit('product.stock_low', {
+      storeId: result.storeId,
+      data: {
+        productId: String(result.productId),
+        name: result.name,
+        variantId: result.variantId || undefined,
+        stock: result.stock,
+        reserved: result.reserved,
+        available: result.available,
+        lowStockThreshold: result.lowStockThreshold,
+      },
+    });
+  }
+
+  /**
+   * Alert shoppers waiting on this product when a stock update made it available again (non-blocking)
+   */
+  notifyBackInStock(result) {
+    if (!result.backInStock) return;
+    wishlistService.checkProduct(result.productId);
+  }
+
+  /**
+   * Token CJ webhooks must present (CJ_WEBHOOK_SECRET overrides the stored one)
+   */
+  async getWebhookSecret() {
+    return process.env.CJ_WEBHOOK_SECRET || (await CjConfig.getWebhookSecret());
+  }
+
+  /**
+   * Verify a CJ webhook. CJ doesn't sign payloads, so the callback URLs we register carry a
+   * secret token (?token=...), which may also be sent as an X-Webhook-Token header.
+   */
+  verifyWebhookSignature(token, secret) {
+    if (!secret || !token) return false;
+    return safeCompare(String(token), secret);
+  }
+
+  /**
+   * Event id and timestamp for replay protection
    */
-  verifyWebhookSignature(payload, signature) {
-    // CJ API may provide webhook signature verification
-    // This needs to be implemented based on CJ's webhook documentation
-    // For now, return true (trust webhook)
-    return true;
+  getEventMeta(payload = {}) {
+    const eventId = payload.messageId || payload.msgId || payload.eventId || null;
+    const timestamp = payload.timestamp || payload.messageTime || payload.params?.timestamp || null;
+    return { eventId: eventId ? String(eventId) : null, timestamp };
   }
 
   /**
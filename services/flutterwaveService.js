@@ -2,6 +2,8 @@ const axios = require('axios');
 const crypto = require('crypto');
 const PaymentMethod = require('../models/PaymentMethod');
 const { logger } = require('../utils/logger');
+const { safeCompare } = require('../utils/safeCompare');
+const { encryptSecret, decryptSecret } = require('../utils/crypto');
 
 class FlutterwaveService {
   constructor() {
@@ -56,7 +58,7 @@ class FlutterwaveService {
         },
         meta: {
           orderNumber: paymentData.orderNumber,
-          userId: paymentData.userId.toString(),
+          ...(paymentData.userId && { userId: paymentData.userId.toString() }),
         },
       };
 
@@ -118,6 +120,53 @@ class FlutterwaveService {
     }
   }
 
+  /**
+   * Refund a transaction (full when amount is omitted).
+   * Set PAYMENT_REFUNDS_MOCK=true to skip the API call locally.
+   */
+  async refundPayment({ transactionId, amount }) {
+    if (process.env.PAYMENT_REFUNDS_MOCK === 'true') {
+      logger.info('Mock Flutterwave refund', { transactionId, amount });
+      return { refundId: `MOCK-FLW-${Date.now()}`, status: 'completed', fullResponse: { mock: true } };
+    }
+
+    if (!transactionId) {
+      throw new Error('Flutterwave transaction ID is missing for this payment');
+    }
+
+    try {
+      const paymentMethod = await this.getPaymentMethod();
+
+      const response = await axios.post(
+        `${this.baseURL}/transactions/${transactionId}/refund`,
+        amount ? { amount } : {},
+        {
+          headers: {
+            Authorization: `Bearer ${paymentMethod.config.secretKey}`,
+            'Content-Type': 'application/json',
+          },
+        }
+      );
+
+      const data = response.data.data || {};
+
+      logger.info('Flutterwave refund created', { transactionId, refundId: data.id, status: data.status });
+
+      return {
+        refundId: data.id ? String(data.id) : undefined,
+        status: data.status,
+        fullResponse: data,
+      };
+    } catch (error) {
+      logger.error('Error refunding Flutterwave payment', { error: error.message, transactionId });
+
+      if (error.response) {
+        throw new Error(`Flutterwave API Error: ${error.response.data.message || error.message}`);
+      }
+      throw error;
+    }
+  }
+
   /**
    * Generate unique transaction reference
    */
@@ -128,100 +177,55 @@ class FlutterwaveService {
   }
 
   /**
-   * Encrypt secret key before storing
+   * Encrypt secret key before storing (see utils/crypto)
    */
   encryptSecretKey(secretKey) {
-    try {
-      const algorithm = 'aes-256-cbc';
-      const keyString = process.env.ENCRYPTION_KEY || process.env.JWT_SECRET;
-      
-      // Generate encryption key from environment variable
-      let encryptionKey;
-      try {
-        // Try to use as hex first
-        const keyBuffer = Buffer.from(keyString, 'hex');
-        if (keyBuffer.length === 32) {
-          encryptionKey = keyBuffer;
-        } else {
-          // Hash to get 32 bytes
-          encryptionKey = crypto.createHash('sha256').update(keyString).digest();
-        }
-      } catch {
-        // If not hex, just hash it
-        encryptionKey = crypto.createHash('sha256').update(keyString).digest();
-      }
-
-      const iv = crypto.randomBytes(16);
-      const cipher = crypto.createCipheriv(algorithm, encryptionKey, iv);
-      
-      let encrypted = cipher.update(secretKey, 'utf8', 'hex');
-      encrypted += cipher.final('hex');
-      
-      return iv.toString('hex') + ':' + encrypted;
-    } catch (error) {
-      logger.error('Error encrypting secret key', { error: error.message });
-      throw new Error('Failed to encrypt secret key');
-    }
+    return encryptSecret(secretKey);
   }
 
   /**
    * Decrypt secret key for use
    */
   decryptSecretKey(encryptedKey) {
-    try {
-      // If not encrypted (no colon), return as is
-      if (!encryptedKey.includes(':')) {
-        return encryptedKey;
-      }
+    return decryptSecret(encryptedKey);
+  }
 
-      const algorithm = 'aes-256-cbc';
-      const keyString = process.env.ENCRYPTION_KEY || process.env.JWT_SECRET;
-      
-      // Generate encryption key from environment variable
-      let encryptionKey;
-      try {
-        // Try to use as hex first
-        const keyBuffer = Buffer.from(keyString, 'hex');
-        if (keyBuffer.length === 32) {
-          encryptionKey = keyBuffer;
-        } else {
-          // Hash to get 32 bytes
-          encryptionKey = crypto.createHash('sha256').update(keyString).digest();
-        }
-      } catch {
-        // If not hex, just hash it
-        encryptionKey = crypto.createHash('sha256').update(keyString).digest();
-      }
+  /**
+   * Secret hash configured on the Flutterwave dashboard (stored as config.webhookSecret,
+   * FLUTTERWAVE_WEBHOOK_SECRET overrides)
+   */
+  async getWebhookSecret() {
+    if (process.env.FLUTTERWAVE_WEBHOOK_SECRET) return process.env.FLUTTERWAVE_WEBHOOK_SECRET;
+    const paymentMethod = await PaymentMethod.findOne({ type: 'flutterwave', isActive: true })
+      .select('+config.webhookSecret');
+    const secret = paymentMethod?.config?.webhookSecret;
+    return secret ? this.decryptSecretKey(secret) : null;
+  }
 
-      const parts = encryptedKey.split(':');
-      if (parts.length !== 2) {
-        // If not encrypted (for backward compatibility), return as is
-        return encryptedKey;
-      }
+  /**
+   * Verify webhook: `flutterwave-signature` (HMAC-SHA256 of the raw body, base64) when present,
+   * otherwise the legacy `verif-hash` header, which must equal the secret hash
+   */
+  verifyWebhook(rawBody, headers, secret) {
+    if (!secret) return false;
 
-      const iv = Buffer.from(parts[0], 'hex');
-      const encrypted = parts[1];
-      const decipher = crypto.createDecipheriv(algorithm, encryptionKey, iv);
-      
-      let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-      decrypted += decipher.final('utf8');
-      
-      return decrypted;
-    } catch (error) {
-      logger.error('Error decrypting secret key', { error: error.message });
-      // If decryption fails, return as is (might be unencrypted for backward compatibility)
-      return encryptedKey;
+    const signature = headers['flutterwave-signature'];
+    if (signature) {
+      if (!rawBody) return false;
+      const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('base64');
+      return safeCompare(String(signature), expected);
     }
+
+    return safeCompare(String(headers['verif-hash'] || ''), secret);
   }
 
   /**
-   * Verify webhook signature (if Flutterwave provides one)
+   * Event id and timestamp for replay protection
    */
-  verifyWebhook(payload, signature) {
-    // Flutterwave doesn't provide webhook signatures by default
-    // This can be implemented if they add signature verification in the future
-    // For now, verify based on transaction reference and status
-    return true;
+  getEventMeta(payload = {}) {
+    const data = payload.data || payload;
+    const eventId = data.id ? `${payload.event || payload['event.type'] || 'charge'}:${data.id}` : null;
+    return { eventId, timestamp: data.created_at || null };
   }
 
   /**
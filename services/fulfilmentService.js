@@ -0,0 +1,221 @@
+const Order = require('../models/Order');
+const User = require('../models/User');
+const FulfilmentJob = require('../models/FulfilmentJob');
+const cjOrderService = require('./cjOrderService');
+const orderStateService = require('./orderStateService');
+const { logger } = require('../utils/logger');
+
+const BASE_BACKOFF_MINUTES = 1;
+const MAX_BACKOFF_MINUTES = 6 * 60;
+// A job stuck in processing longer than this may have created the CJ order without linking it,
+// so it is flagged for a human instead of being retried automatically
+const STALE_LOCK_MINUTES = 15;
+
+class FulfilmentService {
+  /**
+   * Map our order to the CJ createOrder payload
+   */
+  async buildCjOrderData(order) {
+    const user = order.userId && !order.shippingAddress.email
+      ? await User.findById(order.userId).select('email').lean()
+      : null;
+
+    return {
+      shippingInfo: {
+        countryCode: order.shippingAddress.country,
+        firstName: order.shippingAddress.firstName || '',
+        lastName: order.shippingAddress.lastName || '',
+        state: order.shippingAddress.state || '',
+        city: order.shippingAddress.city,
+        address1: order.shippingAddress.street,
+        address2: order.shippingAddress.address2 || '',
+        zipCode: order.shippingAddress.zipCode,
+        phone: order.shippingAddress.phone,
+        email: order.shippingAddress.email || user?.email || order.guestEmail || '',
+      },
+      products: order.items.map((item) => ({
+        cjProductId: item.productId,
+        variantId: item.cjVid || item.variantId || '',
+        quantity: item.quantity,
+        price: item.price,
+      })),
+      paymentMethod: 'Balance',
+      remark: `Order ${order.orderNumber}`,
+    };
+  }
+
+  backoffMinutes(attempts) {
+    return Math.min(BASE_BACKOFF_MINUTES * 2 ** Math.max(0, attempts - 1), MAX_BACKOFF_MINUTES);
+  }
+
+  /**
+   * Queue CJ submission for a paid order and try it straight away (non-blocking).
+   * Safe to call more than once per order.
+   */
+  async enqueue(order, { source } = {}) {
+    if (!order || order.cjOrderId || order.paymentStatus !== 'paid') return null;
+
+    const job = await FulfilmentJob.findOneAndUpdate(
+      { orderId: order._id },
+      {
+        $setOnInsert: {
+          orderId: order._id,
+          storeId: order.storeId || null,
+          status: 'queued',
+          nextAttemptAt: new Date(),
+          source,
+        },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    logger.info('CJ fulfilment queued', { orderId: order._id, jobId: job._id, status: job.status });
+
+    if (job.status === 'queued') {
+      this.processJob(job._id).catch((error) => {
+        logger.error('Immediate CJ fulfilment attempt failed', { orderId: order._id, error: error.message });
+      });
+    }
+    return job;
+  }
+
+  /**
+   * Claim a due job and submit it to CJ. Returns the updated job, or null if not claimable.
+   */
+  async processJob(jobId) {
+    const now = new Date();
+    const job = await FulfilmentJob.findOneAndUpdate(
+      { _id: jobId, status: 'queued', nextAttemptAt: { $lte: now } },
+      { $set: { status: 'processing', lockedAt: now }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!job) return null;
+
+    let order;
+    try {
+      order = await Order.findById(job.orderId);
+      if (!order) {
+        throw new Error('Order not found');
+      }
+
+      if (order.cjOrderId) {
+        // Already linked (e.g. created manually) - nothing to submit
+        job.status = 'succeeded';
+        job.cjOrderId = order.cjOrderId;
+      } else {
+        if (order.paymentStatus !== 'paid' || order.status === 'cancelled') {
+          throw new Error(`Order is not fulfillable (payment: ${order.paymentStatus}, status: ${order.status})`);
+        }
+        const cjOrderData = await this.buildCjOrderData(order);
+        const result = await cjOrderService.createAndLinkOrder(order._id, cjOrderData);
+        job.status = 'succeeded';
+        job.cjOrderId = result.cjOrder.orderId;
+      }
+
+      job.completedAt = new Date();
+      job.lastError = undefined;
+      job.lockedAt = undefined;
+      await job.save();
+
+      await orderStateService.record(order, 'fulfilment', {
+        note: `CJ order ${job.cjOrderId} linked`,
+        metadata: { cjOrderId: job.cjOrderId, attempts: job.attempts },
+      });
+
+      logger.info('CJ fulfilment succeeded', { orderId: job.orderId, cjOrderId: job.cjOrderId, attempts: job.attempts });
+      return job;
+    } catch (error) {
+      const message = error.response?.data?.message || error.message;
+      job.lastError = message;
+      job.lockedAt = undefined;
+      job.attemptLog.push({ at: new Date(), error: message });
+
+      if (job.attempts >= job.maxAttempts) {
+        job.status = 'failed';
+        logger.error('CJ fulfilment failed permanently', { orderId: job.orderId, attempts: job.attempts, error: message });
+        if (order) {
+          await orderStateService.record(order, 'fulfilment', {
+            note: `CJ order submission failed after ${job.attempts} attempts: ${message}`,
+          });
+        }
+      } else {
+        job.status = 'queued';
+        job.nextAttemptAt = new Date(Date.now() + this.backoffMinutes(job.attempts) * 60 * 1000);
+        logger.warn('CJ fulfilment attempt failed; will retry', {
+          orderId: job.orderId,
+          attempts: job.attempts,
+          nextAttemptAt: job.nextAttemptAt,
+          error: message,
+        });
+      }
+
+      await job.save();
+      return job;
+    }
+  }
+
+  /**
+   * Process due jobs (called by background job)
+   */
+  async processDue(limit = 20) {
+    const staleBefore = new Date(Date.now() - STALE_LOCK_MINUTES * 60 * 1000);
+    const stale = await FulfilmentJob.updateMany(
+      { status: 'processing', lockedAt: { $lte: staleBefore } },
+      {
+        $set: {
+          status: 'failed',
+          lastError: 'Submission interrupted; check CJ for an existing order before retrying',
+        },
+        $unset: { lockedAt: 1 },
+      }
+    );
+
+    const jobs = await FulfilmentJob.find({ status: 'queued', nextAttemptAt: { $lte: new Date() } })
+      .sort({ nextAttemptAt: 1 })
+      .limit(limit)
+      .select('_id');
+
+    let succeeded = 0;
+    let failed = 0;
+    for (const { _id } of jobs) {
+      const job = await this.processJob(_id);
+      if (job?.status === 'succeeded') succeeded++;
+      else if (job) failed++;
+    }
+
+    return { processed: jobs.length, succeeded, failed, stale: stale.modifiedCount ?? stale.nModified ?? 0 };
+  }
+
+  /**
+   * Re-queue a failed (or stuck) job immediately and attempt it; creates the job if missing
+   */
+  async retry(order) {
+    if (order.cjOrderId) {
+      const error = new Error('Order is already linked to CJ order');
+      error.status = 400;
+      throw error;
+    }
+    if (order.paymentStatus !== 'paid') {
+      const error = new Error('Order payment must be completed before creating CJ order');
+      error.status = 400;
+      throw error;
+    }
+
+    await FulfilmentJob.findOneAndUpdate(
+      { orderId: order._id, status: { $ne: 'processing' } },
+      {
+        $set: { status: 'queued', attempts: 0, nextAttemptAt: new Date() },
+        $setOnInsert: { storeId: order.storeId || null, source: 'manual' },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).catch((error) => {
+      // Duplicate key: a job exists and is currently processing
+      if (error.code !== 11000) throw error;
+    });
+
+    const job = await FulfilmentJob.findOne({ orderId: order._id });
+    return (await this.processJob(job._id)) || job;
+  }
+}
+
+module.exports = new FulfilmentService();
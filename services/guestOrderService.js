@@ -0,0 +1,200 @@
+const jwt = require('jsonwebtoken');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const mailService = require('./mailService');
+const orderStateService = require('./orderStateService');
+const { getStoreFilter } = require('../middleware/resolveStore');
+const { logger } = require('../utils/logger');
+
+const ACCESS_AUDIENCE = 'order-access';
+const ACCESS_TTL = process.env.GUEST_ORDER_LINK_TTL || '90d';
+const EMAIL_PATTERN = /^\S+@\S+\.\S+$/;
+
+function guestOrderError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function clientLink(pathname, token) {
+  const base = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${base}${pathname}?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Guest checkout: orders keyed on an email instead of an account. Guests reach their order through a
+ * signed access link (also used to claim it into an account later) or by order number plus email.
+ */
+class GuestOrderService {
+  getSecret() {
+    const secret = process.env.ORDER_LINK_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+      throw new Error('ORDER_LINK_SECRET or JWT_SECRET must be configured');
+    }
+    return secret;
+  }
+
+  normalizeEmail(email) {
+    const value = String(email || '').trim().toLowerCase();
+    return EMAIL_PATTERN.test(value) ? value : null;
+  }
+
+  /**
+   * Signed token for one order, bound to its guest email
+   */
+  issueAccessToken(order) {
+    return jwt.sign({ orderId: String(order._id), email: order.guestEmail }, this.getSecret(), {
+      audience: ACCESS_AUDIENCE,
+      expiresIn: ACCESS_TTL,
+    });
+  }
+
+  verifyAccessToken(token) {
+    if (!token || typeof token !== 'string') {
+      throw guestOrderError('Order link is required');
+    }
+    try {
+      return jwt.verify(token, this.getSecret(), { audience: ACCESS_AUDIENCE });
+    } catch (error) {
+      throw guestOrderError(
+        error.name === 'TokenExpiredError' ? 'This order link has expired' : 'Invalid order link',
+        401
+      );
+    }
+  }
+
+  /**
+   * Status page and claim links for a guest order
+   */
+  getLinks(order) {
+    const token = this.issueAccessToken(order);
+    return {
+      accessToken: token,
+      orderUrl: clientLink('/orders/track', token),
+      claimUrl: clientLink('/claim-order', token),
+    };
+  }
+
+  /**
+   * Email the order number with the status and claim links (never throws)
+   */
+  async sendConfirmation(order) {
+    try {
+      const { orderUrl, claimUrl } = this.getLinks(order);
+      await mailService.sendGuestOrderConfirmation(order, { orderUrl, claimUrl });
+    } catch (error) {
+      logger.error('Failed to send guest order confirmation', { orderId: order._id, error: error.message });
+    }
+  }
+
+  /**
+   * Guest order for a signed access link
+   */
+  async findByAccessToken(token) {
+    const { orderId, email } = this.verifyAccessToken(token);
+    const order = await Order.findOne({ _id: orderId, guestEmail: email });
+    if (!order) {
+      throw guestOrderError('Order not found', 404);
+    }
+    return order;
+  }
+
+  /**
+   * Order for an order number plus the email it was placed with (guest email or account email)
+   */
+  async lookup({ orderNumber, email, storeId }) {
+    const normalized = this.normalizeEmail(email);
+    if (!orderNumber || !normalized) {
+      throw guestOrderError('Order number and email are required');
+    }
+
+    const order = await Order.findOne({ orderNumber: String(orderNumber).trim(), ...getStoreFilter(storeId) });
+    if (order) {
+      if (order.guestEmail === normalized) return order;
+      if (order.userId) {
+        const user = await User.findById(order.userId).select('email').lean();
+        if (user?.email === normalized) return order;
+      }
+    }
+    // Same answer whether the order doesn't exist or the email doesn't match
+    throw guestOrderError('No order found for that order number and email', 404);
+  }
+
+  /**
+   * Order the current shopper may act on (pay, upload a receipt): their own order when signed in,
+   * otherwise a guest order matching the access token
+   */
+  async findCustomerOrder(req, orderId) {
+    if (req.user?.id) {
+      return Order.findOne({ _id: orderId, userId: req.user.id });
+    }
+    const token = req.body?.orderToken || req.headers['x-order-token'];
+    if (!token) return null;
+    const access = this.verifyAccessToken(token);
+    if (String(access.orderId) !== String(orderId)) return null;
+    return Order.findOne({ _id: orderId, userId: null, guestEmail: access.email });
+  }
+
+  /**
+   * What guests see on the status page: status, items, totals and tracking (no internal fields)
+   */
+  async toPublicOrder(order) {
+    const timeline = await orderStateService.getTimeline(order._id, { forCustomer: true });
+    return {
+      _id: order._id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      paymentStatus: order.paymentStatus,
+      paymentMethodType: order.paymentMethodType,
+      items: order.items.map((item) => ({
+        productName: item.productName,
+        productImage: item.productImage,
+        variantName: item.variantName,
+        quantity: item.quantity,
+        price: item.price,
+        subtotal: item.subtotal,
+      })),
+      subtotal: order.subtotal,
+      shippingCost: order.shippingCost,
+      tax: order.tax,
+      discountAmount: order.discountAmount,
+      total: order.total,
+      currency: order.currency,
+      trackingNumber: order.cjTrackingNumber || null,
+      shippingAddress: {
+        firstName: order.shippingAddress?.firstName,
+        lastName: order.shippingAddress?.lastName,
+        city: order.shippingAddress?.city,
+        state: order.shippingAddress?.state,
+        country: order.shippingAddress?.country,
+      },
+      isGuest: !order.userId,
+      createdAt: order.createdAt,
+      timeline,
+    };
+  }
+
+  /**
+   * Attach every unclaimed guest order placed with the link's email to the signed-in account.
+   * The account email must match the email the order was placed with.
+   * @returns {Promise<{ claimed: number }>}
+   */
+  async claim(token, user) {
+    const { email } = this.verifyAccessToken(token);
+    if (!user?.email || user.email.toLowerCase() !== email) {
+      throw guestOrderError('Sign in with the email address the order was placed with to claim it', 403);
+    }
+
+    const orderIds = await Order.find({ guestEmail: email, userId: null }).distinct('_id');
+    if (orderIds.length === 0) return { claimed: 0 };
+
+    await Order.updateMany({ _id: { $in: orderIds }, userId: null }, { $set: { userId: user._id || user.id } });
+    await Payment.updateMany({ orderId: { $in: orderIds }, userId: null }, { $set: { userId: user._id || user.id } });
+
+    logger.info('Guest orders claimed', { userId: user._id || user.id, orders: orderIds.length });
+    return { claimed: orderIds.length };
+  }
+}
+
+module.exports = new GuestOrderService();
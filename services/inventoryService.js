@@ -0,0 +1,280 @@
+const Product = require('../models/Product');
+const InventoryReservation = require('../models/InventoryReservation');
+const { logger } = require('../utils/logger');
+
+const RESERVATION_TTL_MINUTES = parseInt(process.env.INVENTORY_RESERVATION_TTL_MINUTES, 10) || 60;
+const OPEN_STATUSES = ['reserved', 'committed'];
+
+function stockError(message) {
+  const error = new Error(message);
+  error.status = 409;
+  return error;
+}
+
+class InventoryService {
+  /**
+   * Stock, reserved and available quantities for a product (lean or document)
+   */
+  getAvailability(product, variantId = null) {
+    if (variantId) {
+      const variant = (product.variants || []).find((v) => v.variantId === variantId);
+      if (variant) {
+        const stock = variant.stock ?? 0;
+        const reserved = variant.reservedStock ?? 0;
+        return { stock, reserved, available: Math.max(0, stock - reserved) };
+      }
+    }
+    const stock = product.stock ?? 0;
+    const reserved = product.reservedStock ?? 0;
+    return { stock, reserved, available: Math.max(0, stock - reserved) };
+  }
+
+  /**
+   * Adjust the held quantity on product (and variant, when given) atomically
+   */
+  async adjustReserved(productRef, variantId, delta) {
+    if (variantId) {
+      const updated = await Product.findOneAndUpdate(
+        { _id: productRef, 'variants.variantId': variantId },
+        { $inc: { 'variants.$.reservedStock': delta, reservedStock: delta } },
+        { new: true }
+      ).select('name stock reservedStock variants trackInventory');
+      if (updated) return updated;
+    }
+    return Product.findOneAndUpdate(
+      { _id: productRef },
+      { $inc: { reservedStock: delta } },
+      { new: true }
+    ).select('name stock reservedStock variants trackInventory');
+  }
+
+  /**
+   * Hold one order line; throws 409 when it would oversell
+   * @returns {Promise<object|null>} reservation input, or null when inventory is not tracked
+   */
+  async reserveLine(line, { force = false } = {}) {
+    if (!line.productRef) return null;
+
+    const product = await Product.findById(line.productRef).select('name trackInventory variants.variantId').lean();
+    if (!product || product.trackInventory === false) return null;
+
+    const variantId = line.variantId && (product.variants || []).some((v) => v.variantId === line.variantId)
+      ? line.variantId
+      : null;
+
+    const updated = await this.adjustReserved(product._id, variantId, line.quantity);
+    const { stock, reserved } = this.getAvailability(updated, variantId);
+
+    if (stock - reserved < 0 && !force) {
+      await this.adjustReserved(product._id, variantId, -line.quantity);
+      const left = Math.max(0, stock - (reserved - line.quantity));
+      throw stockError(left > 0
+        ? `Only ${left} left of ${product.name}${line.variantName ? ` (${line.variantName})` : ''}`
+        : `${product.name}${line.variantName ? ` (${line.variantName})` : ''} is out of stock`);
+    }
+
+    return { productRef: product._id, variantId, quantity: line.quantity };
+  }
+
+  /**
+   * Reserve every line of an order; all-or-nothing
+   */
+  async reserveForOrder({ orderId, storeId, items }) {
+    const held = [];
+    try {
+      for (const item of items) {
+        const hold = await this.reserveLine(item);
+        if (hold) held.push(hold);
+      }
+    } catch (error) {
+      await Promise.all(held.map((h) => this.adjustReserved(h.productRef, h.variantId, -h.quantity)));
+      throw error;
+    }
+
+    if (held.length === 0) return [];
+
+    const expiresAt = new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000);
+    const reservations = await InventoryReservation.insertMany(
+      held.map((h) => ({ ...h, orderId, storeId: storeId || null, status: 'reserved', expiresAt }))
+    );
+
+    logger.info('Inventory reserved for order', { orderId, lines: reservations.length, expiresAt });
+    return reservations;
+  }
+
+  /**
+   * Return held stock for an order's open reservations
+   */
+  async releaseForOrder(orderId, reason = 'cancelled') {
+    const open = await InventoryReservation.find({ orderId, status: { $in: OPEN_STATUSES } }).select('_id');
+    let released = 0;
+
+    for (const { _id } of open) {
+      // Claim the reservation first so concurrent releases can't double-decrement
+      const reservation = await InventoryReservation.findOneAndUpdate(
+        { _id, status: { $in: OPEN_STATUSES } },
+        { $set: { status: 'released', releaseReason: reason, releasedAt: new Date() } },
+        { new: true }
+      );
+      if (!reservation) continue;
+      await this.adjustReserved(reservation.productRef, reservation.variantId, -reservation.quantity);
+      released++;
+    }
+
+    if (released > 0) {
+      logger.info('Inventory released for order', { orderId, reason, released });
+    }
+    return released;
+  }
+
+  /**
+   * Payment received: keep holding stock (no expiry) until the order is placed with CJ.
+   * Reservations that expired before payment are re-held even if that oversells, since the customer has paid.
+   */
+  async commitForOrder(order) {
+    const now = new Date();
+    const result = await InventoryReservation.updateMany(
+      { orderId: order._id, status: 'reserved' },
+      { $set: { status: 'committed', committedAt: now }, $unset: { expiresAt: 1 } }
+    );
+    const committed = result.modifiedCount ?? result.nModified ?? 0;
+
+    if (committed === 0) {
+      const expired = await InventoryReservation.find({ orderId: order._id, status: 'released', releaseReason: { $in: ['expired', 'payment_failed'] } });
+      for (const reservation of expired) {
+        const updated = await this.adjustReserved(reservation.productRef, reservation.variantId, reservation.quantity);
+        reservation.status = 'committed';
+        reservation.committedAt = now;
+        reservation.releaseReason = undefined;
+        reservation.releasedAt = undefined;
+        reservation.expiresAt = undefined;
+        await reservation.save();
+
+        const { available, stock, reserved } = this.getAvailability(updated || {}, reservation.variantId);
+        if (stock - reserved < 0) {
+          logger.warn('Paid order re-held stock after reservation expiry; product is oversold', {
+            orderId: order._id,
+            productRef: reservation.productRef,
+            variantId: reservation.variantId,
+            available,
+          });
+        }
+      }
+      return expired.length;
+    }
+
+    logger.info('Inventory committed for paid order', { orderId: order._id, committed });
+    return committed;
+  }
+
+  /**
+   * CJ order placed: CJ's stock now accounts for these units, so drop our hold
+   */
+  async fulfilForOrder(orderId) {
+    const open = await InventoryReservation.find({ orderId, status: { $in: OPEN_STATUSES } }).select('_id');
+    for (const { _id } of open) {
+      const reservation = await InventoryReservation.findOneAndUpdate(
+        { _id, status: { $in: OPEN_STATUSES } },
+        { $set: { status: 'fulfilled', fulfilledAt: new Date() } },
+        { new: true }
+      );
+      if (reservation) {
+        await this.adjustReserved(reservation.productRef, reservation.variantId, -reservation.quantity);
+      }
+    }
+    return open.length;
+  }
+
+  /**
+   * Release unpaid reservations past their expiry (called by background job)
+   */
+  async releaseExpired(now = new Date()) {
+    const orderIds = await InventoryReservation.distinct('orderId', {
+      status: 'reserved',
+      expiresAt: { $lte: now },
+    });
+
+    let released = 0;
+    for (const orderId of orderIds) {
+      released += await this.releaseForOrder(orderId, 'expired');
+    }
+    return { orders: orderIds.length, released };
+  }
+
+  /**
+   * Apply a CJ stock count to a variant without touching held quantities.
+   * Logs when CJ stock has dropped below what open orders already hold.
+   */
+  async applyCjVariantStock(vid, stock) {
+    // Pre-update document, so the low-stock check can tell whether this update crossed the threshold
+    const product = await Product.findOneAndUpdate(
+      { 'variants.variantId': vid },
+      { $set: { 'variants.$.stock': stock, lastSyncedAt: new Date() } },
+      { new: false }
+    );
+    if (!product) return null;
+
+    const { available: previousAvailable } = this.getAvailability(product, vid);
+    product.variants.find((v) => v.variantId === vid).stock = stock;
+    const totalStock = product.variants.reduce((s, v) => s + (v.stock ?? 0), 0);
+    await Product.updateOne({ _id: product._id }, { $set: { stock: totalStock } });
+    product.stock = totalStock;
+
+    return this.reconcile(product, vid, stock, previousAvailable);
+  }
+
+  /**
+   * Apply a CJ stock count at product level (legacy webhook format)
+   */
+  async applyCjProductStock(cjProductId, stock) {
+    const product = await Product.findOneAndUpdate(
+      { cjProductId },
+      { $set: { stock, isAvailable: stock > 0, lastSyncedAt: new Date() } },
+      { new: false }
+    );
+    if (!product) return null;
+
+    const { available: previousAvailable } = this.getAvailability(product);
+    product.stock = stock;
+    product.isAvailable = stock > 0;
+    return this.reconcile(product, null, stock, previousAvailable);
+  }
+
+  /**
+   * Availability after a CJ stock update. `lowStock` is set when available stock has just dropped
+   * to the product's lowStockThreshold or below (only on the update that crosses it); `backInStock`
+   * when it has just gone up from zero.
+   */
+  reconcile(product, variantId, stock, previousAvailable) {
+    const { reserved, available } = this.getAvailability(product, variantId);
+    const tracked = product.trackInventory !== false;
+    const threshold = product.lowStockThreshold ?? 0;
+    const lowStock =
+      tracked && available <= threshold && (previousAvailable === undefined || previousAvailable > threshold);
+    const oversold = tracked && stock < reserved;
+    const backInStock = tracked && previousAvailable !== undefined && previousAvailable <= 0 && available > 0;
+    if (oversold) {
+      logger.warn('CJ stock is below reserved quantity', {
+        productId: product._id,
+        variantId,
+        stock,
+        reserved,
+      });
+    }
+    return {
+      productId: product._id,
+      storeId: product.storeId,
+      name: product.name,
+      variantId,
+      stock,
+      reserved,
+      available,
+      lowStockThreshold: threshold,
+      lowStock,
+      backInStock,
+      oversold,
+    };
+  }
+}
+
+module.exports = new InventoryService();
@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const mailService = require('./mailService');
+const { logger } = require('../utils/logger');
+
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS, 10) || 7;
+
+function invitationError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function acceptUrl(token) {
+  const base = (process.env.ADMIN_URL || process.env.CLIENT_URL || 'http://localhost:3001').replace(/\/$/, '');
+  return `${base}/accept-invite?token=${encodeURIComponent(token)}`;
+}
+
+class InvitationService {
+  /**
+   * New token and expiry, then email the link. The raw token is never stored or returned.
+   */
+  async issueAndSend(invitation, inviter) {
+    const token = crypto.randomBytes(32).toString('hex');
+    invitation.tokenHash = hashToken(token);
+    invitation.expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+    invitation.lastSentAt = new Date();
+    invitation.sendCount = (invitation.sendCount || 0) + 1;
+    await invitation.save();
+
+    try {
+      await mailService.sendInvitation(invitation, acceptUrl(token), {
+        inviterName: inviter ? `${inviter.firstName} ${inviter.lastName}`.trim() : null,
+        expiresInDays: INVITATION_TTL_DAYS,
+      });
+    } catch (error) {
+      // The invitation stands; the admin can resend once mail works
+      logger.error('Failed to send invitation email', { invitationId: invitation._id, error: error.message });
+      return { invitation, emailSent: false };
+    }
+    return { invitation, emailSent: true };
+  }
+
+  /**
+   * Invite a staff member (role and permissions already validated by the caller)
+   */
+  async create({ email, firstName, lastName, role, permissions, storePermissions = [] }, invitedBy) {
+    const normalizedEmail = String(email).toLowerCase().trim();
+
+    if (await User.exists({ email: normalizedEmail })) {
+      throw invitationError('A user with this email already exists');
+    }
+
+    // A lapsed invitation doesn't block a new one
+    await Invitation.updateMany(
+      { email: normalizedEmail, status: 'pending', expiresAt: { $lte: new Date() } },
+      { $set: { status: 'expired' } }
+    );
+    if (await Invitation.exists({ email: normalizedEmail, status: 'pending' })) {
+      throw invitationError('An invitation for this email is already pending; resend it instead');
+    }
+
+    const invitation = new Invitation({
+      email: normalizedEmail,
+      firstName: String(firstName).trim(),
+      lastName: String(lastName).trim(),
+      role,
+      permissions,
+      storePermissions,
+      invitedBy,
+    });
+    const inviter = invitedBy ? await User.findById(invitedBy).select('firstName lastName') : null;
+
+    try {
+      return await this.issueAndSend(invitation, inviter);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw invitationError('An invitation for this email is already pending; resend it instead');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Send a fresh link (the old one stops working) and restart the expiry clock
+   */
+  async resend(invitationId, resentBy) {
+    const invitation = await Invitation.findById(invitationId);
+    if (!invitation) throw invitationError('Invitation not found', 404);
+    if (invitation.status !== 'pending') {
+      throw invitationError(`Invitation is ${invitation.status}`);
+    }
+    if (await User.exists({ email: invitation.email })) {
+      throw invitationError('A user with this email already exists');
+    }
+
+    const inviter = resentBy ? await User.findById(resentBy).select('firstName lastName') : null;
+    return this.issueAndSend(invitation, inviter);
+  }
+
+  async revoke(invitationId, revokedBy) {
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: invitationId, status: 'pending' },
+      { $set: { status: 'revoked', revokedAt: new Date(), revokedBy } },
+      { new: true }
+    );
+    if (!invitation) {
+      const exists = await Invitation.findById(invitationId).select('status');
+      if (!exists) throw invitationError('Invitation not found', 404);
+      throw invitationError(`Invitation is ${exists.status}`);
+    }
+    return invitation;
+  }
+
+  /**
+   * Open invitation for a token (accept page), or null
+   */
+  findPendingByToken(token) {
+    if (!token) return null;
+    return Invitation.findOne({ tokenHash: hashToken(token), status: 'pending', expiresAt: { $gt: new Date() } });
+  }
+
+  /**
+   * Accept: claim the invitation, then create the user with the password they chose
+   */
+  async accept(token, { password, firstName, lastName } = {}) {
+    const invitation = await Invitation.findOneAndUpdate(
+      { tokenHash: hashToken(token), status: 'pending', expiresAt: { $gt: new Date() } },
+      { $set: { status: 'accepted', acceptedAt: new Date() } },
+      { new: true }
+    );
+    if (!invitation) {
+      throw invitationError('Invitation is invalid or has expired');
+    }
+
+    let user;
+    try {
+      user = await User.create({
+        email: invitation.email,
+        password,
+        firstName: firstName ? String(firstName).trim() : invitation.firstName,
+        lastName: lastName ? String(lastName).trim() : invitation.lastName,
+        role: invitation.role,
+        permissions: invitation.role === 'member' ? invitation.permissions : [],
+        storePermissions: invitation.role === 'member' ? invitation.storePermissions : [],
+        invitedBy: invitation.invitedBy,
+        invitedAt: invitation.createdAt,
+        // The link went to this address
+        isEmailVerified: true,
+        emailVerifiedAt: new Date(),
+      });
+    } catch (error) {
+      await Invitation.updateOne({ _id: invitation._id }, { $set: { status: 'pending' }, $unset: { acceptedAt: 1 } });
+      if (error.code === 11000) {
+        throw invitationError('A user with this email already exists');
+      }
+      throw error;
+    }
+
+    invitation.userId = user._id;
+    await invitation.save();
+
+    logger.info('Invitation accepted', { invitationId: invitation._id, userId: user._id });
+    return { user, invitation };
+  }
+
+  /**
+   * Invitations that haven't turned into users yet (for the users list)
+   */
+  async listOpen() {
+    const invitations = await Invitation.find({ status: 'pending' })
+      .populate('invitedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const now = new Date();
+    return invitations.map((invitation) => ({
+      ...invitation,
+      status: invitation.expiresAt <= now ? 'expired' : 'pending',
+    }));
+  }
+}
+
+module.exports = new InvitationService();
@@ -0,0 +1,192 @@
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+const mailService = require('./mailService');
+const { logger } = require('../utils/logger');
+
+// Failures allowed before delays start
+const FREE_ATTEMPTS = 3;
+// Delay after the first throttled failure; doubles with each further failure
+const BASE_DELAY_SECONDS = 5;
+const MAX_DELAY_SECONDS = 5 * 60;
+// Failures (within FAILURE_WINDOW_HOURS) that lock the account
+const MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 10;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 30;
+// Failures older than this don't count
+const FAILURE_WINDOW_HOURS = 24;
+
+function clientMeta(req) {
+  const rawIp = req?.headers?.['x-forwarded-for'] || req?.ip;
+  return {
+    ip: rawIp ? String(rawIp).split(',')[0].trim() : undefined,
+    userAgent: req?.headers?.['user-agent'] ? String(req.headers['user-agent']).slice(0, 300) : undefined,
+  };
+}
+
+class LoginSecurityService {
+  /**
+   * Seconds to wait after `failures` consecutive failures (0 = no delay)
+   */
+  delayFor(failures) {
+    if (failures < FREE_ATTEMPTS) return 0;
+    return Math.min(BASE_DELAY_SECONDS * 2 ** (failures - FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+  }
+
+  /**
+   * Current block on a user's logins, if any
+   * @returns {{ locked: boolean, until: Date, retryAfter: number } | null}
+   */
+  getBlock(user, now = new Date()) {
+    if (!user.loginBlockedUntil || user.loginBlockedUntil <= now) return null;
+    return {
+      locked: !!user.lockedAt,
+      until: user.loginBlockedUntil,
+      retryAfter: Math.ceil((user.loginBlockedUntil.getTime() - now.getTime()) / 1000),
+    };
+  }
+
+  /**
+   * Block on logins for an email with no account, worked out from its recent unknown_email
+   * attempts so it throttles and locks exactly like a real account (no account enumeration)
+   * @returns {{ failures: number, block: { locked: boolean, until: Date, retryAfter: number } | null }}
+   */
+  async getUnknownEmailState(email, now = new Date()) {
+    const windowStart = new Date(now.getTime() - FAILURE_WINDOW_HOURS * 60 * 60 * 1000);
+    const failures = await LoginAttempt.find({
+      email: String(email).toLowerCase().trim(),
+      userId: null,
+      reason: 'unknown_email',
+      createdAt: { $gte: windowStart },
+    })
+      .select('createdAt')
+      .sort({ createdAt: -1 })
+      .limit(MAX_ATTEMPTS)
+      .lean();
+    if (failures.length === 0) return { failures: 0, block: null };
+
+    const locked = failures.length >= MAX_ATTEMPTS;
+    const blockSeconds = locked ? LOCKOUT_MINUTES * 60 : this.delayFor(failures.length);
+    const until = new Date(failures[0].createdAt.getTime() + blockSeconds * 1000);
+    if (until <= now) return { failures: failures.length, block: null };
+
+    return {
+      failures: failures.length,
+      block: { locked, until, retryAfter: Math.ceil((until.getTime() - now.getTime()) / 1000) },
+    };
+  }
+
+  /**
+   * recordFailure for an email with no account
+   */
+  async recordUnknownEmailFailure(email, req) {
+    await this.recordAttempt(req, { email, success: false, reason: 'unknown_email' });
+    const { failures, block } = await this.getUnknownEmailState(email);
+    return { failures, locked: !!block?.locked, retryAfter: block?.retryAfter || 0 };
+  }
+
+  /**
+   * Add to the user's failure count and apply the delay or lockout it earns.
+   * Sends the user an email the moment the account locks.
+   */
+  async recordFailure(user, req, { reason, step = 'password' } = {}) {
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - FAILURE_WINDOW_HOURS * 60 * 60 * 1000);
+
+    const counted = await User.findOneAndUpdate(
+      { _id: user._id },
+      [
+        {
+          $set: {
+            failedLoginAttempts: {
+              $cond: [
+                { $lt: ['$lastFailedLoginAt', windowStart] },
+                1,
+                { $add: [{ $ifNull: ['$failedLoginAttempts', 0] }, 1] },
+              ],
+            },
+            lastFailedLoginAt: now,
+          },
+        },
+      ],
+      { new: true }
+    );
+
+    const failures = counted?.failedLoginAttempts || 1;
+    // Logins are refused while blocked, so each failure at the limit starts a new lockout
+    const locked = failures >= MAX_ATTEMPTS;
+    const blockSeconds = locked ? LOCKOUT_MINUTES * 60 : this.delayFor(failures);
+
+    if (blockSeconds > 0) {
+      const until = new Date(now.getTime() + blockSeconds * 1000);
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { loginBlockedUntil: until, ...(locked && { lockedAt: now }) } }
+      );
+
+      if (locked) {
+        logger.warn('Account locked after failed logins', { userId: user._id, failures });
+        mailService
+          .sendAccountLocked(user, { until, ip: clientMeta(req).ip })
+          .catch((error) => logger.error('Failed to send account locked email', { userId: user._id, error: error.message }));
+      }
+    }
+
+    await this.recordAttempt(req, { user, success: false, reason, step });
+
+    return { failures, locked, retryAfter: blockSeconds };
+  }
+
+  /**
+   * Clear failure state after a successful login
+   */
+  async recordSuccess(user, req, { step = 'password' } = {}) {
+    if (user.failedLoginAttempts || user.loginBlockedUntil || user.lockedAt) {
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { failedLoginAttempts: 0 }, $unset: { loginBlockedUntil: 1, lockedAt: 1, lastFailedLoginAt: 1 } }
+      );
+    }
+    await this.recordAttempt(req, { user, success: true, step });
+  }
+
+  /**
+   * Add a login history entry (never throws)
+   */
+  async recordAttempt(req, { user, email, success, reason, step = 'password' }) {
+    try {
+      await LoginAttempt.create({
+        userId: user?._id,
+        email: user?.email || email,
+        success,
+        reason,
+        step,
+        ...clientMeta(req),
+      });
+    } catch (error) {
+      logger.error('Failed to record login attempt', { error: error.message });
+    }
+  }
+
+  /**
+   * Admin: lift a lockout and reset the failure count
+   */
+  async unlock(userId) {
+    const result = await User.updateOne(
+      { _id: userId },
+      { $set: { failedLoginAttempts: 0 }, $unset: { loginBlockedUntil: 1, lockedAt: 1, lastFailedLoginAt: 1 } }
+    );
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * Recent login attempts for a user (newest first)
+   */
+  getHistory(userId, limit = 20) {
+    return LoginAttempt.find({ userId })
+      .select('success reason step ip userAgent createdAt')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+  }
+}
+
+module.exports = new LoginSecurityService();
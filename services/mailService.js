@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { logger } = require('../utils/logger');
+
+/**
+ * Mail transports. Each factory returns { send(message) -> { messageId } }.
+ * Selected with MAIL_TRANSPORT (defaults to smtp when SMTP_HOST is set, otherwise log):
+ *   smtp - SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS (a local catcher such as Mailpit works in development)
+ *   file - writes each message as JSON to MAIL_OUTBOX_DIR (default logs/outbox)
+ *   log  - writes the message to the application log
+ */
+const transportFactories = {
+  smtp() {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+    return {
+      send: (message) => transporter.sendMail(message),
+    };
+  },
+
+  file() {
+    const dir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'logs', 'outbox');
+    return {
+      async send(message) {
+        const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(
+          path.join(dir, `${messageId}.json`),
+          JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2)
+        );
+        return { messageId };
+      },
+    };
+  },
+
+  log() {
+    return {
+      async send(message) {
+        const messageId = `log-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        // Bodies carry one-time links; only print them outside production
+        logger.info('Email (log transport)', {
+          messageId,
+          to: message.to,
+          subject: message.subject,
+          ...(process.env.NODE_ENV !== 'production' && { text: message.text }),
+        });
+        return { messageId };
+      },
+    };
+  },
+};
+
+class MailService {
+  constructor() {
+    this.transport = null;
+  }
+
+  /**
+   * Add a transport that can be selected with MAIL_TRANSPORT
+   * @param {string} name
+   * @param {() => { send: Function }} factory
+   */
+  registerTransport(name, factory) {
+    transportFactories[name] = factory;
+    this.transport = null;
+  }
+
+  /**
+   * Use a transport instance directly (overrides MAIL_TRANSPORT)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'log');
+      const factory = transportFactories[name];
+      if (!factory) {
+        throw new Error(`Unknown mail transport "${name}"`);
+      }
+      this.transport = factory();
+    }
+    return this.transport;
+  }
+
+  /**
+   * Send an email
+   * @param {{ to: string, subject: string, text: string, html?: string }} message
+   */
+  async send({ to, subject, text, html }) {
+    const from = process.env.MAIL_FROM || 'no-reply@localhost';
+    const result = await this.getTransport().send({ from, to, subject, text, html });
+    logger.info('Email sent', { to, subject, messageId: result?.messageId });
+    return result;
+  }
+
+  /**
+   * Password reset link
+   */
+  sendPasswordReset(user, resetUrl, expiresInMinutes) {
+    return this.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        'We received a request to reset your password. Use the link below to choose a new one:',
+        resetUrl,
+        '',
+        `The link expires in ${expiresInMinutes} minutes and can only be used once.`,
+        "If you didn't ask for this, you can ignore this email.",
+      ].join('\n'),
+    });
+  }
+
+  /**
+   * Staff invitation link
+   */
+  sendInvitation(invitation, acceptUrl, { inviterName, expiresInDays } = {}) {
+    const roleLabel = invitation.role === 'admin' ? 'an admin' : 'a team member';
+    return this.send({
+      to: invitation.email,
+      subject: "You've been invited to join the team",
+      text: [
+        `Hi ${invitation.firstName},`,
+        '',
+        `${inviterName || 'An administrator'} has invited you to join as ${roleLabel}.`,
+        'Use the link below to set your password and activate your account:',
+        acceptUrl,
+        '',
+        `The link expires in ${expiresInDays} days.`,
+      ].join('\n'),
+    });
+  }
+
+  /**
+   * Account locked after repeated failed logins
+   */
+  sendAccountLocked(user, { until, ip } = {}) {
+    return this.send({
+      to: user.email,
+      subject: 'Your account has been temporarily locked',
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        'We locked your account after several failed sign-in attempts' + (ip ? ` (last from IP ${ip}).` : '.'),
+        `You can try again after ${until.toUTCString()}, or reset your password to regain access sooner.`,
+        '',
+        "If this wasn't you, we recommend changing your password once you're back in.",
+      ].join('\n'),
+    });
+  }
+
+  /**
+   * Email address verification link
+   */
+  sendEmailVerification(user, verifyUrl, expiresInHours) {
+    return this.send({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        'Please confirm your email address using the link below:',
+        verifyUrl,
+        '',
+        `The link expires in ${expiresInHours} hours.`,
+      ].join('\n'),
+    });
+  }
+
+  /**
+   * Guest checkout: order number, status link and link to claim the order into an account
+   */
+  sendGuestOrderConfirmation(order, { orderUrl, claimUrl }) {
+    const name = order.shippingAddress?.firstName;
+    return this.send({
+      to: order.guestEmail,
+      subject: `Order ${order.orderNumber} received`,
+      text: [
+        `Hi${name ? ` ${name}` : ''},`,
+        '',
+        `Thanks for your order ${order.orderNumber} (${order.total} ${order.currency || 'USD'}).`,
+        'Check its status and tracking at any time:',
+        orderUrl,
+        '',
+        'Want to see all your orders in one place? Create an account with this email address and claim this order:',
+        claimUrl,
+      ].join('\n'),
+    });
+  }
+
+  /**
+   * Abandoned cart reminder with a link back to the cart (and a coupon on the last email, if any)
+   */
+  sendCartRecovery(to, { firstName, storeName, items, subtotal, currency, resumeUrl, coupon }) {
+    return this.send({
+      to,
+      subject: coupon ? `${coupon.discountValue}% off the items in your cart` : 'You left something in your cart',
+      text: [
+        `Hi${firstName ? ` ${firstName}` : ''},`,
+        '',
+        `You left these items in your cart${storeName ? ` at ${storeName}` : ''}:`,
+        ...items.map((item) => `- ${item.productName}${item.variantName ? ` (${item.variantName})` : ''} x${item.quantity}`),
+        `Subtotal: ${subtotal} ${currency || 'USD'}`,
+        '',
+        ...(coupon
+          ? [
+              `Use code ${coupon.code} for ${coupon.discountValue}% off. It can be used once and expires on ${new Date(coupon.expiresAt).toUTCString()}.`,
+              '',
+            ]
+          : []),
+        'Pick up where you left off:',
+        resumeUrl,
+      ].join('\n'),
+    });
+  }
+
+  /**
+   * Unpaid order reminder with a link to complete payment
+   */
+  sendPaymentReminder(to, { firstName, storeName, order, payUrl, isLast }) {
+    return this.send({
+      to,
+      subject: `Complete payment for order ${order.orderNumber}`,
+      text: [
+        `Hi${firstName ? ` ${firstName}` : ''},`,
+        '',
+        `Your order ${order.orderNumber}${storeName ? ` at ${storeName}` : ''} (${order.total} ${order.currency || 'USD'}) is still waiting for payment.`,
+        isLast
+          ? 'This is our last reminder. Complete your payment here:'
+          : 'Complete your payment to have it processed and shipped:',
+        payUrl,
+      ].join('\n'),
+    });
+  }
+
+  /**
+   * Wishlist alert: an out-of-stock item is available again and/or its price dropped
+   * @param {string[]} reasons - 'back_in_stock', 'price_drop'
+   */
+  sendWishlistAlert(to, { firstName, productName, reasons, price, previousPrice, currency, productUrl, unsubscribeUrl }) {
+    const backInStock = reasons.includes('back_in_stock');
+    const priceDrop = reasons.includes('price_drop');
+    return this.send({
+      to,
+      subject: backInStock ? `${productName} is back in stock` : `Price drop: ${productName}`,
+      text: [
+        `Hi${firstName ? ` ${firstName}` : ''},`,
+        '',
+        ...(backInStock ? [`${productName} from your wishlist is back in stock.`] : []),
+        ...(priceDrop
+          ? [`${backInStock ? 'It is also cheaper' : `${productName} from your wishlist is now cheaper`}: ${price} ${currency || 'USD'} (was ${previousPrice}).`]
+          : [`Price: ${price} ${currency || 'USD'}`]),
+        '',
+        productUrl,
+        '',
+        `Don't want alerts for this item? ${unsubscribeUrl}`,
+      ].join('\n'),
+    });
+  }
+}
+
+module.exports = new MailService();
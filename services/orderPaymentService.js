@@ -0,0 +1,132 @@
+const Order = require('../models/Order');
+const inventoryService = require('./inventoryService');
+const orderStateService = require('./orderStateService');
+const fulfilmentService = require('./fulfilmentService');
+const { logger } = require('../utils/logger');
+
+class OrderPaymentService {
+  /**
+   * Move an order to paid. Every payment path goes through here so stock is
+   * committed and CJ fulfilment is queued exactly once per order.
+   * @returns {Promise<{ order: object|null, transitioned: boolean }>}
+   */
+  async markOrderPaid(orderId, { paymentId, source, actorId } = {}) {
+    // Only the caller that flips paymentStatus runs the side effects. status may stay put
+    // (e.g. payment landing on a cancelled order), which fulfilment then flags for review.
+    const { order, changed } = await orderStateService.transition(
+      orderId,
+      { paymentStatus: 'paid', status: 'processing' },
+      { source, actorId, strict: false }
+    );
+
+    if (!changed.includes('paymentStatus')) {
+      return { order, transitioned: false };
+    }
+
+    await this.linkPayment(order, paymentId);
+
+    logger.info('Order paid', { orderId: order._id, orderNumber: order.orderNumber, source });
+
+    await inventoryService.commitForOrder(order);
+
+    try {
+      await fulfilmentService.enqueue(order, { source });
+    } catch (error) {
+      // The order is paid regardless; the admin retry endpoint can re-queue it
+      logger.error('Failed to queue CJ fulfilment', { orderId: order._id, error: error.message });
+    }
+
+    return { order, transitioned: true };
+  }
+
+  /**
+   * Record a failed payment attempt and release the order's stock hold
+   */
+  async markOrderPaymentFailed(orderId, { paymentId, source } = {}) {
+    // A failure arriving after another attempt succeeded is ignored
+    const { order, changed } = await orderStateService.transition(
+      orderId,
+      { paymentStatus: 'failed' },
+      { source, strict: false }
+    );
+
+    if (changed.includes('paymentStatus')) {
+      await this.linkPayment(order, paymentId);
+      await inventoryService.releaseForOrder(order._id, 'payment_failed');
+      logger.info('Order payment failed', { orderId: order._id, source });
+    }
+    return order;
+  }
+
+  /**
+   * Point the order at the payment that settled it
+   */
+  async linkPayment(order, paymentId) {
+    if (!paymentId) return;
+    await Order.updateOne({ _id: order._id }, { $set: { paymentId } });
+    order.paymentId = paymentId;
+  }
+
+  /**
+   * Apply a Flutterwave verification result to the payment and its order
+   * (shared by verify, callback and webhook)
+   */
+  async settleFlutterwavePayment(payment, verification, { flwRef, transactionId, source } = {}) {
+    const successful = verification.status === 'successful';
+
+    if (payment.status !== 'successful') {
+      payment.status = successful ? 'successful' : 'failed';
+      payment.flwRef = verification.flwRef || flwRef;
+      payment.flutterwaveTransactionId = verification.transactionId || transactionId;
+      payment.flutterwaveResponse = verification.fullResponse;
+
+      if (successful) {
+        payment.paidAt = new Date();
+      } else {
+        payment.failureReason = 'Payment verification failed';
+      }
+
+      await payment.save();
+    }
+
+    const { order } = payment.status === 'successful'
+      ? await this.markOrderPaid(payment.orderId, { paymentId: payment._id, source })
+      : { order: await this.markOrderPaymentFailed(payment.orderId, { paymentId: payment._id, source }) };
+
+    return { payment, order };
+  }
+
+  /**
+   * Apply a Squad verification result to the payment and its order
+   * (shared by verify and webhook). Pending transactions are left as they are.
+   */
+  async settleSquadPayment(payment, verification, { source } = {}) {
+    const status = String(verification.status || '').toLowerCase();
+    const successful = status === 'success' || status === 'successful';
+
+    if (!successful && status === 'pending') {
+      return { payment, order: null, pending: true };
+    }
+
+    if (payment.status !== 'successful') {
+      if (successful) {
+        payment.status = 'successful';
+        payment.paidAt = new Date();
+        // Needed later to refund through Squad
+        payment.metadata = { ...payment.metadata, gatewayTransactionRef: verification.data?.gateway_transaction_ref };
+      } else {
+        payment.status = 'failed';
+        payment.failureReason = verification.data?.gateway_response || 'Payment verification failed';
+      }
+      await payment.save();
+    }
+
+    const { order } = payment.status === 'successful'
+      ? await this.markOrderPaid(payment.orderId, { paymentId: payment._id, source })
+      : { order: await this.markOrderPaymentFailed(payment.orderId, { paymentId: payment._id, source }) };
+
+    return { payment, order };
+  }
+}
+
+module.exports = new OrderPaymentService();
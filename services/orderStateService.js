@@ -0,0 +1,167 @@
+const Order = require('../models/Order');
+const OrderEvent = require('../models/OrderEvent');
+const outboundWebhookService = require('./outboundWebhookService');
+const { logger } = require('../utils/logger');
+
+const EVENT_TYPES = { status: 'status', paymentStatus: 'payment_status' };
+const MAX_CONFLICT_RETRIES = 3;
+
+// Transitions that fire an outbound webhook to the store's endpoints
+const WEBHOOK_EVENTS = {
+  status: { shipped: 'order.shipped', cancelled: 'order.cancelled' },
+  paymentStatus: { paid: 'order.paid' },
+};
+
+// CJ order status -> our order status (webhook, manual sync and hourly job)
+const CJ_STATUS_MAP = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  SHIPPED: 'shipped',
+  DELIVERED: 'delivered',
+  CANCELLED: 'cancelled',
+};
+
+function transitionError(message) {
+  const error = new Error(message);
+  error.status = 409;
+  return error;
+}
+
+class OrderStateService {
+  /**
+   * Our order status for a CJ status string (any case), or null if unknown
+   */
+  mapCjStatus(cjStatus) {
+    return cjStatus ? CJ_STATUS_MAP[String(cjStatus).toUpperCase()] || null : null;
+  }
+
+  /**
+   * Change status and/or paymentStatus through the transition table and record timeline events.
+   * The update is conditional on the values we validated against, so concurrent writers can't
+   * skip the table.
+   * @param {string|object} orderId - order id (or document)
+   * @param {{ status?: string, paymentStatus?: string }} changes
+   * @param {object} ctx - source, actorId, note, metadata; `set` for extra fields to write
+   *   alongside; `strict: false` drops illegal moves (logged) instead of throwing 409;
+   *   `expect` ({ field: [values] }) makes it a no-op unless the order is currently in those states
+   * @returns {Promise<{ order: object|null, changed: string[], rejected: object[] }>}
+   */
+  async transition(orderId, changes, ctx = {}) {
+    const { source = 'system', actorId, note, metadata, set = {}, strict = true, expect } = ctx;
+    const id = orderId?._id || orderId;
+
+    for (let attempt = 0; attempt < MAX_CONFLICT_RETRIES; attempt++) {
+      const current = await Order.findById(id).select('status paymentStatus storeId');
+      if (!current) {
+        const error = new Error('Order not found');
+        error.status = 404;
+        throw error;
+      }
+
+      if (expect && Object.entries(expect).some(([field, values]) => !values.includes(current[field]))) {
+        return { order: await Order.findById(id), changed: [], rejected: [] };
+      }
+
+      const accepted = {};
+      const rejected = [];
+      for (const [field, to] of Object.entries(changes)) {
+        if (to === undefined || to === null || current[field] === to) continue;
+        if (Order.canTransition(field, current[field], to)) {
+          accepted[field] = to;
+        } else {
+          rejected.push({ field, from: current[field], to });
+        }
+      }
+
+      if (rejected.length > 0) {
+        if (strict) {
+          const { field, from, to } = rejected[0];
+          throw transitionError(`Cannot change order ${field} from ${from} to ${to}`);
+        }
+        logger.warn('Ignored illegal order transition', { orderId: id, source, rejected });
+      }
+
+      const changed = Object.keys(accepted);
+      if (changed.length === 0 && Object.keys(set).length === 0) {
+        return { order: await Order.findById(id), changed, rejected };
+      }
+
+      const order = await Order.findOneAndUpdate(
+        { _id: id, status: current.status, paymentStatus: current.paymentStatus },
+        { $set: { ...set, ...accepted } },
+        { new: true }
+      );
+      if (!order) continue; // changed underneath us; re-validate against the new values
+
+      if (changed.length > 0) {
+        await OrderEvent.insertMany(
+          changed.map((field) => ({
+            orderId: order._id,
+            storeId: order.storeId || null,
+            type: EVENT_TYPES[field],
+            from: current[field],
+            to: accepted[field],
+            source,
+            actorId,
+            note,
+            metadata,
+          }))
+        );
+        logger.info('Order transitioned', { orderId: order._id, source, changes: accepted });
+        this.notify(order, accepted);
+      }
+
+      return { order, changed, rejected };
+    }
+
+    throw transitionError('Order was updated concurrently; please retry');
+  }
+
+  /**
+   * Queue outbound webhooks for the transitions that have one (non-blocking, never throws)
+   */
+  notify(order, accepted) {
+    for (const [field, to] of Object.entries(accepted)) {
+      const event = WEBHOOK_EVENTS[field]?.[to];
+      if (event) outboundWebhookService.emitOrder(event, order);
+    }
+  }
+
+  /**
+   * Record a timeline entry that isn't a status change (creation, CJ submission, ...)
+   */
+  async record(order, type, { source = 'system', actorId, note, metadata } = {}) {
+    try {
+      return await OrderEvent.create({
+        orderId: order._id,
+        storeId: order.storeId || null,
+        type,
+        to: type === 'created' ? order.status : undefined,
+        source,
+        actorId,
+        note,
+        metadata,
+      });
+    } catch (error) {
+      // The timeline is informational; never fail the caller over it
+      logger.error('Failed to record order event', { orderId: order._id, type, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Timeline for an order, oldest first. Customers (and guests) don't see actor, metadata or notes:
+   * notes hold admin comments and internal errors such as failed CJ submissions.
+   */
+  async getTimeline(orderId, { forCustomer = false } = {}) {
+    const query = OrderEvent.find({ orderId }).sort({ createdAt: 1 });
+    if (forCustomer) {
+      query.select('type from to source createdAt');
+    } else {
+      query.populate('actorId', 'firstName lastName email role');
+    }
+    return query.lean();
+  }
+}
+
+module.exports = new OrderStateService();
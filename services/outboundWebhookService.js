@@ -0,0 +1,430 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Store = require('../models/Store');
+const { encryptSecret, decryptSecret } = require('../utils/crypto');
+const { logger } = require('../utils/logger');
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const BASE_BACKOFF_MINUTES = 1;
+const MAX_BACKOFF_MINUTES = 6 * 60;
+// A claimed delivery isn't picked up again for this long, so a slow endpoint isn't hit twice
+const CLAIM_MINUTES = 2;
+
+// Endpoints may not point at our own network (loopback, private, link-local, CGNAT, multicast, reserved).
+// BlockList also applies the IPv4 rules to IPv4-mapped IPv6 addresses (::ffff:10.0.0.1).
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96]]
+  .forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup that refuses blocked addresses. Used for the actual connection, so a hostname can't
+ * pass the check and then resolve somewhere else when we connect (DNS rebinding).
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || addresses.some((a) => isBlockedAddress(a.address))) {
+      const blocked = new Error(`${hostname} resolves to a private or reserved address`);
+      blocked.code = 'EBLOCKEDADDRESS';
+      return callback(blocked);
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+function webhookError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Order fields sent with order.* events
+ */
+function orderPayload(order) {
+  return {
+    id: String(order._id),
+    orderNumber: order.orderNumber,
+    status: order.status,
+    paymentStatus: order.paymentStatus,
+    paymentMethodType: order.paymentMethodType,
+    currency: order.currency,
+    subtotal: order.subtotal,
+    shippingCost: order.shippingCost,
+    tax: order.tax,
+    discountAmount: order.discountAmount,
+    total: order.total,
+    couponCode: order.couponCode,
+    items: (order.items || []).map((item) => ({
+      productId: item.productRef ? String(item.productRef) : undefined,
+      cjProductId: item.productId,
+      name: item.productName,
+      variantId: item.variantId,
+      variantName: item.variantName,
+      sku: item.variantSku || item.sku,
+      quantity: item.quantity,
+      price: item.price,
+      subtotal: item.subtotal,
+    })),
+    shippingAddress: order.shippingAddress,
+    trackingNumber: order.cjTrackingNumber,
+    createdAt: order.createdAt,
+    updatedAt: order.updatedAt,
+  };
+}
+
+/**
+ * Review fields sent with review.created
+ */
+function reviewPayload(review) {
+  return {
+    id: String(review._id),
+    productId: String(review.productId),
+    rating: review.rating,
+    title: review.title,
+    body: review.body,
+    status: review.status,
+    createdAt: review.createdAt,
+  };
+}
+
+class OutboundWebhookService {
+  get EVENTS() {
+    return WebhookEndpoint.EVENTS;
+  }
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`
+   */
+  sign(secret, timestamp, body) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  backoffMinutes(attempts) {
+    return Math.min(BASE_BACKOFF_MINUTES * 2 ** Math.max(0, attempts - 1), MAX_BACKOFF_MINUTES);
+  }
+
+  /**
+   * Register an endpoint. Returns the plain signing secret once.
+   */
+  async createEndpoint({ storeId, url, events, description, isActive }, createdBy) {
+    const normalizedUrl = this.normalizeUrl(url);
+    await this.assertPublicUrl(normalizedUrl);
+    const secret = this.generateSecret();
+    const endpoint = await WebhookEndpoint.create({
+      storeId,
+      url: normalizedUrl,
+      events: this.normalizeEvents(events),
+      description,
+      isActive: isActive !== false,
+      secret: encryptSecret(secret),
+      createdBy,
+    });
+    return { endpoint, secret };
+  }
+
+  /**
+   * Replace the signing secret; deliveries already queued are signed with the new one
+   */
+  async rotateSecret(endpoint) {
+    const secret = this.generateSecret();
+    endpoint.secret = encryptSecret(secret);
+    await endpoint.save();
+    return secret;
+  }
+
+  /**
+   * Change url, events, description or isActive (fields left undefined are kept)
+   */
+  async updateEndpoint(endpoint, { url, events, description, isActive }) {
+    if (url !== undefined) {
+      endpoint.url = this.normalizeUrl(url);
+      await this.assertPublicUrl(endpoint.url);
+    }
+    if (events !== undefined) endpoint.events = this.normalizeEvents(events);
+    if (description !== undefined) endpoint.description = description;
+    if (typeof isActive === 'boolean') endpoint.isActive = isActive;
+    await endpoint.save();
+    return endpoint;
+  }
+
+  /**
+   * Reject URLs whose host is, or resolves to, a private, loopback or link-local address
+   */
+  async assertPublicUrl(url) {
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    if (net.isIP(hostname)) {
+      addresses = [hostname];
+    } else {
+      try {
+        addresses = (await dns.promises.lookup(hostname, { all: true })).map((a) => a.address);
+      } catch {
+        throw webhookError(`Webhook host ${hostname} could not be resolved`, 400);
+      }
+    }
+    if (addresses.length === 0 || addresses.some(isBlockedAddress)) {
+      throw webhookError('Webhook URL must point to a public address', 400);
+    }
+  }
+
+  normalizeUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(String(url || '').trim());
+    } catch {
+      throw webhookError('A valid webhook URL is required', 400);
+    }
+    if (parsed.protocol !== 'https:') {
+      throw webhookError('Webhook URL must use https://', 400);
+    }
+    return parsed.toString();
+  }
+
+  normalizeEvents(events) {
+    if (!Array.isArray(events) || events.length === 0) {
+      throw webhookError('Select at least one event', 400);
+    }
+    const invalid = events.filter((event) => !this.EVENTS.includes(event));
+    if (invalid.length > 0) {
+      throw webhookError(`Unknown webhook events: ${invalid.join(', ')}`, 400);
+    }
+    return [...new Set(events)];
+  }
+
+  /**
+   * Queue an event for every active endpoint of the store subscribed to it, and attempt delivery
+   * straight away (non-blocking). Never throws: webhooks must not fail the change that fired them.
+   * Records without a store (legacy data) go to the default store's endpoints.
+   */
+  async emit(event, { storeId, data }) {
+    try {
+      let targetStoreId = storeId;
+      if (!targetStoreId) {
+        const defaultStore = await Store.findOne({ slug: 'default' }).select('_id').lean();
+        targetStoreId = defaultStore?._id;
+        if (!targetStoreId) return [];
+      }
+
+      const endpoints = await WebhookEndpoint.find({ storeId: targetStoreId, isActive: true, events: event })
+        .select('_id')
+        .lean();
+      if (endpoints.length === 0) return [];
+
+      const eventId = `evt_${crypto.randomBytes(12).toString('hex')}`;
+      const createdAt = new Date();
+      const deliveries = await WebhookDelivery.insertMany(
+        endpoints.map((endpoint) => ({
+          endpointId: endpoint._id,
+          storeId: targetStoreId,
+          event,
+          eventId,
+          payload: { id: eventId, event, createdAt, storeId: String(targetStoreId), data },
+        }))
+      );
+
+      for (const delivery of deliveries) {
+        this.attempt(delivery._id).catch((error) => {
+          logger.error('Immediate webhook delivery attempt failed', { deliveryId: delivery._id, error: error.message });
+        });
+      }
+      return deliveries;
+    } catch (error) {
+      logger.error('Failed to queue outbound webhook', { event, storeId, error: error.message });
+      return [];
+    }
+  }
+
+  emitOrder(event, order) {
+    return this.emit(event, { storeId: order.storeId, data: orderPayload(order) });
+  }
+
+  emitReview(review) {
+    return this.emit('review.created', { storeId: review.storeId, data: reviewPayload(review) });
+  }
+
+  /**
+   * POST the payload to the endpoint once. Returns the attempt outcome; never throws.
+   */
+  async send(endpoint, { event, eventId, payload }) {
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const secret = decryptSecret(endpoint.secret);
+    const startedAt = Date.now();
+
+    try {
+      // Checked again on every send: IP literals here, hostnames at connect time (httpsAgent lookup)
+      await this.assertPublicUrl(endpoint.url);
+      const response = await axios.post(endpoint.url, body, {
+        timeout: REQUEST_TIMEOUT_MS,
+        maxRedirects: 0,
+        httpsAgent,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Event': event,
+          'X-Webhook-Id': eventId,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': this.sign(secret, timestamp, body),
+        },
+        // Only the status is recorded (the body is never stored or shown); only 2xx counts as delivered
+        validateStatus: () => true,
+        responseType: 'stream',
+      });
+      response.data.destroy();
+      const ok = response.status >= 200 && response.status < 300;
+      return {
+        ok,
+        responseStatus: response.status,
+        durationMs: Date.now() - startedAt,
+        error: ok ? undefined : `Endpoint responded with HTTP ${response.status}`,
+      };
+    } catch (error) {
+      const blocked = error.code === 'EBLOCKEDADDRESS' ? 'Webhook URL must point to a public address' : null;
+      return {
+        ok: false,
+        durationMs: Date.now() - startedAt,
+        error: blocked || (error.status ? error.message : error.code || error.message),
+      };
+    }
+  }
+
+  /**
+   * Claim a due delivery and send it. Returns the updated delivery, or null if not claimable.
+   */
+  async attempt(deliveryId) {
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+      {
+        $set: { lastAttemptAt: now, nextAttemptAt: new Date(now.getTime() + CLAIM_MINUTES * 60 * 1000) },
+        $inc: { attempts: 1 },
+      },
+      { new: true }
+    );
+    if (!delivery) return null;
+
+    const endpoint = await WebhookEndpoint.findById(delivery.endpointId).select('+secret');
+    if (!endpoint || !endpoint.isActive) {
+      delivery.status = 'failed';
+      delivery.error = endpoint ? 'Endpoint is disabled' : 'Endpoint was deleted';
+      await delivery.save();
+      return delivery;
+    }
+
+    const result = await this.send(endpoint, delivery);
+    delivery.responseStatus = result.responseStatus;
+    delivery.durationMs = result.durationMs;
+    delivery.error = result.error;
+
+    if (result.ok) {
+      delivery.status = 'succeeded';
+      delivery.deliveredAt = new Date();
+    } else if (delivery.attempts >= delivery.maxAttempts) {
+      delivery.status = 'failed';
+      logger.warn('Outbound webhook failed permanently', {
+        deliveryId: delivery._id,
+        endpointId: endpoint._id,
+        event: delivery.event,
+        attempts: delivery.attempts,
+        error: result.error,
+      });
+    } else {
+      delivery.nextAttemptAt = new Date(Date.now() + this.backoffMinutes(delivery.attempts) * 60 * 1000);
+    }
+
+    await delivery.save();
+    return delivery;
+  }
+
+  /**
+   * Send due deliveries (called by background job)
+   */
+  async processDue(limit = 50) {
+    const deliveries = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+      .sort({ nextAttemptAt: 1 })
+      .limit(limit)
+      .select('_id');
+
+    let succeeded = 0;
+    let failed = 0;
+    for (const { _id } of deliveries) {
+      const delivery = await this.attempt(_id);
+      if (delivery?.status === 'succeeded') succeeded++;
+      else if (delivery) failed++;
+    }
+    return { processed: deliveries.length, succeeded, failed };
+  }
+
+  /**
+   * Send a one-off 'ping' event and wait for the response (not retried; kept in the delivery log)
+   */
+  async ping(endpoint) {
+    const eventId = `evt_${crypto.randomBytes(12).toString('hex')}`;
+    const payload = {
+      id: eventId,
+      event: 'ping',
+      createdAt: new Date(),
+      storeId: String(endpoint.storeId),
+      data: { endpointId: String(endpoint._id), events: endpoint.events },
+    };
+    const delivery = await WebhookDelivery.create({
+      endpointId: endpoint._id,
+      storeId: endpoint.storeId,
+      event: 'ping',
+      eventId,
+      payload,
+      attempts: 1,
+      maxAttempts: 1,
+      lastAttemptAt: new Date(),
+    });
+
+    const result = await this.send(endpoint, delivery);
+    delivery.status = result.ok ? 'succeeded' : 'failed';
+    delivery.deliveredAt = result.ok ? new Date() : undefined;
+    delivery.responseStatus = result.responseStatus;
+    delivery.durationMs = result.durationMs;
+    delivery.error = result.error;
+    await delivery.save();
+    return delivery;
+  }
+
+  /**
+   * Queue a new delivery of a past event (same event id and payload) and attempt it now
+   */
+  async redeliver(delivery) {
+    const copy = await WebhookDelivery.create({
+      endpointId: delivery.endpointId,
+      storeId: delivery.storeId,
+      event: delivery.event,
+      eventId: delivery.eventId,
+      payload: delivery.payload,
+    });
+    return (await this.attempt(copy._id)) || copy;
+  }
+}
+
+module.exports = new OutboundWebhookService();
@@ -0,0 +1,150 @@
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const flutterwaveService = require('./flutterwaveService');
+const squadService = require('./squadService');
+const orderStateService = require('./orderStateService');
+const { logger } = require('../utils/logger');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+// Tolerance for float sums of 2dp amounts
+const EPSILON = 0.005;
+
+function refundError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+class RefundService {
+  /**
+   * Amount still refundable on an order
+   */
+  getRefundable(order) {
+    return Math.max(0, round2((order.total || 0) - (order.refundedAmount || 0)));
+  }
+
+  /**
+   * Which rail the refund goes through: the card provider that took the payment, otherwise
+   * a manual payout (bank transfer or admin-marked paid)
+   */
+  resolveMethod(order, payment) {
+    if (payment && payment.status === 'successful' && ['flutterwave', 'squad'].includes(payment.paymentMethodType)) {
+      return payment.paymentMethodType;
+    }
+    return order.paymentMethodType === 'bank_transfer' ? 'bank_transfer' : 'manual';
+  }
+
+  /**
+   * Refund an order in full (amount omitted) or in part.
+   * The amount is held on the order before calling the provider so concurrent refunds
+   * can't exceed the total; it is given back if the provider call fails.
+   */
+  async refundOrder(order, { amount, reason, reference, requestedBy } = {}) {
+    if (order.paymentStatus !== 'paid') {
+      throw refundError(`Only paid orders can be refunded (payment status: ${order.paymentStatus})`);
+    }
+
+    const refundable = this.getRefundable(order);
+    const refundAmount = amount === undefined || amount === null ? refundable : round2(Number(amount));
+    if (!Number.isFinite(refundAmount) || refundAmount <= 0) {
+      throw refundError('Refund amount must be greater than 0');
+    }
+    if (refundAmount > refundable + EPSILON) {
+      throw refundError(`Refund amount exceeds refundable balance of ${refundable}`);
+    }
+
+    const payment = order.paymentId ? await Payment.findById(order.paymentId) : null;
+    const method = this.resolveMethod(order, payment);
+    const isFull = refundAmount >= refundable - EPSILON;
+    const isFirstAndFull = isFull && !(order.refundedAmount > 0);
+
+    const held = await Order.findOneAndUpdate(
+      {
+        _id: order._id,
+        paymentStatus: 'paid',
+        $expr: { $lte: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, refundAmount] }, { $add: ['$total', EPSILON] }] },
+      },
+      { $inc: { refundedAmount: refundAmount } },
+      { new: true }
+    );
+    if (!held) {
+      throw refundError('Order was refunded concurrently; reload and try again', 409);
+    }
+
+    const refund = await Refund.create({
+      storeId: order.storeId || null,
+      orderId: order._id,
+      paymentId: payment?._id,
+      userId: order.userId,
+      amount: refundAmount,
+      currency: payment?.currency || order.currency || 'USD',
+      type: isFull ? 'full' : 'partial',
+      method,
+      status: 'pending',
+      reason,
+      reference,
+      requestedBy,
+    });
+
+    try {
+      if (method === 'flutterwave') {
+        const result = await flutterwaveService.refundPayment({
+          transactionId: payment.flutterwaveTransactionId,
+          amount: isFirstAndFull ? undefined : refundAmount,
+        });
+        refund.reference = result.refundId;
+        refund.providerResponse = result.fullResponse;
+      } else if (method === 'squad') {
+        const result = await squadService.refundPayment({
+          transactionRef: payment.txRef,
+          gatewayTransactionRef: payment.metadata?.gatewayTransactionRef,
+          amount: isFirstAndFull ? undefined : refundAmount,
+          reason,
+        });
+        refund.reference = result.refundId;
+        refund.providerResponse = result.data;
+      }
+      // bank_transfer / manual: the admin has paid it out; we only record it
+    } catch (error) {
+      await Order.updateOne({ _id: order._id }, { $inc: { refundedAmount: -refundAmount } });
+      refund.status = 'failed';
+      refund.failureReason = error.message;
+      refund.processedAt = new Date();
+      await refund.save();
+
+      logger.error('Refund failed at provider', { orderId: order._id, refundId: refund._id, method, error: error.message });
+      throw refundError(`Refund failed: ${error.message}`, 502);
+    }
+
+    refund.status = 'succeeded';
+    refund.processedAt = new Date();
+    await refund.save();
+
+    if (payment) {
+      await Payment.updateOne({ _id: payment._id }, { $inc: { refundedAmount: refundAmount } });
+    }
+
+    await orderStateService.record(held, 'refund', {
+      source: 'admin',
+      actorId: requestedBy,
+      note: reason,
+      metadata: { refundId: refund._id, amount: refundAmount, method, reference: refund.reference },
+    });
+
+    let updatedOrder = held;
+    if (this.getRefundable(held) <= EPSILON) {
+      ({ order: updatedOrder } = await orderStateService.transition(
+        order._id,
+        { paymentStatus: 'refunded' },
+        { source: 'admin', actorId: requestedBy, note: reason, strict: false }
+      ));
+    }
+
+    logger.info('Order refunded', { orderId: order._id, refundId: refund._id, amount: refundAmount, method, type: refund.type });
+
+    return { refund, order: updatedOrder };
+  }
+}
+
+module.exports = new RefundService();
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { logger } = require('../utils/logger');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+function sessionError(message, status = 401) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function clientMeta(req) {
+  const rawIp = req?.headers?.['x-forwarded-for'] || req?.ip;
+  return {
+    ip: rawIp ? String(rawIp).split(',')[0].trim() : undefined,
+    userAgent: req?.headers?.['user-agent'] ? String(req.headers['user-agent']).slice(0, 300) : undefined,
+  };
+}
+
+class SessionService {
+  /**
+   * Short-lived access token bound to a session
+   */
+  signAccessToken(user, session) {
+    return jwt.sign({ id: user._id, sid: session._id }, process.env.JWT_SECRET, {
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    });
+  }
+
+  /**
+   * Start a session for a device (login / register)
+   * @returns {Promise<{ accessToken: string, refreshToken: string, session: object }>}
+   */
+  async create(user, req) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const session = await Session.create({
+      userId: user._id,
+      refreshTokenHash: hashToken(refreshToken),
+      ...clientMeta(req),
+      lastUsedAt: new Date(),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    });
+
+    return { accessToken: this.signAccessToken(user, session), refreshToken, session };
+  }
+
+  /**
+   * Swap a refresh token for a new access token and a new refresh token.
+   * Presenting an already-rotated token means it was copied, so the session is revoked.
+   */
+  async refresh(refreshToken, req) {
+    if (!refreshToken) {
+      throw sessionError('Refresh token is required', 400);
+    }
+
+    const presentedHash = hashToken(refreshToken);
+    const nextToken = crypto.randomBytes(48).toString('base64url');
+    const now = new Date();
+
+    const session = await Session.findOneAndUpdate(
+      { refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+      {
+        $set: {
+          refreshTokenHash: hashToken(nextToken),
+          previousTokenHash: presentedHash,
+          lastUsedAt: now,
+          ...clientMeta(req),
+        },
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      const reused = await Session.findOneAndUpdate(
+        { previousTokenHash: presentedHash, revokedAt: null },
+        { $set: { revokedAt: now, revokedReason: 'refresh_token_reuse' } }
+      );
+      if (reused) {
+        logger.warn('Refresh token reuse detected; session revoked', { sessionId: reused._id, userId: reused.userId });
+      }
+      throw sessionError('Invalid or expired refresh token');
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user) {
+      await this.revoke(session._id, 'user_deleted');
+      throw sessionError('Invalid or expired refresh token');
+    }
+
+    return { accessToken: this.signAccessToken(user, session), refreshToken: nextToken, session, user };
+  }
+
+  /**
+   * End the session a refresh token belongs to. Unknown tokens are ignored.
+   */
+  async revokeByRefreshToken(refreshToken, reason = 'logout') {
+    const session = await Session.findOneAndUpdate(
+      { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return session;
+  }
+
+  async revoke(sessionId, reason = 'logout') {
+    return Session.updateOne({ _id: sessionId, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  }
+
+  /**
+   * End every session of a user (optionally keeping the caller's). Also cuts off access
+   * tokens issued before sessions existed.
+   * @returns {Promise<number>} sessions revoked
+   */
+  async revokeAll(userId, reason, { exceptSessionId } = {}) {
+    const now = new Date();
+    const filter = { userId, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const [result] = await Promise.all([
+      Session.updateMany(filter, { $set: { revokedAt: now, revokedReason: reason } }),
+      User.updateOne({ _id: userId }, { $set: { sessionsRevokedAt: now } }),
+    ]);
+
+    logger.info('User sessions revoked', { userId, reason, revoked: result.modifiedCount });
+    return result.modifiedCount;
+  }
+
+  /**
+   * Whether a verified access token's session is still live
+   * @param {object} decoded - JWT payload
+   * @param {object} user - token owner (for sessionsRevokedAt)
+   */
+  async isTokenActive(decoded, user) {
+    if (decoded.sid) {
+      return !!(await Session.exists({
+        _id: decoded.sid,
+        userId: decoded.id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      }));
+    }
+    // Token from before sessions existed: valid until its expiry unless the user's sessions were revoked
+    return !(user.sessionsRevokedAt && decoded.iat * 1000 < user.sessionsRevokedAt.getTime());
+  }
+}
+
+module.exports = new SessionService();
@@ -1,7 +1,9 @@
 const axios = require('axios');
+const crypto = require('crypto');
 const PaymentMethod = require('../models/PaymentMethod');
 const flutterwaveService = require('./flutterwaveService');
 const { logger } = require('../utils/logger');
+const { safeCompare } = require('../utils/safeCompare');
 
 class SquadService {
   constructor() {
@@ -103,6 +105,100 @@ class SquadService {
       throw error;
     }
   }
+
+  /**
+   * Key Squad signs webhooks with: the merchant secret key (SQUAD_WEBHOOK_SECRET or
+   * config.webhookSecret override it)
+   */
+  async getWebhookSecret() {
+    if (process.env.SQUAD_WEBHOOK_SECRET) return process.env.SQUAD_WEBHOOK_SECRET;
+    const paymentMethod = await PaymentMethod.findOne({ type: 'squad', isActive: true })
+      .select('+config.secretKey +config.webhookSecret');
+    const secret = paymentMethod?.config?.webhookSecret || paymentMethod?.config?.secretKey;
+    return secret ? flutterwaveService.decryptSecretKey(secret) : null;
+  }
+
+  /**
+   * Verify webhook: `x-squad-encrypted-body` is the HMAC-SHA512 of the raw body (hex, uppercase)
+   */
+  verifyWebhook(rawBody, headers, secret) {
+    const signature = headers['x-squad-encrypted-body'];
+    if (!secret || !signature || !rawBody) return false;
+    const expected = crypto.createHmac('sha512', secret).update(rawBody).digest('hex').toUpperCase();
+    return safeCompare(String(signature).toUpperCase(), expected);
+  }
+
+  /**
+   * Event id and timestamp for replay protection
+   */
+  getEventMeta(payload = {}) {
+    const ref = payload.TransactionRef || payload.Body?.transaction_ref;
+    return {
+      eventId: ref ? `${payload.Event || 'event'}:${ref}` : null,
+      timestamp: payload.Body?.created_at || null,
+    };
+  }
+
+  /**
+   * Refund a transaction (amount in major units; omitted means full).
+   * Set PAYMENT_REFUNDS_MOCK=true to skip the API call locally.
+   */
+  async refundPayment({ transactionRef, gatewayTransactionRef, amount, reason }) {
+    if (process.env.PAYMENT_REFUNDS_MOCK === 'true') {
+      logger.info('Mock Squad refund', { transactionRef, amount });
+      return { refundId: `MOCK-SQ-${Date.now()}`, status: 'success', data: { mock: true } };
+    }
+
+    try {
+      const paymentMethod = await this.getPaymentMethod();
+      const secretKey = flutterwaveService.decryptSecretKey(paymentMethod.config.secretKey);
+
+      // Squad needs its own gateway reference; look it up if we didn't store it at verify time
+      let gatewayRef = gatewayTransactionRef;
+      if (!gatewayRef) {
+        const verification = await this.verifyPayment(transactionRef);
+        gatewayRef = verification.data?.gateway_transaction_ref;
+      }
+
+      const payload = {
+        gateway_transaction_ref: gatewayRef,
+        transaction_ref: transactionRef,
+        refund_type: amount ? 'Partial' : 'Full',
+        reason_for_refund: reason || 'Refund',
+      };
+      if (amount) {
+        payload.refund_amount = String(Math.round(amount * 100));
+      }
+
+      const response = await axios.post(
+        `${this.baseURL}/transaction/refund`,
+        payload,
+        {
+          headers: {
+            Authorization: `Bearer ${secretKey}`,
+            'Content-Type': 'application/json',
+          },
+        }
+      );
+
+      if (response.data && response.data.status === 200) {
+        logger.info('Squad refund created', { transactionRef, amount });
+        return {
+          refundId: response.data.data?.refund_reference || response.data.data?.transaction_ref,
+          status: 'success',
+          data: response.data.data,
+        };
+      }
+
+      throw new Error(response.data?.message || 'Failed to refund Squad payment');
+    } catch (error) {
+      logger.error('Error refunding Squad payment', { error: error.message, transactionRef });
+      if (error.response) {
+        throw new Error(`Squad API Error: ${error.response.data?.message || error.message}`);
+      }
+      throw error;
+    }
+  }
 }
 
 module.exports = new SquadService();
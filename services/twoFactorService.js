@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const SecuritySettings = require('../models/SecuritySettings');
+const sessionService = require('./sessionService');
+const totp = require('../utils/totp');
+const { encryptSecret, decryptSecret } = require('../utils/crypto');
+const { expandPermissions } = require('../config/permissions');
+const { logger } = require('../utils/logger');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Shop Admin';
+const RECOVERY_CODE_COUNT = 10;
+// Time between the password step and the code step of a login
+const CHALLENGE_EXPIRES_IN = '5m';
+// Policy is read on every admin request; keep it briefly in memory
+const SETTINGS_CACHE_MS = 60 * 1000;
+
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastStep';
+const CLEAR_TWO_FACTOR = {
+  $set: { twoFactorEnabled: false },
+  $unset: {
+    twoFactorSecret: 1,
+    twoFactorPendingSecret: 1,
+    twoFactorRecoveryCodes: 1,
+    twoFactorLastStep: 1,
+    twoFactorEnabledAt: 1,
+  },
+};
+
+function twoFactorError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[^a-z0-9]/g, '')).digest('hex');
+}
+
+// Login challenges use a derived key so they can never pass as access tokens
+function challengeSecret() {
+  return `${process.env.JWT_SECRET}:two-factor`;
+}
+
+class TwoFactorService {
+  constructor() {
+    this.settingsCache = null;
+  }
+
+  async getSettings() {
+    if (!this.settingsCache || this.settingsCache.expiresAt < Date.now()) {
+      const settings = await SecuritySettings.getSettings();
+      this.settingsCache = { settings, expiresAt: Date.now() + SETTINGS_CACHE_MS };
+    }
+    return this.settingsCache.settings;
+  }
+
+  clearSettingsCache() {
+    this.settingsCache = null;
+  }
+
+  /**
+   * Whether policy requires this admin/member to have 2FA
+   * @param {{ role: string, permissions?: string[] }} user
+   */
+  async isRequired(user) {
+    if (user.role !== 'admin' && user.role !== 'member') return false;
+
+    const { twoFactor } = await this.getSettings();
+    if (!twoFactor?.enforce) return false;
+    if ((twoFactor.roles || []).includes(user.role)) return true;
+
+    const sensitive = twoFactor.permissions || [];
+    if (user.role === 'admin') return sensitive.length > 0;
+    const held = expandPermissions([
+      ...(user.permissions || []),
+      ...(user.storePermissions || []).flatMap((sp) => sp.permissions || []),
+    ]);
+    return sensitive.some((key) => held.some((permission) => permission === key || permission.startsWith(`${key}.`)));
+  }
+
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+  }
+
+  /**
+   * Start enrolment: a new secret that only becomes active once a code from it is confirmed
+   */
+  async beginSetup(userId) {
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+    if (!user) throw twoFactorError('User not found', 404);
+    if (user.twoFactorEnabled) throw twoFactorError('Two-factor authentication is already enabled');
+
+    const secret = totp.generateSecret();
+    user.twoFactorPendingSecret = encryptSecret(secret);
+    await user.save({ validateBeforeSave: false });
+
+    return {
+      secret,
+      otpauthUrl: totp.keyUri({ secret, account: user.email, issuer: ISSUER }),
+    };
+  }
+
+  /**
+   * Finish enrolment with a code from the authenticator app. Other sessions are signed out
+   * since they were opened with the password alone.
+   * @returns {Promise<string[]>} recovery codes (shown once)
+   */
+  async enable(userId, code, { currentSessionId } = {}) {
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+    if (!user) throw twoFactorError('User not found', 404);
+    if (user.twoFactorEnabled) throw twoFactorError('Two-factor authentication is already enabled');
+    if (!user.twoFactorPendingSecret) throw twoFactorError('Start two-factor setup first');
+
+    const secret = decryptSecret(user.twoFactorPendingSecret);
+    const step = totp.verify(code, secret);
+    if (step === null) throw twoFactorError('Invalid authentication code');
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    user.twoFactorLastStep = step;
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    await sessionService.revokeAll(user._id, 'two_factor_enabled', { exceptSessionId: currentSessionId });
+
+    logger.info('Two-factor authentication enabled', { userId: user._id });
+    return recoveryCodes;
+  }
+
+  /**
+   * Check a TOTP code (each code works once) or a recovery code (consumed)
+   * @returns {Promise<'totp'|'recovery_code'|null>}
+   */
+  async verifySecondFactor(user, { code, recoveryCode } = {}) {
+    if (recoveryCode) {
+      const result = await User.updateOne(
+        { _id: user._id, twoFactorRecoveryCodes: hashRecoveryCode(recoveryCode) },
+        { $pull: { twoFactorRecoveryCodes: hashRecoveryCode(recoveryCode) } }
+      );
+      if (result.modifiedCount === 0) return null;
+      logger.info('Two-factor recovery code used', { userId: user._id });
+      return 'recovery_code';
+    }
+
+    const withSecret = user.twoFactorSecret ? user : await User.findById(user._id).select(TWO_FACTOR_FIELDS);
+    if (!withSecret?.twoFactorSecret) return null;
+
+    const step = totp.verify(code, decryptSecret(withSecret.twoFactorSecret));
+    if (step === null) return null;
+
+    // Claim the step so the same code can't be replayed
+    const claimed = await User.updateOne(
+      { _id: user._id, $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }] },
+      { $set: { twoFactorLastStep: step } }
+    );
+    return claimed.modifiedCount === 1 ? 'totp' : null;
+  }
+
+  /**
+   * Turn 2FA off (needs a current code or recovery code). Not allowed while policy requires it.
+   */
+  async disable(userId, factors) {
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+    if (!user) throw twoFactorError('User not found', 404);
+    if (!user.twoFactorEnabled) throw twoFactorError('Two-factor authentication is not enabled');
+    if (await this.isRequired(user)) {
+      throw twoFactorError('Two-factor authentication is required for your account', 403);
+    }
+    if (!(await this.verifySecondFactor(user, factors))) {
+      throw twoFactorError('Invalid authentication code');
+    }
+
+    await User.updateOne({ _id: user._id }, CLEAR_TWO_FACTOR);
+    logger.info('Two-factor authentication disabled', { userId: user._id });
+  }
+
+  /**
+   * Admin reset for a user who lost their authenticator and recovery codes.
+   * They are signed out and must enrol again if policy requires it.
+   */
+  async reset(userId) {
+    const result = await User.updateOne({ _id: userId }, CLEAR_TWO_FACTOR);
+    if (result.matchedCount === 0) throw twoFactorError('User not found', 404);
+
+    await sessionService.revokeAll(userId, 'admin');
+  }
+
+  /**
+   * Replace all recovery codes (needs a current code)
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+    if (!user) throw twoFactorError('User not found', 404);
+    if (!user.twoFactorEnabled) throw twoFactorError('Two-factor authentication is not enabled');
+    if (!(await this.verifySecondFactor(user, { code }))) {
+      throw twoFactorError('Invalid authentication code');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode) } });
+    return recoveryCodes;
+  }
+
+  /**
+   * Token proving the password step passed; exchanged with a code at /auth/login/2fa
+   */
+  issueChallenge(user) {
+    return jwt.sign({ id: user._id }, challengeSecret(), { expiresIn: CHALLENGE_EXPIRES_IN });
+  }
+
+  /**
+   * @returns {string|null} user id from a valid challenge token
+   */
+  verifyChallenge(token) {
+    try {
+      return jwt.verify(token, challengeSecret()).id;
+    } catch {
+      return null;
+    }
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,168 @@
+const Payment = require('../models/Payment');
+const WebhookEvent = require('../models/WebhookEvent');
+const cjWebhookService = require('./cjWebhookService');
+const flutterwaveService = require('./flutterwaveService');
+const squadService = require('./squadService');
+const orderPaymentService = require('./orderPaymentService');
+const { logger } = require('../utils/logger');
+
+// Headers worth keeping for debugging; signature headers are stored redacted
+const KEPT_HEADERS = ['content-type', 'user-agent', 'x-forwarded-for', 'x-request-id'];
+const SECRET_HEADERS = ['verif-hash', 'flutterwave-signature', 'x-squad-encrypted-body', 'x-webhook-token'];
+
+class WebhookEventService {
+  constructor() {
+    // provider -> topic -> handler(payload)
+    this.handlers = {
+      cj: {
+        'order-status': (payload) => cjWebhookService.handleOrderStatusWebhook(payload),
+        inventory: (payload) => cjWebhookService.handleInventoryWebhook(payload),
+        product: (payload) => cjWebhookService.handleProductWebhook(payload),
+        logistics: (payload) => cjWebhookService.handleLogisticsWebhook(payload),
+      },
+      flutterwave: {
+        payment: (payload) => this.handleFlutterwavePayment(payload),
+      },
+      squad: {
+        payment: (payload) => this.handleSquadPayment(payload),
+      },
+    };
+  }
+
+  /**
+   * Headers to store with an event (secrets redacted)
+   */
+  pickHeaders(headers = {}) {
+    const picked = {};
+    for (const name of KEPT_HEADERS) {
+      if (headers[name]) picked[name] = headers[name];
+    }
+    for (const name of SECRET_HEADERS) {
+      if (headers[name]) picked[name] = '[redacted]';
+    }
+    return picked;
+  }
+
+  /**
+   * Flutterwave charge event: re-verify with Flutterwave and settle the payment
+   */
+  async handleFlutterwavePayment(payload = {}) {
+    // charge.completed events wrap the transaction in `data`
+    const txData = payload.data || payload;
+    if (!txData.tx_ref) {
+      return { success: true, message: 'No transaction reference; ignored' };
+    }
+
+    const payment = await Payment.findOne({ txRef: txData.tx_ref });
+    if (!payment) {
+      logger.warn('Payment not found for Flutterwave webhook', { txRef: txData.tx_ref });
+      return { success: false, message: 'Payment not found' };
+    }
+
+    // Status is taken from Flutterwave's verify API, not the webhook body
+    const result = await flutterwaveService.handleWebhook(txData);
+    await orderPaymentService.settleFlutterwavePayment(payment, result.verification, {
+      flwRef: result.flwRef,
+      transactionId: result.transactionId,
+      source: 'flutterwave_webhook',
+    });
+
+    return { success: true, txRef: txData.tx_ref, status: payment.status };
+  }
+
+  /**
+   * Squad charge event: re-verify with Squad and settle the payment (same path as /payments/squad/verify)
+   */
+  async handleSquadPayment(payload = {}) {
+    const txRef = payload.TransactionRef || payload.Body?.transaction_ref;
+    if (!txRef) {
+      return { success: true, message: 'No transaction reference; ignored' };
+    }
+
+    const payment = await Payment.findOne({ txRef });
+    if (!payment) {
+      logger.warn('Payment not found for Squad webhook', { txRef });
+      return { success: false, message: 'Payment not found' };
+    }
+
+    // Status is taken from Squad's verify API, not the webhook body
+    const verification = await squadService.verifyPayment(txRef);
+    const { pending } = await orderPaymentService.settleSquadPayment(payment, verification, {
+      source: 'squad_webhook',
+    });
+    // Not settled yet: leave the event failed and ask Squad to deliver it again
+    if (pending) {
+      return { success: false, retryable: true, message: 'Payment is still pending at Squad', txRef, status: 'pending' };
+    }
+
+    return { success: true, txRef, status: payment.status };
+  }
+
+  /**
+   * Run the handler for a stored event and record the outcome.
+   * Handlers that report `success: false` (e.g. unknown order) count as failed so they can be replayed;
+   * `retryable: true` also asks the provider to redeliver (see webhookController).
+   */
+  async process(event) {
+    const handler = this.handlers[event.provider]?.[event.topic];
+    if (!handler) {
+      throw new Error(`No handler for ${event.provider} webhook topic "${event.topic}"`);
+    }
+
+    event.attempts = (event.attempts || 0) + 1;
+    event.lastAttemptAt = new Date();
+
+    try {
+      const result = await handler(event.payload || {});
+      if (result && result.success === false) {
+        event.status = 'failed';
+        event.error = result.message || 'Handler reported failure';
+      } else {
+        event.status = 'processed';
+        event.error = undefined;
+        event.processedAt = new Date();
+      }
+      event.result = result;
+      await event.save();
+      return result;
+    } catch (error) {
+      event.status = 'failed';
+      event.error = error.message;
+      await event.save();
+      logger.error('Webhook event processing failed', {
+        eventId: event._id,
+        provider: event.provider,
+        topic: event.topic,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Re-run a stored event (admin). Rejected events were never verified and can't be replayed.
+   */
+  async replay(eventId) {
+    const event = await WebhookEvent.findById(eventId);
+    if (!event) {
+      const error = new Error('Webhook event not found');
+      error.status = 404;
+      throw error;
+    }
+    if (event.status === 'rejected') {
+      const error = new Error('Rejected webhook events cannot be replayed');
+      error.status = 400;
+      throw error;
+    }
+
+    let result;
+    try {
+      result = await this.process(event);
+    } catch {
+      // Outcome is recorded on the event
+    }
+    return { event, result };
+  }
+}
+
+module.exports = new WebhookEventService();
@@ -0,0 +1,332 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const WishlistItem = require('../models/WishlistItem');
+const checkoutQuoteService = require('./checkoutQuoteService');
+const inventoryService = require('./inventoryService');
+const mailService = require('./mailService');
+const { logger } = require('../utils/logger');
+
+const MAX_ITEMS = 200;
+const UNSUBSCRIBE_AUDIENCE = 'wishlist-unsubscribe';
+// Smaller drops are not worth an email; they still count towards a later, bigger drop
+const PRICE_DROP_MIN_PERCENT = parseFloat(process.env.WISHLIST_PRICE_DROP_MIN_PERCENT) || 5;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+function wishlistError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function clientUrl(pathname, params = {}) {
+  const base = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+  const query = new URLSearchParams(params).toString();
+  return `${base}${pathname}${query ? `?${query}` : ''}`;
+}
+
+class WishlistService {
+  getSecret() {
+    const secret = process.env.UNSUBSCRIBE_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+      throw new Error('UNSUBSCRIBE_SECRET or JWT_SECRET must be configured');
+    }
+    return secret;
+  }
+
+  /**
+   * Price and availability of a product (or one of its variants) as a shopper would see it
+   */
+  getState(product, variantId = null) {
+    const variant = variantId ? (product.variants || []).find((v) => v.variantId === variantId) : null;
+    const sellable = !!product.isInStore
+      && product.status === 'active'
+      && product.visibility === 'public'
+      && product.isAvailable !== false
+      && (!variantId || !!variant);
+    const available = product.trackInventory === false
+      ? Infinity
+      : inventoryService.getAvailability(product, variant?.variantId).available;
+
+    return {
+      variant,
+      sellable,
+      inStock: sellable && available > 0,
+      price: round2(variant?.price > 0 ? variant.price : product.price),
+      currency: product.currency || 'USD',
+    };
+  }
+
+  /**
+   * Save a product (or variant) to the shopper's wishlist. Saving it again returns the existing item.
+   */
+  async addItem(userId, storeId, { productId, variantId, notifyBackInStock, notifyPriceDrop }) {
+    const product = await checkoutQuoteService.findSellableProduct(productId, storeId);
+    if (!product) {
+      throw wishlistError('Product not found', 404);
+    }
+
+    let variant = null;
+    if (variantId) {
+      variant = (product.variants || []).find(
+        (v) => v.variantId === variantId || (v._id && v._id.toString() === String(variantId))
+      );
+      if (!variant) {
+        throw wishlistError(`Variant ${variantId} is not available for ${product.name}`, 422);
+      }
+    }
+
+    const key = { userId, storeId: storeId || null, productId: product._id, variantId: variant?.variantId || null };
+    const existing = await WishlistItem.findOne(key);
+    if (existing) return { item: existing, created: false };
+
+    if ((await WishlistItem.countDocuments({ userId, storeId: storeId || null })) >= MAX_ITEMS) {
+      throw wishlistError(`Your wishlist can hold up to ${MAX_ITEMS} items`);
+    }
+
+    const state = this.getState(product, key.variantId);
+    try {
+      const item = await WishlistItem.create({
+        ...key,
+        priceAtAdd: state.price,
+        referencePrice: state.price,
+        currency: state.currency,
+        inStock: state.inStock,
+        ...(typeof notifyBackInStock === 'boolean' && { notifyBackInStock }),
+        ...(typeof notifyPriceDrop === 'boolean' && { notifyPriceDrop }),
+      });
+      return { item, created: true };
+    } catch (error) {
+      if (error.code === 11000) {
+        return { item: await WishlistItem.findOne(key), created: false };
+      }
+      throw error;
+    }
+  }
+
+  async getItem(userId, storeId, itemId) {
+    const item = mongoose.Types.ObjectId.isValid(itemId)
+      ? await WishlistItem.findOne({ _id: itemId, userId, storeId: storeId || null })
+      : null;
+    if (!item) {
+      throw wishlistError('Wishlist item not found', 404);
+    }
+    return item;
+  }
+
+  /**
+   * Turn alerts for one item on or off
+   */
+  async updateItem(userId, storeId, itemId, { notifyBackInStock, notifyPriceDrop }) {
+    const item = await this.getItem(userId, storeId, itemId);
+    if (typeof notifyBackInStock === 'boolean') item.notifyBackInStock = notifyBackInStock;
+    if (typeof notifyPriceDrop === 'boolean') item.notifyPriceDrop = notifyPriceDrop;
+    await item.save();
+    return item;
+  }
+
+  async removeItem(userId, storeId, itemId) {
+    const item = await this.getItem(userId, storeId, itemId);
+    await item.deleteOne();
+    return item;
+  }
+
+  /**
+   * Wishlist with current price and stock; products that were removed or hidden are flagged `unavailable`
+   */
+  async list(userId, storeId) {
+    const items = await WishlistItem.find({ userId, storeId: storeId || null })
+      .sort({ createdAt: -1 })
+      .populate('productId', 'name slug images customImages price currency variants stock reservedStock trackInventory status visibility isInStore isAvailable')
+      .lean();
+
+    return items.map(({ productId: product, ...item }) => {
+      if (!product) {
+        return { ...item, productId: null, product: null, unavailable: true, inStock: false };
+      }
+      const state = this.getState(product, item.variantId);
+      return {
+        ...item,
+        productId: product._id,
+        product: {
+          name: product.name,
+          slug: product.slug,
+          image: product.customImages?.[0] || product.images?.[0] || null,
+          variantName: state.variant?.name || null,
+        },
+        price: state.price,
+        currency: state.currency,
+        priceDropped: state.price < (item.priceAtAdd ?? state.price),
+        inStock: state.inStock,
+        unavailable: !state.sellable,
+      };
+    });
+  }
+
+  issueUnsubscribeToken(item) {
+    return jwt.sign({ itemId: String(item._id) }, this.getSecret(), { audience: UNSUBSCRIBE_AUDIENCE });
+  }
+
+  /**
+   * Turn off every alert for the item in an unsubscribe link (no sign-in needed)
+   */
+  async unsubscribe(token) {
+    let payload;
+    try {
+      payload = jwt.verify(String(token || ''), this.getSecret(), { audience: UNSUBSCRIBE_AUDIENCE });
+    } catch (error) {
+      throw wishlistError('Invalid unsubscribe link', 401);
+    }
+
+    const item = await WishlistItem.findByIdAndUpdate(
+      payload.itemId,
+      { $set: { notifyBackInStock: false, notifyPriceDrop: false } },
+      { new: true }
+    );
+    // The item may have been removed from the wishlist since; the outcome is the same
+    return { unsubscribed: true, itemId: payload.itemId, found: !!item };
+  }
+
+  /**
+   * Compare wishlist items for a product with its current price and stock, and email shoppers whose
+   * out-of-stock item is available again or whose item's price dropped. Called after stock and price
+   * updates (CJ webhooks, product sync, admin edits); never throws.
+   */
+  async checkProduct(productId) {
+    try {
+      const product = await Product.findById(productId).lean();
+      if (!product) return { checked: 0, alerts: 0 };
+
+      const items = await WishlistItem.find({ productId: product._id })
+        .populate('userId', 'email firstName')
+        .lean();
+
+      let alerts = 0;
+      for (const item of items) {
+        if (await this.checkItem(product, item)) alerts++;
+      }
+      if (alerts > 0) {
+        logger.info('Wishlist alerts sent', { productId: product._id, checked: items.length, alerts });
+      }
+      return { checked: items.length, alerts };
+    } catch (error) {
+      logger.error('Wishlist check failed', { productId, error: error.message });
+      return { checked: 0, alerts: 0 };
+    }
+  }
+
+  async checkItem(product, item) {
+    const state = this.getState(product, item.variantId);
+    const reference = item.referencePrice ?? item.priceAtAdd;
+    const set = {};
+    const reasons = [];
+
+    if (state.inStock !== item.inStock) {
+      set.inStock = state.inStock;
+      if (state.inStock && item.notifyBackInStock) reasons.push('back_in_stock');
+    }
+    // Prices are only compared while the item can be bought, so a drop while out of stock is
+    // reported together with the restock
+    if (state.inStock && state.price > 0) {
+      if (reference == null || state.price > reference) {
+        set.referencePrice = state.price;
+      } else if (state.price <= reference * (1 - PRICE_DROP_MIN_PERCENT / 100)) {
+        set.referencePrice = state.price;
+        if (item.notifyPriceDrop) reasons.push('price_drop');
+      }
+    }
+    if (Object.keys(set).length === 0) return false;
+
+    const inc = {};
+    if (reasons.includes('back_in_stock')) inc.backInStockAlertsSent = 1;
+    if (reasons.includes('price_drop')) inc.priceDropAlertsSent = 1;
+    if (reasons.length > 0) set.lastAlertAt = new Date();
+
+    // Claim the change so concurrent checks don't alert twice
+    const result = await WishlistItem.updateOne(
+      { _id: item._id, inStock: item.inStock, referencePrice: item.referencePrice ?? null },
+      { $set: set, ...(reasons.length > 0 && { $inc: inc }) }
+    );
+    if (result.modifiedCount === 0 || reasons.length === 0 || !item.userId?.email) return false;
+
+    await mailService.sendWishlistAlert(item.userId.email, {
+      firstName: item.userId.firstName,
+      productName: state.variant?.name ? `${product.name} (${state.variant.name})` : product.name,
+      reasons,
+      price: state.price,
+      previousPrice: reference,
+      currency: state.currency,
+      productUrl: clientUrl(`/products/${product.slug || product._id}`),
+      unsubscribeUrl: clientUrl('/wishlist/unsubscribe', { token: this.issueUnsubscribeToken(item) }),
+    }).catch((error) => {
+      logger.warn('Wishlist alert email failed', { itemId: item._id, error: error.message });
+    });
+    return true;
+  }
+
+  /**
+   * Per-store wishlist figures: saved items, shoppers, alerts and the most wanted products
+   * @param {{ storeMatch?: object, from?: Date, limit?: number }} filters
+   */
+  async getStats({ storeMatch = {}, from, limit = 10 } = {}) {
+    const $match = { ...storeMatch };
+    if (from) $match.createdAt = { $gte: from };
+
+    const [totals = {}] = await WishlistItem.aggregate([
+      { $match },
+      {
+        $group: {
+          _id: null,
+          items: { $sum: 1 },
+          shoppers: { $addToSet: '$userId' },
+          waitingForStock: { $sum: { $cond: ['$inStock', 0, 1] } },
+          subscribed: { $sum: { $cond: [{ $or: ['$notifyBackInStock', '$notifyPriceDrop'] }, 1, 0] } },
+          backInStockAlertsSent: { $sum: '$backInStockAlertsSent' },
+          priceDropAlertsSent: { $sum: '$priceDropAlertsSent' },
+        },
+      },
+      { $project: { _id: 0, items: 1, shoppers: { $size: '$shoppers' }, waitingForStock: 1, subscribed: 1, backInStockAlertsSent: 1, priceDropAlertsSent: 1 } },
+    ]);
+
+    const top = await WishlistItem.aggregate([
+      { $match },
+      {
+        $group: {
+          _id: '$productId',
+          count: { $sum: 1 },
+          waitingForStock: { $sum: { $cond: ['$inStock', 0, 1] } },
+        },
+      },
+      { $sort: { count: -1 } },
+      { $limit: limit },
+    ]);
+    const products = await Product.find({ _id: { $in: top.map((t) => t._id) } })
+      .select('name slug price currency')
+      .lean();
+    const byId = new Map(products.map((p) => [String(p._id), p]));
+
+    return {
+      items: totals.items || 0,
+      shoppers: totals.shoppers || 0,
+      waitingForStock: totals.waitingForStock || 0,
+      subscribed: totals.subscribed || 0,
+      backInStockAlertsSent: totals.backInStockAlertsSent || 0,
+      priceDropAlertsSent: totals.priceDropAlertsSent || 0,
+      topProducts: top.map((t) => {
+        const product = byId.get(String(t._id));
+        return {
+          productId: t._id,
+          name: product?.name || null,
+          slug: product?.slug || null,
+          price: product?.price ?? null,
+          currency: product?.currency || null,
+          count: t.count,
+          waitingForStock: t.waitingForStock,
+        };
+      }),
+    };
+  }
+}
+
+module.exports = new WishlistService();
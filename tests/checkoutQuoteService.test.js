@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { objectId } = require('./helpers');
+const checkoutQuoteService = require('../services/checkoutQuoteService');
+
+const sign = (quote) => jwt.sign(quote, checkoutQuoteService.getSecret(), { audience: 'checkout-quote', expiresIn: '30m' });
+
+describe('checkoutQuoteService.verifyQuote', () => {
+  const storeId = objectId();
+  const userId = objectId();
+
+  it('accepts a quote in the store and for the customer it was made for', () => {
+    const token = sign({ quoteId: 'q1', storeId: String(storeId), userId: String(userId) });
+    assert.equal(checkoutQuoteService.verifyQuote(token, { storeId, userId }).quoteId, 'q1');
+  });
+
+  it('rejects a quote from another store', () => {
+    const token = sign({ quoteId: 'q2', storeId: String(objectId()), userId: null });
+    assert.throws(() => checkoutQuoteService.verifyQuote(token, { storeId }), /different store/);
+  });
+
+  it('rejects a quote when no store was resolved', () => {
+    const token = sign({ quoteId: 'q3', storeId: String(storeId), userId: null });
+    assert.throws(() => checkoutQuoteService.verifyQuote(token, {}), /Store could not be resolved/);
+  });
+
+  it("rejects another customer's quote", () => {
+    const token = sign({ quoteId: 'q4', storeId: String(storeId), userId: String(userId) });
+    assert.throws(() => checkoutQuoteService.verifyQuote(token, { storeId, userId: objectId() }), { status: 403 });
+    assert.throws(() => checkoutQuoteService.verifyQuote(token, { storeId }), { status: 403 });
+  });
+
+  it('rejects tampered and expired quotes', () => {
+    const token = sign({ quoteId: 'q5', storeId: String(storeId), userId: null });
+    assert.throws(() => checkoutQuoteService.verifyQuote(`${token}x`, { storeId }), /Invalid checkout quote/);
+
+    const expired = jwt.sign({ quoteId: 'q6', storeId: String(storeId), exp: Math.floor(Date.now() / 1000) - 60 }, checkoutQuoteService.getSecret(), {
+      audience: 'checkout-quote',
+    });
+    assert.throws(() => checkoutQuoteService.verifyQuote(expired, { storeId }), { status: 409 });
+  });
+});
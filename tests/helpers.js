@@ -0,0 +1,71 @@
+/**
+ * Shared test setup: no database (models are stubbed per test with node:test `mock.method`),
+ * quiet logger, fixed secrets. Require this before the modules under test.
+ */
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.FLUTTERWAVE_WEBHOOK_SECRET = 'test-flutterwave-secret';
+process.env.SQUAD_WEBHOOK_SECRET = 'test-squad-secret';
+process.env.CJ_WEBHOOK_SECRET = 'test-cj-secret';
+
+// A model call a test forgot to stub fails at once instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+require('../utils/logger').logger.silent = true;
+
+/**
+ * Stand-in for a mongoose Query: chainable (select, lean, sort, ...) and awaitable
+ */
+function query(result) {
+  const q = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    exec: () => Promise.resolve(result),
+  };
+  for (const method of ['select', 'lean', 'sort', 'limit', 'skip', 'populate']) {
+    q[method] = () => q;
+  }
+  return q;
+}
+
+function mockReq({ method = 'POST', path = '/', headers = {}, body = {}, query: params = {}, ...rest } = {}) {
+  return {
+    method,
+    path,
+    headers,
+    body,
+    query: params,
+    ip: '203.0.113.10',
+    get: (name) => headers[name.toLowerCase()],
+    ...rest,
+  };
+}
+
+/**
+ * Minimal Express response that records what the handler sent
+ */
+function mockRes() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    set(name, value) {
+      res.headers[name] = value;
+      return res;
+    },
+  };
+  return res;
+}
+
+function objectId() {
+  return new mongoose.Types.ObjectId();
+}
+
+module.exports = { query, mockReq, mockRes, objectId };
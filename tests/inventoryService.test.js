@@ -0,0 +1,126 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, objectId } = require('./helpers');
+const Product = require('../models/Product');
+const InventoryReservation = require('../models/InventoryReservation');
+const inventoryService = require('../services/inventoryService');
+
+describe('inventoryService', () => {
+  let products;
+  let inserted;
+
+  // In-memory products: findById / findOneAndUpdate with $inc on reservedStock
+  const product = (overrides) => {
+    const doc = { _id: objectId(), name: 'Mug', trackInventory: true, stock: 5, reservedStock: 0, variants: [], ...overrides };
+    products.set(String(doc._id), doc);
+    return doc;
+  };
+
+  beforeEach(() => {
+    products = new Map();
+    inserted = [];
+
+    mock.method(Product, 'findById', (id) => query(products.get(String(id)) || null));
+    mock.method(Product, 'findOneAndUpdate', (filter, update) => {
+      const doc = products.get(String(filter._id));
+      if (!doc) return query(null);
+      const variantId = filter['variants.variantId'];
+      const variant = variantId && doc.variants.find((v) => v.variantId === variantId);
+      if (variantId && !variant) return query(null);
+      if (variant) variant.reservedStock += update.$inc['variants.$.reservedStock'];
+      doc.reservedStock += update.$inc.reservedStock;
+      return query(structuredClone(doc));
+    });
+    mock.method(InventoryReservation, 'insertMany', async (docs) => {
+      inserted.push(...docs);
+      return docs;
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('works out availability for products and variants', () => {
+    const item = { stock: 10, reservedStock: 4, variants: [{ variantId: 'red', stock: 3, reservedStock: 5 }] };
+    assert.deepEqual(inventoryService.getAvailability(item), { stock: 10, reserved: 4, available: 6 });
+    assert.deepEqual(inventoryService.getAvailability(item, 'red'), { stock: 3, reserved: 5, available: 0 });
+    // Unknown variants fall back to the product
+    assert.equal(inventoryService.getAvailability(item, 'blue').available, 6);
+  });
+
+  it('holds stock for each line of an order', async () => {
+    const mug = product();
+    const shirt = product({ name: 'Shirt', stock: 10, variants: [{ variantId: 'red', stock: 4, reservedStock: 0 }] });
+
+    const reservations = await inventoryService.reserveForOrder({
+      orderId: 'order-1',
+      storeId: null,
+      items: [
+        { productRef: mug._id, quantity: 2 },
+        { productRef: shirt._id, variantId: 'red', quantity: 4 },
+      ],
+    });
+
+    assert.equal(reservations.length, 2);
+    assert.equal(mug.reservedStock, 2);
+    assert.equal(shirt.variants[0].reservedStock, 4);
+    assert.ok(inserted.every((r) => r.status === 'reserved' && r.expiresAt > new Date()));
+  });
+
+  it('refuses to oversell and gives back what it held', async () => {
+    const mug = product({ stock: 3, reservedStock: 2 });
+
+    await assert.rejects(inventoryService.reserveLine({ productRef: mug._id, quantity: 2 }), (error) => {
+      assert.equal(error.status, 409);
+      assert.equal(error.message, 'Only 1 left of Mug');
+      return true;
+    });
+    assert.equal(mug.reservedStock, 2);
+  });
+
+  it('reserves all lines or none', async () => {
+    const mug = product();
+    const plate = product({ name: 'Plate', stock: 1 });
+
+    await assert.rejects(
+      inventoryService.reserveForOrder({
+        orderId: 'order-2',
+        items: [
+          { productRef: mug._id, quantity: 3 },
+          { productRef: plate._id, quantity: 2 },
+        ],
+      }),
+      { status: 409 }
+    );
+
+    assert.equal(mug.reservedStock, 0);
+    assert.equal(plate.reservedStock, 0);
+    assert.equal(inserted.length, 0);
+  });
+
+  it('skips products that do not track inventory', async () => {
+    const digital = product({ trackInventory: false, stock: 0 });
+    assert.equal(await inventoryService.reserveLine({ productRef: digital._id, quantity: 50 }), null);
+    assert.equal(digital.reservedStock, 0);
+  });
+
+  it('releases each open reservation once, even when releases race', async () => {
+    const mug = product({ reservedStock: 3 });
+    const open = [{ _id: 'r1' }, { _id: 'r2' }];
+    const claimed = new Set(['r2']); // r2 was released by a concurrent call
+
+    mock.method(InventoryReservation, 'find', () => query(open));
+    mock.method(InventoryReservation, 'findOneAndUpdate', async (filter, update) => {
+      if (claimed.has(filter._id)) return null;
+      claimed.add(filter._id);
+      assert.equal(update.$set.status, 'released');
+      return { _id: filter._id, productRef: mug._id, variantId: null, quantity: 3 };
+    });
+
+    assert.equal(await inventoryService.releaseForOrder('order-3', 'cancelled'), 1);
+    assert.equal(mug.reservedStock, 0);
+
+    // A second release finds nothing left to give back
+    assert.equal(await inventoryService.releaseForOrder('order-3', 'cancelled'), 0);
+    assert.equal(mug.reservedStock, 0);
+  });
+});
@@ -0,0 +1,105 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, mockReq, objectId } = require('./helpers');
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+const mailService = require('../services/mailService');
+const loginSecurityService = require('../services/loginSecurityService');
+
+describe('loginSecurityService', () => {
+  let attempts;
+  let userUpdates;
+  let lockedEmails;
+
+  beforeEach(() => {
+    attempts = [];
+    userUpdates = [];
+    lockedEmails = [];
+    mock.method(LoginAttempt, 'create', async (doc) => attempts.push(doc));
+    mock.method(User, 'updateOne', async (filter, update) => userUpdates.push(update));
+    mock.method(mailService, 'sendAccountLocked', async (user) => lockedEmails.push(user));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const failWith = (failures) => {
+    mock.method(User, 'findOneAndUpdate', async () => ({ failedLoginAttempts: failures }));
+    return loginSecurityService.recordFailure({ _id: objectId(), email: 'a@example.com' }, mockReq(), {
+      reason: 'invalid_password',
+    });
+  };
+
+  it('allows a few free attempts, then doubles the delay up to the cap', () => {
+    assert.deepEqual([0, 1, 2].map((n) => loginSecurityService.delayFor(n)), [0, 0, 0]);
+    assert.equal(loginSecurityService.delayFor(3), 5);
+    assert.equal(loginSecurityService.delayFor(4), 10);
+    assert.equal(loginSecurityService.delayFor(9), 300);
+    assert.equal(loginSecurityService.delayFor(50), 300);
+  });
+
+  it('records a failure without blocking while attempts are free', async () => {
+    const result = await failWith(2);
+    assert.deepEqual(result, { failures: 2, locked: false, retryAfter: 0 });
+    assert.equal(userUpdates.length, 0);
+    assert.equal(attempts[0].reason, 'invalid_password');
+  });
+
+  it('throttles after the free attempts', async () => {
+    const result = await failWith(3);
+    assert.equal(result.locked, false);
+    assert.equal(result.retryAfter, 5);
+    assert.ok(userUpdates[0].$set.loginBlockedUntil > new Date());
+    assert.equal(userUpdates[0].$set.lockedAt, undefined);
+    assert.equal(lockedEmails.length, 0);
+  });
+
+  it('locks the account at the attempt limit and emails the owner', async () => {
+    const result = await failWith(10);
+    assert.equal(result.locked, true);
+    assert.equal(result.retryAfter, 30 * 60);
+    assert.ok(userUpdates[0].$set.lockedAt instanceof Date);
+    assert.equal(lockedEmails.length, 1);
+  });
+
+  it('reports the current block from the user record', () => {
+    const now = new Date();
+    assert.equal(loginSecurityService.getBlock({}, now), null);
+    assert.equal(loginSecurityService.getBlock({ loginBlockedUntil: new Date(now.getTime() - 1000) }, now), null);
+
+    const block = loginSecurityService.getBlock(
+      { loginBlockedUntil: new Date(now.getTime() + 90 * 1000), lockedAt: now },
+      now
+    );
+    assert.equal(block.locked, true);
+    assert.equal(block.retryAfter, 90);
+  });
+
+  it('throttles and locks unknown emails like accounts', async () => {
+    const now = new Date();
+    const failuresAt = (count) =>
+      mock.method(LoginAttempt, 'find', () =>
+        query(Array.from({ length: count }, (_, i) => ({ createdAt: new Date(now.getTime() - i * 1000) })))
+      );
+
+    failuresAt(2);
+    assert.equal((await loginSecurityService.getUnknownEmailState('nobody@example.com', now)).block, null);
+
+    failuresAt(3);
+    const throttled = (await loginSecurityService.getUnknownEmailState('nobody@example.com', now)).block;
+    assert.deepEqual({ locked: throttled.locked, retryAfter: throttled.retryAfter }, { locked: false, retryAfter: 5 });
+
+    failuresAt(10);
+    const locked = (await loginSecurityService.getUnknownEmailState('nobody@example.com', now)).block;
+    assert.deepEqual({ locked: locked.locked, retryAfter: locked.retryAfter }, { locked: true, retryAfter: 30 * 60 });
+  });
+
+  it('lifts the unknown-email block once the delay has passed', async () => {
+    const now = new Date();
+    mock.method(LoginAttempt, 'find', () =>
+      query([3, 4, 5].map((minutes) => ({ createdAt: new Date(now.getTime() - minutes * 60 * 1000) })))
+    );
+    const state = await loginSecurityService.getUnknownEmailState('nobody@example.com', now);
+    assert.equal(state.failures, 3);
+    assert.equal(state.block, null);
+  });
+});
@@ -0,0 +1,129 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, objectId } = require('./helpers');
+const Order = require('../models/Order');
+const OrderEvent = require('../models/OrderEvent');
+const outboundWebhookService = require('../services/outboundWebhookService');
+const orderStateService = require('../services/orderStateService');
+
+describe('Order.canTransition', () => {
+  it('follows the status table', () => {
+    assert.equal(Order.canTransition('status', 'pending', 'processing'), true);
+    assert.equal(Order.canTransition('status', 'processing', 'shipped'), true);
+    assert.equal(Order.canTransition('status', 'shipped', 'delivered'), true);
+    assert.equal(Order.canTransition('status', 'shipped', 'pending'), false);
+    assert.equal(Order.canTransition('status', 'delivered', 'cancelled'), false);
+    assert.equal(Order.canTransition('status', 'cancelled', 'processing'), false);
+  });
+
+  it('follows the payment status table', () => {
+    assert.equal(Order.canTransition('paymentStatus', 'pending', 'paid'), true);
+    assert.equal(Order.canTransition('paymentStatus', 'failed', 'paid'), true);
+    assert.equal(Order.canTransition('paymentStatus', 'paid', 'refunded'), true);
+    assert.equal(Order.canTransition('paymentStatus', 'paid', 'pending'), false);
+    assert.equal(Order.canTransition('paymentStatus', 'refunded', 'paid'), false);
+  });
+
+  it('treats staying in the same state as allowed and unknown fields as not', () => {
+    assert.equal(Order.canTransition('status', 'cancelled', 'cancelled'), true);
+    assert.equal(Order.canTransition('fulfilmentStatus', 'a', 'b'), false);
+  });
+});
+
+describe('orderStateService.transition', () => {
+  let current;
+  let events;
+  let webhooks;
+
+  beforeEach(() => {
+    current = { _id: objectId(), status: 'pending', paymentStatus: 'pending', storeId: null };
+    events = [];
+    webhooks = [];
+    mock.method(Order, 'findById', () => query({ ...current }));
+    mock.method(Order, 'findOneAndUpdate', async (filter, update) => {
+      if (filter.status !== current.status || filter.paymentStatus !== current.paymentStatus) return null;
+      Object.assign(current, update.$set);
+      return { ...current };
+    });
+    mock.method(OrderEvent, 'insertMany', async (docs) => events.push(...docs));
+    mock.method(outboundWebhookService, 'emitOrder', (event) => webhooks.push(event));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('applies legal moves, records them and fires their webhooks', async () => {
+    const { order, changed } = await orderStateService.transition(
+      current._id,
+      { status: 'processing', paymentStatus: 'paid' },
+      { source: 'flutterwave' }
+    );
+
+    assert.deepEqual(changed.sort(), ['paymentStatus', 'status']);
+    assert.equal(order.status, 'processing');
+    assert.deepEqual(
+      events.map((e) => [e.type, e.from, e.to, e.source]).sort(),
+      [
+        ['payment_status', 'pending', 'paid', 'flutterwave'],
+        ['status', 'pending', 'processing', 'flutterwave'],
+      ]
+    );
+    assert.deepEqual(webhooks, ['order.paid']);
+  });
+
+  it('refuses an illegal move with 409 and changes nothing', async () => {
+    current.status = 'delivered';
+    await assert.rejects(orderStateService.transition(current._id, { status: 'pending' }), (error) => {
+      assert.equal(error.status, 409);
+      assert.equal(error.message, 'Cannot change order status from delivered to pending');
+      return true;
+    });
+    assert.equal(Order.findOneAndUpdate.mock.callCount(), 0);
+    assert.equal(events.length, 0);
+  });
+
+  it('drops illegal moves but applies the rest when not strict', async () => {
+    current.status = 'shipped';
+    const { changed, rejected } = await orderStateService.transition(
+      current._id,
+      { status: 'cancelled', paymentStatus: 'paid' },
+      { strict: false }
+    );
+
+    assert.deepEqual(changed, ['paymentStatus']);
+    assert.deepEqual(rejected, [{ field: 'status', from: 'shipped', to: 'cancelled' }]);
+    assert.equal(current.status, 'shipped');
+    assert.equal(current.paymentStatus, 'paid');
+  });
+
+  it('re-validates when the order changed underneath it', async () => {
+    // Another writer cancels the order between our read and our update
+    let raced = false;
+    mock.method(Order, 'findById', () => {
+      const snapshot = { ...current };
+      if (!raced) {
+        raced = true;
+        current.status = 'cancelled';
+      }
+      return query(snapshot);
+    });
+
+    await assert.rejects(orderStateService.transition(current._id, { status: 'processing' }), { status: 409 });
+    assert.equal(current.status, 'cancelled');
+    assert.equal(Order.findOneAndUpdate.mock.callCount(), 1);
+  });
+
+  it('does nothing unless the order is in the expected state', async () => {
+    const { changed } = await orderStateService.transition(
+      current._id,
+      { paymentStatus: 'failed' },
+      { expect: { paymentStatus: ['paid'] } }
+    );
+    assert.deepEqual(changed, []);
+    assert.equal(current.paymentStatus, 'pending');
+  });
+
+  it('fails with 404 for a missing order', async () => {
+    mock.method(Order, 'findById', () => query(null));
+    await assert.rejects(orderStateService.transition(objectId(), { status: 'processing' }), { status: 404 });
+  });
+});
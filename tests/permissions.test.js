@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { mockReq, mockRes, objectId } = require('./helpers');
+const { expandPermissions, isValidPermission } = require('../config/permissions');
+const { requireAreaPermission, hasPermission, getAccessibleStoreIds } = require('../middleware/permissions');
+
+function check(middleware, req) {
+  const res = mockRes();
+  let passed = false;
+  middleware(req, res, () => {
+    passed = true;
+  });
+  return { passed, status: res.statusCode };
+}
+
+describe('expandPermissions', () => {
+  it('expands a legacy area key to every action in the area', () => {
+    assert.deepEqual(expandPermissions(['orders']), ['orders.view', 'orders.manage', 'orders.mark_paid', 'orders.cancel']);
+  });
+
+  it('passes action keys through and removes duplicates', () => {
+    assert.deepEqual(expandPermissions(['products.view', 'products', 'products.view']), ['products.view', 'products.manage']);
+    assert.deepEqual(expandPermissions(undefined), []);
+  });
+
+  it('keeps unknown keys so validation can drop them', () => {
+    assert.deepEqual(expandPermissions(['nonsense']), ['nonsense']);
+    assert.equal(isValidPermission('nonsense'), false);
+    assert.equal(isValidPermission('payments.refund'), true);
+  });
+});
+
+describe('requireAreaPermission', () => {
+  const storeA = objectId();
+  const storeB = objectId();
+  const products = requireAreaPermission('products');
+
+  it('needs view for reads and manage for writes', () => {
+    const viewer = { role: 'member', permissions: ['products.view'] };
+    assert.equal(check(products, mockReq({ method: 'GET', user: viewer, storeId: storeA })).passed, true);
+
+    const write = check(products, mockReq({ method: 'POST', user: viewer, storeId: storeA }));
+    assert.equal(write.passed, false);
+    assert.equal(write.status, 403);
+
+    const manager = { role: 'member', permissions: ['products.manage'] };
+    assert.equal(check(products, mockReq({ method: 'DELETE', user: manager, storeId: storeA })).passed, true);
+    // Any action in the area also allows viewing it
+    assert.equal(check(products, mockReq({ method: 'GET', user: manager, storeId: storeA })).passed, true);
+  });
+
+  it('limits store permissions to their store', () => {
+    const member = { role: 'member', permissions: [], storePermissions: [{ storeId: storeA, permissions: ['products.manage'] }] };
+    assert.equal(check(products, mockReq({ method: 'PUT', user: member, storeId: storeA })).passed, true);
+    assert.equal(check(products, mockReq({ method: 'PUT', user: member, storeId: storeB })).status, 403);
+    assert.deepEqual(getAccessibleStoreIds(member), [String(storeA)]);
+  });
+
+  it('expands legacy keys for unmigrated members', () => {
+    const legacy = { role: 'member', permissions: ['products'] };
+    assert.equal(check(products, mockReq({ method: 'PATCH', user: legacy, storeId: storeA })).passed, true);
+  });
+
+  it('lets admins through and refuses customers and anonymous requests', () => {
+    assert.equal(check(products, mockReq({ method: 'POST', user: { role: 'admin' }, storeId: storeA })).passed, true);
+    assert.equal(check(products, mockReq({ method: 'GET', user: { role: 'customer', permissions: ['products.view'] } })).status, 403);
+    assert.equal(check(products, mockReq({ method: 'GET' })).status, 401);
+  });
+
+  it('does not grant store-scoped actions from a view permission', () => {
+    const member = { role: 'member', permissions: ['payments.view'] };
+    assert.equal(hasPermission(member, 'payments.refund', storeA), false);
+  });
+});
@@ -0,0 +1,120 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId } = require('./helpers');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const flutterwaveService = require('../services/flutterwaveService');
+const orderStateService = require('../services/orderStateService');
+const refundService = require('../services/refundService');
+
+function paidOrder(overrides = {}) {
+  return {
+    _id: objectId(),
+    paymentId: objectId(),
+    paymentStatus: 'paid',
+    paymentMethodType: 'flutterwave',
+    total: 100,
+    refundedAmount: 0,
+    currency: 'USD',
+    ...overrides,
+  };
+}
+
+describe('refundService.refundOrder', () => {
+  let order;
+  let refund;
+  let orderUpdates;
+  let paymentUpdates;
+  let timeline;
+
+  beforeEach(() => {
+    order = paidOrder();
+    orderUpdates = [];
+    paymentUpdates = [];
+    timeline = [];
+
+    mock.method(Payment, 'findById', async () => ({
+      _id: order.paymentId,
+      status: 'successful',
+      paymentMethodType: 'flutterwave',
+      flutterwaveTransactionId: 'FLW-1',
+      currency: 'USD',
+    }));
+    mock.method(Order, 'findOneAndUpdate', async (filter, update) => ({
+      ...order,
+      refundedAmount: order.refundedAmount + update.$inc.refundedAmount,
+    }));
+    mock.method(Order, 'updateOne', async (filter, update) => orderUpdates.push(update));
+    mock.method(Payment, 'updateOne', async (filter, update) => paymentUpdates.push(update));
+    mock.method(Refund, 'create', async (doc) => {
+      refund = { _id: objectId(), ...doc, save: mock.fn(async () => refund) };
+      return refund;
+    });
+    mock.method(orderStateService, 'record', async (...args) => timeline.push(args));
+    mock.method(orderStateService, 'transition', async () => ({ order: { ...order, paymentStatus: 'refunded' } }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('gives the held amount back and marks the refund failed when the provider fails', async () => {
+    mock.method(flutterwaveService, 'refundPayment', async () => {
+      throw new Error('Gateway timeout');
+    });
+
+    await assert.rejects(refundService.refundOrder(order, { amount: 40, requestedBy: 'admin-1' }), (error) => {
+      assert.equal(error.status, 502);
+      assert.match(error.message, /Gateway timeout/);
+      return true;
+    });
+
+    assert.deepEqual(orderUpdates, [{ $inc: { refundedAmount: -40 } }]);
+    assert.equal(refund.status, 'failed');
+    assert.equal(refund.failureReason, 'Gateway timeout');
+    assert.equal(refund.save.mock.callCount(), 1);
+    assert.equal(paymentUpdates.length, 0);
+    assert.equal(timeline.length, 0);
+  });
+
+  it('records a partial refund without changing the payment status', async () => {
+    const refundPayment = mock.method(flutterwaveService, 'refundPayment', async () => ({ refundId: 'RF-1', fullResponse: {} }));
+
+    const result = await refundService.refundOrder(order, { amount: 40, reason: 'Damaged', requestedBy: 'admin-1' });
+
+    assert.equal(refundPayment.mock.calls[0].arguments[0].amount, 40);
+    assert.equal(result.refund.status, 'succeeded');
+    assert.equal(result.refund.type, 'partial');
+    assert.equal(result.refund.reference, 'RF-1');
+    assert.deepEqual(paymentUpdates, [{ $inc: { refundedAmount: 40 } }]);
+    assert.equal(orderStateService.transition.mock.callCount(), 0);
+    assert.equal(orderUpdates.length, 0);
+  });
+
+  it('refunds the remaining balance in full and moves the order to refunded', async () => {
+    mock.method(flutterwaveService, 'refundPayment', async () => ({ refundId: 'RF-2', fullResponse: {} }));
+
+    const result = await refundService.refundOrder(order, { requestedBy: 'admin-1' });
+
+    // A first, full refund goes to the provider without an amount
+    assert.equal(flutterwaveService.refundPayment.mock.calls[0].arguments[0].amount, undefined);
+    assert.equal(result.refund.type, 'full');
+    assert.equal(result.refund.amount, 100);
+    assert.deepEqual(orderStateService.transition.mock.calls[0].arguments[1], { paymentStatus: 'refunded' });
+  });
+
+  it('refuses amounts above the refundable balance before touching anything', async () => {
+    order = paidOrder({ refundedAmount: 90 });
+    await assert.rejects(refundService.refundOrder(order, { amount: 20 }), { status: 400 });
+    assert.equal(Order.findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  it('refuses unpaid orders', async () => {
+    await assert.rejects(refundService.refundOrder(paidOrder({ paymentStatus: 'pending' }), {}), { status: 400 });
+  });
+
+  it('fails with 409 when a concurrent refund took the balance', async () => {
+    mock.method(Order, 'findOneAndUpdate', async () => null);
+    await assert.rejects(refundService.refundOrder(order, { amount: 10 }), { status: 409 });
+    assert.equal(Refund.create.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,60 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, mockReq, mockRes, objectId } = require('./helpers');
+const Store = require('../models/Store');
+const { hasAdminAccess } = require('../middleware/auth');
+const { resolveStore, getStoreFilter } = require('../middleware/resolveStore');
+const twoFactorService = require('../services/twoFactorService');
+
+describe('resolveStore on admin routes', () => {
+  const defaultStore = { _id: objectId(), slug: 'default', isActive: true };
+  const otherStore = { _id: objectId(), slug: 'other', name: 'Other', isActive: true };
+  const stores = [defaultStore, otherStore];
+  const member = { id: 'm1', role: 'member', twoFactorEnabled: true, permissions: [], storePermissions: [{ storeId: otherStore._id, permissions: ['orders.view'] }] };
+
+  afterEach(() => mock.restoreAll());
+
+  // Runs the admin chain: hasAdminAccess then resolveStore
+  async function adminRequest(headers = {}, user = member) {
+    mock.method(twoFactorService, 'isRequired', async () => false);
+    mock.method(Store, 'findById', (id) => query(stores.find((s) => String(s._id) === String(id)) || null));
+    mock.method(Store, 'findOne', (filter) =>
+      query(filter._id ? stores.find((s) => filter._id.$in.includes(String(s._id))) : null)
+    );
+    mock.method(Store, 'getDefaultStore', async () => defaultStore);
+
+    const req = mockReq({ method: 'GET', headers: { host: 'admin.example.com', ...headers }, user });
+    const res = mockRes();
+    let passed = false;
+    await hasAdminAccess(req, res, () => {
+      passed = true;
+    });
+    if (!passed) return { req, res, passed };
+
+    passed = false;
+    await resolveStore(req, res, () => {
+      passed = true;
+    });
+    return { req, res, passed };
+  }
+
+  it('refuses a store the member has no permissions on', async () => {
+    const { res, passed } = await adminRequest({ 'x-store-id': String(defaultStore._id) });
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 403);
+  });
+
+  it('falls back to the first store the member can access', async () => {
+    const { req, passed } = await adminRequest();
+    assert.equal(passed, true);
+    assert.equal(req.adminAccess, true);
+    assert.equal(String(req.storeId), String(otherStore._id));
+  });
+
+  it('includes records without a store only for the default store', async () => {
+    const { req } = await adminRequest({ 'x-store-id': String(defaultStore._id) }, { id: 'a1', role: 'admin', twoFactorEnabled: true });
+    assert.equal(String(req.storeId), String(defaultStore._id));
+    assert.deepEqual(getStoreFilter(otherStore._id), { storeId: otherStore._id });
+    assert.deepEqual(getStoreFilter(defaultStore._id), { storeId: { $in: [defaultStore._id, null] } });
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { query, mockReq, objectId } = require('./helpers');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const sessionService = require('../services/sessionService');
+
+const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+describe('sessionService.refresh', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('rotates the refresh token and keeps the old hash for reuse detection', async () => {
+    const session = { _id: objectId(), userId: objectId() };
+    const findOneAndUpdate = mock.method(Session, 'findOneAndUpdate', async () => session);
+    mock.method(User, 'findById', async () => ({ _id: session.userId }));
+
+    const result = await sessionService.refresh('old-token', mockReq());
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.equal(filter.refreshTokenHash, hash('old-token'));
+    assert.equal(filter.revokedAt, null);
+    assert.equal(update.$set.previousTokenHash, hash('old-token'));
+    assert.equal(update.$set.refreshTokenHash, hash(result.refreshToken));
+    assert.notEqual(result.refreshToken, 'old-token');
+
+    const decoded = jwt.verify(result.accessToken, process.env.JWT_SECRET);
+    assert.equal(decoded.sid, String(session._id));
+    assert.equal(decoded.id, String(session.userId));
+  });
+
+  it('revokes the session when an already-rotated token is presented again', async () => {
+    const session = { _id: objectId(), userId: objectId() };
+    const findOneAndUpdate = mock.method(Session, 'findOneAndUpdate', async (filter) =>
+      filter.previousTokenHash ? session : null
+    );
+
+    await assert.rejects(sessionService.refresh('stolen-token', mockReq()), (error) => {
+      assert.equal(error.status, 401);
+      return true;
+    });
+
+    assert.equal(findOneAndUpdate.mock.callCount(), 2);
+    const [filter, update] = findOneAndUpdate.mock.calls[1].arguments;
+    assert.equal(filter.previousTokenHash, hash('stolen-token'));
+    assert.equal(update.$set.revokedReason, 'refresh_token_reuse');
+    assert.ok(update.$set.revokedAt instanceof Date);
+  });
+
+  it('refuses unknown tokens without revoking anything', async () => {
+    mock.method(Session, 'findOneAndUpdate', async () => null);
+    await assert.rejects(sessionService.refresh('unknown', mockReq()), { status: 401 });
+  });
+
+  it('requires a token', async () => {
+    await assert.rejects(sessionService.refresh(undefined, mockReq()), { status: 400 });
+  });
+
+  it('revokes the session when its user no longer exists', async () => {
+    const session = { _id: objectId(), userId: objectId() };
+    mock.method(Session, 'findOneAndUpdate', async () => session);
+    mock.method(User, 'findById', async () => null);
+    const updateOne = mock.method(Session, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    await assert.rejects(sessionService.refresh('token', mockReq()), { status: 401 });
+    assert.equal(updateOne.mock.calls[0].arguments[1].$set.revokedReason, 'user_deleted');
+  });
+});
+
+describe('sessionService.isTokenActive', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('checks the session for tokens that carry one', async () => {
+    mock.method(Session, 'exists', () => query(null));
+    assert.equal(await sessionService.isTokenActive({ id: 'u', sid: 's' }, {}), false);
+
+    mock.method(Session, 'exists', () => query({ _id: 's' }));
+    assert.equal(await sessionService.isTokenActive({ id: 'u', sid: 's' }, {}), true);
+  });
+
+  it('cuts off pre-session tokens issued before the user revoked all sessions', async () => {
+    const issuedAt = Math.floor(Date.now() / 1000) - 60;
+    const user = { sessionsRevokedAt: new Date() };
+    assert.equal(await sessionService.isTokenActive({ id: 'u', iat: issuedAt }, user), false);
+    assert.equal(await sessionService.isTokenActive({ id: 'u', iat: issuedAt }, {}), true);
+  });
+});
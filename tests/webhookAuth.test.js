@@ -0,0 +1,151 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { mockReq, mockRes } = require('./helpers');
+const WebhookEvent = require('../models/WebhookEvent');
+const { verifyWebhook } = require('../middleware/webhookAuth');
+
+function flutterwaveRequest(payload, { secret = process.env.FLUTTERWAVE_WEBHOOK_SECRET, signature } = {}) {
+  const rawBody = Buffer.from(JSON.stringify(payload));
+  return mockReq({
+    body: payload,
+    rawBody,
+    headers: {
+      'flutterwave-signature': signature || crypto.createHmac('sha256', secret).update(rawBody).digest('base64'),
+    },
+  });
+}
+
+function squadRequest(payload, secret = process.env.SQUAD_WEBHOOK_SECRET) {
+  const rawBody = Buffer.from(JSON.stringify(payload));
+  return mockReq({
+    body: payload,
+    rawBody,
+    headers: {
+      'x-squad-encrypted-body': crypto.createHmac('sha512', secret).update(rawBody).digest('hex').toUpperCase(),
+    },
+  });
+}
+
+async function run(provider, topic, req) {
+  const res = mockRes();
+  let nextCalled = false;
+  await verifyWebhook(provider, topic)(req, res, () => {
+    nextCalled = true;
+  });
+  return { res, nextCalled };
+}
+
+describe('verifyWebhook', () => {
+  let created;
+
+  beforeEach(() => {
+    created = [];
+    mock.method(WebhookEvent, 'create', async (doc) => {
+      created.push(doc);
+      return { _id: 'event-1', ...doc };
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('stores and passes on a Flutterwave event with a valid signature', async () => {
+    const req = flutterwaveRequest({ event: 'charge.completed', data: { id: 42, created_at: new Date().toISOString() } });
+    const { res, nextCalled } = await run('flutterwave', 'charge.completed', req);
+
+    assert.equal(nextCalled, true);
+    assert.equal(res.body, undefined);
+    assert.equal(created[0].status, 'received');
+    assert.equal(created[0].eventId, 'charge.completed:42');
+    assert.equal(req.webhookEvent.eventId, 'charge.completed:42');
+  });
+
+  it('rejects a Flutterwave event signed with another secret and keeps only a hash and excerpt', async () => {
+    const req = flutterwaveRequest({ event: 'charge.completed', data: { id: 43 } }, { secret: 'wrong-secret' });
+    const { res, nextCalled } = await run('flutterwave', 'charge.completed', req);
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+    assert.equal(created[0].status, 'rejected');
+    assert.equal(created[0].payload, undefined);
+    assert.equal(created[0].payloadHash, crypto.createHash('sha256').update(req.rawBody.toString()).digest('hex'));
+    assert.ok(created[0].payloadExcerpt.length <= 500);
+    assert.ok(created[0].expiresAt > new Date());
+    assert.equal(created[0].headers['flutterwave-signature'], '[redacted]');
+  });
+
+  it('rejects an event whose body was changed after signing', async () => {
+    const req = flutterwaveRequest({ event: 'charge.completed', data: { id: 44, amount: 10 } });
+    req.rawBody = Buffer.from(JSON.stringify({ event: 'charge.completed', data: { id: 44, amount: 10000 } }));
+    const { res, nextCalled } = await run('flutterwave', 'charge.completed', req);
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+  });
+
+  it('rejects stale events and events too far in the future', async () => {
+    const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString();
+    const stale = await run('flutterwave', 'charge.completed', flutterwaveRequest({ data: { id: 45, created_at: twoDaysAgo } }));
+    assert.equal(stale.nextCalled, false);
+    assert.equal(stale.res.statusCode, 400);
+    assert.equal(stale.res.body.message, 'Stale webhook timestamp');
+
+    const inAnHour = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const future = await run('flutterwave', 'charge.completed', flutterwaveRequest({ data: { id: 46, created_at: inAnHour } }));
+    assert.equal(future.nextCalled, false);
+    assert.equal(future.res.statusCode, 400);
+  });
+
+  it('accepts a Squad event signed with HMAC-SHA512 and rejects a bad one', async () => {
+    const payload = { Event: 'charge_successful', TransactionRef: 'SQ-1', Body: { transaction_ref: 'SQ-1' } };
+    const valid = await run('squad', 'payment', squadRequest(payload));
+    assert.equal(valid.nextCalled, true);
+    assert.equal(created[0].eventId, 'charge_successful:SQ-1');
+
+    const invalid = await run('squad', 'payment', squadRequest(payload, 'wrong-secret'));
+    assert.equal(invalid.nextCalled, false);
+    assert.equal(invalid.res.statusCode, 401);
+  });
+
+  it('checks the CJ token from the query string or header', async () => {
+    const body = { messageId: 'cj-1', timestamp: Date.now() };
+    const valid = await run('cj', 'order-status', mockReq({ body, query: { token: process.env.CJ_WEBHOOK_SECRET } }));
+    assert.equal(valid.nextCalled, true);
+
+    const header = await run('cj', 'order-status', mockReq({ body, headers: { 'x-webhook-token': 'nope' } }));
+    assert.equal(header.nextCalled, false);
+    assert.equal(header.res.statusCode, 401);
+
+    const missing = await run('cj', 'order-status', mockReq({ body }));
+    assert.equal(missing.res.statusCode, 401);
+  });
+
+  it('acknowledges a duplicate event without running it again', async () => {
+    mock.method(WebhookEvent, 'create', async () => {
+      throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    });
+    mock.method(WebhookEvent, 'findOneAndUpdate', async () => null);
+
+    const { res, nextCalled } = await run('flutterwave', 'charge.completed', flutterwaveRequest({ data: { id: 47 } }));
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.duplicate, true);
+  });
+
+  it('runs a redelivered event again when the first attempt failed', async () => {
+    mock.method(WebhookEvent, 'create', async () => {
+      throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    });
+    const findOneAndUpdate = mock.method(WebhookEvent, 'findOneAndUpdate', async () => ({ _id: 'event-2', status: 'received' }));
+
+    const req = flutterwaveRequest({ event: 'charge.completed', data: { id: 48 } });
+    const { nextCalled } = await run('flutterwave', 'charge.completed', req);
+    assert.equal(nextCalled, true);
+    assert.equal(req.webhookEvent._id, 'event-2');
+    assert.deepEqual(findOneAndUpdate.mock.calls[0].arguments[0], {
+      provider: 'flutterwave',
+      eventId: 'charge.completed:48',
+      status: 'failed',
+    });
+  });
+});
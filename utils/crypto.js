@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const ALGORITHM = 'aes-256-cbc';
+
+/**
+ * 32-byte key from ENCRYPTION_KEY (64 hex chars used as is, anything else hashed), falling back to JWT_SECRET
+ */
+function getEncryptionKey() {
+  const keyString = process.env.ENCRYPTION_KEY || process.env.JWT_SECRET;
+  const keyBuffer = Buffer.from(keyString, 'hex');
+  return keyBuffer.length === 32 ? keyBuffer : crypto.createHash('sha256').update(keyString).digest();
+}
+
+/**
+ * Encrypt a secret for storage as '<iv hex>:<ciphertext hex>'
+ */
+function encryptSecret(value) {
+  try {
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv(ALGORITHM, getEncryptionKey(), iv);
+    const encrypted = cipher.update(value, 'utf8', 'hex') + cipher.final('hex');
+    return `${iv.toString('hex')}:${encrypted}`;
+  } catch (error) {
+    logger.error('Error encrypting secret', { error: error.message });
+    throw new Error('Failed to encrypt secret');
+  }
+}
+
+/**
+ * Decrypt a value from encryptSecret. Values that aren't in that format (stored before encryption
+ * was added) or don't decrypt are returned as they are.
+ */
+function decryptSecret(value) {
+  try {
+    const parts = value.split(':');
+    if (parts.length !== 2) return value;
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, getEncryptionKey(), Buffer.from(parts[0], 'hex'));
+    return decipher.update(parts[1], 'hex', 'utf8') + decipher.final('utf8');
+  } catch (error) {
+    logger.error('Error decrypting secret', { error: error.message });
+    return value;
+  }
+}
+
+module.exports = { encryptSecret, decryptSecret };
@@ -50,6 +50,35 @@ const logger = winston.createLogger({
   transports,
 });
 
+// Query parameters that carry credentials (CJ webhook token, signed links, ...) are never logged
+const SENSITIVE_QUERY_PARAM = /^(token|access_token|secret|signature|password|key|api_?key|code)$/i;
+
+/**
+ * Request URL with the values of sensitive query parameters replaced by [REDACTED]
+ */
+const redactUrl = (url) => {
+  const value = String(url || '');
+  const queryStart = value.indexOf('?');
+  if (queryStart === -1) return value;
+
+  const query = value
+    .slice(queryStart + 1)
+    .split('&')
+    .map((pair) => {
+      const name = pair.split('=')[0];
+      let decoded = name;
+      try {
+        decoded = decodeURIComponent(name);
+      } catch {
+        // keep the raw name
+      }
+      return SENSITIVE_QUERY_PARAM.test(decoded) ? `${name}=[REDACTED]` : pair;
+    })
+    .join('&');
+  return `${value.slice(0, queryStart)}?${query}`;
+};
+exports.redactUrl = redactUrl;
+
 // Request logger middleware
 exports.requestLogger = (req, res, next) => {
   const start = Date.now();
@@ -58,7 +87,7 @@ exports.requestLogger = (req, res, next) => {
     const duration = Date.now() - start;
     logger.info('HTTP Request', {
       method: req.method,
-      url: req.url,
+      url: redactUrl(req.url),
       status: res.statusCode,
       duration: `${duration}ms`,
       ip: req.ip,
@@ -74,7 +103,7 @@ exports.errorLogger = (err, req, res, next) => {
   logger.error('Error occurred', {
     error: err.message,
     stack: err.stack,
-    url: req.url,
+    url: redactUrl(req.url),
     method: req.method,
     ip: req.ip,
   });
@@ -0,0 +1,14 @@
+const crypto = require('crypto');
+
+/**
+ * Constant-time string comparison for secrets and signatures
+ */
+function safeCompare(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+module.exports = { safeCompare };